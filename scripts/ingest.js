@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Collect current data from the package registries, GitHub, Stack Overflow and Reddit
+ *
+ * Usage: npm run ingest -- [options] (see USAGE below, or --help)
+ *
+ * Merges the data into the time series at TIMESERIES_PATH (default
+ * data/timeseries.jsonl; seeded from the fixtures if it doesn't exist)
+ * and the current metrics at METRICS_PATH (default data/metrics.json).
+ * Point the server at both files to serve the ingested data.
+ */
+
+import { parseArgs } from 'node:util';
+
+// The dataset loads these files on import, so default them first
+process.env.TIMESERIES_PATH ||= 'data/timeseries.jsonl';
+process.env.METRICS_PATH ||= 'data/metrics.json';
+
+const { ingestDataset, describeRun, COLLECTORS } = await import('../src/ingest/index.js');
+const { replayFetch, recordingFetch, loadRecording, saveRecording } = await import('../src/ingest/fixtures.js');
+const { resolveToolIds } = await import('../src/catalog/resolver.js');
+const { getTool } = await import('../src/catalog/index.js');
+
+// Sources come from the collector registry, so new collectors show up here
+const USAGE = `Usage: npm run ingest -- [options]
+
+  --source npm,github     Only these sources (${Object.keys(COLLECTORS).join(', ')})
+  --tool openai,cursor    Only these tools (default: the whole catalog)
+  --days 30               Days to collect, ending yesterday
+  --to 2026-10-18         Last day to collect instead of yesterday
+  --replay file.json      Answer from recorded responses instead of the network,
+                          as of the time they were recorded
+  --record file.json      Save the responses received, for offline replay
+  --help                  Show this message`;
+
+const { values } = parseArgs({
+  options: {
+    help: { type: 'boolean', short: 'h' },
+    source: { type: 'string' },
+    tool: { type: 'string' },
+    days: { type: 'string' },
+    to: { type: 'string' },
+    replay: { type: 'string' },
+    record: { type: 'string' }
+  }
+});
+
+if (values.help) {
+  console.error(USAGE);
+  process.exit(0);
+}
+
+const list = value => value?.split(',').map(item => item.trim()).filter(Boolean);
+
+let fetchImpl;
+let now;
+let recording;
+
+try {
+  if (values.replay) {
+    // Replay as of the recording, so dates and request URLs line up with it
+    const recorded = loadRecording(values.replay);
+    fetchImpl = replayFetch(recorded);
+    now = () => Date.parse(recorded.recorded_at);
+  } else if (values.record) {
+    ({ fetch: fetchImpl, recording } = recordingFetch());
+  }
+
+  const report = await ingestDataset({
+    sources: list(values.source),
+    tools: list(values.tool) && resolveToolIds(list(values.tool)).map(getTool),
+    days: values.days ? parseInt(values.days, 10) : undefined,
+    to: values.to,
+    fetch: fetchImpl,
+    now,
+    // Recorded responses don't change, so retrying them is pointless
+    retry: values.replay ? { retries: 0 } : undefined,
+    timeseriesPath: process.env.TIMESERIES_PATH,
+    metricsPath: process.env.METRICS_PATH
+  });
+
+  if (recording) {
+    saveRecording(values.record, recording);
+    console.error(`Recorded ${recording.responses.length} responses to ${values.record}`);
+  }
+
+  console.error(describeRun(report));
+  process.exit(report.runs.some(run => run.status === 'failed') ? 1 : 0);
+} catch (error) {
+  console.error(`Ingestion failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * Seed the daily time series file from the bundled fixtures
+ *
+ * Usage: npm run seed -- [path]
+ *
+ * Writes one JSON sample per line. Point TIMESERIES_PATH at the file to
+ * have the server load it instead of seeding in memory on every start.
+ */
+
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { seedTimeSeries } from '../src/data/mock-data.js';
+
+const path = process.argv[2] || process.env.TIMESERIES_PATH || 'data/timeseries.jsonl';
+
+const store = seedTimeSeries();
+mkdirSync(dirname(path), { recursive: true });
+store.saveToFile(path);
+
+const count = store.tools().reduce((sum, tool) => sum + store.query(tool).length, 0);
+console.error(`Wrote ${count} daily samples for ${store.tools().length} tools to ${path}`);
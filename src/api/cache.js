@@ -0,0 +1,242 @@
+/**
+ * Response Cache
+ *
+ * In-memory cache for successful API responses, keyed by client method
+ * and normalized params. Each entry moves through three states:
+ *
+ * - fresh (age < ttl): served straight from the cache
+ * - stale (age < ttl + staleWhileRevalidate): served from the cache while
+ *   the client refreshes it in the background
+ * - expired: treated as a miss
+ *
+ * TTLs are set per method. The cache can optionally be persisted to a
+ * JSON file so it survives restarts.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+// Default time-to-live per ApiClient method, in milliseconds
+export const DEFAULT_TTLS = {
+  getToolMetrics: 5 * 60 * 1000,
+  compareTools: 5 * 60 * 1000,
+  getTrendingTools: 15 * 60 * 1000,
+  searchTools: 5 * 60 * 1000,
+  getToolHistory: 60 * 60 * 1000,
+  getToolAnomalies: 60 * 60 * 1000,
+  getToolForecast: 60 * 60 * 1000,
+  getVersionAdoption: 60 * 60 * 1000,
+  getCategoryLeaderboard: 15 * 60 * 1000
+};
+
+export class ResponseCache {
+  constructor(options = {}) {
+    this.ttls = { ...DEFAULT_TTLS, ...options.ttls };
+    this.defaultTtl = options.defaultTtl ?? 5 * 60 * 1000;
+    this.staleWhileRevalidate = options.staleWhileRevalidate ?? 10 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 500;
+    this.persistPath = options.persistPath;
+    this.now = options.now || Date.now;
+
+    // key → { method, value, storedAt }, in insertion (≈ LRU) order
+    this.entries = new Map();
+    this.counters = new Map();
+
+    if (this.persistPath && existsSync(this.persistPath)) {
+      this._load();
+    }
+  }
+
+  /**
+   * Build a cache key from a method name and its params
+   */
+  key(method, params) {
+    return `${method}:${stableStringify(params)}`;
+  }
+
+  /**
+   * Look up a key and record the outcome
+   *
+   * Returns { value, fresh } for fresh or stale entries, or null on a miss.
+   */
+  lookup(method, key) {
+    const entry = this.entries.get(key);
+    const age = entry ? this.now() - entry.storedAt : Infinity;
+    const ttl = this.ttlFor(method);
+
+    if (age < ttl) {
+      this._count(method, 'hits');
+      this._touch(key, entry);
+      return { value: entry.value, fresh: true };
+    }
+
+    if (age < ttl + this.staleWhileRevalidate) {
+      this._count(method, 'stale_hits');
+      this._touch(key, entry);
+      return { value: entry.value, fresh: false };
+    }
+
+    if (entry) {
+      this.entries.delete(key);
+    }
+    this._count(method, 'misses');
+    return null;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   */
+  set(method, key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { method, value, storedAt: this.now() });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this._count(this.entries.get(oldest).method, 'evictions');
+      this.entries.delete(oldest);
+    }
+
+    this._schedulePersist();
+  }
+
+  /**
+   * Drop entries: everything, one method's entries, or a single key
+   *
+   * Returns the number of entries removed.
+   */
+  invalidate(method, key) {
+    let removed = 0;
+
+    for (const [entryKey, entry] of this.entries) {
+      const matches = key
+        ? entryKey === key
+        : !method || entry.method === method;
+      if (matches) {
+        this.entries.delete(entryKey);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this._schedulePersist();
+    }
+    return removed;
+  }
+
+  /**
+   * Record a named event (e.g. revalidations) against a method
+   */
+  record(method, counter) {
+    this._count(method, counter);
+  }
+
+  /**
+   * TTL for a method in milliseconds
+   */
+  ttlFor(method) {
+    return this.ttls[method] ?? this.defaultTtl;
+  }
+
+  /**
+   * Hit/miss counters, overall and per method
+   */
+  stats() {
+    const byMethod = Object.fromEntries(this.counters);
+    const totals = {};
+
+    for (const counters of this.counters.values()) {
+      for (const [name, value] of Object.entries(counters)) {
+        totals[name] = (totals[name] || 0) + value;
+      }
+    }
+
+    const lookups = (totals.hits || 0) + (totals.stale_hits || 0) + (totals.misses || 0);
+
+    return {
+      size: this.entries.size,
+      hit_rate: lookups ? ((totals.hits || 0) + (totals.stale_hits || 0)) / lookups : 0,
+      ...totals,
+      by_method: byMethod
+    };
+  }
+
+  /**
+   * Write all entries to the persist file now
+   *
+   * A failed write is logged, not thrown: the cache keeps working in
+   * memory, and this also runs from a timer where a throw would crash
+   * the server.
+   */
+  flush() {
+    if (!this.persistPath) return;
+
+    clearTimeout(this._persistTimer);
+    this._persistTimer = null;
+    try {
+      mkdirSync(dirname(this.persistPath), { recursive: true });
+      writeFileSync(this.persistPath, JSON.stringify([...this.entries]));
+    } catch (error) {
+      console.error(`Unable to write cache file ${this.persistPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Helper: Increment a counter for a method
+   */
+  _count(method, name) {
+    if (!this.counters.has(method)) {
+      this.counters.set(method, {});
+    }
+    const counters = this.counters.get(method);
+    counters[name] = (counters[name] || 0) + 1;
+  }
+
+  /**
+   * Helper: Mark an entry as recently used
+   */
+  _touch(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Helper: Batch writes to the persist file (at most one per second)
+   */
+  _schedulePersist() {
+    if (!this.persistPath || this._persistTimer) return;
+
+    this._persistTimer = setTimeout(() => this.flush(), 1000);
+    this._persistTimer.unref();
+  }
+
+  /**
+   * Helper: Load entries from the persist file, ignoring a corrupt file
+   */
+  _load() {
+    try {
+      const entries = JSON.parse(readFileSync(this.persistPath, 'utf8'));
+      this.entries = new Map(entries);
+    } catch (error) {
+      console.error(`Ignoring unreadable cache file ${this.persistPath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * JSON with object keys sorted and undefined/null values dropped, so
+ * equivalent params always produce the same cache key
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter(key => value[key] !== undefined && value[key] !== null)
+      .sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
@@ -0,0 +1,100 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops hammering an upstream API that keeps failing:
+ *
+ * - closed: calls go through; consecutive retryable failures are counted
+ * - open: after `failureThreshold` failures in a row, calls fail fast with
+ *   UpstreamDegradedError for `resetTimeout` ms
+ * - half-open: after the timeout, one trial call goes through; success
+ *   closes the circuit, failure opens it again
+ *
+ * Only retryable failures (timeouts, 429, 5xx) count. A 404 means the
+ * API is healthy and simply has no such tool.
+ */
+
+import { UpstreamDegradedError, isRetryableError } from './errors.js';
+
+export const DEFAULT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  resetTimeout: 30_000
+};
+
+export class CircuitBreaker {
+  constructor(options = {}) {
+    const { failureThreshold, resetTimeout } = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.now = options.now || Date.now;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Run `call` through the breaker
+   */
+  async execute(call) {
+    if (this.state === 'open') {
+      const remaining = this.openedAt + this.resetTimeout - this.now();
+      if (remaining > 0) {
+        throw new UpstreamDegradedError(remaining);
+      }
+      this.state = 'half-open';
+    }
+
+    // While half-open, only one trial request probes the upstream
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        throw new UpstreamDegradedError(this.resetTimeout);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await call();
+      this._onSuccess();
+      return result;
+    } catch (error) {
+      this._onFailure(error);
+      throw error;
+    } finally {
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Current state, for diagnostics
+   */
+  status() {
+    return { state: this.state, failures: this.failures };
+  }
+
+  /**
+   * Helper: Close the circuit and reset the failure count
+   */
+  _onSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Helper: Count a failure, opening the circuit at the threshold
+   */
+  _onFailure(error) {
+    if (!isRetryableError(error)) {
+      // The upstream answered; a trial that gets a 4xx proves it's back
+      if (this.state === 'half-open') this._onSuccess();
+      return;
+    }
+
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+}
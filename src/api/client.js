@@ -1,180 +1,319 @@
 /**
  * API Client
- * 
- * Simulates REST API calls in this demo.
- * In production, replace mock responses with real HTTP requests.
- * 
+ *
+ * The bridge between MCP tools and the metrics REST API.
+ *
  * This demonstrates the pattern: MCP Server → REST API → Database
- * 
+ *
  * The MCP server should NEVER directly access the database.
  * Always go through the API layer for proper separation of concerns.
+ *
+ * Requests are delegated to a data source (see `./sources/`):
+ * - mock: in-memory demo data (default)
+ * - http: the real REST API over fetch
+ *
+ * Whichever source is used, every method resolves with the same
+ * `{ status, ok, data, error }` envelope, so tools never need to know
+ * where the data came from.
+ *
+ * Successful responses are cached (see `./cache.js`). Every method takes
+ * an optional last argument `{ cache: false }` to skip the cache read and
+ * fetch fresh data.
+ *
+ * Upstream calls are retried with exponential backoff on timeouts, 429s
+ * and 5xx responses (see `./retry.js`), behind a circuit breaker that
+ * fails fast once the upstream keeps failing (see `./circuit-breaker.js`).
  */
 
-import * as mockData from '../data/mock-data.js';
+import { createDataSource } from './sources/index.js';
+import { ResponseCache } from './cache.js';
+import { withRetry } from './retry.js';
+import { CircuitBreaker } from './circuit-breaker.js';
 
 class ApiClient {
   constructor(baseURL = 'https://api.vibe-data.com', options = {}) {
     this.baseURL = baseURL;
     this.apiKey = options.apiKey || process.env.API_KEY;
     this.timeout = options.timeout || 5000;
+
+    // Accept either a ready-made source object or a source name
+    const dataSource = options.dataSource || 'mock';
+    this.dataSource = typeof dataSource === 'string'
+      ? createDataSource(dataSource, {
+        baseURL: this.baseURL,
+        apiKey: this.apiKey,
+        timeout: this.timeout
+      })
+      : dataSource;
+
+    // Pass `cache: false` to disable caching, or cache options / an instance
+    const cache = options.cache ?? {};
+    this.cache = cache === false || cache instanceof ResponseCache
+      ? cache || null
+      : new ResponseCache(cache);
+
+    // Cache key → pending request, so concurrent callers share one fetch
+    this.inflight = new Map();
+
+    // Pass `retry: false` / `circuitBreaker: false` to disable either
+    this.retryOptions = options.retry === false ? { retries: 0 } : options.retry || {};
+    this.circuitBreaker = options.circuitBreaker === false
+      ? null
+      : new CircuitBreaker(options.circuitBreaker || {});
   }
 
   /**
    * GET /tools/:id/metrics
-   * 
+   *
    * Returns current metrics for a specific tool
-   * 
-   * Production example:
-   * const response = await fetch(`${this.baseURL}/tools/${toolId}/metrics`, {
-   *   headers: { 'Authorization': `Bearer ${this.apiKey}` }
-   * });
-   * return await response.json();
-   */
-  async getToolMetrics(toolId) {
-    await this._simulateNetworkDelay();
-    
-    try {
-      const data = mockData.getCurrentMetrics(toolId);
-      
-      if (!data) {
-        return this._errorResponse(404, `Tool '${toolId}' not found`);
-      }
-      
-      return this._successResponse(data);
-    } catch (error) {
-      return this._errorResponse(500, error.message);
-    }
+   */
+  async getToolMetrics(toolId, requestOptions) {
+    return this._request('getToolMetrics', { toolId }, requestOptions, () =>
+      this.dataSource.getToolMetrics(toolId)
+    );
   }
 
   /**
    * POST /tools/compare
-   * 
+   *
    * Compare metrics between multiple tools
-   * 
-   * Body: { tools: string[], time_range: string }
-   * 
-   * Production example:
-   * const response = await fetch(`${this.baseURL}/tools/compare`, {
-   *   method: 'POST',
-   *   headers: {
-   *     'Authorization': `Bearer ${this.apiKey}`,
-   *     'Content-Type': 'application/json'
-   *   },
-   *   body: JSON.stringify({ tools: toolIds, time_range: timeRange })
-   * });
-   */
-  async compareTools(toolIds, timeRange = '30d') {
-    await this._simulateNetworkDelay();
-    
-    try {
-      const comparisons = toolIds.map(id => {
-        const data = mockData.getCurrentMetrics(id);
-        if (!data) {
-          throw new Error(`Tool '${id}' not found`);
-        }
-        return data;
-      });
-      
-      return this._successResponse({
-        tools: comparisons,
-        time_range: timeRange,
-        compared_at: new Date().toISOString()
-      });
-    } catch (error) {
-      return this._errorResponse(400, error.message);
-    }
+   *
+   * Body: { tools: string[], time_range: string, registry: string }
+   */
+  async compareTools(toolIds, timeRange = '30d', registry = 'all', requestOptions) {
+    return this._request('compareTools', { toolIds, timeRange, registry }, requestOptions, () =>
+      this.dataSource.compareTools(toolIds, timeRange, registry)
+    );
   }
 
   /**
    * GET /tools/trending
-   * 
-   * Get fastest-growing tools
-   * 
-   * Query params: ?time_range=30d&limit=5&category=all
-   * 
-   * Production example:
-   * const params = new URLSearchParams({ time_range, limit, category });
-   * const response = await fetch(`${this.baseURL}/tools/trending?${params}`);
-   */
-  async getTrendingTools(params = {}) {
-    await this._simulateNetworkDelay();
-    
-    try {
-      const {
-        time_range = '30d',
-        limit = 5,
-        category = 'all'
-      } = params;
-      
-      const trending = mockData.getTrendingTools(time_range, limit, category);
-      
-      return this._successResponse({
-        tools: trending,
-        time_range,
-        category,
-        fetched_at: new Date().toISOString()
-      });
-    } catch (error) {
-      return this._errorResponse(500, error.message);
-    }
+   *
+   * Get fastest-growing tools, or the highest composite scores
+   *
+   * Query params: ?time_range=30d&limit=5&category=all&sort_by=growth
+   *               &weights=growth=0.5,stars=0.1
+   */
+  async getTrendingTools(params = {}, requestOptions) {
+    const {
+      time_range = '30d',
+      limit = 5,
+      category = 'all',
+      sort_by = 'growth',
+      weights
+    } = params;
+    const query = { time_range, limit, category, sort_by, weights };
+
+    return this._request('getTrendingTools', query, requestOptions, () =>
+      this.dataSource.getTrendingTools(query)
+    );
   }
 
   /**
    * GET /tools/search
-   * 
+   *
    * Search and filter tools
-   * 
-   * Query params: ?category=llm-api&min_downloads=1000000&keyword=openai
-   * 
-   * Production example:
-   * const params = new URLSearchParams(searchParams);
-   * const response = await fetch(`${this.baseURL}/tools/search?${params}`);
-   */
-  async searchTools(searchParams = {}) {
-    await this._simulateNetworkDelay();
-    
-    try {
-      const results = mockData.searchTools(searchParams);
-      
-      return this._successResponse({
-        results,
-        count: results.length,
-        filters: searchParams
-      });
-    } catch (error) {
-      return this._errorResponse(500, error.message);
-    }
+   *
+   * Query params: ?category=llm-api&min_downloads=1000000&keyword=openai&registry=pypi
+   *               &sort_by=stars&order=desc&limit=10&cursor=...
+   *               &weights=growth=0.5,stars=0.1 (for sort_by=score)
+   *
+   * Responses include `total` and a `next_cursor` (null on the last page).
+   */
+  async searchTools(searchParams = {}, requestOptions) {
+    return this._request('searchTools', searchParams, requestOptions, () =>
+      this.dataSource.searchTools(searchParams)
+    );
   }
 
   /**
    * GET /tools/:id/history
-   * 
+   *
    * Get historical data for a tool
-   * 
-   * Query params: ?months=6
-   * 
-   * Production example:
-   * const response = await fetch(
-   *   `${this.baseURL}/tools/${toolId}/history?months=${months}`
-   * );
-   */
-  async getToolHistory(toolId, months = 6) {
-    await this._simulateNetworkDelay();
-    
-    try {
-      const history = mockData.getHistoricalData(toolId, months);
-      
-      if (!history || history.length === 0) {
-        return this._errorResponse(404, `No history found for '${toolId}'`);
+   *
+   * Query params: ?months=6&granularity=month&registry=all
+   */
+  async getToolHistory(toolId, months = 6, granularity = 'month', registry = 'all', requestOptions) {
+    return this._request('getToolHistory', { toolId, months, granularity, registry }, requestOptions, () =>
+      this.dataSource.getToolHistory(toolId, months, granularity, registry)
+    );
+  }
+
+  /**
+   * GET /tools/:id/anomalies
+   *
+   * Get download spikes and drops, with likely causes
+   *
+   * Query params: ?months=3&threshold=3.5
+   */
+  async getToolAnomalies(toolId, months = 3, threshold = 3.5, requestOptions) {
+    return this._request('getToolAnomalies', { toolId, months, threshold }, requestOptions, () =>
+      this.dataSource.getToolAnomalies(toolId, months, threshold)
+    );
+  }
+
+  /**
+   * GET /tools/:id/forecast
+   *
+   * Project monthly downloads, optionally against a target or another tool
+   *
+   * Query params: ?months=6&model=auto&confidence=80&target=20000000&compare_with=langchain
+   */
+  async getToolForecast(toolId, params = {}, requestOptions) {
+    const {
+      months = 6,
+      model = 'auto',
+      confidence = 80,
+      target,
+      compare_with
+    } = params;
+    const query = { months, model, confidence, target, compare_with };
+
+    return this._request('getToolForecast', { toolId, ...query }, requestOptions, () =>
+      this.dataSource.getToolForecast(toolId, query)
+    );
+  }
+
+  /**
+   * GET /tools/:id/versions
+   *
+   * Download share per version or major line, and the newest release's uptake
+   *
+   * Query params: ?months=6&by=major&granularity=month
+   */
+  async getVersionAdoption(toolId, params = {}, requestOptions) {
+    const { months = 6, by = 'major', granularity = 'month' } = params;
+    const query = { months, by, granularity };
+
+    return this._request('getVersionAdoption', { toolId, ...query }, requestOptions, () =>
+      this.dataSource.getVersionAdoption(toolId, query)
+    );
+  }
+
+  /**
+   * GET /categories/leaderboard
+   *
+   * Rank tools within each category, with market share
+   *
+   * Query params: ?category=all&metric=downloads&time_range=30d&limit=5
+   */
+  async getCategoryLeaderboard(params = {}, requestOptions) {
+    const {
+      category = 'all',
+      metric = 'downloads',
+      time_range = '30d',
+      limit = 5
+    } = params;
+    const query = { category, metric, time_range, limit };
+
+    return this._request('getCategoryLeaderboard', query, requestOptions, () =>
+      this.dataSource.getCategoryLeaderboard(query)
+    );
+  }
+
+  /**
+   * Drop cached responses: all of them, or only one method's
+   */
+  invalidateCache(method) {
+    return this.cache ? this.cache.invalidate(method) : 0;
+  }
+
+  /**
+   * Cache hit/miss counters (null when caching is disabled)
+   */
+  getCacheStats() {
+    return this.cache ? this.cache.stats() : null;
+  }
+
+  /**
+   * Helper: Serve a request from the cache or the data source
+   *
+   * - fresh hit: return the cached data
+   * - stale hit: return the cached data, refresh it in the background
+   * - miss (or `cache: false`): fetch, cache on success, return
+   */
+  async _request(method, params, requestOptions = {}, call) {
+    if (!this.cache) {
+      return this._send(call);
+    }
+
+    const key = this.cache.key(method, params);
+
+    if (requestOptions.cache !== false) {
+      const cached = this.cache.lookup(method, key);
+
+      if (cached) {
+        if (!cached.fresh) {
+          this._revalidate(method, key, call);
+        }
+        return this._successResponse(cached.value);
+      }
+    }
+
+    return this._fetchAndStore(method, key, call);
+  }
+
+  /**
+   * Helper: Fetch and cache, sharing one request between concurrent callers
+   */
+  _fetchAndStore(method, key, call) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const pending = this._send(call)
+      .then(response => {
+        // Errors are never cached, so the next call retries
+        if (response.ok) {
+          this.cache.set(method, key, response.data);
+        }
+        return response;
+      })
+      .finally(() => this.inflight.delete(key));
+
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Helper: Refresh a stale entry without making the caller wait
+   *
+   * A failed refresh keeps the stale entry until it fully expires.
+   */
+  _revalidate(method, key, call) {
+    if (this.inflight.has(key)) return;
+
+    this.cache.record(method, 'revalidations');
+    this._fetchAndStore(method, key, call).then(response => {
+      if (!response.ok) {
+        this.cache.record(method, 'revalidation_errors');
       }
-      
-      return this._successResponse({
-        tool_id: toolId,
-        months,
-        data: history
-      });
+    });
+  }
+
+  /**
+   * Circuit breaker state (null when disabled)
+   */
+  getCircuitStatus() {
+    return this.circuitBreaker ? this.circuitBreaker.status() : null;
+  }
+
+  /**
+   * Helper: Run a data source call and wrap the outcome in an envelope
+   *
+   * The breaker sees one outcome per request, after retries are exhausted.
+   * Errors without an HTTP status (bugs, unexpected throws) become 500s.
+   */
+  async _send(call) {
+    const attempt = () => withRetry(call, this.retryOptions);
+
+    try {
+      const data = this.circuitBreaker
+        ? await this.circuitBreaker.execute(attempt)
+        : await attempt();
+      return this._successResponse(data);
     } catch (error) {
-      return this._errorResponse(500, error.message);
+      return this._errorResponse(error.status || 500, error.message);
     }
   }
 
@@ -201,33 +340,54 @@ class ApiClient {
       error: { message }
     };
   }
+}
 
-  /**
-   * Helper: Simulate network latency (50-150ms)
-   * Remove in production
-   */
-  async _simulateNetworkDelay() {
-    const delay = Math.random() * 100 + 50;
-    await new Promise(resolve => setTimeout(resolve, delay));
-  }
+/**
+ * Helper: Parse an integer setting, allowing 0
+ */
+function parseIntOr(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
 }
 
 /**
  * Export singleton instance
- * 
- * In production, configure with environment variables:
- * 
- * export const apiClient = new ApiClient(
- *   process.env.API_BASE_URL || 'https://api.vibe-data.com',
- *   {
- *     apiKey: process.env.API_KEY,
- *     timeout: 5000
- *   }
- * );
+ *
+ * Configured from environment variables:
+ * - DATA_SOURCE: 'mock' (default) or 'http'
+ * - API_BASE_URL: REST API root for the http source
+ * - API_KEY: Bearer token sent with every http request
+ * - API_TIMEOUT: Request timeout in milliseconds (default 5000)
+ * - CACHE_ENABLED: 'false' turns off response caching
+ * - CACHE_DEFAULT_TTL_MS: TTL for methods without their own default
+ * - CACHE_STALE_MS: How long expired entries may be served while refreshing
+ * - CACHE_PATH: JSON file to persist the cache across restarts
+ * - API_RETRIES: Retries for timeouts, 429s and 5xx responses (default 3)
+ * - API_CIRCUIT_THRESHOLD: Consecutive failures before failing fast (default 5)
+ * - API_CIRCUIT_RESET_MS: How long to fail fast before probing again (default 30000)
  */
-export const apiClient = new ApiClient();
+export const apiClient = new ApiClient(
+  process.env.API_BASE_URL || 'https://api.vibe-data.com',
+  {
+    apiKey: process.env.API_KEY,
+    timeout: parseInt(process.env.API_TIMEOUT, 10) || 5000,
+    dataSource: process.env.DATA_SOURCE || 'mock',
+    cache: process.env.CACHE_ENABLED === 'false' ? false : {
+      defaultTtl: parseInt(process.env.CACHE_DEFAULT_TTL_MS, 10) || undefined,
+      staleWhileRevalidate: parseInt(process.env.CACHE_STALE_MS, 10) || undefined,
+      persistPath: process.env.CACHE_PATH
+    },
+    retry: {
+      retries: parseIntOr(process.env.API_RETRIES, 3)
+    },
+    circuitBreaker: {
+      failureThreshold: parseIntOr(process.env.API_CIRCUIT_THRESHOLD, 5),
+      resetTimeout: parseIntOr(process.env.API_CIRCUIT_RESET_MS, 30_000)
+    }
+  }
+);
 
 /**
  * Export class for testing
  */
-export { ApiClient };
\ No newline at end of file
+export { ApiClient };
@@ -0,0 +1,40 @@
+/**
+ * API Errors
+ *
+ * Data sources throw ApiError to signal a failed request. The status
+ * mirrors the HTTP status code the REST API would return, so the client
+ * can build the same error envelope whether the data came from the mock
+ * dataset or a real HTTP backend.
+ */
+
+// Statuses worth retrying: timeouts, rate limiting and server-side failures
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+export class ApiError extends Error {
+  constructor(status, message, options = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+
+    // Server-requested wait before retrying (from Retry-After), if any
+    this.retryAfterMs = options.retryAfterMs;
+  }
+}
+
+/**
+ * Thrown without calling upstream while the circuit breaker is open
+ */
+export class UpstreamDegradedError extends ApiError {
+  constructor(retryAfterMs) {
+    const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    super(503, `Upstream API degraded after repeated failures; retry in ${seconds}s`, { retryAfterMs });
+    this.name = 'UpstreamDegradedError';
+  }
+}
+
+/**
+ * Whether a failed request may succeed if tried again
+ */
+export function isRetryableError(error) {
+  return RETRYABLE_STATUSES.has(error?.status);
+}
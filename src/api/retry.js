@@ -0,0 +1,85 @@
+/**
+ * Retry with Exponential Backoff
+ *
+ * Retries a failed call when the error is retryable (timeouts, 429 and
+ * 5xx responses). The wait before each retry is either what the server
+ * asked for via Retry-After, or an exponential backoff with full jitter:
+ * a random delay between 0 and min(maxDelay, baseDelay * 2^attempt).
+ */
+
+import { isRetryableError } from './errors.js';
+
+export const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  baseDelay: 200,
+  maxDelay: 5000,
+  // Never wait longer than this, even if Retry-After asks for more
+  maxRetryAfter: 30_000
+};
+
+/**
+ * Run `call`, retrying retryable failures
+ *
+ * Options (all optional): retries, baseDelay, maxDelay, maxRetryAfter,
+ * plus `sleep` and `random` for deterministic tests.
+ */
+export async function withRetry(call, options = {}) {
+  const {
+    retries,
+    baseDelay,
+    maxDelay,
+    maxRetryAfter,
+    sleep = defaultSleep,
+    random = Math.random
+  } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      // A Retry-After longer than we're willing to wait isn't worth retrying
+      if (error.retryAfterMs > maxRetryAfter) {
+        throw error;
+      }
+
+      const delay = error.retryAfterMs ?? backoffDelay(attempt, baseDelay, maxDelay, random);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Backoff delay before retry number `attempt` (0-based), with full jitter
+ */
+export function backoffDelay(attempt, baseDelay, maxDelay, random = Math.random) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ *
+ * Returns undefined when the header is missing or unparseable.
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return undefined;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Helper: Wait `ms` milliseconds
+ */
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,171 @@
+/**
+ * HTTP Data Source
+ *
+ * Talks to the real metrics REST API with `fetch`. Every request carries
+ * the bearer token (when configured) and is aborted after `timeout` ms.
+ *
+ * The API returns the response payload as the JSON body on success, and
+ * `{ error: { message } }` with a non-2xx status on failure.
+ */
+
+import { ApiError } from '../errors.js';
+import { parseRetryAfter } from '../retry.js';
+
+export class HttpDataSource {
+  constructor(options = {}) {
+    if (!options.baseURL) {
+      throw new Error('HttpDataSource requires a baseURL');
+    }
+
+    // Strip trailing slashes so path joining stays predictable
+    this.baseURL = options.baseURL.replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * GET /tools/:id/metrics
+   */
+  async getToolMetrics(toolId) {
+    return this._request('GET', `/tools/${encodeURIComponent(toolId)}/metrics`);
+  }
+
+  /**
+   * POST /tools/compare
+   */
+  async compareTools(toolIds, timeRange, registry) {
+    return this._request('POST', '/tools/compare', {
+      body: { tools: toolIds, time_range: timeRange, registry }
+    });
+  }
+
+  /**
+   * GET /tools/trending
+   */
+  async getTrendingTools(params) {
+    return this._request('GET', '/tools/trending', { query: withWeightSpec(params) });
+  }
+
+  /**
+   * GET /tools/search
+   */
+  async searchTools(searchParams) {
+    return this._request('GET', '/tools/search', { query: withWeightSpec(searchParams) });
+  }
+
+  /**
+   * GET /tools/:id/history
+   */
+  async getToolHistory(toolId, months, granularity, registry) {
+    return this._request('GET', `/tools/${encodeURIComponent(toolId)}/history`, {
+      query: { months, granularity, registry }
+    });
+  }
+
+  /**
+   * GET /tools/:id/anomalies
+   */
+  async getToolAnomalies(toolId, months, threshold) {
+    return this._request('GET', `/tools/${encodeURIComponent(toolId)}/anomalies`, {
+      query: { months, threshold }
+    });
+  }
+
+  /**
+   * GET /tools/:id/forecast
+   */
+  async getToolForecast(toolId, params) {
+    return this._request('GET', `/tools/${encodeURIComponent(toolId)}/forecast`, { query: params });
+  }
+
+  /**
+   * GET /tools/:id/versions
+   */
+  async getVersionAdoption(toolId, params) {
+    return this._request('GET', `/tools/${encodeURIComponent(toolId)}/versions`, { query: params });
+  }
+
+  /**
+   * GET /categories/leaderboard
+   */
+  async getCategoryLeaderboard(params) {
+    return this._request('GET', '/categories/leaderboard', { query: params });
+  }
+
+  /**
+   * Helper: Perform a request and unwrap the JSON body
+   *
+   * Network failures, timeouts and non-2xx responses are all turned into
+   * ApiError so the client can report them uniformly.
+   */
+  async _request(method, path, { query, body } = {}) {
+    const url = new URL(this.baseURL + path);
+
+    // Skip undefined params so optional filters aren't sent as "undefined"
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, String(value));
+      }
+    }
+
+    const headers = { 'Accept': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new ApiError(408, `Request timeout after ${this.timeout}ms`);
+      }
+      throw new ApiError(503, `Upstream API unreachable: ${error.message}`);
+    }
+
+    const payload = await this._parseBody(response);
+
+    if (!response.ok) {
+      const message = payload?.error?.message
+        || `HTTP ${response.status}: ${response.statusText}`;
+      throw new ApiError(response.status, message, {
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+
+    return payload;
+  }
+
+  /**
+   * Helper: Parse a JSON body, tolerating empty or non-JSON responses
+   */
+  async _parseBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      if (!response.ok) return null;
+      throw new ApiError(502, 'Upstream API returned invalid JSON');
+    }
+  }
+}
+
+/**
+ * Helper: Send score weights as a "signal=weight,..." query string value
+ */
+function withWeightSpec(params) {
+  if (!params.weights) return params;
+
+  const spec = Object.entries(params.weights).map(([signal, weight]) => `${signal}=${weight}`).join(',');
+  return { ...params, weights: spec };
+}
@@ -0,0 +1,43 @@
+/**
+ * Data Sources
+ *
+ * A data source implements the REST endpoints the ApiClient exposes:
+ *
+ * - getToolMetrics(toolId)
+ * - compareTools(toolIds, timeRange, registry)
+ * - getTrendingTools({ time_range, limit, category })
+ * - searchTools(searchParams)
+ * - getToolHistory(toolId, months, granularity, registry)
+ * - getToolAnomalies(toolId, months, threshold)
+ * - getToolForecast(toolId, { months, model, confidence, target, compare_with })
+ * - getVersionAdoption(toolId, { months, by, granularity })
+ * - getCategoryLeaderboard({ category, metric, time_range, limit })
+ *
+ * Each method resolves with the response payload or throws an ApiError.
+ * Pick one with DATA_SOURCE=mock|http.
+ */
+
+import { MockDataSource } from './mock.js';
+import { HttpDataSource } from './http.js';
+
+const DATA_SOURCES = {
+  mock: MockDataSource,
+  http: HttpDataSource
+};
+
+/**
+ * Create a data source by name
+ */
+export function createDataSource(type = 'mock', options = {}) {
+  const DataSource = DATA_SOURCES[type];
+
+  if (!DataSource) {
+    throw new Error(
+      `Unknown data source '${type}'. Expected one of: ${Object.keys(DATA_SOURCES).join(', ')}`
+    );
+  }
+
+  return new DataSource(options);
+}
+
+export { MockDataSource, HttpDataSource };
@@ -0,0 +1,192 @@
+/**
+ * Mock Data Source
+ *
+ * Serves every endpoint from the in-memory dataset in `src/data/mock-data.js`.
+ * Used by default so the server runs without any backend or credentials.
+ */
+
+import * as mockData from '../../data/mock-data.js';
+import { REGISTRIES } from '../../catalog/registries.js';
+import { ApiError } from '../errors.js';
+
+export class MockDataSource {
+  constructor(options = {}) {
+    // Set to false to skip the artificial latency (e.g. in tests)
+    this.simulateLatency = options.simulateLatency !== false;
+  }
+
+  /**
+   * GET /tools/:id/metrics
+   */
+  async getToolMetrics(toolId) {
+    await this._simulateNetworkDelay();
+
+    const data = mockData.getCurrentMetrics(toolId);
+    if (!data) {
+      throw new ApiError(404, `Tool '${toolId}' not found`);
+    }
+
+    return data;
+  }
+
+  /**
+   * POST /tools/compare
+   */
+  async compareTools(toolIds, timeRange, registry = 'all') {
+    await this._simulateNetworkDelay();
+
+    const comparisons = toolIds.map(id => {
+      const data = mockData.getCurrentMetrics(id, timeRange, registry);
+      if (!data) {
+        throw new ApiError(400, `Tool '${id}' not found`);
+      }
+      return data;
+    });
+
+    return {
+      tools: comparisons,
+      time_range: timeRange,
+      registry,
+      compared_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * GET /tools/trending
+   */
+  async getTrendingTools({ time_range, limit, category, sort_by, weights }) {
+    await this._simulateNetworkDelay();
+
+    return {
+      tools: mockData.getTrendingTools(time_range, limit, category, sort_by, weights),
+      time_range,
+      category,
+      sort_by,
+      fetched_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * GET /tools/search
+   */
+  async searchTools(searchParams) {
+    await this._simulateNetworkDelay();
+
+    const { results, offset, total, next_cursor } = mockData.searchTools(searchParams);
+
+    return {
+      results,
+      count: results.length,
+      offset,
+      total,
+      next_cursor,
+      filters: searchParams
+    };
+  }
+
+  /**
+   * GET /tools/:id/history
+   */
+  async getToolHistory(toolId, months, granularity, registry = 'all') {
+    await this._simulateNetworkDelay();
+
+    const history = mockData.getHistoricalData(toolId, months, granularity, registry);
+    if (!history || history.length === 0) {
+      throw new ApiError(404, `No history found for '${toolId}'`);
+    }
+
+    if (registry !== 'all' && !mockData.downloadRegistriesFor(toolId).includes(registry)) {
+      const { name, downloads } = REGISTRIES[registry];
+      throw downloads
+        ? new ApiError(404, `'${toolId}' isn't published on ${name}`)
+        : new ApiError(400, `${name} doesn't publish download counts`);
+    }
+
+    return {
+      tool_id: toolId,
+      months,
+      granularity,
+      registry,
+      data: history
+    };
+  }
+
+  /**
+   * GET /tools/:id/anomalies
+   */
+  async getToolAnomalies(toolId, months, threshold) {
+    await this._simulateNetworkDelay();
+
+    const result = mockData.getAnomalies(toolId, months, threshold);
+    if (!result) {
+      throw new ApiError(404, `No history found for '${toolId}'`);
+    }
+
+    return result;
+  }
+
+  /**
+   * GET /tools/:id/forecast
+   */
+  async getToolForecast(toolId, params) {
+    await this._simulateNetworkDelay();
+
+    for (const id of [toolId, params.compare_with].filter(Boolean)) {
+      if (!mockData.timeSeries.range(id)) {
+        throw new ApiError(404, `No history found for '${id}'`);
+      }
+    }
+
+    const result = mockData.getForecast(toolId, {
+      months: params.months,
+      model: params.model,
+      confidence: params.confidence,
+      target: params.target,
+      compareWith: params.compare_with
+    });
+    if (!result) {
+      throw new ApiError(422, 'Need at least 3 complete months of history to forecast');
+    }
+
+    return result;
+  }
+
+  /**
+   * GET /tools/:id/versions
+   */
+  async getVersionAdoption(toolId, params) {
+    await this._simulateNetworkDelay();
+
+    const result = mockData.getVersionAdoption(toolId, params);
+    if (!result) {
+      throw new ApiError(404, `No version data found for '${toolId}'`);
+    }
+
+    return result;
+  }
+
+  /**
+   * GET /categories/leaderboard
+   */
+  async getCategoryLeaderboard({ category, metric, time_range, limit }) {
+    await this._simulateNetworkDelay();
+
+    if (!mockData.LEADERBOARD_METRICS.includes(metric)) {
+      throw new ApiError(400, `Unsupported metric '${metric}'. Expected one of: ${mockData.LEADERBOARD_METRICS.join(', ')}`);
+    }
+
+    return {
+      ...mockData.getCategoryLeaderboard(category, metric, time_range, limit),
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Helper: Simulate network latency (50-150ms)
+   */
+  async _simulateNetworkDelay() {
+    if (!this.simulateLatency) return;
+    const delay = Math.random() * 100 + 50;
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
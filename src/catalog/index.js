@@ -0,0 +1,176 @@
+/**
+ * Tool Catalog
+ *
+ * Single source of truth for which AI developer tools the server knows
+ * about: their IDs, display names, packages, categories and aliases.
+ * Tool schemas, the mock dataset and name resolution all read from here,
+ * so adding a tool means adding one catalog entry.
+ *
+ * Extra tools can be loaded without code changes by pointing
+ * TOOL_CATALOG_PATH at a JSON file:
+ *
+ *   { "tools": [{ "id": "mistral", "name": "Mistral SDK", "package": "@mistralai/mistralai",
+ *                 "description": "Official Mistral API client", "category": "llm-api",
+ *                 "aliases": ["mistral ai"] }] }
+ *
+ * `packages` maps registries (npm, pypi, crates, go; see registries.js)
+ * to the tool's package in each. `package` is the npm package and is
+ * added to `packages` as such; tools without one list only `packages`,
+ * and their first package becomes `package` for display.
+ *
+ * Optional fields tell the ingestion collectors where to look: `repo`
+ * (GitHub owner/name), `stackoverflow_tag` and `reddit_query` (defaults
+ * to the quoted display name).
+ */
+
+import { readFileSync } from 'node:fs';
+import { REGISTRIES, REGISTRY_KEYS } from './registries.js';
+
+const REQUIRED_FIELDS = ['id', 'name', 'description', 'category'];
+
+// Built-in tools
+const DEFAULT_TOOLS = [
+  {
+    id: 'openai',
+    name: 'OpenAI SDK',
+    package: 'openai',
+    description: 'Official OpenAI API client',
+    category: 'llm-api',
+    packages: { pypi: 'openai', crates: 'async-openai', go: 'github.com/openai/openai-go' },
+    repo: 'openai/openai-node',
+    stackoverflow_tag: 'openai-api',
+    aliases: ['openai sdk', 'openai node', 'chatgpt api', 'gpt']
+  },
+  {
+    id: 'anthropic',
+    name: 'Anthropic SDK',
+    package: '@anthropic-ai/sdk',
+    description: 'Official Anthropic API client',
+    category: 'llm-api',
+    packages: { pypi: 'anthropic', go: 'github.com/anthropics/anthropic-sdk-go' },
+    repo: 'anthropics/anthropic-sdk-typescript',
+    stackoverflow_tag: 'anthropic',
+    aliases: ['anthropic sdk', 'claude', 'claude sdk', 'claude api']
+  },
+  {
+    id: 'cursor',
+    name: 'Cursor',
+    package: 'cursor-api',
+    description: 'AI-first code editor',
+    category: 'editor',
+    repo: 'getcursor/cursor',
+    stackoverflow_tag: 'cursor-ide',
+    reddit_query: '"cursor ai" OR "cursor editor"',
+    aliases: ['cursor editor', 'cursor ai']
+  },
+  {
+    id: 'copilot',
+    name: 'GitHub Copilot',
+    package: '@github/copilot',
+    description: 'AI pair programmer',
+    category: 'assistant',
+    repo: 'github/copilot-cli',
+    stackoverflow_tag: 'github-copilot',
+    aliases: ['github copilot', 'gh copilot', 'copilot cli']
+  },
+  {
+    id: 'langchain',
+    name: 'LangChain',
+    package: 'langchain',
+    description: 'Framework for LLM applications',
+    category: 'framework',
+    packages: { pypi: 'langchain', crates: 'langchain-rust', go: 'github.com/tmc/langchaingo' },
+    repo: 'langchain-ai/langchainjs',
+    stackoverflow_tag: 'langchain-js',
+    aliases: ['lang chain', 'langchain js', 'langchainjs']
+  }
+];
+
+// id → entry, in registration order
+const catalog = new Map();
+
+/**
+ * Add or replace catalog entries
+ *
+ * Entries with an existing ID replace the built-in definition.
+ */
+export function registerTools(entries) {
+  for (const entry of entries) {
+    const packages = { ...(entry.package && { npm: entry.package }), ...entry.packages };
+    const missing = REQUIRED_FIELDS.filter(field => !entry[field]);
+    if (Object.keys(packages).length === 0) missing.push('package');
+    if (missing.length > 0) {
+      throw new Error(
+        `Invalid catalog entry ${JSON.stringify(entry.id || entry)}: missing ${missing.join(', ')}`
+      );
+    }
+
+    const unknown = Object.keys(packages).filter(registry => !REGISTRIES[registry]);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Invalid catalog entry ${JSON.stringify(entry.id)}: unknown registry ${unknown.join(', ')}. Expected one of: ${REGISTRY_KEYS.join(', ')}`
+      );
+    }
+
+    catalog.set(entry.id, {
+      ...entry,
+      package: packages.npm || Object.values(packages)[0],
+      packages,
+      aliases: entry.aliases || []
+    });
+  }
+}
+
+/**
+ * Load extra tools from a JSON file ({ tools: [...] } or a bare array)
+ */
+export function loadCatalogFile(path) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to load tool catalog from ${path}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed.tools;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Tool catalog ${path} must contain a "tools" array`);
+  }
+
+  registerTools(entries);
+  return entries.length;
+}
+
+/**
+ * All catalog entries
+ */
+export function listTools() {
+  return [...catalog.values()];
+}
+
+/**
+ * Look up one entry by canonical ID (undefined if unknown)
+ */
+export function getTool(id) {
+  return catalog.get(id);
+}
+
+/**
+ * All canonical tool IDs
+ */
+export function getToolIds() {
+  return [...catalog.keys()];
+}
+
+/**
+ * All categories in use, in first-seen order
+ */
+export function getCategories() {
+  return [...new Set(listTools().map(tool => tool.category))];
+}
+
+registerTools(DEFAULT_TOOLS);
+
+if (process.env.TOOL_CATALOG_PATH) {
+  loadCatalogFile(process.env.TOOL_CATALOG_PATH);
+}
@@ -0,0 +1,20 @@
+/**
+ * Package Registries
+ *
+ * The ecosystems a tool can publish packages to. A catalog entry maps
+ * registry keys to package names in `packages`:
+ *
+ *   packages: { npm: 'openai', pypi: 'openai', go: 'github.com/openai/openai-go' }
+ *
+ * Go modules are tracked for completeness, but the Go module proxy
+ * publishes no download counts, so they never contribute downloads.
+ */
+
+export const REGISTRIES = {
+  npm: { name: 'npm', ecosystem: 'JavaScript', downloads: true },
+  pypi: { name: 'PyPI', ecosystem: 'Python', downloads: true },
+  crates: { name: 'crates.io', ecosystem: 'Rust', downloads: true },
+  go: { name: 'Go modules', ecosystem: 'Go', downloads: false }
+};
+
+export const REGISTRY_KEYS = Object.keys(REGISTRIES);
@@ -0,0 +1,181 @@
+/**
+ * Tool Name Resolver
+ *
+ * Maps whatever the user (or Claude) typed to a canonical catalog ID:
+ * "Claude SDK", "@anthropic-ai/sdk" and "anthropic" all resolve to
+ * 'anthropic'. Matching runs in three passes:
+ *
+ * 1. Exact match on the ID, display name, any package or an alias, ignoring
+ *    case, spacing and punctuation ("Lang Chain" → 'langchain')
+ * 2. Token match, ignoring generic words like "sdk" or "api"
+ * 3. Edit distance, to absorb typos ("antropic" → 'anthropic')
+ *
+ * When nothing matches confidently, a ToolNotFoundError carries the
+ * closest candidates so the error message can suggest them.
+ */
+
+import { listTools } from './index.js';
+
+// Words that say nothing about which tool is meant
+const GENERIC_TOKENS = new Set(['sdk', 'api', 'ai', 'js', 'node', 'client', 'the', 'library', 'lib']);
+
+// Minimum similarity (0-1) to accept a fuzzy match, and to suggest one
+const MATCH_THRESHOLD = 0.75;
+const SUGGESTION_THRESHOLD = 0.5;
+
+// A fuzzy winner must beat the runner-up by this much to be unambiguous
+const AMBIGUITY_MARGIN = 0.1;
+
+export class ToolNotFoundError extends Error {
+  constructor(input, suggestions = []) {
+    super(`Tool '${input}' not found`);
+    this.name = 'ToolNotFoundError';
+    this.input = input;
+    this.suggestions = suggestions;
+  }
+}
+
+/**
+ * Resolve a tool name to its canonical ID, or throw ToolNotFoundError
+ */
+export function resolveToolId(input) {
+  const text = String(input ?? '').trim();
+  const compact = compactForm(text);
+  const tools = listTools();
+
+  if (!compact) {
+    throw new ToolNotFoundError(text, suggestTools(text));
+  }
+
+  // Pass 1: exact match on any name form
+  const exact = tools.find(tool => nameForms(tool).some(form => compactForm(form) === compact));
+  if (exact) return exact.id;
+
+  // Passes 2 and 3: score every tool and accept a clear winner
+  const ranked = rankTools(text, tools);
+  const [best, runnerUp] = ranked;
+
+  if (best && best.score >= MATCH_THRESHOLD &&
+      (!runnerUp || best.score - runnerUp.score >= AMBIGUITY_MARGIN)) {
+    return best.tool.id;
+  }
+
+  throw new ToolNotFoundError(text, suggestTools(text));
+}
+
+/**
+ * Resolve several names, keeping their order
+ */
+export function resolveToolIds(inputs) {
+  return inputs.map(resolveToolId);
+}
+
+/**
+ * Closest catalog entries for an input, best first
+ */
+export function suggestTools(input, limit = 3) {
+  return rankTools(String(input ?? ''), listTools())
+    .filter(match => match.score >= SUGGESTION_THRESHOLD)
+    .slice(0, limit)
+    .map(({ tool }) => ({ id: tool.id, name: tool.name }));
+}
+
+/**
+ * Tool IDs for autocompletion of a partially typed name
+ *
+ * Matches the start of any name form ("gh" → 'copilot' via "gh copilot",
+ * "claude" → 'anthropic'). IDs whose own ID matches come first.
+ */
+export function completeToolIds(partial) {
+  const compact = compactForm(String(partial ?? ''));
+  const tools = listTools();
+
+  const byId = tools.filter(tool => compactForm(tool.id).startsWith(compact));
+  const byName = tools.filter(tool =>
+    !byId.includes(tool) && nameForms(tool).some(form => compactForm(form).startsWith(compact))
+  );
+
+  return [...byId, ...byName].map(tool => tool.id);
+}
+
+/**
+ * Helper: Score every tool against the input, best first
+ *
+ * A tool's score is the best of its name forms, where each form scores
+ * the higher of token overlap and edit-distance similarity.
+ */
+function rankTools(input, tools) {
+  const compact = compactForm(input);
+  const inputTokens = meaningfulTokens(input);
+
+  return tools
+    .map(tool => {
+      const score = Math.max(...nameForms(tool).map(form =>
+        Math.max(
+          tokenSimilarity(inputTokens, meaningfulTokens(form)),
+          editSimilarity(compact, compactForm(form))
+        )
+      ));
+      return { tool, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Helper: Every way a tool can be referred to
+ */
+function nameForms(tool) {
+  return [tool.id, tool.name, ...new Set(Object.values(tool.packages)), ...tool.aliases];
+}
+
+/**
+ * Helper: Lowercase with everything but letters and digits removed
+ */
+function compactForm(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Helper: Lowercase word tokens minus generic words
+ */
+function meaningfulTokens(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !GENERIC_TOKENS.has(token));
+}
+
+/**
+ * Helper: Share of tokens the two sides have in common (Dice coefficient)
+ */
+function tokenSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const shared = a.filter(token => b.includes(token)).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+/**
+ * Helper: 1 - normalized Levenshtein distance
+ */
+function editSimilarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Helper: Levenshtein edit distance (two-row dynamic programming)
+ */
+export function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -0,0 +1,56 @@
+/**
+ * Catalog Schema Fragments
+ *
+ * JSON Schema pieces generated from the live catalog. Tools call these
+ * from their `inputSchema` getters, so every tools/list response reflects
+ * the catalog as it is at that moment.
+ */
+
+import { getToolIds, getCategories } from './index.js';
+import { REGISTRIES, REGISTRY_KEYS } from './registries.js';
+
+/**
+ * Schema for a single tool name
+ *
+ * Deliberately not an enum: package names, display names and aliases
+ * are accepted too and resolved to IDs by the tool (see resolver.js).
+ */
+export function toolIdSchema(description = 'Tool ID') {
+  const ids = getToolIds();
+  return {
+    type: 'string',
+    minLength: 1,
+    examples: ids,
+    description: `${description}. Known tools: ${ids.join(', ')}. Package names, display names and common aliases also work`
+  };
+}
+
+/**
+ * Schema for a category filter, optionally accepting 'all'
+ */
+export function categorySchema({ includeAll = false, description = 'Filter by tool category' } = {}) {
+  const schema = {
+    type: 'string',
+    enum: includeAll ? ['all', ...getCategories()] : getCategories(),
+    description
+  };
+
+  if (includeAll) {
+    schema.default = 'all';
+  }
+
+  return schema;
+}
+
+/**
+ * Schema for a package registry filter ('all' combines every registry)
+ */
+export function registrySchema(description = 'Package registry to report downloads for') {
+  const names = REGISTRY_KEYS.map(key => `${key} (${REGISTRIES[key].name})`).join(', ');
+  return {
+    type: 'string',
+    enum: ['all', ...REGISTRY_KEYS],
+    default: 'all',
+    description: `${description}: ${names}, or all for combined totals with a per-registry breakdown`
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Charts
+ *
+ * Builds chart descriptions from API payloads and renders them as MCP
+ * image content blocks. SVG keeps text crisp and stays small; PNG is for
+ * clients that only display raster images. Both are drawn on the server,
+ * so no browser is needed.
+ */
+
+import { renderSvg } from './svg.js';
+import { renderPng } from './png.js';
+import { REGISTRIES } from '../catalog/registries.js';
+
+export { sparkline } from './sparkline.js';
+
+export const CHART_TYPES = ['svg', 'png'];
+
+const MIME_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png'
+};
+
+/**
+ * Render a chart as an image content block
+ *
+ * `type` is 'svg' or 'png'.
+ */
+export function chartContent(chart, type) {
+  const data = type === 'png'
+    ? renderPng(chart).toString('base64')
+    : Buffer.from(renderSvg(chart), 'utf8').toString('base64');
+
+  return { type: 'image', data, mimeType: MIME_TYPES[type] };
+}
+
+/**
+ * Chart of a tool's download history (get_tool_history payload)
+ *
+ * Adds a line per registry when several registries add up to the total.
+ */
+export function historyChart(apiResponse, toolName) {
+  const { data } = apiResponse;
+  const unit = data[0]?.week ? 'weekly' : 'monthly';
+  const series = [{ name: 'Total', values: data.map(point => point.downloads) }];
+
+  const registries = [...new Set(data.flatMap(point => Object.keys(point.registries || {})))];
+  if (registries.length > 1) {
+    for (const key of registries) {
+      series.push({
+        name: REGISTRIES[key]?.name || key,
+        values: data.map(point => point.registries?.[key] ?? null)
+      });
+    }
+  } else {
+    series[0].name = toolName;
+  }
+
+  return {
+    title: `${toolName}: ${unit} downloads`,
+    labels: data.map(point => point.month || point.week),
+    series
+  };
+}
+
+/**
+ * Chart of several tools' monthly downloads on one axis
+ *
+ * `histories` is [{ name, data }] with get_tool_history payload data.
+ */
+export function comparisonChart(histories) {
+  const labels = [...new Set(histories.flatMap(h => h.data.map(point => point.month)))].sort();
+
+  return {
+    title: `Monthly downloads: ${histories.map(h => h.name).join(' vs ')}`,
+    labels,
+    series: histories.map(({ name, data }) => {
+      const byMonth = new Map(data.map(point => [point.month, point.downloads]));
+      return { name, values: labels.map(month => byMonth.get(month) ?? null) };
+    })
+  };
+}
+
+/**
+ * Chart of a forecast (forecast_adoption payload): actual downloads, then
+ * a dashed projection with its prediction interval, plus the compared
+ * tool's projection if any
+ *
+ * `names` maps tool IDs to display names.
+ */
+export function forecastChart(apiResponse, names = {}) {
+  const { tool_id, history, projections, confidence, comparison } = apiResponse;
+  const name = id => names[id] || id;
+  const labels = [...history.map(h => h.month), ...projections.map(p => p.month)];
+  const last = history[history.length - 1];
+
+  // Projections start from the last actual month so the lines connect
+  const projected = key => [
+    ...history.slice(0, -1).map(() => null),
+    last.downloads,
+    ...projections.map(p => p[key])
+  ];
+
+  const series = [
+    { name: name(tool_id), values: [...history.map(h => h.downloads), ...projections.map(() => null)] },
+    {
+      name: `${name(tool_id)} (forecast, ${confidence}% interval)`,
+      values: projected('downloads'),
+      dashed: true,
+      band: { lower: projected('lower'), upper: projected('upper') }
+    }
+  ];
+
+  if (comparison) {
+    const byMonth = new Map(comparison.projections.map(p => [p.month, p.downloads]));
+    series.push({
+      name: `${name(comparison.tool_id)} (forecast)`,
+      values: labels.map(month => byMonth.get(month) ?? null),
+      dashed: true
+    });
+  }
+
+  return {
+    title: `${name(tool_id)}: monthly downloads forecast`,
+    labels,
+    series
+  };
+}
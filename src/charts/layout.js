@@ -0,0 +1,135 @@
+/**
+ * Chart Layout
+ *
+ * Turns a chart description into pixel positions, shared by the SVG and
+ * PNG renderers so both draw the same picture. A chart looks like:
+ *
+ *   { title: 'OpenAI SDK: monthly downloads',
+ *     labels: ['2024-07', '2024-08', ...],
+ *     series: [{ name: 'OpenAI SDK', values: [28100000, ...],
+ *                dashed: false, band: { lower: [...], upper: [...] } }] }
+ *
+ * Values may be null where a series has no data (e.g. forecasts before
+ * the last actual month). The y axis starts at 0.
+ */
+
+import { formatNumber } from '../utils/formatters.js';
+
+export const DEFAULT_SIZE = { width: 640, height: 320 };
+
+// Series colors, in order
+export const PALETTE = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+
+export const COLORS = {
+  background: '#ffffff',
+  text: '#1f2937',
+  muted: '#6b7280',
+  grid: '#e5e7eb',
+  axis: '#9ca3af'
+};
+
+const MARGIN = { top: 40, right: 24, bottom: 56, left: 64 };
+
+// At most this many x labels, so they don't overlap
+const MAX_X_LABELS = 8;
+
+// Approximate width of a legend character, in pixels
+const LEGEND_CHAR_WIDTH = 6.5;
+
+/**
+ * Positions for every element of a chart at `size` ({ width, height })
+ *
+ * Returns { width, height, title, plot, yTicks, xTicks, series, legend }
+ * where series carry their color and per-point { x, y } (null gaps kept),
+ * and legend entries their { name, color, x, y }.
+ */
+export function layoutChart(chart, size = DEFAULT_SIZE) {
+  const { width, height } = { ...DEFAULT_SIZE, ...size };
+  const plot = {
+    left: MARGIN.left,
+    top: MARGIN.top,
+    right: width - MARGIN.right,
+    bottom: height - MARGIN.bottom
+  };
+
+  const values = chart.series.flatMap(s => [...s.values, ...(s.band?.upper || [])]).filter(Number.isFinite);
+  const ticks = niceTicks(values.length ? Math.max(...values) : 1);
+  const yMax = ticks[ticks.length - 1];
+
+  const count = chart.labels.length;
+  const x = index => (count === 1
+    ? (plot.left + plot.right) / 2
+    : plot.left + (index * (plot.right - plot.left)) / (count - 1));
+  const y = value => plot.bottom - (value / yMax) * (plot.bottom - plot.top);
+  const point = (value, index) => (Number.isFinite(value) ? { x: x(index), y: y(value) } : null);
+
+  // Every step-th label, starting with the first
+  const step = Math.ceil(count / MAX_X_LABELS);
+  const xTicks = chart.labels
+    .map((label, index) => ({ label, x: x(index), index }))
+    .filter(tick => tick.index % step === 0);
+
+  const series = chart.series.map((s, i) => ({
+    name: s.name,
+    color: s.color || PALETTE[i % PALETTE.length],
+    dashed: Boolean(s.dashed),
+    points: s.values.map(point),
+    band: s.band && {
+      lower: s.band.lower.map(point),
+      upper: s.band.upper.map(point)
+    }
+  }));
+
+  return {
+    width,
+    height,
+    title: chart.title,
+    plot,
+    // English labels: the PNG bitmap font only covers ASCII
+    yTicks: ticks.map(value => ({ value, label: formatNumber(value, 'en'), y: y(value) })),
+    xTicks,
+    series,
+    legend: legendEntries(series, plot.left, height - 16)
+  };
+}
+
+/**
+ * Split points into runs without gaps, for drawing polylines
+ */
+export function segments(points) {
+  const runs = [[]];
+  for (const point of points) {
+    if (point) runs[runs.length - 1].push(point);
+    else if (runs[runs.length - 1].length > 0) runs.push([]);
+  }
+  return runs.filter(run => run.length > 0);
+}
+
+/**
+ * Helper: Legend entries laid out left to right
+ */
+function legendEntries(series, left, y) {
+  let x = left;
+  return series.map(({ name, color }) => {
+    const entry = { name, color, x, y };
+    x += 28 + name.length * LEGEND_CHAR_WIDTH;
+    return entry;
+  });
+}
+
+/**
+ * Helper: Evenly spaced round tick values from 0 to at least `max`
+ */
+function niceTicks(max, count = 5) {
+  if (max <= 0) return [0, 1];
+
+  const rough = max / (count - 1);
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+
+  const ticks = [];
+  for (let value = 0; value < max + step; value += step) {
+    ticks.push(value);
+  }
+  return ticks;
+}
@@ -0,0 +1,238 @@
+/**
+ * PNG Charts
+ *
+ * Rasterizes a chart (see layout.js) into a PNG without a browser or
+ * native dependencies: lines and fills are drawn into an RGB buffer,
+ * labels use the bitmap font, and the image is encoded with zlib from
+ * Node itself. Looks plainer than the SVG but works in clients that
+ * only display raster images.
+ */
+
+import { deflateSync } from 'node:zlib';
+import { layoutChart, segments, COLORS } from './layout.js';
+import { glyphRows, GLYPH_WIDTH, GLYPH_HEIGHT } from './font.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Opacity of projection interval bands
+const BAND_ALPHA = 0.15;
+
+/**
+ * Render a chart as a PNG buffer
+ */
+export function renderPng(chart, size) {
+  const layout = layoutChart(chart, size);
+  const { width, height, plot } = layout;
+  const canvas = createCanvas(width, height, COLORS.background);
+
+  drawText(canvas, layout.title, plot.left, 14, COLORS.text, 2);
+
+  for (const tick of layout.yTicks) {
+    drawLine(canvas, plot.left, tick.y, plot.right, tick.y, COLORS.grid, 1);
+    drawText(canvas, tick.label, plot.left - 8 - textWidth(tick.label), tick.y - 3, COLORS.muted);
+  }
+  for (const tick of layout.xTicks) {
+    drawText(canvas, tick.label, tick.x - textWidth(tick.label) / 2, plot.bottom + 10, COLORS.muted);
+  }
+  drawLine(canvas, plot.left, plot.bottom, plot.right, plot.bottom, COLORS.axis, 1);
+
+  for (const series of layout.series) {
+    if (series.band) {
+      fillBand(canvas, series.band, series.color);
+    }
+    for (const run of segments(series.points)) {
+      for (let i = 1; i < run.length; i++) {
+        drawLine(canvas, run[i - 1].x, run[i - 1].y, run[i].x, run[i].y, series.color, 2, series.dashed);
+      }
+    }
+    for (const point of series.points.filter(Boolean)) {
+      fillRect(canvas, point.x - 2, point.y - 2, 5, 5, series.color);
+    }
+  }
+
+  for (const entry of layout.legend) {
+    fillRect(canvas, entry.x, entry.y - 6, 12, 3, entry.color);
+    drawText(canvas, entry.name, entry.x + 16, entry.y - 7, COLORS.text);
+  }
+
+  return encodePng(canvas);
+}
+
+/**
+ * Helper: Blank RGB canvas filled with a background color
+ */
+function createCanvas(width, height, background) {
+  const pixels = Buffer.alloc(width * height * 3);
+  const [r, g, b] = parseColor(background);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = r;
+    pixels[i + 1] = g;
+    pixels[i + 2] = b;
+  }
+  return { width, height, pixels };
+}
+
+/**
+ * Helper: Blend a color into one pixel (ignored outside the canvas)
+ */
+function setPixel(canvas, x, y, rgb, alpha = 1) {
+  x = Math.round(x);
+  y = Math.round(y);
+  if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return;
+
+  const offset = (y * canvas.width + x) * 3;
+  for (let c = 0; c < 3; c++) {
+    const current = canvas.pixels[offset + c];
+    canvas.pixels[offset + c] = Math.round(current + (rgb[c] - current) * alpha);
+  }
+}
+
+/**
+ * Helper: Solid rectangle
+ */
+function fillRect(canvas, x, y, width, height, color) {
+  const rgb = parseColor(color);
+  for (let dy = 0; dy < height; dy++) {
+    for (let dx = 0; dx < width; dx++) {
+      setPixel(canvas, x + dx, y + dy, rgb);
+    }
+  }
+}
+
+/**
+ * Helper: Line of the given thickness, optionally dashed (6 on, 4 off)
+ */
+function drawLine(canvas, x1, y1, x2, y2, color, thickness, dashed = false) {
+  const rgb = parseColor(color);
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  const steps = Math.max(1, Math.ceil(length));
+  const offset = Math.floor((thickness - 1) / 2);
+
+  for (let i = 0; i <= steps; i++) {
+    if (dashed && (i % 10) >= 6) continue;
+    const x = x1 + ((x2 - x1) * i) / steps;
+    const y = y1 + ((y2 - y1) * i) / steps;
+    for (let dx = 0; dx < thickness; dx++) {
+      for (let dy = 0; dy < thickness; dy++) {
+        setPixel(canvas, x + dx - offset, y + dy - offset, rgb);
+      }
+    }
+  }
+}
+
+/**
+ * Helper: Translucent fill between a band's upper and lower points,
+ * one pixel column at a time
+ */
+function fillBand(canvas, band, color) {
+  const rgb = parseColor(color);
+  for (let i = 1; i < band.upper.length; i++) {
+    const [u0, u1, l0, l1] = [band.upper[i - 1], band.upper[i], band.lower[i - 1], band.lower[i]];
+    if (!u0 || !u1 || !l0 || !l1) continue;
+
+    for (let x = Math.round(u0.x); x < Math.round(u1.x); x++) {
+      const t = (x - u0.x) / (u1.x - u0.x);
+      const top = u0.y + (u1.y - u0.y) * t;
+      const bottom = l0.y + (l1.y - l0.y) * t;
+      for (let y = Math.round(top); y <= Math.round(bottom); y++) {
+        setPixel(canvas, x, y, rgb, BAND_ALPHA);
+      }
+    }
+  }
+}
+
+/**
+ * Helper: Draw text with its top-left corner at (x, y)
+ */
+function drawText(canvas, text, x, y, color, scale = 1) {
+  const rgb = parseColor(color);
+  let cursor = Math.round(x);
+  for (const char of String(text)) {
+    const rows = glyphRows(char);
+    for (let row = 0; row < GLYPH_HEIGHT; row++) {
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        if (rows[row] & (1 << (GLYPH_WIDTH - 1 - col))) {
+          for (let s = 0; s < scale * scale; s++) {
+            setPixel(canvas, cursor + col * scale + (s % scale), y + row * scale + Math.floor(s / scale), rgb);
+          }
+        }
+      }
+    }
+    cursor += (GLYPH_WIDTH + 1) * scale;
+  }
+}
+
+/**
+ * Helper: Width of text in pixels at scale 1
+ */
+function textWidth(text) {
+  return String(text).length * (GLYPH_WIDTH + 1) - 1;
+}
+
+/**
+ * Helper: '#rrggbb' as [r, g, b]
+ */
+function parseColor(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Helper: Encode a canvas as an 8-bit RGB PNG
+ */
+function encodePng({ width, height, pixels }) {
+  // Each scanline starts with filter type 0 (none)
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Helper: PNG chunk with length and CRC
+ */
+function chunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+let crcTable = null;
+
+/**
+ * Helper: CRC-32 as used by PNG (zlib.crc32 needs Node 22)
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,31 @@
+/**
+ * Sparklines
+ *
+ * One Unicode block character per value, so a trend fits inline in text
+ * output: ▁▂▃▅▆█. Missing values leave a gap.
+ */
+
+const BLOCKS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Render values as a sparkline
+ *
+ * Scaled between the smallest and largest value unless `min` / `max`
+ * are given (e.g. to put several series on one scale).
+ */
+export function sparkline(values, { min, max } = {}) {
+  const known = values.filter(Number.isFinite);
+  if (known.length === 0) return '';
+
+  const low = min ?? Math.min(...known);
+  const high = max ?? Math.max(...known);
+
+  return values
+    .map(value => {
+      if (!Number.isFinite(value)) return ' ';
+      if (high === low) return BLOCKS[3];
+      const level = Math.round(((value - low) / (high - low)) * (BLOCKS.length - 1));
+      return BLOCKS[Math.min(BLOCKS.length - 1, Math.max(0, level))];
+    })
+    .join('');
+}
@@ -0,0 +1,78 @@
+/**
+ * SVG Charts
+ *
+ * Renders a chart (see layout.js) as a standalone SVG document: title,
+ * gridlines with y-axis labels, x-axis labels, one line per series
+ * (dashed for projections, with a shaded interval band) and a legend.
+ */
+
+import { layoutChart, segments, COLORS } from './layout.js';
+
+/**
+ * Render a chart as an SVG string
+ */
+export function renderSvg(chart, size) {
+  const layout = layoutChart(chart, size);
+  const { width, height, plot } = layout;
+  const parts = [];
+
+  parts.push(`<rect width="${width}" height="${height}" fill="${COLORS.background}"/>`);
+  parts.push(`<text x="${plot.left}" y="24" font-size="15" font-weight="bold" fill="${COLORS.text}">${escapeXml(layout.title)}</text>`);
+
+  for (const tick of layout.yTicks) {
+    parts.push(`<line x1="${plot.left}" y1="${px(tick.y)}" x2="${plot.right}" y2="${px(tick.y)}" stroke="${COLORS.grid}"/>`);
+    parts.push(`<text x="${plot.left - 8}" y="${px(tick.y + 4)}" font-size="11" text-anchor="end" fill="${COLORS.muted}">${escapeXml(tick.label)}</text>`);
+  }
+  for (const tick of layout.xTicks) {
+    parts.push(`<text x="${px(tick.x)}" y="${plot.bottom + 18}" font-size="11" text-anchor="middle" fill="${COLORS.muted}">${escapeXml(tick.label)}</text>`);
+  }
+  parts.push(`<line x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}" stroke="${COLORS.axis}"/>`);
+
+  for (const series of layout.series) {
+    if (series.band) {
+      parts.push(bandPolygon(series));
+    }
+    for (const run of segments(series.points)) {
+      const dash = series.dashed ? ' stroke-dasharray="6 4"' : '';
+      parts.push(`<polyline points="${run.map(p => `${px(p.x)},${px(p.y)}`).join(' ')}" fill="none" stroke="${series.color}" stroke-width="2"${dash}/>`);
+    }
+    for (const point of series.points.filter(Boolean)) {
+      parts.push(`<circle cx="${px(point.x)}" cy="${px(point.y)}" r="2.5" fill="${series.color}"/>`);
+    }
+  }
+
+  for (const entry of layout.legend) {
+    parts.push(`<rect x="${px(entry.x)}" y="${entry.y - 6}" width="12" height="3" fill="${entry.color}"/>`);
+    parts.push(`<text x="${px(entry.x + 16)}" y="${entry.y}" font-size="11" fill="${COLORS.text}">${escapeXml(entry.name)}</text>`);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">${parts.join('')}</svg>`;
+}
+
+/**
+ * Helper: Shaded polygon between a series' band bounds
+ */
+function bandPolygon(series) {
+  const upper = series.band.upper.filter(Boolean);
+  const lower = series.band.lower.filter(Boolean).reverse();
+  const points = [...upper, ...lower].map(p => `${px(p.x)},${px(p.y)}`).join(' ');
+  return `<polygon points="${points}" fill="${series.color}" fill-opacity="0.15" stroke="none"/>`;
+}
+
+/**
+ * Helper: Coordinate rounded to one decimal place
+ */
+function px(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Helper: Escape text for use in SVG
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
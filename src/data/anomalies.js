@@ -0,0 +1,189 @@
+/**
+ * Anomaly Detection
+ *
+ * Flags days whose downloads break from the tool's usual pattern. Daily
+ * downloads are decomposed into three parts:
+ *
+ * - seasonal: the weekday pattern (installs dip at weekends)
+ * - trend: a centered 7-day moving median of the deseasonalized series,
+ *   so a one-day spike doesn't drag the baseline up with it
+ * - residual: how far each day sits above or below trend × seasonal
+ *
+ * Residuals are scored with a robust z-score (median and MAD instead of
+ * mean and standard deviation, so the anomalies themselves don't widen
+ * the band). Consecutive flagged days in the same direction form one
+ * event, and events near a known release are attributed to it.
+ */
+
+import { addDays, daysBetween } from './timeseries.js';
+
+export const DEFAULT_THRESHOLD = 3.5;
+
+// Days of history before the analysis range used to learn the baseline
+export const WARMUP_DAYS = 28;
+
+// A release explains events starting up to this many days after it
+const RELEASE_WINDOW_DAYS = 7;
+
+// Floor for the residual spread, so a near-perfect series doesn't turn
+// tiny wobbles into huge z-scores
+const MIN_SPREAD = 0.01;
+
+// Scales MAD to match a standard deviation for normally distributed data
+const MAD_SCALE = 1.4826;
+
+/**
+ * Find download anomalies in daily samples
+ *
+ * Options:
+ * - threshold: |z| at or above which a day is anomalous (default 3.5)
+ * - from: only report events from this date on (earlier samples still
+ *   feed the baseline)
+ * - releases: [{ date, version, title }] used to explain events
+ *
+ * Returns [{ start_date, end_date, peak_date, days, direction,
+ * downloads, expected, deviation_pct, excess_downloads, z_score,
+ * confidence, cause }], oldest first.
+ */
+export function detectAnomalies(samples, options = {}) {
+  const { threshold = DEFAULT_THRESHOLD, from, releases = [] } = options;
+
+  // Gap-filled days are interpolated, not observed
+  const observed = samples.filter(sample => !sample.filled && sample.downloads > 0);
+  if (observed.length < 14) return [];
+
+  const scored = scoreResiduals(observed);
+  const flagged = scored.filter(day =>
+    Math.abs(day.z) >= threshold && (!from || day.date >= from)
+  );
+
+  return groupEvents(flagged).map(days => describeEvent(days, threshold, releases));
+}
+
+/**
+ * Helper: Expected downloads and robust z-score for every day
+ */
+function scoreResiduals(samples) {
+  const values = samples.map(s => s.downloads);
+  const weekdays = samples.map(s => weekdayOf(s.date));
+
+  // Seasonal factors: median ratio to a rough 7-day mean, per weekday
+  const roughTrend = movingWindow(values, 3, window => mean(window));
+  const seasonal = Array.from({ length: 7 }, (_, weekday) => {
+    const ratios = values
+      .map((value, i) => value / roughTrend[i])
+      .filter((_, i) => weekdays[i] === weekday);
+    return ratios.length ? median(ratios) : 1;
+  });
+  const seasonalMean = mean(seasonal);
+  const factors = seasonal.map(f => f / seasonalMean);
+
+  const deseasonalized = values.map((value, i) => value / factors[weekdays[i]]);
+  const trend = movingWindow(deseasonalized, 3, window => median(window));
+  const residuals = deseasonalized.map((value, i) => value / trend[i] - 1);
+
+  const center = median(residuals);
+  const spread = Math.max(MIN_SPREAD, MAD_SCALE * median(residuals.map(r => Math.abs(r - center))));
+
+  return samples.map((sample, i) => ({
+    date: sample.date,
+    downloads: sample.downloads,
+    expected: Math.round(trend[i] * factors[weekdays[i]]),
+    z: (residuals[i] - center) / spread
+  }));
+}
+
+/**
+ * Helper: Split flagged days into runs of consecutive same-direction days
+ */
+function groupEvents(days) {
+  const events = [];
+
+  for (const day of days) {
+    const current = events[events.length - 1];
+    const last = current?.[current.length - 1];
+
+    if (last && daysBetween(last.date, day.date) === 1 && Math.sign(last.z) === Math.sign(day.z)) {
+      current.push(day);
+    } else {
+      events.push([day]);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Helper: Summarize one event around its most extreme day
+ */
+function describeEvent(days, threshold, releases) {
+  const peak = days.reduce((a, b) => (Math.abs(b.z) > Math.abs(a.z) ? b : a));
+  const start = days[0].date;
+  const end = days[days.length - 1].date;
+
+  return {
+    start_date: start,
+    end_date: end,
+    peak_date: peak.date,
+    days: days.length,
+    direction: peak.z > 0 ? 'spike' : 'drop',
+    downloads: peak.downloads,
+    expected: peak.expected,
+    deviation_pct: Math.round((peak.downloads / peak.expected - 1) * 1000) / 10,
+    excess_downloads: days.reduce((sum, d) => sum + d.downloads - d.expected, 0),
+    z_score: Math.round(peak.z * 10) / 10,
+    confidence: confidenceLevel(Math.abs(peak.z), threshold),
+    cause: findCause(start, end, releases)
+  };
+}
+
+/**
+ * Helper: 'high', 'medium' or 'low', by how far past the threshold
+ */
+function confidenceLevel(z, threshold) {
+  if (z >= threshold * 2) return 'high';
+  if (z >= threshold * 1.4) return 'medium';
+  return 'low';
+}
+
+/**
+ * Helper: The release an event most likely followed, if any
+ *
+ * A release explains an event that starts within RELEASE_WINDOW_DAYS
+ * after it, or the day before it (release times are in UTC, installs
+ * aren't).
+ */
+function findCause(start, end, releases) {
+  const release = releases
+    .filter(r => r.date >= addDays(start, -RELEASE_WINDOW_DAYS) && r.date <= addDays(end, 1))
+    .sort((a, b) => b.date.localeCompare(a.date))[0];
+
+  return release ? { type: 'release', ...release } : null;
+}
+
+/**
+ * Helper: Apply `reduce` to a centered window of ±`radius` values,
+ * shrinking the window at the edges
+ */
+function movingWindow(values, radius, reduce) {
+  return values.map((_, i) =>
+    reduce(values.slice(Math.max(0, i - radius), i + radius + 1))
+  );
+}
+
+/**
+ * Helper: Weekday index, Monday first
+ */
+function weekdayOf(date) {
+  return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -0,0 +1,240 @@
+/**
+ * Adoption Forecasting
+ *
+ * Projects monthly downloads forward with one of three models:
+ *
+ * - linear: straight-line trend (ordinary least squares)
+ * - exponential: constant growth rate (least squares on log downloads)
+ * - holt: Holt's linear exponential smoothing, which lets the level and
+ *   trend drift, so recent months count more than old ones
+ *
+ * 'auto' holds back the last few months, fits every model on the rest,
+ * and picks the one that predicted the held-back months best (lowest
+ * mean absolute percentage error). Every projection comes with a
+ * prediction interval that widens with the horizon.
+ */
+
+export const FORECAST_MODELS = ['linear', 'exponential', 'holt'];
+
+// Supported interval confidence levels → two-sided normal quantile
+export const CONFIDENCE_LEVELS = { 80: 1.2816, 90: 1.6449, 95: 1.96 };
+
+// Months held back when 'auto' compares models
+const HOLDOUT_MONTHS = 3;
+
+// Smoothing parameters Holt's method searches over
+const HOLT_GRID = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+/**
+ * Fit a model to monthly values and project `horizon` months ahead
+ *
+ * Returns { model, errors, projections: [{ step, downloads, lower, upper }] },
+ * where `errors` maps each model 'auto' considered to its holdout MAPE.
+ */
+export function forecast(values, { model = 'auto', horizon = 6, confidence = 80 } = {}) {
+  const z = CONFIDENCE_LEVELS[confidence];
+  if (!z) {
+    throw new Error(`Unsupported confidence ${confidence}. Expected one of: ${Object.keys(CONFIDENCE_LEVELS).join(', ')}`);
+  }
+  if (values.length < 3) {
+    throw new Error('Need at least 3 months of history to forecast');
+  }
+
+  let chosen = model;
+  let errors = null;
+
+  if (model === 'auto') {
+    errors = compareModels(values);
+    chosen = Object.entries(errors).sort((a, b) => a[1] - b[1])[0]?.[0] || 'linear';
+  } else if (!FORECAST_MODELS.includes(model)) {
+    throw new Error(`Unsupported model '${model}'. Expected auto or one of: ${FORECAST_MODELS.join(', ')}`);
+  }
+
+  const fitted = FITTERS[chosen](values);
+  const projections = Array.from({ length: horizon }, (_, i) => {
+    const { value, spread, log } = fitted.predict(i + 1);
+    const lower = log ? Math.exp(value - z * spread) : value - z * spread;
+    const upper = log ? Math.exp(value + z * spread) : value + z * spread;
+    return {
+      step: i + 1,
+      downloads: Math.max(0, Math.round(log ? Math.exp(value) : value)),
+      lower: Math.max(0, Math.round(lower)),
+      upper: Math.max(0, Math.round(upper))
+    };
+  });
+
+  return { model: chosen, errors, projections };
+}
+
+/**
+ * First projection step (1 = next month) at which downloads reach `target`
+ *
+ * Checks the point forecast and both interval bounds: the upper bound
+ * gives the earliest plausible step, the lower bound the latest.
+ * Steps are null when the target isn't reached within the horizon.
+ */
+export function firstStepReaching(projections, target) {
+  const first = key => stepOf(projections.findIndex(p => p[key] >= target));
+  return { step: first('downloads'), earliest: first('upper'), latest: first('lower') };
+}
+
+/**
+ * First projection step at which a challenger overtakes a leader
+ *
+ * Earliest compares the challenger's upper bound with the leader's lower
+ * bound; latest compares the challenger's lower bound with the leader's
+ * upper bound.
+ */
+export function firstCrossover(challenger, leader) {
+  const first = (c, l) => stepOf(challenger.findIndex((p, i) => p[c] >= leader[i][l]));
+  return {
+    step: first('downloads', 'downloads'),
+    earliest: first('upper', 'lower'),
+    latest: first('lower', 'upper')
+  };
+}
+
+/**
+ * Helper: Projection index → step, with -1 (not found) → null
+ */
+function stepOf(index) {
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Helper: Holdout MAPE (in percent) for every model
+ */
+function compareModels(values) {
+  if (values.length < HOLDOUT_MONTHS + 3) {
+    return { linear: null };
+  }
+
+  const training = values.slice(0, -HOLDOUT_MONTHS);
+  const actual = values.slice(-HOLDOUT_MONTHS);
+  const errors = {};
+
+  for (const name of FORECAST_MODELS) {
+    const fitted = FITTERS[name](training);
+    const ape = actual.map((value, i) => {
+      const { value: predicted, log } = fitted.predict(i + 1);
+      return Math.abs((log ? Math.exp(predicted) : predicted) - value) / value;
+    });
+    errors[name] = Math.round(mean(ape) * 1000) / 10;
+  }
+
+  return errors;
+}
+
+const FITTERS = {
+  linear: values => fitLinear(values),
+  exponential: values => fitLinear(values.map(v => Math.log(Math.max(v, 1))), { log: true }),
+  holt: values => fitHolt(values)
+};
+
+/**
+ * Helper: Least squares line through (0, v0), (1, v1), ...
+ *
+ * `predict(h)` returns the value h steps past the last point and the
+ * standard error of a new observation there.
+ */
+function fitLinear(values, { log = false } = {}) {
+  const n = values.length;
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+
+  let sxx = 0;
+  let sxy = 0;
+  values.forEach((y, x) => {
+    sxx += (x - xMean) ** 2;
+    sxy += (x - xMean) * (y - yMean);
+  });
+
+  const slope = sxy / sxx;
+  const intercept = yMean - slope * xMean;
+  const sse = values.reduce((sum, y, x) => sum + (y - (intercept + slope * x)) ** 2, 0);
+  const sigma = Math.sqrt(sse / Math.max(1, n - 2));
+
+  return {
+    predict(h) {
+      const x = n - 1 + h;
+      return {
+        value: intercept + slope * x,
+        spread: sigma * Math.sqrt(1 + 1 / n + (x - xMean) ** 2 / sxx),
+        log
+      };
+    }
+  };
+}
+
+/**
+ * Helper: Holt's linear exponential smoothing
+ *
+ * Picks the smoothing parameters (alpha for the level, beta for the
+ * trend) with the smallest one-step-ahead squared error.
+ */
+function fitHolt(values) {
+  let best = null;
+
+  for (const alpha of HOLT_GRID) {
+    for (const beta of HOLT_GRID) {
+      const run = smooth(values, alpha, beta);
+      if (!best || run.sse < best.sse) {
+        best = { alpha, beta, ...run };
+      }
+    }
+  }
+
+  const { alpha, beta, level, trend, sse, count } = best;
+  const sigma = Math.sqrt(sse / Math.max(1, count));
+
+  return {
+    predict(h) {
+      // Variance grows with the horizon as level and trend errors compound
+      let factor = 1;
+      for (let j = 1; j < h; j++) {
+        factor += alpha ** 2 * (1 + j * beta) ** 2;
+      }
+      return { value: level + h * trend, spread: sigma * Math.sqrt(factor), log: false };
+    }
+  };
+}
+
+/**
+ * Helper: Run Holt's recursions, returning the final state and the
+ * squared one-step-ahead errors
+ */
+function smooth(values, alpha, beta) {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  let sse = 0;
+  let count = 0;
+
+  for (let t = 1; t < values.length; t++) {
+    const predicted = level + trend;
+    if (t > 1) {
+      sse += (values[t] - predicted) ** 2;
+      count++;
+    }
+
+    const previousLevel = level;
+    level = alpha * values[t] + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+
+  return { level, trend, sse, count };
+}
+
+/**
+ * Helper: Month `count` months after a 'YYYY-MM' month
+ */
+export function addMonths(month, count) {
+  const [year, m] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, m - 1 + count, 1)).toISOString().slice(0, 7);
+}
+
+/**
+ * Helper: Arithmetic mean
+ */
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
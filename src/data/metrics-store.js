@@ -0,0 +1,52 @@
+/**
+ * Current Metrics File
+ *
+ * Headline metrics per tool (downloads, stars, questions, mentions) as
+ * last written by the ingestion pipeline, kept in a JSON file so they
+ * survive restarts:
+ *
+ *   { "tools": { "openai": { "github_stars": 24100, "last_updated": "2026-10-18",
+ *                            "provenance": { "github_stars": { "source": "github", ... } } } } }
+ *
+ * Only fields that were ingested are stored; the rest keep their
+ * fixture values. The file lives at METRICS_PATH.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+/**
+ * Read ingested metrics (toolId → fields), or {} when there is no file
+ */
+export function loadMetricsFile(path) {
+  if (!path || !existsSync(path)) return {};
+
+  try {
+    return JSON.parse(readFileSync(path, 'utf8')).tools || {};
+  } catch (error) {
+    throw new Error(`Unreadable metrics file ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Write ingested metrics via a temp file, so a crash never leaves half a file
+ */
+export function saveMetricsFile(path, tools) {
+  mkdirSync(dirname(path), { recursive: true });
+  const temp = `${path}.tmp`;
+  writeFileSync(temp, JSON.stringify({ tools }, null, 2));
+  renameSync(temp, path);
+}
+
+/**
+ * Fixture metrics with ingested fields laid over them, per tool
+ *
+ * Tools that only exist in the ingested file are included as well.
+ */
+export function mergeMetrics(fixtures, ingested) {
+  const merged = {};
+  for (const toolId of new Set([...Object.keys(fixtures), ...Object.keys(ingested)])) {
+    merged[toolId] = { ...fixtures[toolId], ...ingested[toolId] };
+  }
+  return merged;
+}
@@ -6,45 +6,27 @@
  * exposing proprietary business logic.
  */
 
-// Simplified tool metadata
-export const TOOLS = {
-  'openai': {
-    name: 'OpenAI SDK',
-    package: 'openai',
-    description: 'Official OpenAI API client',
-    category: 'llm-api'
-  },
-  'anthropic': {
-    name: 'Anthropic SDK',
-    package: '@anthropic-ai/sdk',
-    description: 'Official Anthropic API client',
-    category: 'llm-api'
-  },
-  'cursor': {
-    name: 'Cursor',
-    package: 'cursor-api',
-    description: 'AI-first code editor',
-    category: 'editor'
-  },
-  'copilot': {
-    name: 'GitHub Copilot',
-    package: '@github/copilot',
-    description: 'AI pair programmer',
-    category: 'assistant'
-  },
-  'langchain': {
-    name: 'LangChain',
-    package: 'langchain',
-    description: 'Framework for LLM applications',
-    category: 'framework'
-  }
-};
+import { existsSync } from 'node:fs';
+import { TimeSeriesStore, rollup, addDays, daysBetween } from './timeseries.js';
+import { seedDailySamples, seedRegistryDownloads } from './seed.js';
+import { getTool, listTools, getCategories } from '../catalog/index.js';
+import { REGISTRIES } from '../catalog/registries.js';
+import { paginate } from './pagination.js';
+import { detectAnomalies, DEFAULT_THRESHOLD, WARMUP_DAYS } from './anomalies.js';
+import { forecast, firstStepReaching, firstCrossover, addMonths } from './forecast.js';
+import { computeScores, resolveWeights } from './scoring.js';
+import { splitByVersion, rollupVersions, uptakeCurve, daysToMajority, majorLine } from './versions.js';
+import { loadMetricsFile, mergeMetrics } from './metrics-store.js';
 
 // Mock current adoption metrics (would come from latest_npm_stats in production)
-export const CURRENT_METRICS = {
+const FIXTURE_METRICS = {
   'openai': {
     npm_downloads_monthly: 36_143_000,
     npm_downloads_weekly: 8_650_000,
+    pypi_downloads_monthly: 92_400_000,
+    pypi_downloads_weekly: 22_105_000,
+    crates_downloads_monthly: 181_000,
+    crates_downloads_weekly: 43_300,
     github_stars: 18_500,
     stackoverflow_questions_30d: 145,
     reddit_mentions_30d: 892,
@@ -53,6 +35,8 @@ export const CURRENT_METRICS = {
   'anthropic': {
     npm_downloads_monthly: 13_925_000,
     npm_downloads_weekly: 3_349_000,
+    pypi_downloads_monthly: 14_800_000,
+    pypi_downloads_weekly: 3_541_000,
     github_stars: 4_200,
     stackoverflow_questions_30d: 67,
     reddit_mentions_30d: 423,
@@ -77,6 +61,10 @@ export const CURRENT_METRICS = {
   'langchain': {
     npm_downloads_monthly: 5_711_000,
     npm_downloads_weekly: 1_427_000,
+    pypi_downloads_monthly: 21_500_000,
+    pypi_downloads_weekly: 5_144_000,
+    crates_downloads_monthly: 24_300,
+    crates_downloads_weekly: 5_800,
     github_stars: 87_500,
     stackoverflow_questions_30d: 456,
     reddit_mentions_30d: 1_890,
@@ -84,10 +72,22 @@ export const CURRENT_METRICS = {
   }
 };
 
-// Mock historical data for trend analysis (would come from npm_packages in production)
-// Simplified to just show monthly snapshots
+/**
+ * Current metrics per tool: the fixtures above, with anything written by
+ * the ingestion pipeline (METRICS_PATH, see `npm run ingest`) laid over them
+ */
+export const CURRENT_METRICS = mergeMetrics(FIXTURE_METRICS, loadMetricsFile(process.env.METRICS_PATH));
+
+// Monthly download totals used to seed the daily time series store
+// (would come from npm_packages in production)
 export const HISTORICAL_DATA = {
   'openai': [
+    { month: '2024-01', downloads: 11_200_000 },
+    { month: '2024-02', downloads: 12_100_000 },
+    { month: '2024-03', downloads: 13_400_000 },
+    { month: '2024-04', downloads: 14_600_000 },
+    { month: '2024-05', downloads: 15_900_000 },
+    { month: '2024-06', downloads: 17_100_000 },
     { month: '2024-07', downloads: 18_500_000 },
     { month: '2024-08', downloads: 21_200_000 },
     { month: '2024-09', downloads: 24_800_000 },
@@ -96,6 +96,12 @@ export const HISTORICAL_DATA = {
     { month: '2024-12', downloads: 36_143_000 }
   ],
   'anthropic': [
+    { month: '2024-01', downloads: 2_100_000 },
+    { month: '2024-02', downloads: 2_600_000 },
+    { month: '2024-03', downloads: 3_300_000 },
+    { month: '2024-04', downloads: 4_000_000 },
+    { month: '2024-05', downloads: 4_800_000 },
+    { month: '2024-06', downloads: 5_500_000 },
     { month: '2024-07', downloads: 6_200_000 },
     { month: '2024-08', downloads: 7_800_000 },
     { month: '2024-09', downloads: 9_500_000 },
@@ -104,6 +110,12 @@ export const HISTORICAL_DATA = {
     { month: '2024-12', downloads: 13_925_000 }
   ],
   'cursor': [
+    { month: '2024-01', downloads: 20_000 },
+    { month: '2024-02', downloads: 30_000 },
+    { month: '2024-03', downloads: 45_000 },
+    { month: '2024-04', downloads: 60_000 },
+    { month: '2024-05', downloads: 80_000 },
+    { month: '2024-06', downloads: 100_000 },
     { month: '2024-07', downloads: 120_000 },
     { month: '2024-08', downloads: 180_000 },
     { month: '2024-09', downloads: 250_000 },
@@ -112,6 +124,12 @@ export const HISTORICAL_DATA = {
     { month: '2024-12', downloads: 450_000 }
   ],
   'copilot': [
+    { month: '2024-01', downloads: 1_550_000 },
+    { month: '2024-02', downloads: 1_580_000 },
+    { month: '2024-03', downloads: 1_620_000 },
+    { month: '2024-04', downloads: 1_680_000 },
+    { month: '2024-05', downloads: 1_720_000 },
+    { month: '2024-06', downloads: 1_760_000 },
     { month: '2024-07', downloads: 1_800_000 },
     { month: '2024-08', downloads: 1_850_000 },
     { month: '2024-09', downloads: 1_920_000 },
@@ -120,6 +138,12 @@ export const HISTORICAL_DATA = {
     { month: '2024-12', downloads: 2_100_000 }
   ],
   'langchain': [
+    { month: '2024-01', downloads: 2_900_000 },
+    { month: '2024-02', downloads: 3_050_000 },
+    { month: '2024-03', downloads: 3_250_000 },
+    { month: '2024-04', downloads: 3_500_000 },
+    { month: '2024-05', downloads: 3_700_000 },
+    { month: '2024-06', downloads: 3_900_000 },
     { month: '2024-07', downloads: 4_100_000 },
     { month: '2024-08', downloads: 4_450_000 },
     { month: '2024-09', downloads: 4_820_000 },
@@ -129,6 +153,195 @@ export const HISTORICAL_DATA = {
   ]
 };
 
+// Monthly download totals in the other registries, by registry
+// (would come from pypistats.org and crates.io in production)
+export const REGISTRY_HISTORY = {
+  'pypi': {
+    'openai': [
+      { month: '2024-01', downloads: 38_200_000 },
+      { month: '2024-02', downloads: 40_500_000 },
+      { month: '2024-03', downloads: 43_900_000 },
+      { month: '2024-04', downloads: 47_100_000 },
+      { month: '2024-05', downloads: 51_600_000 },
+      { month: '2024-06', downloads: 55_000_000 },
+      { month: '2024-07', downloads: 58_800_000 },
+      { month: '2024-08', downloads: 64_300_000 },
+      { month: '2024-09', downloads: 70_900_000 },
+      { month: '2024-10', downloads: 77_200_000 },
+      { month: '2024-11', downloads: 84_600_000 },
+      { month: '2024-12', downloads: 92_400_000 }
+    ],
+    'anthropic': [
+      { month: '2024-01', downloads: 3_100_000 },
+      { month: '2024-02', downloads: 3_600_000 },
+      { month: '2024-03', downloads: 4_400_000 },
+      { month: '2024-04', downloads: 5_200_000 },
+      { month: '2024-05', downloads: 6_100_000 },
+      { month: '2024-06', downloads: 7_000_000 },
+      { month: '2024-07', downloads: 7_900_000 },
+      { month: '2024-08', downloads: 9_200_000 },
+      { month: '2024-09', downloads: 10_600_000 },
+      { month: '2024-10', downloads: 12_000_000 },
+      { month: '2024-11', downloads: 13_400_000 },
+      { month: '2024-12', downloads: 14_800_000 }
+    ],
+    'langchain': [
+      { month: '2024-01', downloads: 8_200_000 },
+      { month: '2024-02', downloads: 8_900_000 },
+      { month: '2024-03', downloads: 9_800_000 },
+      { month: '2024-04', downloads: 10_900_000 },
+      { month: '2024-05', downloads: 11_800_000 },
+      { month: '2024-06', downloads: 12_900_000 },
+      { month: '2024-07', downloads: 13_900_000 },
+      { month: '2024-08', downloads: 15_200_000 },
+      { month: '2024-09', downloads: 16_800_000 },
+      { month: '2024-10', downloads: 18_300_000 },
+      { month: '2024-11', downloads: 19_900_000 },
+      { month: '2024-12', downloads: 21_500_000 }
+    ]
+  },
+  'crates': {
+    'openai': [
+      { month: '2024-01', downloads: 41_000 },
+      { month: '2024-02', downloads: 48_000 },
+      { month: '2024-03', downloads: 57_000 },
+      { month: '2024-04', downloads: 66_000 },
+      { month: '2024-05', downloads: 78_000 },
+      { month: '2024-06', downloads: 89_000 },
+      { month: '2024-07', downloads: 101_000 },
+      { month: '2024-08', downloads: 118_000 },
+      { month: '2024-09', downloads: 132_000 },
+      { month: '2024-10', downloads: 149_000 },
+      { month: '2024-11', downloads: 163_000 },
+      { month: '2024-12', downloads: 181_000 }
+    ],
+    'langchain': [
+      { month: '2024-01', downloads: 3_200 },
+      { month: '2024-02', downloads: 4_100 },
+      { month: '2024-03', downloads: 5_000 },
+      { month: '2024-04', downloads: 6_200 },
+      { month: '2024-05', downloads: 7_500 },
+      { month: '2024-06', downloads: 8_900 },
+      { month: '2024-07', downloads: 10_400 },
+      { month: '2024-08', downloads: 12_600 },
+      { month: '2024-09', downloads: 14_900 },
+      { month: '2024-10', downloads: 17_800 },
+      { month: '2024-11', downloads: 20_700 },
+      { month: '2024-12', downloads: 24_300 }
+    ]
+  }
+};
+
+/**
+ * Time series metric holding each registry's daily downloads
+ *
+ * npm keeps the original 'downloads' metric, so anomalies, forecasts and
+ * growth windows (which track npm) read the same data as before.
+ */
+export const REGISTRY_METRICS = {
+  npm: 'downloads',
+  pypi: 'pypi_downloads',
+  crates: 'crates_downloads'
+};
+
+// Known releases per tool (would come from GitHub releases / npm publish
+// times in production). Anomaly detection uses them to explain spikes.
+export const RELEASES = {
+  'openai': [
+    { date: '2024-05-13', version: '4.45.0', title: 'GPT-4o support' },
+    { date: '2024-08-06', version: '4.55.0', title: 'Structured Outputs' },
+    { date: '2024-09-12', version: '4.61.0', title: 'o1 model support' },
+    { date: '2024-12-17', version: '4.77.0', title: 'Realtime API updates' }
+  ],
+  'anthropic': [
+    { date: '2024-03-04', version: '0.17.0', title: 'Claude 3 models' },
+    { date: '2024-06-20', version: '0.24.0', title: 'Claude 3.5 Sonnet' },
+    { date: '2024-10-22', version: '0.30.0', title: 'Computer use beta' }
+  ],
+  'cursor': [
+    { date: '2024-08-22', version: '0.40.0', title: 'Composer' },
+    { date: '2024-11-24', version: '0.43.0', title: 'Agent mode' }
+  ],
+  'copilot': [
+    { date: '2024-10-29', version: '1.240.0', title: 'Multi-model support' }
+  ],
+  'langchain': [
+    { date: '2024-05-20', version: '0.2.0', title: 'Core package split' },
+    { date: '2024-09-16', version: '0.3.0', title: 'Zod-first tool definitions' }
+  ]
+};
+
+// Releases from before the time series starts that still had users when
+// it did. Only version adoption uses them (they are outside any anomaly
+// window).
+const EARLIER_RELEASES = {
+  'openai': [
+    { date: '2023-06-15', version: '3.3.0', title: 'Last 3.x release' },
+    { date: '2023-08-16', version: '4.0.0', title: 'Rewrite in TypeScript' },
+    { date: '2023-12-19', version: '4.24.0', title: 'Assistants API' }
+  ],
+  'anthropic': [
+    { date: '2023-10-11', version: '0.9.0', title: 'Messages streaming' }
+  ],
+  'cursor': [
+    { date: '2024-06-07', version: '0.35.0', title: 'Cursor Tab' }
+  ],
+  'copilot': [
+    { date: '2023-11-08', version: '1.140.0', title: 'Copilot Chat GA' }
+  ],
+  'langchain': [
+    { date: '2023-11-27', version: '0.0.200', title: 'Expression language' },
+    { date: '2023-12-30', version: '0.1.0', title: 'First stable release' }
+  ]
+};
+
+// How much faster (> 1) or slower (< 1) than usual users moved to a
+// release. Computer use and Agent mode pulled people over quickly; the
+// Zod migration in LangChain 0.3 held them back.
+const UPTAKE_SPEED = {
+  'openai': { '4.77.0': 1.4 },
+  'anthropic': { '0.30.0': 1.5 },
+  'cursor': { '0.43.0': 1.3 },
+  'langchain': { '0.3.0': 0.7 }
+};
+
+/**
+ * Every known release of a tool, oldest first, with its uptake speed
+ */
+export function getReleases(toolId) {
+  const speeds = UPTAKE_SPEED[toolId] || {};
+  return [...(EARLIER_RELEASES[toolId] || []), ...(RELEASES[toolId] || [])]
+    .map(release => ({ ...release, speed: speeds[release.version] ?? 1 }));
+}
+
+// Release-week download shape: release day, then two days of tailing off
+const RELEASE_SHOCK = [1.8, 1.35, 1.15];
+
+// Unexplained shocks baked into the seed, like a registry outage or a CI
+// loop hammering one package. Nothing in RELEASES accounts for them.
+const OTHER_SHOCKS = {
+  'langchain': [{ date: '2024-11-19', factor: 0.45 }],
+  'cursor': [{ date: '2024-12-09', factor: 1.7 }]
+};
+
+/**
+ * Day-level download shocks for the seed: release weeks plus OTHER_SHOCKS
+ */
+export function downloadShocks() {
+  const shocks = {};
+
+  for (const [toolId, releases] of Object.entries(RELEASES)) {
+    shocks[toolId] = releases.flatMap(({ date }) =>
+      RELEASE_SHOCK.map((factor, i) => ({ date: addDays(date, i), factor }))
+    );
+  }
+  for (const [toolId, others] of Object.entries(OTHER_SHOCKS)) {
+    shocks[toolId] = [...(shocks[toolId] || []), ...others];
+  }
+
+  return shocks;
+}
+
 /**
  * Calculate growth rate between two periods
  */
@@ -137,12 +350,41 @@ export function calculateGrowth(current, previous) {
   return ((current - previous) / previous) * 100;
 }
 
+/**
+ * Daily time series backing all history and growth queries
+ *
+ * Loaded from the JSON-lines file at TIMESERIES_PATH when it exists
+ * (see `npm run seed`), otherwise seeded in memory from the fixtures above.
+ */
+export const timeSeries = loadTimeSeries(process.env.TIMESERIES_PATH);
+
+function loadTimeSeries(path) {
+  if (path && existsSync(path)) {
+    return TimeSeriesStore.fromFile(path);
+  }
+  return seedTimeSeries();
+}
+
+/**
+ * A store seeded from the fixtures: npm downloads with stars and
+ * mentions, plus daily downloads for every other registry
+ */
+export function seedTimeSeries() {
+  const store = new TimeSeriesStore(seedDailySamples(HISTORICAL_DATA, CURRENT_METRICS, downloadShocks()));
+  for (const [registry, history] of Object.entries(REGISTRY_HISTORY)) {
+    store.merge(seedRegistryDownloads(history, REGISTRY_METRICS[registry]));
+  }
+  return store;
+}
+
 /**
  * Get growth metrics for a tool over specified period
+ *
+ * Compares the latest complete month with the month `months` before it.
  */
 export function getGrowthMetrics(toolId, months = 1) {
-  const history = HISTORICAL_DATA[toolId];
-  if (!history || history.length < 2) return null;
+  const history = rollup(timeSeries.query(toolId), 'month').filter(m => m.complete);
+  if (history.length < 2) return null;
 
   const latest = history[history.length - 1];
   const compare = history[Math.max(0, history.length - 1 - months)];
@@ -156,39 +398,580 @@ export function getGrowthMetrics(toolId, months = 1) {
 }
 
 /**
- * Get all tools sorted by a metric
+ * Supported growth windows, in days
+ *
+ * Growth compares downloads in the latest window with the window
+ * immediately before it (e.g. last 7 days vs the 7 days prior).
+ */
+export const TIME_RANGES = {
+  '7d': { days: 7 },
+  '30d': { days: 30 },
+  '90d': { days: 90 }
+};
+
+/**
+ * Get growth percentage for a tool over a time window (e.g. '30d')
+ *
+ * `registry` picks whose downloads count: 'npm' (the default), another
+ * registry, or 'all' for the tool's combined downloads.
+ */
+export function getWindowGrowth(toolId, timeRange = '30d', registry = 'npm') {
+  const window = TIME_RANGES[timeRange];
+  if (!window) {
+    throw new Error(`Unsupported time range '${timeRange}'. Expected one of: ${Object.keys(TIME_RANGES).join(', ')}`);
+  }
+
+  const range = timeSeries.range(toolId);
+  if (!range) return null;
+
+  const current = windowDownloads(toolId, registry, window.days, range.to);
+  const previous = windowDownloads(toolId, registry, window.days, addDays(range.to, -window.days));
+  if (current === null || previous === null) return null;
+
+  return calculateGrowth(current, previous);
+}
+
+/**
+ * Registries a tool publishes to that report downloads, in catalog order
+ */
+export function downloadRegistriesFor(toolId) {
+  const tool = getTool(toolId);
+  if (!tool) return [];
+  return Object.keys(tool.packages).filter(registry => REGISTRIES[registry].downloads);
+}
+
+/**
+ * Helper: Downloads over `days` days ending on `to`, for one registry or all
+ */
+function windowDownloads(toolId, registry, days, to) {
+  const registries = registry === 'all' ? downloadRegistriesFor(toolId) : [registry];
+  const sums = registries.map(r => timeSeries.sumWindow(toolId, REGISTRY_METRICS[r], days, to));
+  if (sums.some(sum => sum === null)) return null;
+  return sums.reduce((total, sum) => total + sum, 0);
+}
+
+/**
+ * Get current metrics for a tool, with growth derived for a time window
+ *
+ * Tool metadata comes from the catalog. Returns null for unknown tools
+ * and for catalog entries that have no metrics yet.
+ *
+ * `growth_pct` and the npm_* fields always describe npm. `registries`
+ * breaks downloads down per registry the tool publishes to, and
+ * `downloads_monthly`, `downloads_weekly` and `downloads_growth_pct`
+ * total the selected `registry` ('all' for every registry combined;
+ * null when the tool isn't published there).
+ */
+export function getCurrentMetrics(toolId, timeRange = '30d', registry = 'all') {
+  const tool = getTool(toolId);
+  const metrics = CURRENT_METRICS[toolId];
+  if (!tool || !metrics) return null;
+
+  const growthWindows = {};
+  for (const range of Object.keys(TIME_RANGES)) {
+    growthWindows[range] = roundPct(getWindowGrowth(toolId, range));
+  }
+
+  const growthPct = growthWindows[timeRange] ?? roundPct(getWindowGrowth(toolId, timeRange));
+  const registries = registryBreakdown(tool, metrics, timeRange);
+  const selected = registries.filter(r => r.downloads_monthly !== null && (registry === 'all' || r.registry === registry));
+
+  return {
+    ...tool,
+    ...metrics,
+    time_range: timeRange,
+    growth_pct: growthPct,
+    growth_windows: growthWindows,
+    registry,
+    downloads_monthly: selected.length ? sumOf(selected, 'downloads_monthly') : null,
+    downloads_weekly: selected.length ? sumOf(selected, 'downloads_weekly') : null,
+    downloads_growth_pct: selected.length ? roundPct(getWindowGrowth(toolId, timeRange, registry)) : null,
+    registries
+  };
+}
+
+/**
+ * Helper: Downloads per registry a tool publishes to, with each one's share
+ *
+ * Registries without public download counts (Go modules) are listed
+ * with null downloads.
+ */
+function registryBreakdown(tool, metrics, timeRange) {
+  const rows = Object.entries(tool.packages).map(([registry, pkg]) => {
+    const counted = REGISTRIES[registry].downloads && metrics[`${registry}_downloads_monthly`] !== undefined;
+    return {
+      registry,
+      name: REGISTRIES[registry].name,
+      package: pkg,
+      downloads_monthly: counted ? metrics[`${registry}_downloads_monthly`] : null,
+      downloads_weekly: counted ? metrics[`${registry}_downloads_weekly`] ?? null : null,
+      growth_pct: counted ? roundPct(getWindowGrowth(tool.id, timeRange, registry)) : null
+    };
+  });
+
+  const total = sumOf(rows, 'downloads_monthly');
+  return rows.map(row => ({
+    ...row,
+    share_pct: row.downloads_monthly === null || total === 0
+      ? null
+      : Math.round((row.downloads_monthly / total) * 1000) / 10
+  }));
+}
+
+/**
+ * Helper: Sum a field over rows, skipping nulls
+ */
+function sumOf(rows, field) {
+  return rows.reduce((sum, row) => sum + (row[field] ?? 0), 0);
+}
+
+/**
+ * Get the fastest-growing tools over a time window
+ *
+ * `sortBy` is 'growth' (download growth) or 'score' (composite adoption
+ * score, with optional weight overrides).
+ */
+export function getTrendingTools(timeRange = '30d', limit = 5, category = 'all', sortBy = 'growth', weights) {
+  const field = sortBy === 'score' ? 'score' : 'growth_pct';
+
+  return getScoredMetrics(timeRange, weights)
+    .filter(tool => category === 'all' || tool.category === category)
+    // Tools without growth data sort last rather than as 0%
+    .sort((a, b) => (a[field] === null) - (b[field] === null) || b[field] - a[field] || a.id.localeCompare(b.id))
+    .slice(0, limit);
+}
+
+/**
+ * Default score weights, from SCORE_WEIGHTS (e.g. "growth=0.4,stars=0.1")
+ * merged onto the built-in defaults
+ */
+export const SCORE_WEIGHTS = resolveWeights(process.env.SCORE_WEIGHTS);
+
+/**
+ * Current metrics for every tool, each with its composite score
+ *
+ * Signals are normalized across the whole catalog rather than the
+ * filtered results, so a tool's score doesn't depend on the query.
+ * Each tool carries `score` (0-100) and a per-signal `score_breakdown`.
+ * `registry` selects the download totals (see getCurrentMetrics).
+ */
+export function getScoredMetrics(timeRange = '30d', weights, registry = 'all') {
+  const tools = listTools()
+    .map(tool => getCurrentMetrics(tool.id, timeRange, registry))
+    .filter(Boolean);
+  const scores = computeScores(tools, resolveWeights(weights, SCORE_WEIGHTS));
+
+  return tools.map(tool => {
+    const { score, breakdown } = scores.get(tool.id);
+    return { ...tool, score, score_breakdown: breakdown };
+  });
+}
+
+/**
+ * Get the most recent N months of history for a tool
+ *
+ * Daily samples are gap-filled and rolled up to the requested
+ * granularity ('day', 'week' or 'month'). Partial weeks and months at
+ * the edges of the range are dropped so growth isn't skewed. Inside the
+ * range, a period hit by a gap too long to fill has `downloads: null`,
+ * so tables and charts show the gap.
+ *
+ * Each point's `downloads` totals the selected `registry` ('all' for
+ * every registry combined), and `registries` breaks it down per
+ * registry. Callers check downloadRegistriesFor() first: a registry the
+ * tool doesn't publish to has no history.
+ */
+export function getHistoricalData(toolId, months = 6, granularity = 'month', registry = 'all') {
+  const range = timeSeries.range(toolId);
+  if (!range) return null;
+
+  // Start on the first day of the month `months - 1` months before the last
+  const [year, month] = range.to.split('-').map(Number);
+  const start = new Date(Date.UTC(year, month - months, 1)).toISOString().slice(0, 10);
+
+  const daily = timeSeries.query(toolId, { from: start, to: range.to, fill: 'linear' });
+  const points = granularity === 'day' ? daily : rollup(daily, granularity);
+  const isGap = point => (granularity === 'day' ? point.missing : !point.complete);
+
+  const first = points.findIndex(point => !isGap(point));
+  const last = points.findLastIndex(point => !isGap(point));
+  if (first === -1) return [];
+
+  const registries = registry === 'all' ? downloadRegistriesFor(toolId) : [registry];
+  return points.slice(first, last + 1).map(point => withRegistryDownloads(point, registries, isGap(point)));
+}
+
+/**
+ * Helper: Replace per-registry download metrics with a total and a breakdown
+ * (null and empty for a gap)
+ */
+function withRegistryDownloads(point, registries, gap = false) {
+  const result = { ...point };
+  if (gap) {
+    for (const metric of Object.values(REGISTRY_METRICS)) delete result[metric];
+    return { ...result, downloads: null, registries: {} };
+  }
+
+  const breakdown = {};
+  for (const [registry, metric] of Object.entries(REGISTRY_METRICS)) {
+    if (registries.includes(registry)) breakdown[registry] = point[metric] ?? 0;
+    if (registry !== 'npm') delete result[metric];
+  }
+
+  result.downloads = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+  result.registries = breakdown;
+  return result;
+}
+
+/**
+ * Find download spikes and drops over the most recent N months
+ *
+ * The baseline also learns from WARMUP_DAYS before the range, so events
+ * early in the range can still be scored. Events near a known release
+ * carry it as their likely cause.
+ */
+export function getAnomalies(toolId, months = 3, threshold = DEFAULT_THRESHOLD) {
+  const range = timeSeries.range(toolId);
+  if (!range) return null;
+
+  const [year, month] = range.to.split('-').map(Number);
+  const start = new Date(Date.UTC(year, month - months, 1)).toISOString().slice(0, 10);
+  const daily = timeSeries.query(toolId, { from: addDays(start, -WARMUP_DAYS), to: range.to, fill: 'linear' });
+  const releases = (RELEASES[toolId] || []).filter(r => r.date >= start && r.date <= range.to);
+
+  return {
+    tool_id: toolId,
+    months,
+    threshold,
+    from: start > range.from ? start : range.from,
+    to: range.to,
+    method: 'seasonal decomposition + robust z-score',
+    anomalies: detectAnomalies(daily, { threshold, from: start, releases: RELEASES[toolId] || [] }),
+    releases
+  };
+}
+
+/**
+ * Download share per version over the most recent N months
+ *
+ * npm downloads are split by version (see versions.js) and rolled up to
+ * `granularity` ('week' or 'month'), grouped `by` 'major' line or exact
+ * 'version'. `latest_release` follows the newest release's uptake next
+ * to the release before it at the same ages. Returns null for tools
+ * without history or releases.
+ */
+export function getVersionAdoption(toolId, { months = 6, by = 'major', granularity = 'month' } = {}) {
+  const range = timeSeries.range(toolId);
+  const releases = getReleases(toolId).filter(release => release.date <= range?.to);
+  if (!range || releases.length === 0) return null;
+
+  const [year, month] = range.to.split('-').map(Number);
+  const start = new Date(Date.UTC(year, month - months, 1)).toISOString().slice(0, 10);
+  const keyOf = by === 'major' ? majorLine : version => version;
+
+  // The whole series, so uptake curves of releases before `start` are complete
+  const daily = timeSeries.query(toolId, { fill: 'linear' }).filter(day => !day.missing);
+  const days = splitByVersion(daily, releases);
+  const data = rollupVersions(days.filter(day => day.date >= start), granularity, keyOf);
+
+  const groups = new Map();
+  for (const release of releases) {
+    const key = keyOf(release.version);
+    groups.set(key, { key, first_release: groups.get(key)?.first_release || release.date, latest_version: release.version });
+  }
+
+  const latest = releases[releases.length - 1];
+  const previous = releases[releases.length - 2];
+  const previousCurve = previous ? uptakeCurve(days, previous.version, previous.date) : [];
+  const latestCurve = uptakeCurve(days, latest.version, latest.date);
+
+  return {
+    tool_id: toolId,
+    package: getTool(toolId)?.packages.npm,
+    by,
+    granularity,
+    months,
+    from: start > range.from ? start : range.from,
+    to: range.to,
+    groups: [...groups.values()].reverse(),
+    data,
+    latest_release: {
+      version: latest.version,
+      date: latest.date,
+      title: latest.title,
+      line: majorLine(latest.version),
+      days_since_release: daysBetween(latest.date, range.to),
+      previous_version: previous?.version ?? null,
+      uptake: latestCurve.map(point => ({
+        ...point,
+        previous_share_pct: previousCurve.find(p => p.day === point.day)?.share_pct ?? null
+      })),
+      days_to_majority: daysToMajority(days, latest),
+      previous_days_to_majority: previous ? daysToMajority(days, previous) : null
+    }
+  };
+}
+
+/**
+ * Project monthly downloads forward
+ *
+ * Fits the model to every complete month of history. Optionally finds
+ * when the tool reaches `target` monthly downloads, and when the trailing
+ * one of it and `compareWith` overtakes the other. Returns null when
+ * either tool has too little history.
  */
-export function getToolsByMetric(metric = 'npm_downloads_monthly', limit = 10) {
-  const tools = Object.entries(CURRENT_METRICS)
-    .map(([id, data]) => ({
-      id,
-      ...TOOLS[id],
-      ...data
+export function getForecast(toolId, options = {}) {
+  const { months = 6, model = 'auto', confidence = 80, target, compareWith } = options;
+
+  const primary = forecastTool(toolId, { months, model, confidence });
+  if (!primary) return null;
+
+  const result = { ...primary, confidence, horizon_months: months };
+
+  if (target) {
+    const reach = firstStepReaching(primary.projections, target);
+    const latest = primary.history[primary.history.length - 1];
+    result.target = {
+      downloads: target,
+      already_reached: latest.downloads >= target,
+      ...stepsToMonths(reach, primary.last_month)
+    };
+  }
+
+  if (compareWith) {
+    const other = forecastTool(compareWith, { months, model, confidence });
+    if (!other) return null;
+
+    // The tool with fewer downloads in the latest month is the challenger
+    const [leader, challenger] = lastValue(primary) >= lastValue(other) ? [primary, other] : [other, primary];
+    const crossing = firstCrossover(challenger.projections, leader.projections);
+
+    result.comparison = {
+      tool_id: other.tool_id,
+      model: other.model,
+      last_month: other.last_month,
+      projections: other.projections,
+      crossover: {
+        leader: leader.tool_id,
+        challenger: challenger.tool_id,
+        ...stepsToMonths(crossing, primary.last_month)
+      }
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Helper: Forecast one tool's complete monthly history
+ *
+ * Only the months since the last gap count, so the model never fits a
+ * trend across months with no data.
+ */
+function forecastTool(toolId, { months, model, confidence }) {
+  const complete = rollup(timeSeries.query(toolId, { fill: 'linear' }), 'month')
+    .filter(point => point.complete)
+    .map(({ month, downloads }) => ({ month, downloads }));
+  const gapAfter = complete.findLastIndex((point, i) => i > 0 && addMonths(complete[i - 1].month, 1) !== point.month);
+  const history = complete.slice(Math.max(0, gapAfter));
+  if (history.length < 3) return null;
+
+  const lastMonth = history[history.length - 1].month;
+  const latest = history[history.length - 1].downloads;
+  const fitted = forecast(history.map(p => p.downloads), { model, horizon: months, confidence });
+
+  return {
+    tool_id: toolId,
+    model: fitted.model,
+    model_errors: fitted.errors,
+    last_month: lastMonth,
+    history,
+    projections: fitted.projections.map(({ step, downloads, lower, upper }) => ({
+      month: addMonths(lastMonth, step),
+      downloads,
+      lower,
+      upper,
+      growth_pct: roundPct(calculateGrowth(downloads, latest))
     }))
-    .sort((a, b) => (b[metric] || 0) - (a[metric] || 0))
+  };
+}
+
+/**
+ * Helper: Latest actual monthly downloads of a tool forecast
+ */
+function lastValue(toolForecast) {
+  return toolForecast.history[toolForecast.history.length - 1].downloads;
+}
+
+/**
+ * Helper: Turn projection steps (1 = next month) into 'YYYY-MM' months
+ */
+function stepsToMonths({ step, earliest, latest }, lastMonth) {
+  const toMonth = s => (s === null ? null : addMonths(lastMonth, s));
+  return { month: toMonth(step), earliest: toMonth(earliest), latest: toMonth(latest) };
+}
+
+/**
+ * Helper: Round a percentage to one decimal place (null stays null:
+ * no history isn't the same as no growth)
+ */
+function roundPct(value) {
+  if (value === null || value === undefined) return null;
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Get tools sorted by a metric, optionally within one category
+ *
+ * `metric` is a field of getCurrentMetrics (e.g. 'github_stars' or
+ * 'growth_pct', with growth over `timeRange`).
+ */
+export function getToolsByMetric(metric = 'npm_downloads_monthly', limit = 10, category = 'all', timeRange = '30d') {
+  return listTools()
+    .filter(tool => category === 'all' || tool.category === category)
+    .map(tool => getCurrentMetrics(tool.id, timeRange))
+    .filter(Boolean)
+    .sort((a, b) => (b[metric] || 0) - (a[metric] || 0) || a.id.localeCompare(b.id))
     .slice(0, limit);
+}
+
+/**
+ * Metrics a leaderboard can rank by (every sort key except name)
+ */
+export const LEADERBOARD_METRICS = ['downloads', 'weekly_downloads', 'stars', 'so_questions', 'reddit_mentions', 'growth'];
 
-  return tools;
+/**
+ * Rank tools within each category, with their share of category downloads
+ *
+ * Share compares each tool's downloads over the `timeRange` window with
+ * its category's total, and share change is in percentage points against
+ * the window before. Ranking by downloads uses that window too, so each
+ * leader's value adds up to the category total. Categories are ordered by
+ * total downloads.
+ */
+export function getCategoryLeaderboard(category = 'all', metric = 'downloads', timeRange = '30d', limit = 5) {
+  const field = SORT_FIELDS[metric];
+  if (!LEADERBOARD_METRICS.includes(metric)) {
+    throw new Error(`Unsupported metric '${metric}'. Expected one of: ${LEADERBOARD_METRICS.join(', ')}`);
+  }
+  const { days } = TIME_RANGES[timeRange] || {};
+  if (!days) {
+    throw new Error(`Unsupported time range '${timeRange}'. Expected one of: ${Object.keys(TIME_RANGES).join(', ')}`);
+  }
+
+  const categories = (category === 'all' ? getCategories() : [category])
+    .map(name => {
+      const tools = getToolsByMetric(field, Infinity, name, timeRange).map(tool => {
+        const end = timeSeries.range(tool.id)?.to;
+        return {
+          tool,
+          current: timeSeries.sumWindow(tool.id, 'downloads', days, end) || 0,
+          previous: timeSeries.sumWindow(tool.id, 'downloads', days, end && addDays(end, -days)) || 0
+        };
+      });
+      // Download leaders rank by the same window the category total sums
+      if (metric === 'downloads') {
+        tools.sort((a, b) => b.current - a.current || a.tool.id.localeCompare(b.tool.id));
+      }
+
+      const total = tools.reduce((sum, t) => sum + t.current, 0);
+      const previousTotal = tools.reduce((sum, t) => sum + t.previous, 0);
+
+      return {
+        category: name,
+        tool_count: tools.length,
+        total_downloads: total,
+        previous_total_downloads: previousTotal,
+        growth_pct: roundPct(calculateGrowth(total, previousTotal)),
+        leaders: tools.slice(0, limit).map(({ tool, current, previous }, index) => {
+          const share = total ? (current / total) * 100 : 0;
+          const previousShare = previousTotal ? (previous / previousTotal) * 100 : 0;
+          return {
+            rank: index + 1,
+            id: tool.id,
+            name: tool.name,
+            value: metric === 'downloads' ? current : tool[field],
+            downloads: current,
+            share_pct: roundPct(share),
+            previous_share_pct: roundPct(previousShare),
+            share_change_pp: roundPct(share - previousShare)
+          };
+        })
+      };
+    })
+    .filter(entry => entry.tool_count > 0)
+    .sort((a, b) => b.total_downloads - a.total_downloads);
+
+  return { metric, time_range: timeRange, category, categories };
 }
 
+/**
+ * Sort keys accepted by searchTools, mapped to the field they sort on
+ */
+export const SORT_FIELDS = {
+  downloads: 'npm_downloads_monthly',
+  weekly_downloads: 'npm_downloads_weekly',
+  stars: 'github_stars',
+  so_questions: 'stackoverflow_questions_30d',
+  reddit_mentions: 'reddit_mentions_30d',
+  growth: 'growth_pct',
+  score: 'score',
+  name: 'name'
+};
+
+// Download sorts in search rank by the selected registry's totals
+const REGISTRY_SORT_FIELDS = {
+  downloads: 'downloads_monthly',
+  weekly_downloads: 'downloads_weekly'
+};
+
 /**
  * Search tools by various criteria
+ *
+ * Results are sorted by `sort_by` (see SORT_FIELDS) in `order`
+ * ('asc' | 'desc'; names default to ascending, metrics to descending),
+ * then paginated with `limit` and an opaque `cursor`. Every result
+ * carries its composite score, computed with `weights` (see
+ * getScoredMetrics).
+ *
+ * `registry` keeps only tools published there; `min_downloads` and the
+ * download sorts then use that registry's downloads ('all' combines
+ * every registry).
  */
 export function searchTools(query = {}) {
-  const { category, min_downloads, keyword } = query;
+  const {
+    category,
+    min_downloads,
+    keyword,
+    registry = 'all',
+    sort_by = 'downloads',
+    order = sort_by === 'name' ? 'asc' : 'desc',
+    limit = 10,
+    cursor,
+    weights
+  } = query;
 
-  let results = Object.entries(TOOLS).map(([id, tool]) => ({
-    id,
-    ...tool,
-    ...CURRENT_METRICS[id]
-  }));
+  const field = REGISTRY_SORT_FIELDS[sort_by] || SORT_FIELDS[sort_by];
+  if (!field) {
+    throw new Error(`Unsupported sort_by '${sort_by}'. Expected one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (registry !== 'all' && !REGISTRIES[registry]) {
+    throw new Error(`Unsupported registry '${registry}'. Expected one of: all, ${Object.keys(REGISTRIES).join(', ')}`);
+  }
+
+  // Only tools with metrics can be ranked or filtered
+  let results = getScoredMetrics('30d', weights, registry);
 
   if (category) {
     results = results.filter(t => t.category === category);
   }
 
+  if (registry !== 'all') {
+    results = results.filter(t => t.packages[registry]);
+  }
+
   if (min_downloads) {
-    results = results.filter(t => t.npm_downloads_monthly >= min_downloads);
+    results = results.filter(t => t.downloads_monthly >= min_downloads);
   }
 
   if (keyword) {
@@ -199,5 +982,32 @@ export function searchTools(query = {}) {
     );
   }
 
-  return results;
+  const direction = order === 'asc' ? 1 : -1;
+  results.sort((a, b) => compareValues(a[field], b[field], direction) || a.id.localeCompare(b.id));
+
+  const page = paginate(results, {
+    limit,
+    cursor,
+    query: { category, min_downloads, keyword, registry, sort_by, order, limit, weights }
+  });
+
+  return {
+    results: page.items,
+    offset: page.offset,
+    total: page.total,
+    next_cursor: page.next_cursor
+  };
+}
+
+/**
+ * Helper: Compare two sort values in a direction (1 or -1)
+ *
+ * Strings compare alphabetically; missing values always sort last.
+ */
+function compareValues(a, b, direction) {
+  const missingA = a === undefined || a === null;
+  const missingB = b === undefined || b === null;
+  if (missingA || missingB) return missingA - missingB;
+
+  return direction * (typeof a === 'string' ? a.localeCompare(b) : a - b);
 }
@@ -0,0 +1,71 @@
+/**
+ * Cursor Pagination
+ *
+ * Cursors are opaque base64url tokens holding the offset of the next
+ * page plus a fingerprint of the query that produced it. A cursor used
+ * with different filters or sorting is rejected rather than silently
+ * returning the wrong slice.
+ */
+
+import { createHash } from 'node:crypto';
+
+export class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaginationError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Slice one page out of a fully sorted result list
+ *
+ * Returns { items, total, next_cursor } where next_cursor is null on the
+ * last page.
+ */
+export function paginate(items, { limit, cursor, query = {} }) {
+  const fingerprint = fingerprintQuery(query);
+  const offset = cursor ? decodeCursor(cursor, fingerprint) : 0;
+  const end = offset + limit;
+
+  return {
+    items: items.slice(offset, end),
+    offset,
+    total: items.length,
+    next_cursor: end < items.length ? encodeCursor(end, fingerprint) : null
+  };
+}
+
+/**
+ * Helper: Stable short hash of the query parameters that shape results
+ */
+function fingerprintQuery(query) {
+  const normalized = Object.keys(query)
+    .sort()
+    .filter(key => query[key] !== undefined && query[key] !== null)
+    .map(key => [key, query[key]]);
+
+  return createHash('sha256').update(JSON.stringify(normalized)).digest('base64url').slice(0, 12);
+}
+
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString('base64url');
+}
+
+function decodeCursor(cursor, fingerprint) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new PaginationError('Invalid cursor');
+  }
+
+  if (!Number.isInteger(decoded?.o) || decoded.o < 0) {
+    throw new PaginationError('Invalid cursor');
+  }
+  if (decoded.f !== fingerprint) {
+    throw new PaginationError('Cursor does not match this search; repeat the search without a cursor');
+  }
+
+  return decoded.o;
+}
@@ -0,0 +1,148 @@
+/**
+ * Composite Adoption Score
+ *
+ * Rolls the separate adoption signals into one 0-100 score, so rankings
+ * reflect community traction and momentum as well as raw npm volume:
+ *
+ * - downloads: monthly npm downloads
+ * - growth: download growth over the selected window
+ * - stars: GitHub stars
+ * - so_questions: Stack Overflow questions in the last 30 days
+ * - reddit_mentions: Reddit mentions in the last 30 days
+ *
+ * Each signal is normalized to 0-1 across the scored population (min-max,
+ * on a log scale for the count signals, so one tool with 36M downloads
+ * doesn't flatten everyone else to zero). The score is the weighted mean
+ * of the normalized signals, times 100.
+ */
+
+export const SCORE_SIGNALS = {
+  downloads: { field: 'npm_downloads_monthly', log: true },
+  growth: { field: 'growth_pct', log: false },
+  stars: { field: 'github_stars', log: true },
+  so_questions: { field: 'stackoverflow_questions_30d', log: true },
+  reddit_mentions: { field: 'reddit_mentions_30d', log: true }
+};
+
+export const DEFAULT_WEIGHTS = {
+  downloads: 0.3,
+  growth: 0.25,
+  stars: 0.15,
+  so_questions: 0.15,
+  reddit_mentions: 0.15
+};
+
+export class ScoreWeightsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScoreWeightsError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Merge weight overrides onto the defaults and scale them to sum to 1
+ *
+ * Overrides may be an object ({ growth: 0.5 }) or a string spec
+ * ("growth=0.5,stars=0.2", as sent in query strings). Signals left out
+ * keep their default weight; set one to 0 to ignore it.
+ */
+export function resolveWeights(overrides, defaults = DEFAULT_WEIGHTS) {
+  const parsed = typeof overrides === 'string' ? parseWeights(overrides) : overrides || {};
+  const merged = { ...defaults };
+
+  for (const [signal, weight] of Object.entries(parsed)) {
+    if (!SCORE_SIGNALS[signal]) {
+      throw new ScoreWeightsError(`Unknown score signal '${signal}'. Expected one of: ${Object.keys(SCORE_SIGNALS).join(', ')}`);
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new ScoreWeightsError(`Weight for '${signal}' must be a number of at least 0 (got ${weight})`);
+    }
+    merged[signal] = weight;
+  }
+
+  const total = Object.values(merged).reduce((sum, w) => sum + w, 0);
+  if (total <= 0) {
+    throw new ScoreWeightsError('At least one score weight must be greater than 0');
+  }
+
+  return Object.fromEntries(Object.entries(merged).map(([signal, w]) => [signal, w / total]));
+}
+
+/**
+ * Parse a weight spec like "downloads=0.2,growth=0.4"
+ */
+export function parseWeights(spec = '') {
+  const weights = {};
+
+  for (const entry of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [signal, value = ''] = entry.split('=').map(s => s.trim());
+    weights[signal] = value === '' ? NaN : Number(value);
+  }
+
+  return weights;
+}
+
+/**
+ * Serialize weights as a spec parseWeights reads back
+ */
+export function formatWeights(weights) {
+  return Object.entries(weights).map(([signal, w]) => `${signal}=${w}`).join(',');
+}
+
+/**
+ * Score every record in a population of tool metrics
+ *
+ * Returns Map(id → { score, breakdown }), where breakdown maps each
+ * signal to { value, normalized, weight, points }. Points are the
+ * signal's share of the score, so they add up to it.
+ */
+export function computeScores(records, weights = DEFAULT_WEIGHTS) {
+  const normalizers = Object.fromEntries(
+    Object.entries(SCORE_SIGNALS).map(([signal, spec]) => [signal, normalizer(records, spec)])
+  );
+
+  return new Map(records.map(record => {
+    const breakdown = {};
+    let score = 0;
+
+    for (const [signal, spec] of Object.entries(SCORE_SIGNALS)) {
+      const value = record[spec.field] ?? null;
+      const normalized = normalizers[signal](value);
+      const points = normalized * (weights[signal] || 0) * 100;
+      score += points;
+      breakdown[signal] = {
+        value,
+        normalized: round(normalized, 3),
+        weight: round(weights[signal] || 0, 3),
+        points: round(points, 1)
+      };
+    }
+
+    return [record.id, { score: round(score, 1), breakdown }];
+  }));
+}
+
+/**
+ * Helper: Min-max scaler for one signal over the population
+ *
+ * Missing values score 0. When every tool has the same value there is
+ * nothing to tell them apart, so all score 0.5.
+ */
+function normalizer(records, { field, log }) {
+  const scale = value => (log ? Math.log10(1 + Math.max(0, value)) : value);
+  const values = records.map(r => r[field]).filter(v => typeof v === 'number').map(scale);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  return value => {
+    if (typeof value !== 'number') return 0;
+    if (max === min) return 0.5;
+    return (scale(value) - min) / (max - min);
+  };
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,162 @@
+/**
+ * Time Series Seeding
+ *
+ * Expands the monthly download fixtures into daily samples so the demo
+ * has data at every granularity. The generated series is deterministic:
+ *
+ * - Daily downloads follow a smooth curve between months with a weekday
+ *   pattern and a few percent of day-to-day noise, and always sum exactly
+ *   to each month's fixture total
+ * - Shocks (release spikes, outages) multiply single days, so anomaly
+ *   detection has realistic events to find
+ * - Reddit mentions track downloads, scaled so the last 30 days match
+ *   `reddit_mentions_30d`
+ * - GitHub stars accumulate with downloads and end at `github_stars`
+ * - Other registries (PyPI, crates.io) get their own daily downloads
+ *   metric, spread the same way from their monthly totals
+ */
+
+import { addDays, daysInMonth } from './timeseries.js';
+
+// Relative download volume by weekday (Monday first); developers install less at weekends
+const WEEKDAY_PATTERN = [1.12, 1.15, 1.14, 1.12, 1.05, 0.7, 0.72];
+
+// Share of today's stars the repository already had on the first seeded day
+const STARS_BASELINE = 0.55;
+
+// Day-to-day noise: each day's volume varies by up to ±NOISE
+const NOISE = 0.04;
+
+/**
+ * Generate daily samples for every tool with monthly fixtures
+ *
+ * `shocks` maps tool IDs to [{ date, factor }]: that day's downloads are
+ * multiplied by `factor` before the month is scaled to its total.
+ */
+export function seedDailySamples(monthlyHistory, currentMetrics, shocks = {}) {
+  return Object.entries(monthlyHistory).flatMap(([toolId, months]) =>
+    seedTool(toolId, months, currentMetrics[toolId] || {}, shocks[toolId] || [])
+  );
+}
+
+/**
+ * Generate daily samples of one registry's downloads
+ *
+ * `monthlyHistory` maps tool IDs to monthly totals; each sample carries
+ * the count under `metric` (e.g. 'pypi_downloads').
+ */
+export function seedRegistryDownloads(monthlyHistory, metric, shocks = {}) {
+  return Object.entries(monthlyHistory).flatMap(([toolId, months]) =>
+    dailyDownloads(`${toolId}:${metric}`, months, shocks[toolId] || [])
+      .map(({ date, downloads }) => ({ tool: toolId, date, [metric]: downloads }))
+  );
+}
+
+/**
+ * Helper: Daily samples for one tool
+ */
+function seedTool(toolId, months, metrics, shocks) {
+  const days = dailyDownloads(toolId, months, shocks);
+
+  const totalDownloads = days.reduce((sum, d) => sum + d.downloads, 0);
+  const recentDownloads = days.slice(-30).reduce((sum, d) => sum + d.downloads, 0);
+  const mentionsPerDownload = (metrics.reddit_mentions_30d || 0) / (recentDownloads || 1);
+  const finalStars = metrics.github_stars || 0;
+
+  let cumulative = 0;
+  let mentionCarry = 0;
+
+  return days.map(({ date, downloads }) => {
+    cumulative += downloads;
+
+    // Carry rounding remainders forward so small daily counts still add up
+    const exactMentions = downloads * mentionsPerDownload + mentionCarry;
+    const mentions = Math.round(exactMentions);
+    mentionCarry = exactMentions - mentions;
+
+    const stars = Math.round(
+      finalStars * (STARS_BASELINE + (1 - STARS_BASELINE) * (cumulative / totalDownloads))
+    );
+
+    return { tool: toolId, date, downloads, stars, mentions };
+  });
+}
+
+/**
+ * Helper: Spread monthly totals over days, with shocks and noise
+ *
+ * `noiseKey` seeds the noise, so each series varies differently.
+ */
+function dailyDownloads(noiseKey, months, shocks) {
+  const factors = new Map(shocks.map(({ date, factor }) => [date, factor]));
+  const dayFactor = date => (factors.get(date) ?? 1) * (1 + NOISE * noise(`${noiseKey}:${date}`));
+
+  return months.flatMap((point, index) =>
+    spreadMonth(point, averageDailyRate(months[index - 1]), averageDailyRate(months[index + 1]), dayFactor)
+  );
+}
+
+/**
+ * Helper: Split one month's downloads across its days
+ *
+ * The daily rate ramps from the midpoint of the previous month towards
+ * the midpoint of the next, is shaped by the weekday pattern and
+ * `dayFactor(date)`, and is then scaled so the days sum to the month
+ * total exactly.
+ */
+function spreadMonth(point, previousRate, nextRate, dayFactor) {
+  const length = daysInMonth(point.month);
+  const rate = point.downloads / length;
+  const startRate = previousRate !== null ? (previousRate + rate) / 2 : rate;
+  const endRate = nextRate !== null ? (nextRate + rate) / 2 : rate;
+
+  const firstDay = `${point.month}-01`;
+  const weights = [];
+  for (let i = 0; i < length; i++) {
+    const date = addDays(firstDay, i);
+    const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const trend = startRate + (endRate - startRate) * (i / Math.max(1, length - 1));
+    weights.push({ date, weight: trend * WEEKDAY_PATTERN[weekday] * dayFactor(date) });
+  }
+
+  const totalWeight = weights.reduce((sum, w) => sum + w.weight, 0);
+  let assigned = 0;
+
+  return weights.map(({ date, weight }, i) => {
+    // The last day absorbs rounding so the month total is exact
+    const downloads = i === length - 1
+      ? point.downloads - assigned
+      : Math.round(point.downloads * (weight / totalWeight));
+    assigned += downloads;
+    return { date, downloads };
+  });
+}
+
+/**
+ * Helper: Average downloads per day for a monthly point (null if absent)
+ */
+function averageDailyRate(point) {
+  return point ? point.downloads / daysInMonth(point.month) : null;
+}
+
+/**
+ * Helper: Deterministic pseudo-random number in [-1, 1) for a string
+ *
+ * FNV-1a hash plus a final mix (keys like consecutive dates differ in a
+ * single character), so the same tool and date always get the same noise.
+ */
+function noise(key) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+
+  return (hash >>> 0) / 0x80000000 - 1;
+}
@@ -0,0 +1,337 @@
+/**
+ * Time Series Store
+ *
+ * Daily adoption samples per tool (would be a metrics table in production).
+ * Each sample looks like:
+ *
+ *   { tool: 'openai', date: '2024-12-31', downloads: 1234567, stars: 18500, mentions: 31 }
+ *
+ * - downloads: npm downloads on that day
+ * - pypi_downloads, crates_downloads: PyPI and crates.io downloads that day
+ * - stars: cumulative GitHub stars at the end of that day
+ * - mentions: Reddit mentions on that day
+ * - questions: Stack Overflow questions asked that day
+ *
+ * Ingested samples (see src/ingest) also carry `provenance`: for each
+ * metric, the source it came from and when it was fetched.
+ *
+ * The store is kept in memory and can be loaded from / saved to a
+ * JSON-lines file (one sample per line).
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+// How each metric aggregates when rolling days up into weeks or months
+const METRIC_AGGREGATION = {
+  downloads: 'sum',
+  pypi_downloads: 'sum',
+  crates_downloads: 'sum',
+  mentions: 'sum',
+  questions: 'sum',
+  stars: 'last'
+};
+
+export const METRICS = Object.keys(METRIC_AGGREGATION);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest run of missing days that gap filling bridges
+export const DEFAULT_MAX_GAP = 7;
+
+export class TimeSeriesStore {
+  constructor(samples = []) {
+    // toolId → Map<date, sample>
+    this.series = new Map();
+    this.append(samples);
+  }
+
+  /**
+   * Load a store from a JSON-lines file
+   */
+  static fromFile(path) {
+    const samples = readFileSync(path, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+
+    return new TimeSeriesStore(samples);
+  }
+
+  /**
+   * Write every sample to a JSON-lines file, ordered by tool then date
+   */
+  saveToFile(path) {
+    const lines = this.tools().flatMap(tool =>
+      this.query(tool).map(sample => JSON.stringify(sample))
+    );
+    writeFileSync(path, lines.join('\n') + '\n');
+  }
+
+  /**
+   * Add or replace samples (a later sample for the same tool/date wins)
+   */
+  append(samples) {
+    for (const sample of samples) {
+      if (!sample.tool || !isIsoDate(sample.date)) {
+        throw new Error(`Invalid time series sample: ${JSON.stringify(sample)}`);
+      }
+
+      if (!this.series.has(sample.tool)) {
+        this.series.set(sample.tool, new Map());
+      }
+      this.series.get(sample.tool).set(sample.date, { ...sample });
+    }
+  }
+
+  /**
+   * Add samples field by field
+   *
+   * Unlike append, metrics a sample doesn't have keep their stored value,
+   * so sources that each report one metric can fill the same day.
+   * Provenance is merged per metric.
+   */
+  merge(samples) {
+    for (const sample of samples) {
+      const existing = this.series.get(sample.tool)?.get(sample.date);
+      if (!existing) {
+        this.append([sample]);
+        continue;
+      }
+
+      const merged = { ...existing, ...sample };
+      if (existing.provenance || sample.provenance) {
+        merged.provenance = { ...existing.provenance, ...sample.provenance };
+      }
+      this.append([merged]);
+    }
+  }
+
+  /**
+   * Drop every sample of a tool
+   */
+  remove(toolId) {
+    this.series.delete(toolId);
+  }
+
+  /**
+   * Tool IDs that have at least one sample
+   */
+  tools() {
+    return [...this.series.keys()];
+  }
+
+  /**
+   * First and last sample dates for a tool, or null if it has no data
+   */
+  range(toolId) {
+    const dates = this._sortedDates(toolId);
+    if (dates.length === 0) return null;
+    return { from: dates[0], to: dates[dates.length - 1] };
+  }
+
+  /**
+   * Daily samples for a tool between two dates (inclusive)
+   *
+   * Options:
+   * - from / to: 'YYYY-MM-DD' bounds, defaulting to the full range
+   * - fill: gap filling strategy (see fillGaps), or false to leave gaps
+   * - maxGap: longest gap to fill, in days (default DEFAULT_MAX_GAP)
+   */
+  query(toolId, { from, to, fill = false, maxGap } = {}) {
+    const series = this.series.get(toolId);
+    if (!series) return [];
+
+    const samples = this._sortedDates(toolId)
+      .filter(date => (!from || date >= from) && (!to || date <= to))
+      .map(date => series.get(date));
+
+    if (!fill || samples.length === 0) return samples;
+
+    return fillGaps(samples, {
+      from: from || samples[0].date,
+      to: to || samples[samples.length - 1].date,
+      strategy: fill,
+      maxGap
+    });
+  }
+
+  /**
+   * Sum a metric over the `days` days ending on `to` (inclusive)
+   *
+   * With `complete`, every day of the window needs a value for the
+   * metric, otherwise the sum is null rather than a partial total.
+   */
+  sumWindow(toolId, metric, days, to, { complete = false } = {}) {
+    const end = to || this.range(toolId)?.to;
+    if (!end) return null;
+
+    const samples = this.query(toolId, { from: addDays(end, -(days - 1)), to: end });
+    if (samples.length === 0) return null;
+    if (complete && samples.filter(s => s[metric] !== undefined && s[metric] !== null).length < days) return null;
+
+    return samples.reduce((sum, s) => sum + (s[metric] || 0), 0);
+  }
+
+  /**
+   * Helper: Sorted sample dates for a tool
+   */
+  _sortedDates(toolId) {
+    const series = this.series.get(toolId);
+    return series ? [...series.keys()].sort() : [];
+  }
+}
+
+/**
+ * Roll daily samples up into weeks (starting Monday) or calendar months
+ *
+ * Each period reports its key (`week` start date or `month`), the number
+ * of days it covers, and whether those days span the full period.
+ */
+export function rollup(samples, period = 'month') {
+  if (period === 'day') return samples;
+  if (period !== 'week' && period !== 'month') {
+    throw new Error(`Unsupported rollup period '${period}'. Expected day, week or month`);
+  }
+
+  const buckets = new Map();
+  for (const sample of samples) {
+    const key = period === 'week' ? startOfWeek(sample.date) : sample.date.slice(0, 7);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(sample);
+  }
+
+  return [...buckets.entries()].map(([key, days]) => {
+    const point = { [period]: key };
+
+    for (const [metric, aggregation] of Object.entries(METRIC_AGGREGATION)) {
+      const values = days.map(d => d[metric]).filter(v => v !== undefined && v !== null);
+      if (values.length === 0) continue;
+      point[metric] = aggregation === 'sum'
+        ? values.reduce((sum, v) => sum + v, 0)
+        : values[values.length - 1];
+    }
+
+    const expectedDays = period === 'week' ? 7 : daysInMonth(key);
+    point.days = days.filter(day => !day.missing).length;
+    point.complete = point.days === expectedDays;
+    return point;
+  });
+}
+
+/**
+ * Insert samples for missing dates between `from` and `to`
+ *
+ * Strategies:
+ * - 'zero': missing days are 0 (cumulative metrics carry forward)
+ * - 'previous': repeat the last known value
+ * - 'linear': interpolate between the surrounding known values
+ *
+ * Filled samples are marked with `filled: true`. Gaps longer than
+ * `maxGap` days aren't bridged: their days come back as
+ * `{ tool, date, missing: true }` without metrics, so a long outage (or
+ * data that simply doesn't exist) shows as a gap instead of invented values.
+ */
+export function fillGaps(samples, { from, to, strategy = 'linear', maxGap = DEFAULT_MAX_GAP } = {}) {
+  if (samples.length === 0) return [];
+  if (!['zero', 'previous', 'linear'].includes(strategy)) {
+    throw new Error(`Unsupported gap filling strategy '${strategy}'`);
+  }
+
+  const tool = samples[0].tool;
+  const byDate = new Map(samples.map(s => [s.date, s]));
+  const known = samples.map(s => s.date).sort();
+  const result = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (byDate.has(date)) {
+      result.push(byDate.get(date));
+      continue;
+    }
+
+    const before = byDate.get(findLast(known, d => d < date));
+    const after = byDate.get(known.find(d => d > date));
+    if (gapLength(before?.date, after?.date, from, to) > maxGap) {
+      result.push({ tool, date, missing: true });
+      continue;
+    }
+
+    const filled = { tool, date, filled: true };
+
+    for (const [metric, aggregation] of Object.entries(METRIC_AGGREGATION)) {
+      // Metrics that aren't tracked around the gap stay missing
+      if (before?.[metric] === undefined && after?.[metric] === undefined) continue;
+      filled[metric] = fillValue(metric, aggregation, strategy, date, before, after);
+    }
+    result.push(filled);
+  }
+
+  return result;
+}
+
+/**
+ * Helper: Value for one metric on a missing day
+ */
+function fillValue(metric, aggregation, strategy, date, before, after) {
+  const prev = before?.[metric];
+  const next = after?.[metric];
+
+  // Cumulative metrics never drop to zero, so carry them forward instead
+  if (strategy === 'zero' && aggregation === 'sum') return 0;
+  if (strategy === 'linear' && prev !== undefined && next !== undefined) {
+    const span = daysBetween(before.date, after.date);
+    const offset = daysBetween(before.date, date);
+    return Math.round(prev + (next - prev) * (offset / span));
+  }
+
+  return prev ?? next ?? 0;
+}
+
+/**
+ * Helper: Missing days in a gap between two known dates; a gap at either
+ * edge runs to that edge of the filled range
+ */
+function gapLength(before, after, from, to) {
+  const start = before ? addDays(before, 1) : from;
+  const end = after ? addDays(after, -1) : to;
+  return daysBetween(start, end) + 1;
+}
+
+/**
+ * Helper: Last array element matching a predicate
+ */
+function findLast(array, predicate) {
+  for (let i = array.length - 1; i >= 0; i--) {
+    if (predicate(array[i])) return array[i];
+  }
+  return undefined;
+}
+
+/**
+ * Date helpers
+ *
+ * Dates are 'YYYY-MM-DD' strings interpreted as UTC, which keeps them
+ * sortable and comparable as plain strings.
+ */
+export function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+export function addDays(date, days) {
+  const time = Date.parse(`${date}T00:00:00Z`) + days * DAY_MS;
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+export function daysInMonth(month) {
+  const [year, mon] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, mon, 0)).getUTCDate();
+}
+
+export function startOfWeek(date) {
+  // getUTCDay: Sunday = 0, so shift to make Monday the first day
+  const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return addDays(date, -weekday);
+}
@@ -0,0 +1,199 @@
+/**
+ * Version Adoption
+ *
+ * Splits a tool's daily downloads across its published versions, to show
+ * how quickly users move to new releases. Each release draws users away
+ * from the ones before it along an uptake curve:
+ *
+ * - A new major line (4.x after 3.x) is adopted slowly, and some users
+ *   never leave the old line. For 0.x packages every minor version starts
+ *   a line (0.24.x after 0.17.x), since semver treats those as breaking
+ * - A release within a line takes over from the line's earlier releases
+ *   within a few weeks
+ *
+ * A version's share of a day's downloads is its line's share times its
+ * share within the line. Releases may carry a `speed` (default 1): 2
+ * means users move to it twice as fast as usual. In production the split
+ * would come from npm's per-version download counts.
+ */
+
+import { addDays, daysBetween, startOfWeek, daysInMonth } from './timeseries.js';
+
+// Uptake curves: share = ceiling × (1 - e^(-days / tau))
+const LINE_UPTAKE = { tau: 75, ceiling: 0.85 };
+const RELEASE_UPTAKE = { tau: 10, ceiling: 0.95 };
+
+// Days after a release at which its uptake is reported
+export const UPTAKE_DAYS = [1, 7, 14, 30, 60, 90];
+
+/**
+ * Major line of a version: '4.x' for 4.77.0, '0.24.x' for 0.24.3
+ */
+export function majorLine(version) {
+  const [major, minor] = version.split('.');
+  return major === '0' ? `0.${minor}.x` : `${major}.x`;
+}
+
+/**
+ * Share of downloads per version on a date, for releases
+ * ([{ version, date, speed }], oldest first) published by then
+ *
+ * Returns { version: share } with shares summing to 1.
+ */
+export function versionShares(releases, date) {
+  const published = releases.filter(release => release.date <= date);
+  const lines = groupBy(published, release => majorLine(release.version));
+
+  const shares = {};
+  const lineShares = uptakeShares(lines.map(members => members[0]), date, LINE_UPTAKE);
+  lines.forEach((members, i) => {
+    const releaseShares = uptakeShares(members, date, RELEASE_UPTAKE);
+    members.forEach((release, j) => {
+      shares[release.version] = lineShares[i] * releaseShares[j];
+    });
+  });
+
+  return shares;
+}
+
+/**
+ * Split daily samples' downloads by version
+ *
+ * Returns [{ date, downloads, versions: { version: downloads } }]. Each
+ * day's versions add up to its downloads exactly.
+ */
+export function splitByVersion(samples, releases) {
+  return samples.map(({ date, downloads = 0 }) => {
+    const shares = Object.entries(versionShares(releases, date));
+    const versions = {};
+    if (shares.length === 0) return { date, downloads, versions };
+
+    // The largest share absorbs rounding
+    const [largest] = shares.reduce((max, entry) => (entry[1] > max[1] ? entry : max));
+    let assigned = 0;
+    for (const [version, share] of shares) {
+      if (version === largest) continue;
+      versions[version] = Math.round(downloads * share);
+      assigned += versions[version];
+    }
+    versions[largest] = downloads - assigned;
+
+    return { date, downloads, versions };
+  });
+}
+
+/**
+ * Sum daily version downloads into weeks or months
+ *
+ * `keyOf(version)` groups versions (e.g. majorLine). Partial periods at
+ * the edges are dropped. Returns [{ week | month, downloads, versions,
+ * shares }], with shares in percent.
+ */
+export function rollupVersions(days, period = 'month', keyOf = version => version) {
+  const buckets = new Map();
+  for (const day of days) {
+    const key = period === 'week' ? startOfWeek(day.date) : day.date.slice(0, 7);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(day);
+  }
+
+  return [...buckets.entries()]
+    .filter(([key, members]) => members.length === (period === 'week' ? 7 : daysInMonth(key)))
+    .map(([key, members]) => {
+      const versions = {};
+      for (const day of members) {
+        for (const [version, downloads] of Object.entries(day.versions)) {
+          const group = keyOf(version);
+          versions[group] = (versions[group] || 0) + downloads;
+        }
+      }
+
+      const downloads = members.reduce((sum, day) => sum + day.downloads, 0);
+      return { [period]: key, downloads, versions, shares: percentages(versions, downloads) };
+    });
+}
+
+/**
+ * Share of downloads a version had at set ages after its release
+ *
+ * Each reading is the version's share over the 7 days up to that age
+ * (fewer right after the release). Ages past the end of `days` are left
+ * out, and so are all of them for releases from before `days` begins.
+ * Returns [{ day, share_pct }].
+ */
+export function uptakeCurve(days, version, releaseDate) {
+  const byDate = new Map(days.map(day => [day.date, day]));
+  if (days.length === 0 || releaseDate < days[0].date) return [];
+  const last = days[days.length - 1].date;
+
+  return UPTAKE_DAYS
+    .filter(age => addDays(releaseDate, age) <= last)
+    .map(age => {
+      const end = addDays(releaseDate, age);
+      const start = addDays(end, -6) < releaseDate ? releaseDate : addDays(end, -6);
+      const window = [];
+      for (let date = start; date <= end; date = addDays(date, 1)) {
+        if (byDate.has(date)) window.push(byDate.get(date));
+      }
+
+      const total = window.reduce((sum, day) => sum + day.downloads, 0);
+      const own = window.reduce((sum, day) => sum + (day.versions[version] || 0), 0);
+      return { day: age, share_pct: total ? roundPct((own / total) * 100) : 0 };
+    });
+}
+
+/**
+ * Days until a release carried at least half of a day's downloads
+ *
+ * Null if it hasn't yet, or if it came out before `days` begins.
+ */
+export function daysToMajority(days, release) {
+  if (days.length === 0 || release.date < days[0].date) return null;
+  const day = days.find(d => d.date >= release.date && d.versions[release.version] * 2 >= d.downloads);
+  return day ? daysBetween(release.date, day.date) : null;
+}
+
+/**
+ * Helper: Product-form uptake shares for releases on a date
+ *
+ * The first release starts with everyone. Each later one takes its uptake
+ * from all earlier ones in proportion, so the shares always sum to 1.
+ */
+function uptakeShares(releases, date, { tau, ceiling }) {
+  const uptake = releases.map((release, i) => {
+    if (i === 0) return 1;
+    const age = daysBetween(release.date, date);
+    return age < 0 ? 0 : ceiling * (1 - Math.exp(-age * (release.speed ?? 1) / tau));
+  });
+
+  return uptake.map((u, i) => uptake.slice(i + 1).reduce((share, later) => share * (1 - later), u));
+}
+
+/**
+ * Helper: Group items by key, keeping first-seen order
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Helper: Values as percentages of a total, to one decimal place
+ */
+function percentages(values, total) {
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, total ? roundPct((value / total) * 100) : 0])
+  );
+}
+
+/**
+ * Helper: Round a percentage to one decimal place
+ */
+function roundPct(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,119 @@
+/**
+ * Exports
+ *
+ * Serializes export tables (see tables.js) and hands them back as MCP
+ * content blocks, either embedded in the result or written to a file:
+ *
+ * - csv: RFC 4180, opens directly in Excel, Numbers and Google Sheets
+ * - markdown: a GitHub-flavored Markdown table
+ * - jsonl: one JSON object per row
+ *
+ * Files go to EXPORT_DIR (default data/exports). Their names are built
+ * from catalog IDs and a timestamp, never from user input, so they
+ * always land inside that directory.
+ */
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { localizer } from '../i18n/index.js';
+
+export { comparisonTable, historyTable, searchTable } from './tables.js';
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  jsonl: { extension: 'jsonl', mimeType: 'application/jsonl' }
+};
+
+export const DEFAULT_EXPORT_DIR = 'data/exports';
+
+// Marks files as UTF-8 for Excel, which otherwise assumes a legacy code page
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Serialize a table in an export format
+ */
+export function serializeTable(table, format) {
+  switch (format) {
+    case 'csv':
+      return [table.columns, ...table.rows.map(row => table.columns.map(column => row[column]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+    case 'markdown':
+      return [
+        `| ${table.columns.map(markdownCell).join(' | ')} |`,
+        `|${table.columns.map(() => '---').join('|')}|`,
+        ...table.rows.map(row => `| ${table.columns.map(column => markdownCell(row[column])).join(' | ')} |`)
+      ].join('\n') + '\n';
+    case 'jsonl':
+      return table.rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Content blocks for an exported table
+ *
+ * Options:
+ * - format: 'csv', 'markdown' or 'jsonl'
+ * - to: 'resource' embeds the export in the result; 'file' writes it
+ *   under `dir` and returns a text note plus a resource link
+ * - dir: output directory (default: EXPORT_DIR)
+ * - locale: language of the text note
+ * - now: clock function, for tests
+ */
+export function exportContent(table, { format, to = 'resource', dir, locale, now = Date.now } = {}) {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const text = serializeTable(table, format);
+
+  if (to !== 'file') {
+    return [{
+      type: 'resource',
+      resource: { uri: `export://${table.name}.${extension}`, mimeType, text }
+    }];
+  }
+
+  const directory = resolve(dir || process.env.EXPORT_DIR || DEFAULT_EXPORT_DIR);
+  const stamp = new Date(now()).toISOString().replace(/[:.]/g, '-');
+  const fileName = `${safeName(table.name)}-${stamp}.${extension}`;
+  const path = join(directory, fileName);
+
+  mkdirSync(directory, { recursive: true });
+  writeFileSync(path, format === 'csv' ? UTF8_BOM + text : text);
+
+  return [
+    { type: 'text', text: localizer(locale).t('export.saved', { count: table.rows.length, path }) },
+    { type: 'resource_link', uri: pathToFileURL(path).href, name: fileName, mimeType }
+  ];
+}
+
+/**
+ * Helper: CSV cell, quoted when needed
+ *
+ * Text starting with = + - @ is prefixed with ' so spreadsheets don't
+ * run it as a formula.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Helper: Markdown table cell, with pipes and line breaks escaped
+ */
+function markdownCell(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Helper: Table name reduced to file-name-safe characters
+ */
+function safeName(name) {
+  return name.replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/^\.+/, '');
+}
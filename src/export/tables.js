@@ -0,0 +1,98 @@
+/**
+ * Export Tables
+ *
+ * Flattens API payloads into tables, { name, columns, rows }, for export.
+ * Values stay raw (36143000, not "36.1M") so spreadsheets can compute
+ * with them; missing values are null. Each row is an object keyed by
+ * column.
+ */
+
+import { REGISTRIES } from '../catalog/registries.js';
+
+// Registries that publish download counts, in display order
+const COUNTED_REGISTRIES = Object.keys(REGISTRIES).filter(key => REGISTRIES[key].downloads);
+
+/**
+ * Table of compared tools (compare_tools payload), one row per tool
+ */
+export function comparisonTable(apiResponse) {
+  const { tools, time_range, registry } = apiResponse;
+
+  return {
+    name: `comparison-${tools.map(tool => tool.id).join('-')}`,
+    ...metricsTable(tools, registry, time_range)
+  };
+}
+
+/**
+ * Table of search results (search_tools payload), one row per tool
+ *
+ * Covers the returned page; includes each tool's composite score.
+ */
+export function searchTable(apiResponse) {
+  const { results, filters = {} } = apiResponse;
+  const table = metricsTable(results, filters.registry || 'all', '30d');
+
+  return {
+    name: 'search',
+    columns: [...table.columns, 'score'],
+    rows: table.rows.map((row, index) => ({ ...row, score: results[index].score ?? null }))
+  };
+}
+
+/**
+ * Table of a tool's download history (get_tool_history payload), one
+ * row per month or week, with a column per registry
+ */
+export function historyTable(apiResponse) {
+  const { tool_id, data } = apiResponse;
+  const period = data[0]?.week ? 'week' : 'month';
+  const registries = COUNTED_REGISTRIES.filter(key => data.some(point => point.registries?.[key] !== undefined));
+
+  return {
+    name: `history-${tool_id}`,
+    columns: ['tool_id', period, 'downloads', ...registries.map(key => `${key}_downloads`), 'stars', 'mentions', 'days', 'complete'],
+    rows: data.map(point => ({
+      tool_id,
+      [period]: point[period],
+      downloads: point.downloads,
+      ...Object.fromEntries(registries.map(key => [`${key}_downloads`, point.registries?.[key] ?? null])),
+      stars: point.stars ?? null,
+      mentions: point.mentions ?? null,
+      days: point.days ?? null,
+      complete: point.complete ?? null
+    }))
+  };
+}
+
+/**
+ * Helper: Columns and rows for tools' current metrics
+ */
+function metricsTable(tools, registry = 'all', timeRange) {
+  return {
+    columns: [
+      'id', 'name', 'category', 'registry', 'package',
+      'downloads_monthly', 'downloads_weekly', `downloads_growth_pct_${timeRange}`,
+      ...COUNTED_REGISTRIES.map(key => `${key}_downloads_monthly`),
+      'github_stars', 'stackoverflow_questions_30d', 'reddit_mentions_30d', 'last_updated'
+    ],
+    rows: tools.map(tool => ({
+      id: tool.id,
+      name: tool.name,
+      category: tool.category,
+      registry,
+      package: tool.packages?.[registry] || tool.package,
+      downloads_monthly: tool.downloads_monthly ?? null,
+      downloads_weekly: tool.downloads_weekly ?? null,
+      [`downloads_growth_pct_${timeRange}`]: tool.downloads_growth_pct ?? null,
+      ...Object.fromEntries(COUNTED_REGISTRIES.map(key => [
+        `${key}_downloads_monthly`,
+        tool.registries?.find(r => r.registry === key)?.downloads_monthly ?? null
+      ])),
+      github_stars: tool.github_stars ?? null,
+      stackoverflow_questions_30d: tool.stackoverflow_questions_30d ?? null,
+      reddit_mentions_30d: tool.reddit_mentions_30d ?? null,
+      last_updated: tool.last_updated ?? null
+    }))
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Localization
+ *
+ * Message catalogs plus number and date formatting for the text that
+ * formatters produce. A localizer bundles both for one locale:
+ *
+ *   const l = localizer('de');
+ *   l.t('history.title', { name: 'CURSOR', count: 6 });
+ *   l.number(36143000);   // "36,1 Mio."
+ *   l.percent(8.4, { signed: true });   // "+8,4 %"
+ *
+ * The locale comes from the call's `locale` argument, else LOCALE, else
+ * English. EMOJI=false strips emoji from text results for clients that
+ * show them as boxes. Payloads (structuredContent, JSON, exports) are
+ * never localized.
+ */
+
+import en from './messages/en.js';
+import de from './messages/de.js';
+import ja from './messages/ja.js';
+
+const CATALOGS = { en, de, ja };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+export const DEFAULT_LOCALE = resolveLocale(process.env.LOCALE) || 'en';
+
+export const EMOJI_ENABLED = process.env.EMOJI !== 'false';
+
+// An emoji (with variation selector, skin tone or ZWJ sequence) and the space after it
+const EMOJI_PATTERN = /\p{Extended_Pictographic}[\u{FE0F}\u{1F3FB}-\u{1F3FF}]*(?:\u{200D}\p{Extended_Pictographic}[\u{FE0F}\u{1F3FB}-\u{1F3FF}]*)* ?/gu;
+
+const localizers = new Map();
+
+/**
+ * Supported catalog for a locale tag ('de', 'de-AT', 'ja_JP'), or null
+ */
+export function resolveLocale(locale) {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[language] ? language : null;
+}
+
+/**
+ * Localizer for a locale, falling back to DEFAULT_LOCALE
+ */
+export function localizer(locale) {
+  const code = resolveLocale(locale) || DEFAULT_LOCALE;
+  if (!localizers.has(code)) {
+    localizers.set(code, createLocalizer(code));
+  }
+  return localizers.get(code);
+}
+
+/**
+ * Text with emoji removed, for plain-text clients
+ */
+export function withoutEmoji(text) {
+  return text.replace(EMOJI_PATTERN, '');
+}
+
+/**
+ * Helper: Build the message lookup and Intl formatters for one locale
+ */
+function createLocalizer(code) {
+  const catalog = CATALOGS[code];
+  const plurals = new Intl.PluralRules(code);
+  const compact = [0, 1].map(digits => new Intl.NumberFormat(code, catalog.compactSignificantDigits
+    ? { notation: 'compact', maximumSignificantDigits: catalog.compactSignificantDigits }
+    : { notation: 'compact', minimumFractionDigits: digits, maximumFractionDigits: digits }));
+  const integers = new Intl.NumberFormat(code, { maximumFractionDigits: 0 });
+  const percents = new Map();
+  const months = new Intl.DateTimeFormat(code, { year: 'numeric', month: '2-digit', timeZone: 'UTC' });
+  const days = new Intl.DateTimeFormat(code, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC' });
+
+  const percentFormat = (signed, digits) => {
+    const key = `${signed}:${digits}`;
+    if (!percents.has(key)) {
+      percents.set(key, new Intl.NumberFormat(code, {
+        style: 'percent',
+        minimumFractionDigits: digits ?? 0,
+        maximumFractionDigits: digits ?? 1,
+        signDisplay: signed ? 'exceptZero' : 'auto'
+      }));
+    }
+    return percents.get(key);
+  };
+
+  return {
+    locale: code,
+
+    /**
+     * Message for a dotted key with {placeholders} filled in; plural
+     * messages are picked by params.count
+     */
+    t(key, params = {}) {
+      let message = lookup(catalog, key) ?? lookup(en, key) ?? key;
+      if (typeof message === 'object') {
+        message = message[plurals.select(params.count ?? 0)] ?? message.other;
+      }
+      return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+    },
+
+    /**
+     * Large count in short form: 36.1M, 450K (de: 36,1 Mio.; ja: 3610万)
+     */
+    number(num) {
+      return compact[Math.abs(num) >= 1_000_000 ? 1 : 0].format(num);
+    },
+
+    /**
+     * Whole number with grouping: 1,250 (de: 1.250)
+     */
+    integer(num) {
+      return integers.format(num);
+    },
+
+    /**
+     * Plain decimal, up to `digits` fraction digits, '+' if signed
+     */
+    decimal(num, { signed = false, digits = 2 } = {}) {
+      return new Intl.NumberFormat(code, {
+        maximumFractionDigits: digits,
+        signDisplay: signed ? 'exceptZero' : 'auto'
+      }).format(num);
+    },
+
+    /**
+     * Percentage given in percent (8.4 → "8.4%"); `digits` fixes the
+     * number of fraction digits, otherwise up to one is shown
+     */
+    percent(pct, { signed = false, digits } = {}) {
+      return percentFormat(signed, digits).format(pct / 100);
+    },
+
+    /**
+     * 'YYYY-MM' month in the locale's style (de: 12.2024, ja: 2024/12)
+     */
+    month(month) {
+      return catalog.isoDates || !/^\d{4}-\d{2}$/.test(month || '')
+        ? month
+        : months.format(new Date(`${month}-01T00:00:00Z`));
+    },
+
+    /**
+     * 'YYYY-MM-DD' date in the locale's style (de: 23.12.2024, ja: 2024/12/23)
+     */
+    day(date) {
+      return catalog.isoDates || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')
+        ? date
+        : days.format(new Date(`${date}T00:00:00Z`));
+    },
+
+    /**
+     * Items joined with the locale's list separator
+     */
+    list(items) {
+      return items.join(this.t('common.listSeparator'));
+    }
+  };
+}
+
+/**
+ * Helper: Value at a dotted key path, or undefined
+ *
+ * Keys under errors.contexts contain spaces but no dots, so splitting
+ * on dots is safe.
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
@@ -0,0 +1,331 @@
+/**
+ * German Messages
+ *
+ * Same keys as en.js; missing keys fall back to English.
+ */
+
+export default {
+  isoDates: false,
+
+  common: {
+    listSeparator: ', ',
+    allRegistries: 'alle Registries',
+    noDownloadCounts: '{registry}: keine Downloadzahlen',
+    weekOf: 'Woche ab {date}',
+    theWeekOf: 'der Woche ab {date}',
+    category: 'Kategorie: {category}',
+    trend: 'Trend: {sparkline}',
+    note: 'Notiz: {note}',
+    na: 'k. A.',
+    downloadsPerMonth: '{downloads} Downloads/Monat',
+    downloadsPerWeek: '{downloads} Downloads/Woche',
+    githubStars: '{stars} GitHub-Sterne',
+    soQuestions: '{count} Stack-Overflow-Fragen (30 T.)',
+    redditMentions: '{count} Reddit-Erwähnungen (30 T.)'
+  },
+
+  comparison: {
+    empty: 'Keine Tools zum Vergleichen gefunden.',
+    title: '📊 Vergleich von KI-Entwicklertools: {count} Tools ({timeRange}, {registry})',
+    notPublished: 'Monatliche Downloads: nicht auf {registry} veröffentlicht',
+    downloads: 'Monatliche Downloads: {downloads} ({indicator} {growth} ggü. Vorperiode)',
+    byRegistry: 'Nach Registry: {breakdown}',
+    trend: '{count}-Monats-Trend: {sparkline}',
+    stars: 'GitHub-Sterne: {stars}',
+    community: 'Community: {questions} SO-Fragen, {mentions} Reddit-Erwähnungen',
+    insights: '**Wichtigste Erkenntnisse:**',
+    fastest: '**Stärkstes Wachstum:** {name} ({growth})',
+    mostDownloads: '**Meiste Downloads:** {name} ({downloads}/Monat)'
+  },
+
+  trending: {
+    empty: 'Keine Trend-Tools für {timeRange} gefunden.',
+    title: '🔥 Im Trend: am schnellsten wachsende KI-Entwicklertools ({timeRange})',
+    growth: 'Wachstum: {growth} ({downloads} Downloads/Monat)'
+  },
+
+  score: {
+    title: '🏅 Top-KI-Entwicklertools nach Adoption-Score (Wachstum über {timeRange})',
+    points: '{score}/100',
+    weights: '**Gewichtung:** {weights}. Jedes Signal wird über alle erfassten Tools auf 0-1 skaliert (logarithmisch bei Zählwerten), damit reine npm-Volumina nicht dominieren.',
+    signals: {
+      downloads: 'Downloads',
+      growth: 'Wachstum',
+      stars: 'Sterne',
+      so_questions: 'Stack Overflow',
+      reddit_mentions: 'Reddit'
+    }
+  },
+
+  history: {
+    empty: 'Keine historischen Daten für {tool} gefunden.',
+    title: {
+      one: '📈 {name} - Adoption im Verlauf ({count} Monat)',
+      other: '📈 {name} - Adoption im Verlauf ({count} Monate)'
+    },
+    downloadTrend: '**Download-Verlauf ({registry}):**',
+    point: '{label}: {downloads} Downloads{split}',
+    analysis: '**Wachstumsanalyse:**',
+    totalGrowth: {
+      one: 'Gesamtwachstum: {growth} über {count} Monat',
+      other: 'Gesamtwachstum: {growth} über {count} Monate'
+    },
+    averageMonthly: 'Durchschnitt pro Monat: {growth}',
+    currentMonth: 'Aktuell: {downloads} Downloads/Monat',
+    currentWeek: 'Aktuell: {downloads} Downloads/Woche'
+  },
+
+  anomalies: {
+    title: {
+      one: '🚨 {name} - Download-Anomalien (letzter Monat)',
+      other: '🚨 {name} - Download-Anomalien (letzte {count} Monate)'
+    },
+    checked: 'Geprüft von {from} bis {to} auf Tage, die vom üblichen Wochentagsmuster abweichen (robuster z-Wert über ±{threshold}).',
+    none: '✅ Keine ungewöhnlichen Spitzen oder Einbrüche. Die Downloads blieben im erwarteten Bereich.',
+    found: {
+      one: '**{count} Anomalie gefunden:**',
+      other: '**{count} Anomalien gefunden:**'
+    },
+    spike: 'Spitze',
+    drop: 'Einbruch',
+    confidence: {
+      low: 'niedrige',
+      medium: 'mittlere',
+      high: 'hohe'
+    },
+    span: ', {count} Tage ab {date}',
+    event: '{icon} **{label}** am {date} ({confidence} Konfidenz{span})',
+    values: '{downloads} Downloads statt erwarteter ~{expected} ({deviation}, z = {z})',
+    cause: 'Wahrscheinliche Ursache: Release {version} „{title}“ ({date})',
+    noReleaseDrop: 'Kein Release in der Nähe: Registry-Ausfälle, CDN-Caching oder CI-Änderungen prüfen',
+    noReleaseSpike: 'Kein Release in der Nähe: vielleicht eine Erwähnung in den Nachrichten, ein Release eines abhängigen Pakets oder eine CI-Schleife',
+    releases: '**Releases im Zeitraum:** {releases}'
+  },
+
+  forecast: {
+    title: {
+      one: '🔮 {name} - Adoptionsprognose (nächster Monat)',
+      other: '🔮 {name} - Adoptionsprognose (nächste {count} Monate)'
+    },
+    model: '**Modell:** {model}',
+    chosenBy: ' (gewählt nach Backtest-Fehler: {errors})',
+    models: {
+      linear: 'Linearer Trend',
+      exponential: 'Exponentielles Wachstum',
+      holt: 'Holt-Trendglättung'
+    },
+    lastActual: '**Letzter Istwert:** {month}: {downloads} Downloads',
+    projected: '**Prognostizierte monatliche Downloads ({confidence}-Intervall):**',
+    horizon: {
+      one: 'innerhalb von {count} Monat',
+      other: 'innerhalb von {count} Monaten'
+    },
+    target: '**🎯 Ziel: {downloads} Downloads/Monat**',
+    alreadyReached: 'Bereits erreicht: {month} hatte {downloads} Downloads.',
+    expectedIn: 'Erwartet für {month}',
+    notExpected: 'Nicht {horizon} erwartet',
+    notWithin: 'nicht {horizon}',
+    range: ' (frühestens {earliest}, spätestens {latest})',
+    notExpectedAtAll: 'Nicht {horizon} erwartet, selbst am optimistischen Ende des Intervalls.',
+    versus: '**⚔️ {challenger} gegen {leader}**',
+    overtakes: '{challenger} überholt {leader} voraussichtlich in {month}',
+    doesNotOvertake: '{challenger} überholt {leader} voraussichtlich nicht {horizon}',
+    neverOvertakes: '{challenger} überholt {leader} voraussichtlich nicht {horizon}.',
+    disclaimer: '_Prognosen schreiben vergangene Trends fort; Releases, Preisänderungen und Wettbewerber können die Adoption schnell verändern._'
+  },
+
+  leaderboard: {
+    empty: 'Keine Tools mit Kennzahlen in dieser Kategorie gefunden.',
+    title: '🏆 Rangliste der KI-Entwicklertools nach {metric} ({timeRange})',
+    metrics: {
+      downloads: 'Downloads',
+      weekly_downloads: 'wöchentlichen Downloads',
+      stars: 'Sternen',
+      so_questions: 'SO-Fragen',
+      reddit_mentions: 'Reddit-Erwähnungen',
+      growth: 'Wachstum'
+    },
+    category: {
+      one: '**{category}**: {downloads} Downloads in {timeRange} ({growth}), {count} Tool',
+      other: '**{category}**: {downloads} Downloads in {timeRange} ({growth}), {count} Tools'
+    },
+    downloadsValue: '{downloads} Downloads in {timeRange}',
+    growthValue: '{growth} Wachstum',
+    share: 'Anteil: {share} der Downloads der Kategorie ({change})',
+    unchanged: 'unverändert',
+    shareChange: '{arrow} {pp} Pp. ggü. Vorperiode',
+    gained: '**Größte Veränderung:** {name} gewann {points} Prozentpunkte Anteil',
+    lost: '**Größte Veränderung:** {name} verlor {points} Prozentpunkte Anteil'
+  },
+
+  watch: {
+    watching: '👀 Beobachte {name}: Alarm, wenn {description}',
+    updated: '👀 Aktualisiert {name}: Alarm, wenn {description}',
+    ruleId: 'Regel-ID: `{id}`',
+    current: 'Aktuell: {value}, ',
+    alreadyTriggered: '🔔 bereits ausgelöst',
+    notTriggered: 'nicht ausgelöst',
+    runCheck: 'Führe check_alerts aus, um die Beobachtungsliste zu prüfen.',
+    empty: 'Die Beobachtungsliste ist leer. Füge mit add_to_watchlist eine Regel hinzu, z. B. „benachrichtige mich, wenn das Cursor-Wachstum über 7 Tage 30 % übersteigt“.',
+    title: {
+      one: '👀 Beobachtungsliste: {count} Regel',
+      other: '👀 Beobachtungsliste: {count} Regeln'
+    },
+    notChecked: 'noch nicht geprüft',
+    triggered: '🔔 ausgelöst',
+    ok: '✅ ok',
+    lastCheck: '{status} bei der letzten Prüfung ({value})',
+    nothingToCheck: 'Die Beobachtungsliste ist leer, es gibt nichts zu prüfen. Füge Regeln mit add_to_watchlist hinzu.',
+    noAlerts: {
+      one: '✅ Keine Alarme: die Regel hat nicht ausgelöst.',
+      other: '✅ Keine Alarme: keine der {count} Regeln hat ausgelöst.'
+    },
+    alertsTitle: {
+      one: '🔔 Alarme: {alerts} von {count} Regel ausgelöst',
+      other: '🔔 Alarme: {alerts} von {count} Regeln ausgelöst'
+    },
+    alert: '**{name}**: {description}. Jetzt {value} (`{id}`)',
+    triggeredSince: 'Ausgelöst seit {date}',
+    noData: 'keine Daten',
+    noBaseline: '{value}, kein Ausgangswert',
+    change: '{value}, {change} Veränderung',
+    unevaluatedTitle: {
+      one: '⚠️ {count} Regel konnte nicht geprüft werden und behält ihr letztes Ergebnis:',
+      other: '⚠️ {count} Regeln konnten nicht geprüft werden und behalten ihr letztes Ergebnis:'
+    },
+    unevaluated: '**{name}**: {description}. {error} (`{id}`)',
+    notification: 'Alarm der Beobachtungsliste: {name} {description}',
+    rule: {
+      metrics: {
+        downloads: 'Downloads',
+        weekly_downloads: 'wöchentliche Downloads',
+        stars: 'Sterne',
+        so_questions: 'SO-Fragen',
+        reddit_mentions: 'Reddit-Erwähnungen'
+      },
+      growth: 'Wachstum ({timeRange})',
+      above: '{metric} über {threshold}',
+      below: '{metric} unter {threshold}',
+      rises_by: '{metric} steigen um {threshold} ({against})',
+      drops_by: '{metric} fallen um {threshold} ({against})',
+      sincePeriod: '{timeRange} gegenüber den {timeRange} davor',
+      sinceAdded: 'seit die Regel angelegt wurde'
+    }
+  },
+
+  profile: {
+    metric: 'Kennzahl',
+    value: 'Wert',
+    package: 'Paket',
+    category: 'Kategorie',
+    monthlyDownloads: 'Monatliche Downloads',
+    weeklyDownloads: 'Wöchentliche Downloads',
+    growth: 'Download-Wachstum',
+    stars: 'GitHub-Sterne',
+    soQuestions: 'Stack-Overflow-Fragen (30 T.)',
+    redditMentions: 'Reddit-Erwähnungen (30 T.)',
+    asOf: '_Kennzahlen mit Stand {date}._'
+  },
+
+  versions: {
+    title: '📦 {name} - Versionsverteilung (`{package}`, {from} bis {to})',
+    empty: 'Keine vollständigen Zeiträume mit Versionsdaten in diesem Bereich.',
+    byMajor: '**Download-Anteil nach Hauptversion:**',
+    byVersion: '**Download-Anteil nach Version:**',
+    other: 'andere {share}',
+    newest: '**🆕 Neuestes Release: {version}{title}**',
+    releaseTitle: ' „{title}“',
+    released: '({date}, seitdem {count} Tage an Daten)',
+    tooRecent: 'Zu neu, um die Verbreitung schon zu messen.',
+    uptake: 'Anteil an den Downloads nach dem Release:',
+    uptakeVersus: 'Anteil an den Downloads nach dem Release (ggü. {version} im selben Alter):',
+    day: 'Tag {day}',
+    versus: ' ({version} brauchte {days})',
+    notMajority: '{version} hat noch nicht die Hälfte aller Downloads erreicht{versus}',
+    majority: {
+      one: '{version} überschritt nach {count} Tag die Hälfte aller Downloads{versus}',
+      other: '{version} überschritt nach {count} Tagen die Hälfte aller Downloads{versus}'
+    },
+    faster: ': schneller als das vorherige Release',
+    slower: ': langsamer als das vorherige Release',
+    holding: 'Noch weit verbreitet in {label}: {lines}',
+    fading: 'Unter {share} der Downloads in {label}, Kandidaten für das Ende des Supports: {lines}'
+  },
+
+  export: {
+    saved: {
+      one: '📄 {count} Zeile nach {path} exportiert',
+      other: '📄 {count} Zeilen nach {path} exportiert'
+    }
+  },
+
+  historyTable: {
+    title: '# {name}: Download-Verlauf',
+    month: 'Monat',
+    downloads: 'Downloads',
+    change: 'Veränderung'
+  },
+
+  snapshot: {
+    title: '# KI-Entwicklertools: Kennzahlen-Überblick',
+    tool: 'Tool',
+    category: 'Kategorie',
+    monthlyDownloads: 'Monatliche Downloads',
+    growth: 'Wachstum (30 T.)',
+    stars: 'GitHub-Sterne',
+    soQuestions: 'SO-Fragen (30 T.)',
+    redditMentions: 'Reddit-Erwähnungen (30 T.)',
+    score: 'Score'
+  },
+
+  search: {
+    noMore: 'Keine weiteren Tools für diese Suche gefunden.',
+    empty: 'Keine Tools entsprechen den Suchkriterien.',
+    title: '🔍 Suchergebnisse: KI-Entwicklertools',
+    category: 'Kategorie: {category}',
+    minDownloads: 'Min. Downloads: {downloads}',
+    keyword: 'Stichwort: „{keyword}“',
+    registry: 'Registry: {registry}',
+    filters: '**Filter:** {filters}',
+    found: {
+      one: '**Gefunden:** {count} Tool',
+      other: '**Gefunden:** {count} Tools'
+    },
+    sortedBy: '**Sortiert nach:** {sort} ({order})',
+    noDownloadCounts: 'Keine Downloadzahlen auf {registry}',
+    byRegistry: 'Nach Registry: {breakdown}',
+    growth: '{growth} Wachstum (30 T.)',
+    score: 'Adoption-Score: {score}/100',
+    from: 'Aus: {breakdown}',
+    summary: '**Zusammenfassung:**',
+    summaryPage: '**Zusammenfassung (diese Seite):**',
+    totalDownloads: 'Monatliche Downloads gesamt: {downloads}',
+    averageDownloads: 'Durchschnitt pro Tool: {downloads}',
+    showing: 'Angezeigt: {from}-{to} von {total}. ',
+    nextPage: 'Für die nächste Seite erneut suchen mit cursor: `{cursor}`'
+  },
+
+  errors: {
+    unableTo: '{context} fehlgeschlagen: ',
+    unexpected: 'Ein unerwarteter Fehler ist aufgetreten',
+    fixArguments: 'Korrigiere diese Argumente und rufe das Tool erneut auf.',
+    didYouMean: 'Meintest du: {names}?',
+    notFound: 'Suche zuerst nach verfügbaren Tools oder prüfe die Schreibweise des Tool-Namens.',
+    degraded: 'Die Kennzahlen-API schlägt wiederholt fehl, daher werden Anfragen kurz pausiert, damit sie sich erholen kann. Zwischengespeicherte Antworten auf frühere Fragen sind eventuell noch verfügbar.',
+    timeout: 'Bitte versuche es gleich noch einmal.',
+    // Keyed by the English phrase tools pass to errorResult
+    contexts: {
+      'compare tools': 'Vergleich der Tools',
+      'search tools': 'Suche nach Tools',
+      'add the watch rule': 'Hinzufügen der Beobachtungsregel',
+      'list the watchlist': 'Anzeigen der Beobachtungsliste',
+      'check alerts': 'Prüfen der Alarme',
+      'get trending tools': 'Abruf der Trend-Tools',
+      'build the category leaderboard': 'Erstellen der Kategorie-Rangliste',
+      'get version adoption': 'Abruf der Versionsverteilung',
+      'detect anomalies': 'Erkennen von Anomalien',
+      'forecast adoption': 'Prognose der Adoption',
+      'get tool history': 'Abruf des Tool-Verlaufs'
+    }
+  }
+};
@@ -0,0 +1,321 @@
+/**
+ * English Messages
+ *
+ * The reference catalog: every key exists here, and the other catalogs
+ * fall back to it for keys they lack. Placeholders look like {name};
+ * messages that depend on a number are { one, other } objects, picked
+ * by {count} with Intl.PluralRules.
+ */
+
+export default {
+  // Dates stay YYYY-MM(-DD): unambiguous across en-US and en-GB
+  isoDates: true,
+
+  common: {
+    listSeparator: ', ',
+    allRegistries: 'all registries',
+    noDownloadCounts: '{registry}: no download counts',
+    weekOf: 'Week of {date}',
+    theWeekOf: 'the week of {date}',
+    category: 'Category: {category}',
+    trend: 'Trend: {sparkline}',
+    note: 'Note: {note}',
+    na: 'n/a',
+    downloadsPerMonth: '{downloads} downloads/month',
+    downloadsPerWeek: '{downloads} downloads/week',
+    githubStars: '{stars} GitHub stars',
+    soQuestions: '{count} Stack Overflow questions (30d)',
+    redditMentions: '{count} Reddit mentions (30d)'
+  },
+
+  comparison: {
+    empty: 'No tools found for comparison.',
+    title: '📊 AI Developer Tools Comparison: {count} tools ({timeRange}, {registry})',
+    notPublished: 'Monthly Downloads: not published on {registry}',
+    downloads: 'Monthly Downloads: {downloads} ({indicator} {growth} vs last period)',
+    byRegistry: 'By Registry: {breakdown}',
+    trend: '{count}-Month Trend: {sparkline}',
+    stars: 'GitHub Stars: {stars}',
+    community: 'Community: {questions} SO questions, {mentions} Reddit mentions',
+    insights: '**Key Insights:**',
+    fastest: '**Fastest Growing:** {name} ({growth})',
+    mostDownloads: '**Most Downloads:** {name} ({downloads}/month)'
+  },
+
+  trending: {
+    empty: 'No trending tools found for {timeRange}.',
+    title: '🔥 Trending: Fastest Growing AI Developer Tools ({timeRange})',
+    growth: 'Growth: {growth} ({downloads} downloads/month)'
+  },
+
+  score: {
+    title: '🏅 Top AI Developer Tools by Adoption Score (growth over {timeRange})',
+    points: '{score}/100',
+    weights: "**Weights:** {weights}. Each signal is scaled 0-1 across all tracked tools (log scale for counts), so raw npm volume doesn't dominate.",
+    signals: {
+      downloads: 'downloads',
+      growth: 'growth',
+      stars: 'stars',
+      so_questions: 'Stack Overflow',
+      reddit_mentions: 'Reddit'
+    }
+  },
+
+  history: {
+    empty: 'No historical data found for {tool}.',
+    title: {
+      one: '📈 {name} - Historical Adoption ({count} Month)',
+      other: '📈 {name} - Historical Adoption ({count} Months)'
+    },
+    downloadTrend: '**Download Trend ({registry}):**',
+    point: '{label}: {downloads} downloads{split}',
+    analysis: '**Growth Analysis:**',
+    totalGrowth: {
+      one: 'Total Growth: {growth} over {count} month',
+      other: 'Total Growth: {growth} over {count} months'
+    },
+    averageMonthly: 'Average Monthly: {growth}',
+    currentMonth: 'Current: {downloads} downloads/month',
+    currentWeek: 'Current: {downloads} downloads/week'
+  },
+
+  anomalies: {
+    title: {
+      one: '🚨 {name} - Download Anomalies (Last {count} Month)',
+      other: '🚨 {name} - Download Anomalies (Last {count} Months)'
+    },
+    checked: 'Checked {from} to {to} for days that break from the usual weekday pattern (robust z-score beyond ±{threshold}).',
+    none: '✅ No unusual spikes or drops. Downloads stayed within the expected range.',
+    found: {
+      one: '**Found {count} anomaly:**',
+      other: '**Found {count} anomalies:**'
+    },
+    spike: 'Spike',
+    drop: 'Drop',
+    confidence: {
+      low: 'low',
+      medium: 'medium',
+      high: 'high'
+    },
+    span: ', {count} days from {date}',
+    event: '{icon} **{label}** on {date} ({confidence} confidence{span})',
+    values: '{downloads} downloads vs ~{expected} expected ({deviation}, z = {z})',
+    cause: 'Likely cause: release {version} "{title}" ({date})',
+    noReleaseDrop: 'No release nearby: check for registry outages, CDN caching or CI changes',
+    noReleaseSpike: "No release nearby: possibly a mention in the news, a dependent's release or a CI loop",
+    releases: '**Releases in range:** {releases}'
+  },
+
+  forecast: {
+    title: {
+      one: '🔮 {name} - Adoption Forecast (Next {count} Month)',
+      other: '🔮 {name} - Adoption Forecast (Next {count} Months)'
+    },
+    model: '**Model:** {model}',
+    chosenBy: ' (chosen by backtest error: {errors})',
+    models: {
+      linear: 'Linear trend',
+      exponential: 'Exponential growth',
+      holt: "Holt's trend smoothing"
+    },
+    lastActual: '**Last actual:** {month}: {downloads} downloads',
+    projected: '**Projected Monthly Downloads ({confidence} interval):**',
+    horizon: {
+      one: 'within {count} month',
+      other: 'within {count} months'
+    },
+    target: '**🎯 Target: {downloads} downloads/month**',
+    alreadyReached: 'Already reached: {month} had {downloads} downloads.',
+    expectedIn: 'Expected in {month}',
+    notExpected: 'Not expected {horizon}',
+    notWithin: 'not {horizon}',
+    range: ' (earliest {earliest}, latest {latest})',
+    notExpectedAtAll: 'Not expected {horizon}, even at the optimistic end of the interval.',
+    versus: '**⚔️ {challenger} vs {leader}**',
+    overtakes: '{challenger} is projected to overtake {leader} in {month}',
+    doesNotOvertake: '{challenger} is not projected to overtake {leader} {horizon}',
+    neverOvertakes: '{challenger} is not projected to overtake {leader} {horizon}.',
+    disclaimer: '_Forecasts extrapolate past trends; releases, pricing changes and competitors can move adoption quickly._'
+  },
+
+  leaderboard: {
+    empty: 'No tools with metrics found in this category.',
+    title: '🏆 AI Developer Tools Leaderboard by {metric} ({timeRange})',
+    metrics: {
+      downloads: 'downloads',
+      weekly_downloads: 'weekly downloads',
+      stars: 'stars',
+      so_questions: 'so questions',
+      reddit_mentions: 'reddit mentions',
+      growth: 'growth'
+    },
+    category: {
+      one: '**{category}**: {downloads} downloads in {timeRange} ({growth}), {count} tool',
+      other: '**{category}**: {downloads} downloads in {timeRange} ({growth}), {count} tools'
+    },
+    downloadsValue: '{downloads} downloads in {timeRange}',
+    growthValue: '{growth} growth',
+    share: 'Share: {share} of category downloads ({change})',
+    unchanged: 'unchanged',
+    shareChange: '{arrow} {pp} pp vs previous period',
+    gained: '**Biggest mover:** {name} gained {points} points of share',
+    lost: '**Biggest mover:** {name} lost {points} points of share'
+  },
+
+  watch: {
+    watching: '👀 Watching {name}: alert when {description}',
+    updated: '👀 Updated {name}: alert when {description}',
+    ruleId: 'Rule ID: `{id}`',
+    current: 'Current: {value}, ',
+    alreadyTriggered: '🔔 already triggered',
+    notTriggered: 'not triggered',
+    runCheck: 'Run check_alerts to evaluate your watchlist.',
+    empty: 'Your watchlist is empty. Add a rule with add_to_watchlist, e.g. "notify me if Cursor growth goes above 30% over 7d".',
+    title: {
+      one: '👀 Watchlist: {count} rule',
+      other: '👀 Watchlist: {count} rules'
+    },
+    notChecked: 'not checked yet',
+    triggered: '🔔 triggered',
+    ok: '✅ ok',
+    lastCheck: '{status} at last check ({value})',
+    nothingToCheck: 'Your watchlist is empty, so there is nothing to check. Add rules with add_to_watchlist.',
+    noAlerts: {
+      one: '✅ No alerts: none of {count} watch rule triggered.',
+      other: '✅ No alerts: none of {count} watch rules triggered.'
+    },
+    alertsTitle: {
+      one: '🔔 Watchlist Alerts: {alerts} of {count} rule triggered',
+      other: '🔔 Watchlist Alerts: {alerts} of {count} rules triggered'
+    },
+    alert: '**{name}**: {description}. Now {value} (`{id}`)',
+    triggeredSince: 'Triggered since {date}',
+    noData: 'no data',
+    noBaseline: '{value}, no baseline',
+    change: '{value}, {change} change',
+    unevaluatedTitle: {
+      one: '⚠️ {count} rule could not be checked and keeps its last outcome:',
+      other: '⚠️ {count} rules could not be checked and keep their last outcome:'
+    },
+    unevaluated: '**{name}**: {description}. {error} (`{id}`)',
+    notification: 'Watchlist alert: {name} {description}',
+    rule: {
+      metrics: {
+        downloads: 'downloads',
+        weekly_downloads: 'weekly downloads',
+        stars: 'stars',
+        so_questions: 'so questions',
+        reddit_mentions: 'reddit mentions'
+      },
+      growth: 'growth ({timeRange})',
+      above: '{metric} above {threshold}',
+      below: '{metric} below {threshold}',
+      rises_by: '{metric} rise by {threshold} ({against})',
+      drops_by: '{metric} drop by {threshold} ({against})',
+      sincePeriod: '{timeRange} vs the {timeRange} before',
+      sinceAdded: 'since the rule was added'
+    }
+  },
+
+  profile: {
+    metric: 'Metric',
+    value: 'Value',
+    package: 'Package',
+    category: 'Category',
+    monthlyDownloads: 'Monthly downloads',
+    weeklyDownloads: 'Weekly downloads',
+    growth: 'Download growth',
+    stars: 'GitHub stars',
+    soQuestions: 'Stack Overflow questions (30d)',
+    redditMentions: 'Reddit mentions (30d)',
+    asOf: '_Metrics as of {date}._'
+  },
+
+  versions: {
+    title: '📦 {name} - Version Adoption (`{package}`, {from} to {to})',
+    empty: 'No complete periods with version data in this range.',
+    byMajor: '**Download share by major line:**',
+    byVersion: '**Download share by version:**',
+    other: 'other {share}',
+    newest: '**🆕 Newest release: {version}{title}**',
+    releaseTitle: ' "{title}"',
+    released: '({date}, {count} days of data since)',
+    tooRecent: 'Too recent to measure uptake yet.',
+    uptake: 'Share of downloads after release:',
+    uptakeVersus: 'Share of downloads after release (vs {version} at the same age):',
+    day: 'Day {day}',
+    versus: ' ({version} took {days})',
+    notMajority: "{version} hasn't reached half of all downloads yet{versus}",
+    majority: {
+      one: '{version} passed half of all downloads after {count} day{versus}',
+      other: '{version} passed half of all downloads after {count} days{versus}'
+    },
+    faster: ': faster than the previous release',
+    slower: ': slower than the previous release',
+    holding: 'Still in wide use in {label}: {lines}',
+    fading: 'Under {share} of downloads in {label}, candidates for dropping support: {lines}'
+  },
+
+  export: {
+    saved: {
+      one: '📄 Exported {count} row to {path}',
+      other: '📄 Exported {count} rows to {path}'
+    }
+  },
+
+  historyTable: {
+    title: '# {name}: Download History',
+    month: 'Month',
+    downloads: 'Downloads',
+    change: 'Change'
+  },
+
+  snapshot: {
+    title: '# AI Developer Tools: Metrics Snapshot',
+    tool: 'Tool',
+    category: 'Category',
+    monthlyDownloads: 'Monthly downloads',
+    growth: 'Growth (30d)',
+    stars: 'GitHub stars',
+    soQuestions: 'SO questions (30d)',
+    redditMentions: 'Reddit mentions (30d)',
+    score: 'Score'
+  },
+
+  search: {
+    noMore: 'No more tools found for this search.',
+    empty: 'No tools found matching your search criteria.',
+    title: '🔍 AI Developer Tools Search Results',
+    category: 'Category: {category}',
+    minDownloads: 'Min Downloads: {downloads}',
+    keyword: 'Keyword: "{keyword}"',
+    registry: 'Registry: {registry}',
+    filters: '**Filters:** {filters}',
+    found: {
+      one: '**Found:** {count} tool',
+      other: '**Found:** {count} tools'
+    },
+    sortedBy: '**Sorted by:** {sort} ({order})',
+    noDownloadCounts: 'No download counts on {registry}',
+    byRegistry: 'By registry: {breakdown}',
+    growth: '{growth} growth (30d)',
+    score: 'Adoption score: {score}/100',
+    from: 'From: {breakdown}',
+    summary: '**Summary:**',
+    summaryPage: '**Summary (this page):**',
+    totalDownloads: 'Total Monthly Downloads: {downloads}',
+    averageDownloads: 'Average per Tool: {downloads}',
+    showing: 'Showing {from}-{to} of {total}. ',
+    nextPage: 'For the next page, search again with cursor: `{cursor}`'
+  },
+
+  errors: {
+    unableTo: 'Unable to {context}: ',
+    unexpected: 'An unexpected error occurred',
+    fixArguments: 'Fix these arguments and call the tool again.',
+    didYouMean: 'Did you mean: {names}?',
+    notFound: 'Try searching for available tools first, or check the tool name spelling.',
+    degraded: 'The metrics API has been failing repeatedly, so requests are paused briefly to let it recover. Cached answers may still be available for questions asked earlier.',
+    timeout: 'Please try again in a moment.'
+  }
+};
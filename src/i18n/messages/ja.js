@@ -0,0 +1,293 @@
+/**
+ * Japanese Messages
+ *
+ * Same keys as en.js; missing keys fall back to English. Japanese has
+ * no plural forms, so counted messages are plain strings.
+ */
+
+export default {
+  isoDates: false,
+
+  // 万 and 億 group by 10^4, so round short numbers to significant digits
+  compactSignificantDigits: 3,
+
+  common: {
+    listSeparator: '、',
+    allRegistries: '全レジストリ',
+    noDownloadCounts: '{registry}: ダウンロード数なし',
+    weekOf: '{date} の週',
+    theWeekOf: '{date} の週',
+    category: 'カテゴリ: {category}',
+    trend: '推移: {sparkline}',
+    note: 'メモ: {note}',
+    na: '該当なし',
+    downloadsPerMonth: '月間 {downloads} ダウンロード',
+    downloadsPerWeek: '週間 {downloads} ダウンロード',
+    githubStars: 'GitHub スター {stars}',
+    soQuestions: 'Stack Overflow の質問 {count} 件 (30日)',
+    redditMentions: 'Reddit での言及 {count} 件 (30日)'
+  },
+
+  comparison: {
+    empty: '比較するツールが見つかりません。',
+    title: '📊 AI 開発ツール比較: {count} ツール ({timeRange}、{registry})',
+    notPublished: '月間ダウンロード数: {registry} では未公開',
+    downloads: '月間ダウンロード数: {downloads} (前期比 {indicator} {growth})',
+    byRegistry: 'レジストリ別: {breakdown}',
+    trend: '{count}か月の推移: {sparkline}',
+    stars: 'GitHub スター: {stars}',
+    community: 'コミュニティ: SO の質問 {questions} 件、Reddit での言及 {mentions} 件',
+    insights: '**主なポイント:**',
+    fastest: '**最も成長:** {name} ({growth})',
+    mostDownloads: '**最多ダウンロード:** {name} (月間 {downloads})'
+  },
+
+  trending: {
+    empty: '{timeRange} のトレンドツールは見つかりません。',
+    title: '🔥 トレンド: 最も成長している AI 開発ツール ({timeRange})',
+    growth: '成長率: {growth} (月間 {downloads} ダウンロード)'
+  },
+
+  score: {
+    title: '🏅 採用スコア上位の AI 開発ツール ({timeRange} の成長)',
+    points: '{score}/100',
+    weights: '**重み:** {weights}。各シグナルは全ツールで 0〜1 に正規化され (件数は対数スケール)、npm の規模だけで順位が決まらないようにしています。',
+    signals: {
+      downloads: 'ダウンロード',
+      growth: '成長',
+      stars: 'スター',
+      so_questions: 'Stack Overflow',
+      reddit_mentions: 'Reddit'
+    }
+  },
+
+  history: {
+    empty: '{tool} の履歴データが見つかりません。',
+    title: '📈 {name} - 採用の推移 ({count}か月)',
+    downloadTrend: '**ダウンロード推移 ({registry}):**',
+    point: '{label}: {downloads} ダウンロード{split}',
+    analysis: '**成長分析:**',
+    totalGrowth: '全体の成長: {count}か月で {growth}',
+    averageMonthly: '月平均: {growth}',
+    currentMonth: '現在: 月間 {downloads} ダウンロード',
+    currentWeek: '現在: 週間 {downloads} ダウンロード'
+  },
+
+  anomalies: {
+    title: '🚨 {name} - ダウンロード異常 (過去{count}か月)',
+    checked: '{from} から {to} まで、通常の曜日パターンから外れた日を確認しました (ロバスト z スコアが ±{threshold} 超)。',
+    none: '✅ 異常な急増・急減はありません。ダウンロード数は想定範囲内でした。',
+    found: '**{count} 件の異常を検出:**',
+    spike: '急増',
+    drop: '急減',
+    confidence: {
+      low: '低',
+      medium: '中',
+      high: '高'
+    },
+    span: '、{date} から {count} 日間',
+    event: '{icon} {date} に**{label}** (信頼度: {confidence}{span})',
+    values: '{downloads} ダウンロード、想定は約 {expected} ({deviation}、z = {z})',
+    cause: '考えられる原因: リリース {version}「{title}」({date})',
+    noReleaseDrop: '近くにリリースなし: レジストリ障害、CDN キャッシュ、CI の変更を確認してください',
+    noReleaseSpike: '近くにリリースなし: ニュースでの言及、依存パッケージのリリース、CI のループなどが考えられます',
+    releases: '**期間中のリリース:** {releases}'
+  },
+
+  forecast: {
+    title: '🔮 {name} - 採用予測 (今後{count}か月)',
+    model: '**モデル:** {model}',
+    chosenBy: ' (バックテスト誤差で選択: {errors})',
+    models: {
+      linear: '線形トレンド',
+      exponential: '指数成長',
+      holt: 'Holt のトレンド平滑化'
+    },
+    lastActual: '**直近の実績:** {month}: {downloads} ダウンロード',
+    projected: '**月間ダウンロード数の予測 ({confidence} 区間):**',
+    horizon: '{count}か月以内に',
+    target: '**🎯 目標: 月間 {downloads} ダウンロード**',
+    alreadyReached: '達成済み: {month} に {downloads} ダウンロード。',
+    expectedIn: '{month} に達成見込み',
+    notExpected: '{horizon}達成の見込みなし',
+    notWithin: '{horizon}はなし',
+    range: ' (最短 {earliest}、最長 {latest})',
+    notExpectedAtAll: '区間の楽観的な端でも、{horizon}達成の見込みはありません。',
+    versus: '**⚔️ {challenger} 対 {leader}**',
+    overtakes: '{challenger} は {month} に {leader} を追い抜く見込み',
+    doesNotOvertake: '{challenger} が{horizon} {leader} を追い抜く見込みはなし',
+    neverOvertakes: '{challenger} が{horizon} {leader} を追い抜く見込みはありません。',
+    disclaimer: '_予測は過去の傾向を延長したものです。リリース、価格変更、競合によって採用状況はすぐに変わり得ます。_'
+  },
+
+  leaderboard: {
+    empty: 'このカテゴリには指標のあるツールがありません。',
+    title: '🏆 AI 開発ツールランキング: {metric} ({timeRange})',
+    metrics: {
+      downloads: 'ダウンロード数',
+      weekly_downloads: '週間ダウンロード数',
+      stars: 'スター数',
+      so_questions: 'SO の質問数',
+      reddit_mentions: 'Reddit での言及数',
+      growth: '成長率'
+    },
+    category: '**{category}**: {timeRange} で {downloads} ダウンロード ({growth})、{count} ツール',
+    downloadsValue: '{timeRange} で {downloads} ダウンロード',
+    growthValue: '成長率 {growth}',
+    share: 'シェア: カテゴリ内ダウンロードの {share} ({change})',
+    unchanged: '変化なし',
+    shareChange: '前期比 {arrow} {pp} ポイント',
+    gained: '**最大の変動:** {name} がシェアを {points} ポイント獲得',
+    lost: '**最大の変動:** {name} がシェアを {points} ポイント喪失'
+  },
+
+  watch: {
+    watching: '👀 {name} を監視中: {description} のときに通知',
+    updated: '👀 {name} を更新: {description} のときに通知',
+    ruleId: 'ルール ID: `{id}`',
+    current: '現在: {value}、',
+    alreadyTriggered: '🔔 すでに発動',
+    notTriggered: '未発動',
+    runCheck: 'check_alerts を実行するとウォッチリストを評価できます。',
+    empty: 'ウォッチリストは空です。add_to_watchlist でルールを追加してください (例: 「Cursor の 7 日間の成長率が 30% を超えたら通知」)。',
+    title: '👀 ウォッチリスト: {count} 件のルール',
+    notChecked: '未確認',
+    triggered: '🔔 発動',
+    ok: '✅ 正常',
+    lastCheck: '前回の確認で{status} ({value})',
+    nothingToCheck: 'ウォッチリストが空のため、確認するものはありません。add_to_watchlist でルールを追加してください。',
+    noAlerts: '✅ アラートなし: {count} 件のルールはいずれも発動していません。',
+    alertsTitle: '🔔 ウォッチリストのアラート: {count} 件中 {alerts} 件が発動',
+    alert: '**{name}**: {description}。現在 {value} (`{id}`)',
+    triggeredSince: '{date} から発動中',
+    noData: 'データなし',
+    noBaseline: '{value}、基準値なし',
+    change: '{value}、変化 {change}',
+    unevaluatedTitle: '⚠️ {count} 件のルールを確認できませんでした（前回の結果を保持します）:',
+    unevaluated: '**{name}**: {description}。{error} (`{id}`)',
+    notification: 'ウォッチリストのアラート: {name} {description}',
+    rule: {
+      metrics: {
+        downloads: 'ダウンロード数',
+        weekly_downloads: '週間ダウンロード数',
+        stars: 'スター数',
+        so_questions: 'SO の質問数',
+        reddit_mentions: 'Reddit での言及数'
+      },
+      growth: '成長率 ({timeRange})',
+      above: '{metric}が {threshold} を上回る',
+      below: '{metric}が {threshold} を下回る',
+      rises_by: '{metric}が {threshold} 増加 ({against})',
+      drops_by: '{metric}が {threshold} 減少 ({against})',
+      sincePeriod: '直前の {timeRange} との比較',
+      sinceAdded: 'ルール追加時から'
+    }
+  },
+
+  profile: {
+    metric: '指標',
+    value: '値',
+    package: 'パッケージ',
+    category: 'カテゴリ',
+    monthlyDownloads: '月間ダウンロード数',
+    weeklyDownloads: '週間ダウンロード数',
+    growth: 'ダウンロードの成長',
+    stars: 'GitHub スター',
+    soQuestions: 'Stack Overflow の質問 (30日)',
+    redditMentions: 'Reddit での言及 (30日)',
+    asOf: '_{date} 時点の指標です。_'
+  },
+
+  versions: {
+    title: '📦 {name} - バージョン別の採用状況 (`{package}`、{from} 〜 {to})',
+    empty: 'この期間にはバージョンデータのある完全な期間がありません。',
+    byMajor: '**メジャーライン別のダウンロードシェア:**',
+    byVersion: '**バージョン別のダウンロードシェア:**',
+    other: 'その他 {share}',
+    newest: '**🆕 最新リリース: {version}{title}**',
+    releaseTitle: '「{title}」',
+    released: '({date}、以降 {count} 日分のデータ)',
+    tooRecent: 'リリースが新しすぎるため、まだ普及度を測れません。',
+    uptake: 'リリース後のダウンロードシェア:',
+    uptakeVersus: 'リリース後のダウンロードシェア (同じ経過日数の {version} との比較):',
+    day: '{day}日目',
+    versus: ' ({version} は {days} 日)',
+    notMajority: '{version} はまだ全ダウンロードの半数に達していません{versus}',
+    majority: '{version} は {count} 日で全ダウンロードの半数を超えました{versus}',
+    faster: ': 前回のリリースより速いペース',
+    slower: ': 前回のリリースより遅いペース',
+    holding: '{label} でまだ広く使われている: {lines}',
+    fading: '{label} でダウンロードの {share} 未満、サポート終了の候補: {lines}'
+  },
+
+  export: {
+    saved: '📄 {count} 行を {path} にエクスポートしました'
+  },
+
+  historyTable: {
+    title: '# {name}: ダウンロード履歴',
+    month: '月',
+    downloads: 'ダウンロード数',
+    change: '変化'
+  },
+
+  snapshot: {
+    title: '# AI 開発ツール: 指標スナップショット',
+    tool: 'ツール',
+    category: 'カテゴリ',
+    monthlyDownloads: '月間ダウンロード数',
+    growth: '成長率 (30日)',
+    stars: 'GitHub スター',
+    soQuestions: 'SO の質問 (30日)',
+    redditMentions: 'Reddit での言及 (30日)',
+    score: 'スコア'
+  },
+
+  search: {
+    noMore: 'この検索で見つかるツールはこれ以上ありません。',
+    empty: '検索条件に一致するツールはありません。',
+    title: '🔍 AI 開発ツールの検索結果',
+    category: 'カテゴリ: {category}',
+    minDownloads: '最小ダウンロード数: {downloads}',
+    keyword: 'キーワード:「{keyword}」',
+    registry: 'レジストリ: {registry}',
+    filters: '**絞り込み:** {filters}',
+    found: '**該当:** {count} ツール',
+    sortedBy: '**並び順:** {sort} ({order})',
+    noDownloadCounts: '{registry} のダウンロード数なし',
+    byRegistry: 'レジストリ別: {breakdown}',
+    growth: '成長率 {growth} (30日)',
+    score: '採用スコア: {score}/100',
+    from: '内訳: {breakdown}',
+    summary: '**まとめ:**',
+    summaryPage: '**まとめ (このページ):**',
+    totalDownloads: '月間ダウンロード数の合計: {downloads}',
+    averageDownloads: 'ツールあたりの平均: {downloads}',
+    showing: '{total} 件中 {from}-{to} 件を表示。',
+    nextPage: '次のページは cursor: `{cursor}` を指定して再検索してください'
+  },
+
+  errors: {
+    unableTo: '{context}できませんでした: ',
+    unexpected: '予期しないエラーが発生しました',
+    fixArguments: 'これらの引数を修正して、もう一度ツールを呼び出してください。',
+    didYouMean: 'もしかして: {names}',
+    notFound: 'まず利用可能なツールを検索するか、ツール名の綴りを確認してください。',
+    degraded: 'メトリクス API の失敗が続いているため、回復を待つ間リクエストを一時停止しています。以前の質問へのキャッシュ済みの回答は引き続き利用できる場合があります。',
+    timeout: 'しばらくしてからもう一度お試しください。',
+    // Keyed by the English phrase tools pass to errorResult
+    contexts: {
+      'compare tools': 'ツールを比較',
+      'search tools': 'ツールを検索',
+      'add the watch rule': '監視ルールを追加',
+      'list the watchlist': 'ウォッチリストを表示',
+      'check alerts': 'アラートを確認',
+      'get trending tools': 'トレンドツールを取得',
+      'build the category leaderboard': 'カテゴリ別ランキングを作成',
+      'get version adoption': 'バージョン別の採用状況を取得',
+      'detect anomalies': '異常を検出',
+      'forecast adoption': '採用を予測',
+      'get tool history': 'ツールの履歴を取得'
+    }
+  }
+};
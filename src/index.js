@@ -12,181 +12,169 @@
  * Architecture:
  * - Uses the official MCP SDK for protocol implementation
  * - Implements stdio transport for Claude Desktop integration
- * - Exposes 4 tools with well-defined schemas
+ * - Implements Streamable HTTP transport for shared/remote deployments
+ * - Exposes tools with well-defined schemas (see src/server.js)
  * - Uses mock data for demonstration (production would use real databases/APIs)
  *
+ * Usage:
+ *   node src/index.js                                  # stdio (default)
+ *   node src/index.js --transport http --port 3000     # Streamable HTTP
+ *
  * @see https://github.com/modelcontextprotocol
  */
 
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { parseArgs } from 'node:util';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import {
-  ListToolsRequestSchema,
-  CallToolRequestSchema
-} from '@modelcontextprotocol/sdk/types.js';
-
-// Import our tool implementations
-import { compareTool } from './tools/compare.js';
-import { trendingTool } from './tools/trending.js';
-import { historyTool } from './tools/history.js';
-import { searchTool } from './tools/search.js';
-
-// Server configuration
-const SERVER_NAME = process.env.SERVER_NAME || 'ai-developer-tools-mcp';
-const SERVER_VERSION = process.env.SERVER_VERSION || '1.0.0';
+import { createServer, tools, SERVER_NAME, SERVER_VERSION } from './server.js';
+import { startHttpTransport } from './transports/http.js';
+import { apiClient } from './api/client.js';
+import { rateLimiter, DEFAULT_HTTP_GLOBAL_LIMIT } from './utils/rate-limiter.js';
+import { IngestScheduler } from './ingest/scheduler.js';
+import { ingestDataset, describeRun } from './ingest/index.js';
 
 /**
- * Initialize the MCP server
+ * Parse command-line options
  *
- * The Server class from the MCP SDK handles the protocol layer.
- * We configure it with capabilities and metadata.
+ * Flags win over environment variables:
+ * - --transport / MCP_TRANSPORT: 'stdio' (default) or 'http'
+ * - --port / PORT: HTTP port (default 3000)
+ * - --host / HOST: HTTP bind address (default 127.0.0.1)
+ * - MCP_ALLOWED_HOSTS: comma-separated Host allowlist for HTTP
+ * - MCP_SESSION_IDLE_MS / MCP_MAX_SESSIONS: HTTP session idle timeout and cap
+ * - MCP_API_KEYS: API keys that get their own rate limit budget (read by server.js)
+ * - MCP_TRUSTED_PROXIES: comma-separated proxy addresses (e.g. the gateway)
+ *   whose X-Forwarded-For identifies clients without a key for rate limits
  */
-const server = new Server(
-  {
-    name: SERVER_NAME,
-    version: SERVER_VERSION,
-  },
-  {
-    capabilities: {
-      tools: {}, // We provide tool execution capability
-    },
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      transport: { type: 'string' },
+      port: { type: 'string' },
+      host: { type: 'string' }
+    }
+  });
+
+  const transport = values.transport || process.env.MCP_TRANSPORT || 'stdio';
+  if (!['stdio', 'http'].includes(transport)) {
+    throw new Error(`Unknown transport '${transport}'. Expected stdio or http`);
   }
-);
-
-/**
- * Registry of all available tools
- *
- * Each tool exports a standard interface:
- * - name: Unique identifier for the tool
- * - description: Human-readable explanation of what it does
- * - inputSchema: JSON Schema defining accepted parameters
- * - execute: Async function that performs the tool's action
- */
-const tools = [
-  compareTool,
-  trendingTool,
-  historyTool,
-  searchTool
-];
 
-/**
- * Handle tools/list requests
- *
- * Claude calls this to discover what tools are available.
- * We return the schema for each tool so Claude knows:
- * - What the tool does
- * - What parameters it accepts
- * - What types those parameters should be
- *
- * This is analogous to OpenAPI/Swagger for REST APIs, but optimized
- * for AI agent consumption rather than human developers.
- */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
-    tools: tools.map(tool => ({
-      name: tool.name,
-      description: tool.description,
-      inputSchema: tool.inputSchema
-    }))
+    transport,
+    port: parseInt(values.port || process.env.PORT, 10) || 3000,
+    host: values.host || process.env.HOST || '127.0.0.1',
+    allowedHosts: process.env.MCP_ALLOWED_HOSTS
+      ? process.env.MCP_ALLOWED_HOSTS.split(',').map(h => h.trim()).filter(Boolean)
+      : undefined,
+    sessionIdleMs: parseInt(process.env.MCP_SESSION_IDLE_MS, 10) || undefined,
+    maxSessions: parseInt(process.env.MCP_MAX_SESSIONS, 10) || undefined,
+    trustedProxies: process.env.MCP_TRUSTED_PROXIES
+      ? process.env.MCP_TRUSTED_PROXIES.split(',').map(a => a.trim()).filter(Boolean)
+      : undefined
   };
-});
-
-/**
- * Handle tools/call requests
- *
- * When Claude wants to use a tool, it sends a call request with:
- * - name: Which tool to invoke
- * - arguments: Parameter values (validated against inputSchema)
- *
- * We find the matching tool and execute it, returning results as text.
- *
- * Error Handling Strategy:
- * - Tool-level errors are caught and returned as error messages
- * - This prevents one failing tool from crashing the entire server
- * - Claude can see the error and potentially retry or ask the user for help
- */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  // Find the requested tool
-  const tool = tools.find(t => t.name === name);
-  if (!tool) {
-    throw new Error(`Unknown tool: ${name}`);
-  }
-
-  try {
-    // Execute the tool with provided arguments
-    const result = await tool.execute(args || {});
-
-    // Return result as text content
-    // MCP supports multiple content types, but text is most versatile
-    return {
-      content: [
-        {
-          type: 'text',
-          text: result
-        }
-      ]
-    };
-  } catch (error) {
-    // Log error for debugging (goes to stderr, not to Claude)
-    console.error(`Error executing tool ${name}:`, error.message);
-
-    // Return user-friendly error message
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: ${error.message}`
-        }
-      ],
-      isError: true
-    };
-  }
-});
+}
 
 /**
  * Start the server
  *
- * MCP supports multiple transports. We use stdio because:
+ * MCP supports multiple transports:
+ *
+ * stdio (default):
  * - It's the standard for Claude Desktop integration
  * - Simple IPC mechanism using stdin/stdout
  * - No network configuration needed
  *
- * For production servers that need to handle multiple clients or
- * run remotely, you could also implement HTTP transport.
+ * http:
+ * - Streamable HTTP, with SSE for streamed responses and notifications
+ * - One session (and Server instance) per connected client
+ * - Suited to a shared instance running remotely or in a container
  */
 async function main() {
-  try {
-    // Create stdio transport
-    const transport = new StdioServerTransport();
-
-    // Connect server to transport
-    await server.connect(transport);
+  const options = parseOptions();
+  let shutdown;
+
+  if (options.transport === 'http') {
+    // Many clients share the upstream quota, so cap them together too
+    if (rateLimiter && !rateLimiter.global) {
+      rateLimiter.setGlobal(DEFAULT_HTTP_GLOBAL_LIMIT);
+    }
+
+    const httpTransport = await startHttpTransport(createServer, {
+      ...options,
+      stats: () => ({
+        cache: apiClient.getCacheStats(),
+        circuit: apiClient.getCircuitStatus(),
+        rate_limits: rateLimiter?.stats() ?? null
+      })
+    });
+    shutdown = () => httpTransport.close();
+
+    console.error(`${SERVER_NAME} v${SERVER_VERSION} listening on ${httpTransport.url}`);
+  } else {
+    // Create stdio transport and connect a single server to it
+    const server = createServer();
+    await server.connect(new StdioServerTransport());
+    shutdown = () => server.close();
 
     // Log to stderr (stdout is reserved for MCP protocol)
     console.error(`${SERVER_NAME} v${SERVER_VERSION} running`);
-    console.error(`Tools available: ${tools.map(t => t.name).join(', ')}`);
-  } catch (error) {
-    console.error('Failed to start server:', error);
-    process.exit(1);
+  }
+
+  console.error(`Tools available: ${tools.map(t => t.name).join(', ')}`);
+
+  const ingestion = startIngestion();
+
+  /**
+   * Graceful shutdown handler
+   *
+   * Ensures the server cleans up properly when stopped.
+   * Important for long-running processes (and containers, which send SIGTERM).
+   */
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+      console.error('\nShutting down server...');
+      ingestion?.stop();
+      await shutdown();
+
+      // Cache counters help tune TTLs; persist the cache if configured
+      console.error('Cache stats:', JSON.stringify(apiClient.getCacheStats()));
+      apiClient.cache?.flush();
+      process.exit(0);
+    });
   }
 }
 
 /**
- * Graceful shutdown handler
+ * Keep the bundled dataset current by ingesting on a schedule
  *
- * Ensures the server cleans up properly when stopped.
- * Important for long-running processes.
+ * Only with INGEST_INTERVAL_MS set and the mock data source (an HTTP
+ * backend has its own pipeline). Each run refreshes the in-memory data,
+ * writes TIMESERIES_PATH / METRICS_PATH when they're set, and drops
+ * cached responses so tools see the new numbers.
  */
-process.on('SIGINT', async () => {
-  console.error('\nShutting down server...');
-  await server.close();
-  process.exit(0);
-});
+function startIngestion() {
+  const interval = parseInt(process.env.INGEST_INTERVAL_MS, 10);
+  if (!interval || (process.env.DATA_SOURCE || 'mock') !== 'mock') return null;
+
+  const scheduler = new IngestScheduler({
+    interval,
+    run: () => ingestDataset({
+      timeseriesPath: process.env.TIMESERIES_PATH,
+      metricsPath: process.env.METRICS_PATH
+    }),
+    onRun: report => {
+      apiClient.invalidateCache();
+      console.error(describeRun(report));
+    }
+  });
+
+  scheduler.start();
+  console.error(`Ingesting every ${Math.round(interval / 60_000)} min`);
+  return scheduler;
+}
 
 // Start the server
 main().catch(error => {
-  console.error('Fatal error:', error);
+  console.error('Failed to start server:', error);
   process.exit(1);
 });
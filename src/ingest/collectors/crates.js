@@ -0,0 +1,36 @@
+/**
+ * crates.io Collector
+ *
+ * Daily downloads from the crates.io API:
+ *
+ *   GET https://crates.io/api/v1/crates/{crate}/downloads
+ *   → { version_downloads: [{ version: 1234, date: '2026-10-01', downloads: 420 }],
+ *       meta: { extra_downloads: [{ date: '2026-10-01', downloads: 12 }] } }
+ *
+ * Counts are split by version: the most recent versions are listed one
+ * by one and the rest are lumped into `extra_downloads`, so a day's
+ * total is the sum of both. The API covers the last 90 days.
+ */
+
+const API_URL = 'https://crates.io/api/v1/crates';
+
+export const cratesCollector = {
+  source: 'crates',
+  metric: 'crates_downloads',
+  ref: tool => tool.packages?.crates,
+
+  async collect(crate, { from, to, request }) {
+    const body = await request(`${API_URL}/${encodeURIComponent(crate)}/downloads`);
+    const entries = [...(body.version_downloads || []), ...(body.meta?.extra_downloads || [])];
+
+    const totals = new Map();
+    for (const { date, downloads } of entries) {
+      if (date < from || date > to) continue;
+      totals.set(date, (totals.get(date) || 0) + downloads);
+    }
+
+    return [...totals.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, value]) => ({ date, value }));
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Daily Counts
+ *
+ * Stack Exchange and Reddit return individual posts rather than daily
+ * totals, so their collectors bucket post timestamps by UTC day.
+ */
+
+import { addDays } from '../../data/timeseries.js';
+
+/**
+ * Count timestamps (Unix seconds) per day from `from` to `to`
+ *
+ * Days without posts count 0. When paging stopped before reaching
+ * `from`, pass the oldest timestamp seen as `truncatedAt`: its day and
+ * every day before it are incomplete and are left out.
+ */
+export function countByDay(timestamps, from, to, truncatedAt) {
+  const counts = new Map();
+  for (const timestamp of timestamps) {
+    const date = toDate(timestamp);
+    counts.set(date, (counts.get(date) || 0) + 1);
+  }
+
+  const first = truncatedAt === undefined ? from : addDays(toDate(truncatedAt), 1);
+  const days = [];
+  for (let date = first > from ? first : from; date <= to; date = addDays(date, 1)) {
+    days.push({ date, value: counts.get(date) || 0 });
+  }
+  return days;
+}
+
+/**
+ * Unix seconds at the start of a day, and at the last second of it
+ */
+export function dayStart(date) {
+  return Date.parse(`${date}T00:00:00Z`) / 1000;
+}
+
+export function dayEnd(date) {
+  return dayStart(date) + 24 * 60 * 60 - 1;
+}
+
+/**
+ * Helper: 'YYYY-MM-DD' for a Unix timestamp in seconds
+ */
+function toDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
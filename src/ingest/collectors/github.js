@@ -0,0 +1,30 @@
+/**
+ * GitHub Collector
+ *
+ * Current star count from the repository API:
+ *
+ *   GET https://api.github.com/repos/{owner}/{repo}
+ *   → { full_name, stargazers_count, ... }
+ *
+ * Stars are cumulative, so one reading is recorded as the count at the
+ * end of the last collected day. Set GITHUB_TOKEN to lift the
+ * unauthenticated limit of 60 requests an hour.
+ */
+
+const API_URL = 'https://api.github.com/repos';
+
+export const githubCollector = {
+  source: 'github',
+  metric: 'stars',
+  ref: tool => tool.repo,
+
+  async collect(repo, { to, request }) {
+    const headers = { 'Accept': 'application/vnd.github+json' };
+    if (process.env.GITHUB_TOKEN) {
+      headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
+    }
+
+    const body = await request(`${API_URL}/${repo}`, headers);
+    return [{ date: to, value: body.stargazers_count }];
+  }
+};
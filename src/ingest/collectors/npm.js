@@ -0,0 +1,29 @@
+/**
+ * npm Collector
+ *
+ * Daily downloads from the npm downloads API:
+ *
+ *   GET https://api.npmjs.org/downloads/range/{from}:{to}/{package}
+ *   → { downloads: [{ day: '2026-10-01', downloads: 123456 }], package, start, end }
+ *
+ * The API serves up to 18 months per request. Days before a package
+ * existed are simply absent.
+ */
+
+const API_URL = 'https://api.npmjs.org/downloads/range';
+
+export const npmCollector = {
+  source: 'npm',
+  metric: 'downloads',
+
+  // Scoped names ("@anthropic-ai/sdk") go into the path as they are
+  ref: tool => tool.packages?.npm,
+
+  async collect(pkg, { from, to, request }) {
+    const body = await request(`${API_URL}/${from}:${to}/${pkg}`);
+
+    return (body.downloads || [])
+      .filter(({ day }) => day >= from && day <= to)
+      .map(({ day, downloads }) => ({ date: day, value: downloads }));
+  }
+};
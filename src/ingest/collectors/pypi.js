@@ -0,0 +1,29 @@
+/**
+ * PyPI Collector
+ *
+ * Daily downloads from pypistats.org, which aggregates PyPI's public
+ * download logs:
+ *
+ *   GET https://pypistats.org/api/packages/{package}/overall?mirrors=false
+ *   → { data: [{ category: 'without_mirrors', date: '2026-10-01', downloads: 123456 }], package }
+ *
+ * The API serves the last 180 days and can't be narrowed to a range, so
+ * days outside the collected window are dropped. Mirror traffic is left
+ * out, as the pypistats.org charts do.
+ */
+
+const API_URL = 'https://pypistats.org/api/packages';
+
+export const pypiCollector = {
+  source: 'pypi',
+  metric: 'pypi_downloads',
+  ref: tool => tool.packages?.pypi,
+
+  async collect(pkg, { from, to, request }) {
+    const body = await request(`${API_URL}/${encodeURIComponent(pkg.toLowerCase())}/overall?mirrors=false`);
+
+    return (body.data || [])
+      .filter(({ category, date }) => category === 'without_mirrors' && date >= from && date <= to)
+      .map(({ date, downloads }) => ({ date, value: downloads }));
+  }
+};
@@ -0,0 +1,66 @@
+/**
+ * Reddit Collector
+ *
+ * Posts per day mentioning a tool, from Reddit search:
+ *
+ *   GET https://www.reddit.com/search.json?q={query}&sort=new&t={window}&limit=100&after={cursor}
+ *   → { data: { children: [{ data: { created_utc, subreddit, ... } }], after } }
+ *
+ * Results come newest first, so paging stops once it passes the start
+ * of the range. The query is the tool's `reddit_query`, or its quoted
+ * display name.
+ */
+
+import { countByDay, dayStart, dayEnd } from './daily-counts.js';
+import { daysBetween } from '../../data/timeseries.js';
+
+const API_URL = 'https://www.reddit.com/search.json';
+const PAGE_SIZE = 100;
+const MAX_PAGES = 10;
+
+export const redditCollector = {
+  source: 'reddit',
+  metric: 'mentions',
+  ref: tool => tool.reddit_query || `"${tool.name}"`,
+
+  async collect(query, { from, to, today, request }) {
+    const start = dayStart(from);
+    const timestamps = [];
+    let after = null;
+    let reachedStart = false;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const url = new URL(API_URL);
+      url.search = new URLSearchParams({ q: query, sort: 'new', t: searchWindow(from, today), limit: PAGE_SIZE, raw_json: 1 });
+      if (after) url.searchParams.set('after', after);
+
+      const { data } = await request(url.href);
+      for (const { data: post } of data.children || []) {
+        if (post.created_utc < start) {
+          reachedStart = true;
+        } else if (post.created_utc <= dayEnd(to)) {
+          timestamps.push(post.created_utc);
+        }
+      }
+
+      after = data.after;
+      if (reachedStart || !after) break;
+    }
+
+    const truncated = !reachedStart && after && timestamps.length > 0;
+    return countByDay(timestamps, from, to, truncated ? Math.min(...timestamps) : undefined);
+  }
+};
+
+/**
+ * Helper: Narrowest Reddit search window (`t`) reaching back to `from`
+ *
+ * Reddit's windows count back from the time of the request.
+ */
+function searchWindow(from, today) {
+  const days = daysBetween(from, today) + 1;
+  if (days <= 7) return 'week';
+  if (days <= 31) return 'month';
+  if (days <= 365) return 'year';
+  return 'all';
+}
@@ -0,0 +1,57 @@
+/**
+ * Stack Exchange Collector
+ *
+ * Stack Overflow questions per day for a tag, from the questions API:
+ *
+ *   GET https://api.stackexchange.com/2.3/questions?site=stackoverflow&tagged={tag}
+ *       &fromdate={unix}&todate={unix}&sort=creation&order=desc&pagesize=100&page={n}
+ *   → { items: [{ question_id, creation_date, ... }], has_more, backoff?, quota_remaining }
+ *
+ * The API asks clients to wait `backoff` seconds before the next request
+ * when it is under load. STACKEXCHANGE_KEY raises the daily quota.
+ */
+
+import { countByDay, dayStart, dayEnd } from './daily-counts.js';
+
+const API_URL = 'https://api.stackexchange.com/2.3/questions';
+const PAGE_SIZE = 100;
+const MAX_PAGES = 10;
+
+export const stackExchangeCollector = {
+  source: 'stackoverflow',
+  metric: 'questions',
+  ref: tool => tool.stackoverflow_tag,
+
+  async collect(tag, { from, to, request, sleep }) {
+    const timestamps = [];
+    let hasMore = true;
+
+    for (let page = 1; hasMore && page <= MAX_PAGES; page++) {
+      const url = new URL(API_URL);
+      url.search = new URLSearchParams({
+        site: 'stackoverflow',
+        tagged: tag,
+        fromdate: dayStart(from),
+        todate: dayEnd(to),
+        sort: 'creation',
+        order: 'desc',
+        pagesize: PAGE_SIZE,
+        page
+      });
+      if (process.env.STACKEXCHANGE_KEY) {
+        url.searchParams.set('key', process.env.STACKEXCHANGE_KEY);
+      }
+
+      const body = await request(url.href);
+      timestamps.push(...(body.items || []).map(item => item.creation_date));
+      hasMore = Boolean(body.has_more);
+
+      if (hasMore && body.backoff) {
+        await sleep(body.backoff * 1000);
+      }
+    }
+
+    // Newest first, so a cut-off run is missing the oldest days
+    return countByDay(timestamps, from, to, hasMore ? Math.min(...timestamps) : undefined);
+  }
+};
@@ -0,0 +1,98 @@
+/**
+ * Recorded Responses
+ *
+ * Lets the collectors run offline. A recording is a JSON file of the
+ * upstream responses one ingestion run received:
+ *
+ *   { "recorded_at": "2026-10-19T06:00:00.000Z",
+ *     "responses": [{ "url": "https://api.npmjs.org/downloads/range/...", "status": 200, "body": {...} }] }
+ *
+ * `recordingFetch` wraps a real fetch and captures responses into one;
+ * `replayFetch` serves them back by URL. Credentials never end up in a
+ * recording: headers aren't kept, and API keys are stripped from URLs
+ * before they are stored or matched.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+// Query parameters that carry credentials
+const SECRET_PARAMS = ['key', 'access_token'];
+
+/**
+ * A fetch that answers from recorded responses
+ *
+ * Unrecorded URLs get a 404, so a collector fails for that tool the same
+ * way it would against a missing upstream resource.
+ */
+export function replayFetch(recording) {
+  const responses = new Map(recording.responses.map(r => [recordingKey(r.url), r]));
+
+  return async url => {
+    const recorded = responses.get(recordingKey(String(url)));
+    if (!recorded) {
+      return jsonResponse(404, { error: { message: `No recorded response for ${url}` } });
+    }
+    return jsonResponse(recorded.status, recorded.body);
+  };
+}
+
+/**
+ * A fetch that passes requests on and records every response
+ *
+ * Returns { fetch, recording }; save the recording once the run is over.
+ */
+export function recordingFetch(fetchImpl = fetch, now = Date.now) {
+  const recording = { recorded_at: new Date(now()).toISOString(), responses: [] };
+
+  const recordingFetchImpl = async (url, init) => {
+    const response = await fetchImpl(url, init);
+    const text = await response.clone().text();
+
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      body = text;
+    }
+    recording.responses.push({ url: recordingKey(String(url)), status: response.status, body });
+
+    return response;
+  };
+
+  return { fetch: recordingFetchImpl, recording };
+}
+
+export function loadRecording(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to load recorded responses from ${path}: ${error.message}`);
+  }
+}
+
+export function saveRecording(path, recording) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(recording, null, 2) + '\n');
+}
+
+/**
+ * Helper: URL without credential parameters
+ */
+function recordingKey(url) {
+  const parsed = new URL(url);
+  for (const param of SECRET_PARAMS) {
+    parsed.searchParams.delete(param);
+  }
+  return parsed.href;
+}
+
+/**
+ * Helper: A fetch Response with a JSON body
+ */
+function jsonResponse(status, body) {
+  return new Response(body === null ? '' : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -0,0 +1,74 @@
+/**
+ * Collector HTTP
+ *
+ * One GET helper for every collector, so they share timeouts, retries
+ * and error handling with the API client: failures become ApiError with
+ * the upstream status, and 429s and 5xx responses are retried with
+ * backoff (honouring Retry-After).
+ *
+ * `fetch` is injectable. Collectors run against recorded responses in
+ * tests (see fixtures.js) and against the network otherwise.
+ */
+
+import { ApiError } from '../api/errors.js';
+import { withRetry, parseRetryAfter } from '../api/retry.js';
+
+const DEFAULT_TIMEOUT = 10_000;
+
+// Public APIs (GitHub, Reddit) reject requests without a User-Agent
+export const USER_AGENT = 'ai-developer-tools-mcp-ingest';
+
+/**
+ * GET a URL and parse the JSON body
+ *
+ * Options:
+ * - fetch: fetch implementation (default: global fetch)
+ * - headers: extra request headers
+ * - timeout: milliseconds before the request is aborted
+ * - retry: options for withRetry (e.g. { retries: 0 })
+ */
+export async function getJson(url, options = {}) {
+  const { fetch: fetchImpl = fetch, headers = {}, timeout = DEFAULT_TIMEOUT, retry } = options;
+
+  return withRetry(async () => {
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        headers: { 'Accept': 'application/json', 'User-Agent': USER_AGENT, ...headers },
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new ApiError(408, `Request to ${hostOf(url)} timed out after ${timeout}ms`);
+      }
+      throw new ApiError(503, `${hostOf(url)} unreachable: ${error.message}`);
+    }
+
+    const text = await response.text();
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      if (response.ok) throw new ApiError(502, `${hostOf(url)} returned invalid JSON`);
+    }
+
+    if (!response.ok) {
+      // npm and GitHub send { error } / { message }, Stack Exchange { error_message }
+      const detail = body?.error?.message || body?.error_message || body?.message || body?.error;
+      throw new ApiError(
+        response.status,
+        `${hostOf(url)} returned HTTP ${response.status}${typeof detail === 'string' ? `: ${detail}` : ''}`,
+        { retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) }
+      );
+    }
+
+    return body;
+  }, retry);
+}
+
+/**
+ * Helper: Host name of a URL, for error messages
+ */
+function hostOf(url) {
+  return new URL(url).host;
+}
@@ -0,0 +1,310 @@
+/**
+ * Ingestion Pipeline
+ *
+ * Replaces the static fixtures with real data. One collector per source
+ * fetches a daily metric for every catalog tool:
+ *
+ * - npm: downloads (api.npmjs.org)
+ * - pypi: pypi_downloads (pypistats.org)
+ * - crates: crates_downloads (crates.io)
+ * - github: stars (api.github.com)
+ * - stackoverflow: questions (api.stackexchange.com)
+ * - reddit: mentions (reddit.com search)
+ *
+ * Collected values are normalized into time series samples, merged into
+ * the store, and rolled up into the current metrics (30-day downloads,
+ * stars and so on). Every sample and every current metric records which
+ * source it came from and when it was fetched.
+ *
+ * A tool whose stored series ends too long before the collected days
+ * (e.g. the demo fixtures) starts over from the collected data: gap
+ * filling won't bridge the difference, and mixing the two would make
+ * history and forecasts read months that were never measured.
+ *
+ * Run it with `npm run ingest`, or on a schedule inside the server with
+ * INGEST_INTERVAL_MS. Collectors take an injectable fetch, so tests run
+ * against recorded responses (see fixtures.js).
+ */
+
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { listTools } from '../catalog/index.js';
+import { addDays, daysBetween, isIsoDate, DEFAULT_MAX_GAP } from '../data/timeseries.js';
+import { timeSeries, CURRENT_METRICS } from '../data/mock-data.js';
+import { loadMetricsFile, saveMetricsFile } from '../data/metrics-store.js';
+import { getJson } from './http.js';
+import { npmCollector } from './collectors/npm.js';
+import { pypiCollector } from './collectors/pypi.js';
+import { cratesCollector } from './collectors/crates.js';
+import { githubCollector } from './collectors/github.js';
+import { stackExchangeCollector } from './collectors/stackexchange.js';
+import { redditCollector } from './collectors/reddit.js';
+
+export const COLLECTORS = Object.fromEntries(
+  [npmCollector, pypiCollector, cratesCollector, githubCollector, stackExchangeCollector, redditCollector].map(c => [c.source, c])
+);
+
+// Days collected per run; 30 covers every current-metric window
+export const DEFAULT_DAYS = 30;
+
+/**
+ * Current metrics each source updates, derived from the store
+ *
+ * Windows end on the last collected day and must be fully covered: with
+ * fewer days stored (e.g. `--days 7` into an empty store) a 30-day
+ * field is left at its previous value instead of holding a 7-day total.
+ */
+const CURRENT_FIELDS = {
+  npm: (store, toolId, to) => ({
+    npm_downloads_monthly: fullWindow(store, toolId, 'downloads', 30, to),
+    npm_downloads_weekly: fullWindow(store, toolId, 'downloads', 7, to)
+  }),
+  pypi: (store, toolId, to) => ({
+    pypi_downloads_monthly: fullWindow(store, toolId, 'pypi_downloads', 30, to),
+    pypi_downloads_weekly: fullWindow(store, toolId, 'pypi_downloads', 7, to)
+  }),
+  crates: (store, toolId, to) => ({
+    crates_downloads_monthly: fullWindow(store, toolId, 'crates_downloads', 30, to),
+    crates_downloads_weekly: fullWindow(store, toolId, 'crates_downloads', 7, to)
+  }),
+  github: (store, toolId, to) => ({
+    github_stars: store.query(toolId, { to }).findLast(sample => sample.stars !== undefined)?.stars
+  }),
+  stackoverflow: (store, toolId, to) => ({
+    stackoverflow_questions_30d: fullWindow(store, toolId, 'questions', 30, to)
+  }),
+  reddit: (store, toolId, to) => ({
+    reddit_mentions_30d: fullWindow(store, toolId, 'mentions', 30, to)
+  })
+};
+
+/**
+ * Helper: Sum of a metric over a window every day of which is stored
+ */
+function fullWindow(store, toolId, metric, days, to) {
+  return store.sumWindow(toolId, metric, days, to, { complete: true });
+}
+
+/**
+ * Run the collectors and return normalized data points
+ *
+ * Options (all optional):
+ * - tools: catalog entries to collect (default: the whole catalog)
+ * - sources: collector names (default: all of COLLECTORS)
+ * - days: days to collect, ending on `to` (default DEFAULT_DAYS)
+ * - to: last day to collect (default: yesterday, the last complete UTC day)
+ * - fetch, retry: passed on to getJson
+ * - now, sleep: clock and wait functions, for tests
+ *
+ * A failing source or tool doesn't stop the run; it is reported in
+ * `runs` with its error. Returns { from, to, fetched_at, points, runs }.
+ */
+export async function collect(options = {}) {
+  const {
+    tools = listTools(),
+    sources = Object.keys(COLLECTORS),
+    days = DEFAULT_DAYS,
+    fetch,
+    retry,
+    now = Date.now,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+  } = options;
+
+  const unknown = sources.filter(source => !COLLECTORS[source]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown source '${unknown[0]}'. Expected one of: ${Object.keys(COLLECTORS).join(', ')}`);
+  }
+
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(`days must be a positive integer (got ${days})`);
+  }
+  if (options.to && !isIsoDate(options.to)) {
+    throw new Error(`to must be a YYYY-MM-DD date (got '${options.to}')`);
+  }
+
+  const fetchedAt = new Date(now()).toISOString();
+  const today = fetchedAt.slice(0, 10);
+  const to = options.to || addDays(today, -1);
+  const from = addDays(to, -(days - 1));
+  const request = (url, headers) => getJson(url, { fetch, headers, retry });
+
+  const points = [];
+  const runs = [];
+  for (const source of sources) {
+    const collector = COLLECTORS[source];
+
+    for (const tool of tools) {
+      const ref = collector.ref(tool);
+      if (!ref) {
+        runs.push({ source, tool: tool.id, status: 'skipped', reason: `no ${source} identifier in the catalog` });
+        continue;
+      }
+
+      try {
+        const values = await collector.collect(ref, { from, to, today, request, sleep });
+        const collected = values
+          .filter(({ value }) => Number.isFinite(value))
+          .map(({ date, value }) => ({
+            tool: tool.id,
+            date,
+            metric: collector.metric,
+            value,
+            source,
+            ref,
+            fetched_at: fetchedAt
+          }));
+
+        points.push(...collected);
+        runs.push({ source, tool: tool.id, ref, status: 'ok', points: collected.length });
+      } catch (error) {
+        runs.push({ source, tool: tool.id, status: 'failed', error: error.message });
+      }
+    }
+  }
+
+  return { from, to, fetched_at: fetchedAt, points, runs };
+}
+
+/**
+ * Group data points into one time series sample per tool and day
+ *
+ * Each metric's provenance ({ source, ref, fetched_at }) travels with
+ * the sample.
+ */
+export function toSamples(points) {
+  const samples = new Map();
+
+  for (const { tool, date, metric, value, source, ref, fetched_at } of points) {
+    const key = `${tool}:${date}`;
+    if (!samples.has(key)) {
+      samples.set(key, { tool, date, provenance: {} });
+    }
+    const sample = samples.get(key);
+    sample[metric] = value;
+    sample.provenance[metric] = { source, ref, fetched_at };
+  }
+
+  return [...samples.values()];
+}
+
+/**
+ * Collect, merge into `store` and update `metrics` in place
+ *
+ * `store` is a TimeSeriesStore and `metrics` maps tool IDs to current
+ * metrics. Only fields backed by a successful run change. Returns the
+ * collect() result plus `metrics`: the fields that changed, per tool,
+ * and `restarted`: tools whose stored series was dropped because it
+ * doesn't connect to the collected days ([{ tool, from, to }]).
+ */
+export async function ingest({ store, metrics, ...options }) {
+  const result = await collect(options);
+  const samples = toSamples(result.points);
+  const restarted = dropDisconnected(store, samples);
+  store.merge(samples);
+
+  const updates = {};
+  for (const run of result.runs) {
+    if (run.status !== 'ok' || run.points === 0) continue;
+
+    const fields = CURRENT_FIELDS[run.source](store, run.tool, result.to);
+    const provenance = { source: run.source, ref: run.ref, fetched_at: result.fetched_at };
+
+    const update = updates[run.tool] || { provenance: {} };
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === null || value === undefined) continue;
+      update[field] = value;
+      update.provenance[field] = provenance;
+    }
+    update.last_updated = result.to;
+    updates[run.tool] = update;
+  }
+
+  applyMetrics(metrics, updates);
+  return { ...result, restarted, metrics: updates };
+}
+
+/**
+ * Ingest into the server's dataset and persist it
+ *
+ * Updates the time series and current metrics the mock data source
+ * serves. When paths are given, the store is written to
+ * `timeseriesPath` (JSON lines) and the ingested metrics are merged into
+ * `metricsPath`, so TIMESERIES_PATH / METRICS_PATH pick them up on the
+ * next start.
+ */
+export async function ingestDataset({ timeseriesPath, metricsPath, ...options } = {}) {
+  const report = await ingest({ store: timeSeries, metrics: CURRENT_METRICS, ...options });
+
+  if (timeseriesPath) {
+    mkdirSync(dirname(timeseriesPath), { recursive: true });
+    timeSeries.saveToFile(timeseriesPath);
+  }
+  if (metricsPath) {
+    saveMetricsFile(metricsPath, applyMetrics(loadMetricsFile(metricsPath), report.metrics));
+  }
+
+  return report;
+}
+
+/**
+ * One-line outcome per source, for logs and the CLI
+ */
+export function describeRun(report) {
+  const lines = [`Ingested ${report.from} to ${report.to} (fetched ${report.fetched_at})`];
+
+  for (const source of new Set(report.runs.map(run => run.source))) {
+    const runs = report.runs.filter(run => run.source === source);
+    const ok = runs.filter(run => run.status === 'ok');
+    const points = ok.reduce((sum, run) => sum + run.points, 0);
+    const problems = runs
+      .filter(run => run.status !== 'ok')
+      .map(run => `${run.tool} ${run.status} (${run.error || run.reason})`);
+
+    lines.push(`  ${source}: ${points} points from ${ok.length}/${runs.length} tools${problems.length ? `; ${problems.join('; ')}` : ''}`);
+  }
+
+  for (const { tool, from, to } of report.restarted || []) {
+    lines.push(`  ${tool}: stored series (${from} to ${to}) doesn't connect to the collected days, started over`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Helper: Remove the stored series of tools that `samples` can't extend
+ *
+ * That's when more than DEFAULT_MAX_GAP days would separate the stored
+ * and the collected days. Returns the dropped ranges.
+ */
+function dropDisconnected(store, samples) {
+  const dropped = [];
+
+  for (const tool of new Set(samples.map(sample => sample.tool))) {
+    const stored = store.range(tool);
+    if (!stored) continue;
+
+    const dates = samples.filter(sample => sample.tool === tool).map(sample => sample.date).sort();
+    const gap = Math.max(daysBetween(stored.to, dates[0]), daysBetween(dates[dates.length - 1], stored.from)) - 1;
+    if (gap > DEFAULT_MAX_GAP) {
+      store.remove(tool);
+      dropped.push({ tool, ...stored });
+    }
+  }
+
+  return dropped;
+}
+
+/**
+ * Helper: Lay metric updates over existing metrics, merging provenance
+ */
+function applyMetrics(target, updates) {
+  for (const [toolId, update] of Object.entries(updates)) {
+    const existing = target[toolId] || {};
+    target[toolId] = {
+      ...existing,
+      ...update,
+      provenance: { ...existing.provenance, ...update.provenance }
+    };
+  }
+  return target;
+}
@@ -0,0 +1,66 @@
+/**
+ * Ingestion Scheduler
+ *
+ * Runs ingestion inside the server process: once at startup, then every
+ * `interval` milliseconds (INGEST_INTERVAL_MS). A run that is still
+ * going when the next one is due is not started twice, and a failed run
+ * is logged and retried at the next tick.
+ */
+
+export class IngestScheduler {
+  /**
+   * Options:
+   * - run: async () => report, one ingestion run
+   * - interval: milliseconds between runs
+   * - onRun: called with each run's report (e.g. to log it)
+   */
+  constructor({ run, interval, onRun = () => {} }) {
+    this.run = run;
+    this.interval = interval;
+    this.onRun = onRun;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Start running on the schedule; the first run starts immediately
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.interval);
+    this.timer.unref();
+    this.tick();
+  }
+
+  /**
+   * Run once now, unless a run is already in progress
+   *
+   * Resolves with the run's report, or null when it failed or was skipped.
+   */
+  async tick() {
+    if (this.running) return null;
+
+    this.running = (async () => {
+      try {
+        const report = await this.run();
+        this.onRun(report);
+        return report;
+      } catch (error) {
+        console.error(`Scheduled ingestion failed: ${error.message}`);
+        return null;
+      } finally {
+        this.running = null;
+      }
+    })();
+
+    return this.running;
+  }
+
+  /**
+   * Stop scheduling runs (a run in progress finishes)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
@@ -0,0 +1,269 @@
+/**
+ * MCP Prompts
+ *
+ * Parameterized templates for the multi-step asks analysts keep
+ * retyping. Each one tells Claude which tools to call in which order
+ * (compare_tools, get_trending_tools, get_tool_history) and how to lay
+ * out the report, so everyone on the team gets the same structure.
+ *
+ * Arguments that name tools or categories are completed from the
+ * catalog (completion/complete), and tool names are resolved to IDs when
+ * the prompt is built, so "Claude SDK" works as well as "anthropic".
+ */
+
+import { readResource, ResourceNotFoundError } from '../resources/index.js';
+import { getTool, getCategories } from '../catalog/index.js';
+import { resolveToolId, completeToolIds, ToolNotFoundError } from '../catalog/resolver.js';
+
+// Completions returned per request (the MCP limit)
+const MAX_COMPLETIONS = 100;
+
+export class PromptArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptArgumentError';
+  }
+}
+
+/**
+ * Prompt definitions
+ *
+ * Each argument may name a `complete` source: 'tool', 'category' or a
+ * list of values. `build` receives resolved arguments and returns the
+ * prompt messages.
+ */
+const PROMPTS = [
+  {
+    name: 'weekly_market_brief',
+    title: 'Weekly AI SDK market brief',
+    description: 'A one-page brief on this week\'s movers: trending tools, a head-to-head of the leaders and a trend check on the fastest grower',
+    arguments: [
+      { name: 'category', description: 'Category to cover (default: all)', complete: 'category' },
+      { name: 'audience', description: 'Who reads the brief, e.g. "engineering leadership"' }
+    ],
+    async build({ category = 'all', audience }) {
+      const scope = category === 'all' ? 'AI developer tools' : `${category} tools`;
+
+      return [textMessage(`Prepare this week's market brief on ${scope}${audience ? ` for ${audience}` : ''}.
+
+1. Call get_trending_tools with time_range "7d", limit 5${category === 'all' ? '' : ` and category "${category}"`} to find this week's movers.
+2. Call compare_tools with the top 3 tools from step 1 and time_range "7d".
+3. Call get_tool_history for the fastest grower with months 3 and granularity "week", to check whether this week continues a trend or is a one-off.
+
+Write the brief with these sections:
+- **Headline**: the biggest change this week, in one sentence
+- **Movers**: each trending tool with its 7-day growth and monthly downloads
+- **Head to head**: what the comparison shows about the leaders
+- **Trend check**: whether the fastest grower's week fits its recent weekly trend
+- **Watch next week**: one or two things to keep an eye on
+
+Keep it under 300 words and quote the numbers the tools return.`)];
+    }
+  },
+  {
+    name: 'evaluate_tools',
+    title: 'Evaluate two tools for our stack',
+    description: 'Compare two tools on adoption, momentum and community, with their profiles attached, and end with a recommendation',
+    arguments: [
+      { name: 'tool_a', description: 'First tool', required: true, complete: 'tool' },
+      { name: 'tool_b', description: 'Second tool', required: true, complete: 'tool' },
+      { name: 'stack', description: 'Your stack or use case, e.g. "TypeScript backend on AWS Lambda"' }
+    ],
+    async build({ tool_a, tool_b, stack }) {
+      if (tool_a === tool_b) {
+        throw new PromptArgumentError('tool_a and tool_b must be different tools');
+      }
+      const [a, b] = [getTool(tool_a), getTool(tool_b)];
+
+      return [
+        ...await profileMessages([tool_a, tool_b]),
+        textMessage(`Evaluate ${a.name} vs ${b.name}${stack ? ` for this stack: ${stack}` : ' for our stack'}.
+
+1. Call compare_tools with tools ["${tool_a}", "${tool_b}"] and time_range "30d".
+2. Call get_tool_history for "${tool_a}" and for "${tool_b}" with months 12, to see whether each one's growth is sustained.
+3. Call get_trending_tools with time_range "90d"${a.category === b.category ? ` and category "${a.category}"` : ''} to see where they rank.
+
+Write the evaluation with these sections:
+- **Summary**: which to pick and why, in two sentences
+- **Adoption**: downloads and GitHub stars side by side
+- **Momentum**: growth over the last month and the last year
+- **Community**: Stack Overflow and Reddit activity as a proxy for available help
+- **Risks**: anything in the history that argues for caution
+- **Recommendation**: the choice${stack ? ' for this stack' : ''}, and what would change it
+
+Quote the numbers the tools return.`)
+      ];
+    }
+  },
+  {
+    name: 'tool_adoption_report',
+    title: 'Adoption report for one tool',
+    description: 'How one tool is doing: its download history, where it ranks in its category and how it compares with the category leader',
+    arguments: [
+      { name: 'tool', description: 'Tool to report on', required: true, complete: 'tool' },
+      { name: 'months', description: 'Months of history to cover (default 6)', complete: ['3', '6', '12'] }
+    ],
+    async build({ tool, months = '6' }) {
+      const entry = getTool(tool);
+
+      return [
+        ...await profileMessages([tool]),
+        textMessage(`Write an adoption report on ${entry.name}.
+
+1. Call get_tool_history with tool "${tool}" and months ${months}.
+2. Call get_trending_tools with time_range "30d" and category "${entry.category}" to see where it ranks among ${entry.category} tools.
+3. Call compare_tools with "${tool}" and the leader from step 2 (or the runner-up, if ${entry.name} leads), time_range "30d".
+
+Write the report with these sections:
+- **Snapshot**: current downloads, stars and 30-day growth
+- **Trajectory**: how the last ${months} months went, including any slowdown or acceleration
+- **Position**: its rank in ${entry.category} and the gap to the leader (or to the runner-up)
+- **Outlook**: what the trend suggests for the next quarter
+
+Quote the numbers the tools return.`)
+      ];
+    }
+  }
+];
+
+/**
+ * Prompts for prompts/list
+ */
+export function listPrompts() {
+  return PROMPTS.map(({ name, title, description, arguments: args }) => ({
+    name,
+    title,
+    description,
+    arguments: args.map(({ name: argName, description: argDescription, required = false }) => ({
+      name: argName,
+      description: argDescription,
+      required
+    }))
+  }));
+}
+
+/**
+ * Build a prompt's messages for prompts/get
+ *
+ * Throws PromptArgumentError for unknown prompts, missing arguments,
+ * values outside an argument's choices, and tool names that don't
+ * resolve.
+ */
+export async function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    throw new PromptArgumentError(`Unknown prompt '${name}'. Available: ${PROMPTS.map(p => p.name).join(', ')}`);
+  }
+
+  const resolved = {};
+  for (const spec of prompt.arguments) {
+    const value = args[spec.name]?.trim();
+    if (!value) {
+      if (spec.required) {
+        throw new PromptArgumentError(`Missing required argument '${spec.name}' for prompt ${name}`);
+      }
+      continue;
+    }
+    resolved[spec.name] = resolveArgument(spec, value);
+  }
+
+  return {
+    description: prompt.description,
+    messages: await prompt.build(resolved)
+  };
+}
+
+/**
+ * Complete a prompt argument or a tool:// template variable
+ *
+ * `ref` and `argument` come straight from completion/complete. Tools
+ * already picked for other arguments of the same prompt are left out.
+ */
+export function completeArgument(ref, argument, context = {}) {
+  let candidates = [];
+
+  if (ref.type === 'ref/prompt') {
+    const spec = PROMPTS.find(p => p.name === ref.name)?.arguments.find(a => a.name === argument.name);
+    candidates = candidatesFor(spec?.complete, argument.value);
+
+    if (spec?.complete === 'tool') {
+      const chosen = Object.entries(context.arguments || {})
+        .filter(([name]) => name !== argument.name)
+        .map(([, value]) => value);
+      candidates = candidates.filter(id => !chosen.includes(id));
+    }
+  } else if (ref.type === 'ref/resource' && ref.uri.startsWith('tool://') && argument.name === 'id') {
+    candidates = candidatesFor('tool', argument.value);
+  }
+
+  return {
+    values: candidates.slice(0, MAX_COMPLETIONS),
+    total: candidates.length,
+    hasMore: candidates.length > MAX_COMPLETIONS
+  };
+}
+
+/**
+ * Helper: Values matching a partial input, for one completion source
+ */
+function candidatesFor(source, partial = '') {
+  if (source === 'tool') return completeToolIds(partial);
+
+  const values = source === 'category' ? ['all', ...getCategories()] : source || [];
+  return values.filter(value => value.toLowerCase().startsWith(partial.toLowerCase()));
+}
+
+/**
+ * Helper: Check one argument and map tool names to catalog IDs
+ */
+function resolveArgument(spec, value) {
+  if (spec.complete === 'tool') {
+    try {
+      return resolveToolId(value);
+    } catch (error) {
+      if (!(error instanceof ToolNotFoundError)) throw error;
+      const hint = error.suggestions.length > 0
+        ? ` Did you mean: ${error.suggestions.map(s => s.id).join(', ')}?`
+        : '';
+      throw new PromptArgumentError(`Unknown tool '${value}' for ${spec.name}.${hint}`);
+    }
+  }
+
+  const allowed = spec.complete === 'category' ? ['all', ...getCategories()] : spec.complete;
+  if (Array.isArray(allowed) && !allowed.includes(value)) {
+    throw new PromptArgumentError(`${spec.name} must be one of: ${allowed.join(', ')} (got '${value}')`);
+  }
+
+  return value;
+}
+
+/**
+ * Helper: Attach tool profiles (tool:// resources) as prompt context
+ *
+ * Profiles are optional context: a tool without metrics has none, and a
+ * failed read (open circuit, timeout) is logged. Either way the prompt
+ * goes out without that profile, and the tool calls will report the data.
+ */
+async function profileMessages(toolIds) {
+  const messages = [];
+
+  for (const id of toolIds) {
+    try {
+      const { contents } = await readResource(`tool://${id}`);
+      messages.push({ role: 'user', content: { type: 'resource', resource: contents[0] } });
+    } catch (error) {
+      if (!(error instanceof ResourceNotFoundError)) {
+        console.error(`Could not attach profile of ${id} to prompt: ${error.message}`);
+      }
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Helper: A user message with plain text
+ */
+function textMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
@@ -0,0 +1,187 @@
+/**
+ * MCP Resources
+ *
+ * Read-only views of the data that clients can attach as context without
+ * a tool call:
+ *
+ * - tool://{id}: a tool's profile (catalog entry + current metrics)
+ * - tool://{id}/history: its monthly download history
+ * - metrics://snapshot: current metrics for every tool
+ *
+ * Each resource reads as Markdown by default; add `?format=json` for the
+ * raw API payload. Like the tools, resources get their data through the
+ * API client, never from the data layer directly.
+ */
+
+import { apiClient } from '../api/client.js';
+import { formatToolProfile, formatHistoryTable, formatMetricsSnapshot } from '../utils/formatters.js';
+import { listTools, getTool } from '../catalog/index.js';
+
+export const SNAPSHOT_URI = 'metrics://snapshot';
+
+// Months of history in tool://{id}/history
+const HISTORY_MONTHS = 12;
+
+// Page size when collecting every tool for the snapshot
+const SNAPSHOT_PAGE_SIZE = 50;
+
+export const RESOURCE_FORMATS = {
+  markdown: 'text/markdown',
+  json: 'application/json'
+};
+
+export class ResourceNotFoundError extends Error {
+  constructor(uri, reason = 'not found') {
+    super(`Resource ${uri} ${reason}`);
+    this.name = 'ResourceNotFoundError';
+    this.uri = uri;
+  }
+}
+
+/**
+ * URI templates for resources/templates/list
+ */
+export const resourceTemplates = [
+  {
+    uriTemplate: 'tool://{id}{?format}',
+    name: 'Tool profile',
+    description: 'Catalog entry and current metrics for one AI developer tool. format=json for raw data',
+    mimeType: RESOURCE_FORMATS.markdown
+  },
+  {
+    uriTemplate: 'tool://{id}/history{?format}',
+    name: 'Tool download history',
+    description: `Monthly downloads for one tool over the last ${HISTORY_MONTHS} months. format=json for raw data`,
+    mimeType: RESOURCE_FORMATS.markdown
+  }
+];
+
+/**
+ * Every concrete resource: the snapshot, then a profile and history per tool
+ */
+export function listResources() {
+  const perTool = listTools().flatMap(tool => [
+    {
+      uri: `tool://${tool.id}`,
+      name: `${tool.name} profile`,
+      description: `${tool.description}: current downloads, stars, community activity and growth`,
+      mimeType: RESOURCE_FORMATS.markdown
+    },
+    {
+      uri: `tool://${tool.id}/history`,
+      name: `${tool.name} download history`,
+      description: `Monthly downloads over the last ${HISTORY_MONTHS} months`,
+      mimeType: RESOURCE_FORMATS.markdown
+    }
+  ]);
+
+  return [
+    {
+      uri: SNAPSHOT_URI,
+      name: 'Metrics snapshot',
+      description: 'Current metrics and adoption scores for every tracked tool',
+      mimeType: RESOURCE_FORMATS.markdown
+    },
+    ...perTool
+  ];
+}
+
+/**
+ * Read a resource, returning the resources/read result
+ *
+ * `requestOptions` is passed on to the API client (e.g. `{ cache: false }`).
+ * Throws ResourceNotFoundError for unknown URIs and tools without data.
+ */
+export async function readResource(uri, requestOptions) {
+  const { kind, toolId, format } = parseResourceUri(uri);
+  const { data, markdown } = await loadResource(uri, kind, toolId, requestOptions);
+
+  return {
+    contents: [{
+      uri,
+      mimeType: RESOURCE_FORMATS[format],
+      text: format === 'json' ? JSON.stringify(data, null, 2) : markdown
+    }]
+  };
+}
+
+/**
+ * Split a resource URI into its kind, tool and format
+ */
+export function parseResourceUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    throw new ResourceNotFoundError(uri, 'is not a valid URI');
+  }
+
+  const format = url.searchParams.get('format') || 'markdown';
+  if (!RESOURCE_FORMATS[format]) {
+    throw new ResourceNotFoundError(uri, `has an unsupported format. Expected one of: ${Object.keys(RESOURCE_FORMATS).join(', ')}`);
+  }
+
+  if (url.protocol === 'metrics:' && url.host + url.pathname === 'snapshot') {
+    return { kind: 'snapshot', format };
+  }
+
+  if (url.protocol === 'tool:' && getTool(url.host)) {
+    if (url.pathname === '' || url.pathname === '/') return { kind: 'profile', toolId: url.host, format };
+    if (url.pathname === '/history') return { kind: 'history', toolId: url.host, format };
+  }
+
+  throw new ResourceNotFoundError(uri);
+}
+
+/**
+ * Helper: Fetch a resource's data and render its Markdown
+ */
+async function loadResource(uri, kind, toolId, requestOptions) {
+  switch (kind) {
+    case 'profile': {
+      const data = await unwrap(uri, apiClient.getToolMetrics(toolId, requestOptions));
+      return { data, markdown: formatToolProfile(data) };
+    }
+    case 'history': {
+      const data = await unwrap(uri, apiClient.getToolHistory(toolId, HISTORY_MONTHS, 'month', 'all', requestOptions));
+      return { data, markdown: formatHistoryTable(data, getTool(toolId).name) };
+    }
+    default: {
+      const tools = await loadSnapshot(uri, requestOptions);
+      const data = { tools, count: tools.length };
+      return { data, markdown: formatMetricsSnapshot(data) };
+    }
+  }
+}
+
+/**
+ * Helper: Every tool with metrics, following search pages to the end
+ */
+async function loadSnapshot(uri, requestOptions) {
+  const tools = [];
+  let cursor;
+
+  do {
+    const page = await unwrap(uri, apiClient.searchTools({ limit: SNAPSHOT_PAGE_SIZE, cursor }, requestOptions));
+    tools.push(...page.results);
+    cursor = page.next_cursor;
+  } while (cursor);
+
+  return tools;
+}
+
+/**
+ * Helper: Resolve an API envelope to its data
+ *
+ * A 404 means the tool has no data yet, so the resource doesn't exist.
+ */
+async function unwrap(uri, request) {
+  const response = await request;
+  if (response.status === 404) {
+    throw new ResourceNotFoundError(uri, `has no data: ${response.error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(response.error.message);
+  }
+  return response.data;
+}
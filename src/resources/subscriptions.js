@@ -0,0 +1,112 @@
+/**
+ * Resource Subscriptions
+ *
+ * Tracks the resources one client has subscribed to and tells it when
+ * their content changes. While anything is subscribed, every subscribed
+ * resource is re-read on an interval, bypassing the response cache, and
+ * compared with the previous read; a changed resource gets a
+ * notifications/resources/updated.
+ *
+ * Polling through the API client means updates are noticed whichever
+ * data source is behind it, and a change the cache hasn't seen yet
+ * still counts.
+ */
+
+import { createHash } from 'node:crypto';
+
+// How often subscribed resources are re-read (RESOURCE_POLL_INTERVAL_MS)
+export const DEFAULT_POLL_INTERVAL = 5 * 60 * 1000;
+
+export class ResourceSubscriptions {
+  /**
+   * Options:
+   * - read: async (uri) => resources/read result
+   * - notify: async (uri) => void, sends the updated notification
+   * - interval: milliseconds between polls
+   */
+  constructor({ read, notify, interval = DEFAULT_POLL_INTERVAL }) {
+    this.read = read;
+    this.notify = notify;
+    this.interval = interval;
+
+    // uri → hash of the last content read
+    this.subscriptions = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Start watching a resource; reads it once to record its current content
+   */
+  async subscribe(uri) {
+    this.subscriptions.set(uri, await this._fingerprint(uri));
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.interval);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop watching a resource (and stop polling when nothing is left)
+   */
+  unsubscribe(uri) {
+    this.subscriptions.delete(uri);
+    if (this.subscriptions.size === 0) {
+      this.close();
+    }
+  }
+
+  /**
+   * Re-read every subscribed resource and notify about changed ones
+   *
+   * A failed read or notification keeps the previous fingerprint, so the
+   * resource is compared (and the client notified) again at the next
+   * poll. Errors are logged, never thrown: this runs from a timer, where
+   * a rejection would end the process. Returns the URIs that changed.
+   */
+  async poll() {
+    const changed = [];
+
+    for (const [uri, previous] of this.subscriptions) {
+      let current;
+      try {
+        current = await this._fingerprint(uri, { cache: false });
+      } catch (error) {
+        console.error(`Could not refresh resource ${uri}: ${error.message}`);
+        continue;
+      }
+
+      // Unsubscribed while this poll was running
+      if (!this.subscriptions.has(uri)) continue;
+
+      if (current !== previous) {
+        try {
+          await this.notify(uri);
+        } catch (error) {
+          console.error(`Could not send update for resource ${uri}: ${error.message}`);
+          continue;
+        }
+        if (this.subscriptions.has(uri)) this.subscriptions.set(uri, current);
+        changed.push(uri);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Stop polling
+   */
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Helper: Hash of a resource's content
+   */
+  async _fingerprint(uri, requestOptions) {
+    const { contents } = await this.read(uri, requestOptions);
+    return createHash('sha256').update(JSON.stringify(contents)).digest('hex');
+  }
+}
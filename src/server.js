@@ -0,0 +1,334 @@
+/**
+ * MCP Server Factory
+ *
+ * Builds a fully configured MCP Server: capabilities, the tool registry
+ * and the protocol request handlers. Transports live in src/index.js.
+ *
+ * A Server instance talks to exactly one client connection, so the
+ * stdio transport creates one and the HTTP transport creates one per
+ * session. Everything they share (API client, catalog, data) lives in
+ * module scope elsewhere.
+ */
+
+import { createHash } from 'node:crypto';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
+import { rateLimiter as defaultRateLimiter, RateLimitError } from './utils/rate-limiter.js';
+import { validateArguments, ArgumentValidationError } from './utils/validate.js';
+import { errorResult } from './utils/results.js';
+import { listResources, resourceTemplates, readResource, parseResourceUri, ResourceNotFoundError } from './resources/index.js';
+import { ResourceSubscriptions, DEFAULT_POLL_INTERVAL } from './resources/subscriptions.js';
+import { listPrompts, getPrompt, completeArgument, PromptArgumentError } from './prompts/index.js';
+
+// Import our tool implementations
+import { compareTool } from './tools/compare.js';
+import { trendingTool } from './tools/trending.js';
+import { historyTool } from './tools/history.js';
+import { searchTool } from './tools/search.js';
+import { anomaliesTool } from './tools/anomalies.js';
+import { forecastTool } from './tools/forecast.js';
+import { leaderboardTool } from './tools/leaderboard.js';
+import { versionAdoptionTool } from './tools/versions.js';
+import { addToWatchlistTool, listWatchlistTool, checkAlertsTool } from './tools/watchlist.js';
+
+// Server configuration
+export const SERVER_NAME = process.env.SERVER_NAME || 'ai-developer-tools-mcp';
+export const SERVER_VERSION = process.env.SERVER_VERSION || '1.0.0';
+
+// JSON-RPC error code for throttled tool calls (server-defined range)
+export const RATE_LIMITED = -32029;
+
+// JSON-RPC error code for unknown resources (as the MCP spec suggests)
+export const RESOURCE_NOT_FOUND = -32002;
+
+/**
+ * Registry of all available tools
+ *
+ * Each tool exports a standard interface:
+ * - name: Unique identifier for the tool
+ * - description: Human-readable explanation of what it does
+ * - inputSchema: JSON Schema defining accepted parameters
+ * - outputSchema: JSON Schema of the structuredContent it returns
+ * - execute: Async function returning an MCP CallToolResult. It also
+ *   receives the request's `extra`, for tools that send notifications
+ *
+ * Schemas that list tool IDs or categories are getters backed by the
+ * catalog (src/catalog/), so they are rebuilt on every tools/list.
+ */
+export const tools = [
+  compareTool,
+  trendingTool,
+  historyTool,
+  searchTool,
+  anomaliesTool,
+  forecastTool,
+  leaderboardTool,
+  versionAdoptionTool,
+  addToWatchlistTool,
+  listWatchlistTool,
+  checkAlertsTool
+];
+
+/**
+ * Create a new MCP server instance
+ *
+ * The Server class from the MCP SDK handles the protocol layer.
+ * We configure it with capabilities and metadata, then register the
+ * request handlers.
+ *
+ * Options:
+ * - rateLimiter: limiter applied to tools/call (default: the shared
+ *   instance from src/utils/rate-limiter.js; null disables it)
+ * - resourcePollInterval: milliseconds between re-reads of subscribed
+ *   resources (default: RESOURCE_POLL_INTERVAL_MS or 5 minutes)
+ * - apiKeys: API keys that identify a caller for rate limits (default:
+ *   comma-separated MCP_API_KEYS); any other key is ignored
+ * - remoteAddress: client address, set by the HTTP transport
+ */
+export function createServer(options = {}) {
+  const rateLimiter = options.rateLimiter === undefined ? defaultRateLimiter : options.rateLimiter;
+  const apiKeys = new Set(options.apiKeys
+    ?? (process.env.MCP_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean));
+
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: SERVER_VERSION,
+    },
+    {
+      capabilities: {
+        tools: {}, // We provide tool execution capability
+        logging: {}, // Watchlist alerts arrive as log notifications
+        resources: { subscribe: true }, // Tool profiles, history and the metrics snapshot
+        prompts: {}, // Report templates for common analyst workflows
+        completions: {}, // Prompt arguments and tool:// IDs complete from the catalog
+      },
+    }
+  );
+
+  // Subscriptions belong to this client connection
+  const subscriptions = new ResourceSubscriptions({
+    read: readResource,
+    notify: uri => server.sendResourceUpdated({ uri }),
+    interval: options.resourcePollInterval
+      ?? (parseInt(process.env.RESOURCE_POLL_INTERVAL_MS, 10) || DEFAULT_POLL_INTERVAL)
+  });
+  server.onclose = () => subscriptions.close();
+
+  /**
+   * Handle tools/list requests
+   *
+   * Claude calls this to discover what tools are available.
+   * We return the schema for each tool so Claude knows:
+   * - What the tool does
+   * - What parameters it accepts
+   * - What types those parameters should be
+   *
+   * This is analogous to OpenAPI/Swagger for REST APIs, but optimized
+   * for AI agent consumption rather than human developers.
+   */
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+      tools: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.inputSchema,
+        outputSchema: tool.outputSchema
+      }))
+    };
+  });
+
+  /**
+   * Handle tools/call requests
+   *
+   * When Claude wants to use a tool, it sends a call request with:
+   * - name: Which tool to invoke
+   * - arguments: Parameter values
+   *
+   * We find the matching tool, validate the arguments against its
+   * inputSchema (filling in defaults) and execute it. Tools return a complete
+   * CallToolResult: natural-language text by default, plus the raw API
+   * payload as structuredContent (see src/utils/results.js).
+   *
+   * Error Handling Strategy:
+   * - Tool-level errors are caught and returned as error messages
+   * - This prevents one failing tool from crashing the entire server
+   * - Claude can see the error and potentially retry or ask the user for help
+   * - Throttled calls fail with a RATE_LIMITED error whose data carries
+   *   `retry_after_ms`, before the tool runs
+   * - Invalid arguments never reach the tool; the error result lists
+   *   each bad field so Claude can correct the call
+   */
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+
+    // Find the requested tool
+    const tool = tools.find(t => t.name === name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    try {
+      rateLimiter?.consume(name, callerId(extra, apiKeys, options.remoteAddress));
+    } catch (error) {
+      // The SDK turns `code` and `data` into the JSON-RPC error. (McpError
+      // would prefix the message, and clients add that prefix again.)
+      if (error instanceof RateLimitError) {
+        error.code = RATE_LIMITED;
+        error.data = { retry_after_ms: error.retryAfterMs };
+      }
+      throw error;
+    }
+
+    const { value, errors } = validateArguments(tool.inputSchema, args || {});
+    if (errors.length > 0) {
+      return errorResult(new ArgumentValidationError(name, errors), undefined, args?.locale);
+    }
+
+    try {
+      // Execute the tool with validated arguments
+      return await tool.execute(value, extra);
+    } catch (error) {
+      // Log error for debugging (goes to stderr, not to Claude)
+      console.error(`Error executing tool ${name}:`, error.message);
+
+      // Return user-friendly error message
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  });
+
+  /**
+   * Handle resources/list and resources/templates/list
+   *
+   * Resources let clients attach data as context without a tool call:
+   * a profile and a history per catalog tool, plus a metrics snapshot.
+   */
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: listResources() };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates };
+  });
+
+  /**
+   * Handle resources/read
+   *
+   * Unknown URIs fail with RESOURCE_NOT_FOUND rather than an internal error.
+   */
+  server.setRequestHandler(ReadResourceRequestSchema, async request => {
+    return withErrorCodes(() => readResource(request.params.uri));
+  });
+
+  /**
+   * Handle resources/subscribe and resources/unsubscribe
+   *
+   * Subscribed resources are re-read on an interval, and the client gets
+   * notifications/resources/updated when one changes.
+   */
+  server.setRequestHandler(SubscribeRequestSchema, async request => {
+    return withErrorCodes(async () => {
+      parseResourceUri(request.params.uri);
+      await subscriptions.subscribe(request.params.uri);
+      return {};
+    });
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    subscriptions.unsubscribe(request.params.uri);
+    return {};
+  });
+
+  /**
+   * Handle prompts/list and prompts/get
+   *
+   * Prompts are templates for multi-step reports. Getting one resolves
+   * its tool arguments and returns the messages that walk Claude through
+   * the tool calls; bad arguments fail with InvalidParams.
+   */
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: listPrompts() };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async request => {
+    return withErrorCodes(() => getPrompt(request.params.name, request.params.arguments));
+  });
+
+  /**
+   * Handle completion/complete for prompt arguments and tool:// URIs
+   */
+  server.setRequestHandler(CompleteRequestSchema, async request => {
+    const { ref, argument, context } = request.params;
+    return { completion: completeArgument(ref, argument, context) };
+  });
+
+  return server;
+}
+
+/**
+ * Helper: Give resource and prompt errors their JSON-RPC codes
+ *
+ * As with rate limiting, the SDK builds the error response from `code`
+ * and `data`.
+ */
+async function withErrorCodes(handler) {
+  try {
+    return await handler();
+  } catch (error) {
+    if (error instanceof ResourceNotFoundError) {
+      error.code = RESOURCE_NOT_FOUND;
+      error.data = { uri: error.uri };
+    } else if (error instanceof PromptArgumentError) {
+      error.code = ErrorCode.InvalidParams;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper: Identify who is calling, for per-caller rate limits
+ *
+ * Over HTTP, a configured API key (X-API-Key or a Bearer token)
+ * identifies the caller across sessions. Headers are unauthenticated, so
+ * any other key is ignored: otherwise a client could pick a fresh key per
+ * call, or spend someone else's budget. Without a known key the client
+ * address is the caller, so opening more sessions doesn't buy more calls.
+ * Keys are hashed so they never sit in stats in plain text.
+ * Over stdio there is only ever one caller.
+ */
+function callerId(extra = {}, apiKeys = new Set(), remoteAddress) {
+  const headers = extra.requestInfo?.headers || {};
+  const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '')?.[1];
+  const apiKey = headers['x-api-key'] || bearer;
+
+  if (apiKey && apiKeys.has(String(apiKey))) {
+    return `key:${createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16)}`;
+  }
+  if (remoteAddress) {
+    return `addr:${remoteAddress}`;
+  }
+  if (extra.sessionId) {
+    return `session:${extra.sessionId}`;
+  }
+  return 'local';
+}
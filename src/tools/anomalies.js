@@ -0,0 +1,95 @@
+/**
+ * Anomalies Tool
+ *
+ * Flag sudden download spikes and drops for a tool, with likely causes
+ */
+
+import { apiClient } from '../api/client.js';
+import { formatAnomalies } from '../utils/formatters.js';
+import { toolResult, errorResult, formatInputSchema, localeInputSchema } from '../utils/results.js';
+import { anomalySchema } from '../utils/output-schemas.js';
+import { toolIdSchema } from '../catalog/schemas.js';
+import { resolveToolId } from '../catalog/resolver.js';
+import { getTool } from '../catalog/index.js';
+
+export const anomaliesTool = {
+  name: 'detect_anomalies',
+  description: 'Detect unusual download spikes or drops for an AI developer tool and link them to likely causes such as releases. Useful as an early signal of SDK releases and incidents',
+
+  // Getter so tool IDs come from the catalog at tools/list time
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        tool: toolIdSchema('Tool ID to check for anomalies'),
+        months: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 12,
+          default: 3,
+          description: 'Number of recent months to check (1-12)'
+        },
+        threshold: {
+          type: 'number',
+          minimum: 2,
+          maximum: 10,
+          default: 3.5,
+          description: 'Sensitivity as a robust z-score: lower flags more days (default 3.5)'
+        },
+        format: formatInputSchema,
+        locale: localeInputSchema
+      },
+      required: ['tool'],
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
+    type: 'object',
+    properties: {
+      tool_id: { type: 'string' },
+      months: { type: 'integer' },
+      threshold: { type: 'number' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      method: { type: 'string' },
+      anomalies: { type: 'array', items: anomalySchema },
+      releases: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            date: { type: 'string' },
+            version: { type: 'string' },
+            title: { type: 'string' }
+          }
+        },
+        description: 'Known releases in the checked range'
+      }
+    },
+    required: ['tool_id', 'anomalies']
+  },
+
+  async execute(args) {
+    const { tool, months = 3, threshold = 3.5, format = 'text', locale } = args;
+
+    try {
+      // Map names like "Claude SDK" to a catalog ID
+      const toolId = resolveToolId(tool);
+
+      // Call REST API
+      const response = await apiClient.getToolAnomalies(toolId, months, threshold);
+
+      if (!response.ok) {
+        throw new Error(response.error.message);
+      }
+
+      // Format response
+      const toolName = getTool(toolId)?.name || toolId;
+      return toolResult(formatAnomalies(response.data, toolName, locale), response.data, format);
+
+    } catch (error) {
+      return errorResult(error, 'detect anomalies', locale);
+    }
+  }
+};
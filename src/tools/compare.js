@@ -8,53 +8,114 @@
  */
 
 import { apiClient } from '../api/client.js';
-import { formatComparison, formatError } from '../utils/formatters.js';
+import { formatComparison } from '../utils/formatters.js';
+import { toolResult, errorResult, formatInputSchema, localeInputSchema, chartInputSchema, exportInputSchema, exportToInputSchema } from '../utils/results.js';
+import { toolMetricsSchema } from '../utils/output-schemas.js';
+import { toolIdSchema, registrySchema } from '../catalog/schemas.js';
+import { resolveToolIds } from '../catalog/resolver.js';
+import { chartContent, comparisonChart } from '../charts/index.js';
+import { exportContent, comparisonTable } from '../export/index.js';
+
+// Months of history behind trend sparklines and charts
+const TREND_MONTHS = 6;
 
 export const compareTool = {
   name: 'compare_tools',
-  description: 'Compare adoption metrics between 2-3 AI developer tools (e.g., OpenAI vs Anthropic SDK)',
+  description: 'Compare adoption metrics between 2-3 AI developer tools (e.g., OpenAI vs Anthropic SDK), with downloads per package registry (npm, PyPI, crates.io, Go) and combined',
 
-  inputSchema: {
-    type: 'object',
-    properties: {
-      tools: {
-        type: 'array',
-        items: {
+  // Getter so tool IDs come from the catalog at tools/list time
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        tools: {
+          type: 'array',
+          items: toolIdSchema(),
+          minItems: 2,
+          maxItems: 3,
+          description: 'Array of 2-3 tools to compare'
+        },
+        time_range: {
           type: 'string',
-          enum: ['openai', 'anthropic', 'cursor', 'copilot', 'langchain']
+          enum: ['7d', '30d', '90d'],
+          default: '30d',
+          description: 'Time range: 7d (week), 30d (month), 90d (quarter)'
         },
-        minItems: 2,
-        maxItems: 3,
-        description: 'Array of 2-3 tool IDs to compare'
+        registry: registrySchema(),
+        format: formatInputSchema,
+        locale: localeInputSchema,
+        chart: chartInputSchema,
+        export: exportInputSchema,
+        export_to: exportToInputSchema
       },
-      time_range: {
-        type: 'string',
-        enum: ['7d', '30d', '90d'],
-        default: '30d',
-        description: 'Time range: 7d (week), 30d (month), 90d (quarter)'
-      }
+      required: ['tools'],
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
+    type: 'object',
+    properties: {
+      tools: { type: 'array', items: toolMetricsSchema },
+      time_range: { type: 'string' },
+      registry: { type: 'string' },
+      compared_at: { type: 'string' }
     },
-    required: ['tools']
+    required: ['tools', 'time_range']
   },
 
   async execute(args) {
-    const { tools, time_range = '30d' } = args;
+    const { tools, time_range = '30d', registry = 'all', format = 'text', chart = 'none', export: exportFormat = 'none', export_to = 'resource', locale } = args;
 
     try {
-      // Step 1: Call REST API
-      const response = await apiClient.compareTools(tools, time_range);
+      // Step 1: Map names like "Claude SDK" to catalog IDs
+      const toolIds = [...new Set(resolveToolIds(tools))];
+      if (toolIds.length < 2) {
+        throw new Error(`Need at least 2 different tools to compare, but ${tools.join(' and ')} are the same tool`);
+      }
+
+      // Step 2: Call REST API
+      const response = await apiClient.compareTools(toolIds, time_range, registry);
       
-      // Step 2: Check for API errors
+      // Step 3: Check for API errors
       if (!response.ok) {
         throw new Error(response.error.message);
       }
 
-      // Step 3: Format JSON → Natural language
-      return formatComparison(response.data, time_range);
+      // Step 4: Monthly history for trend lines, unless only JSON is wanted
+      const histories = format === 'json' && chart === 'none'
+        ? []
+        : await trendHistories(response.data.tools, registry);
+      const trends = Object.fromEntries(histories.map(h => [h.id, h.data.map(point => point.downloads)]));
+      const attachments = chart !== 'none' && histories.length > 0
+        ? [chartContent(comparisonChart(histories), chart)]
+        : [];
+      if (exportFormat !== 'none') {
+        attachments.push(...exportContent(comparisonTable(response.data), { format: exportFormat, to: export_to, locale }));
+      }
+
+      // Step 5: Format JSON → Natural language (raw JSON stays attached)
+      return toolResult(formatComparison(response.data, time_range, trends, locale), response.data, format, attachments);
       
     } catch (error) {
-      // Step 4: Return helpful error message
-      return formatError(error, 'compare tools');
+      // Step 6: Return helpful error message
+      return errorResult(error, 'compare tools', locale);
     }
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Helper: Recent monthly history per compared tool, as { id, name, data }
+ *
+ * Best effort: tools whose history can't be fetched (e.g. not published
+ * on the selected registry) are left out rather than failing the comparison.
+ */
+async function trendHistories(tools, registry) {
+  const responses = await Promise.all(
+    tools.map(tool => apiClient.getToolHistory(tool.id, TREND_MONTHS, 'month', registry))
+  );
+
+  return tools
+    .map((tool, index) => ({ id: tool.id, name: tool.name, data: responses[index].ok ? responses[index].data.data : [] }))
+    .filter(history => history.data.length > 0);
+}
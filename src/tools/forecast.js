@@ -0,0 +1,144 @@
+/**
+ * Forecast Tool
+ *
+ * Project future monthly downloads for a tool, with prediction intervals,
+ * target dates and crossover dates against another tool
+ */
+
+import { apiClient } from '../api/client.js';
+import { formatForecast } from '../utils/formatters.js';
+import { toolResult, errorResult, formatInputSchema, localeInputSchema, chartInputSchema } from '../utils/results.js';
+import { projectionSchema, crossingSchema } from '../utils/output-schemas.js';
+import { toolIdSchema } from '../catalog/schemas.js';
+import { resolveToolId } from '../catalog/resolver.js';
+import { getTool } from '../catalog/index.js';
+import { chartContent, forecastChart } from '../charts/index.js';
+
+export const forecastTool = {
+  name: 'forecast_adoption',
+  description: 'Forecast monthly downloads for an AI developer tool with confidence intervals. Answers questions like "when will Anthropic SDK pass 20M monthly downloads?" or "when will Cursor overtake Copilot?"',
+
+  // Getter so tool IDs come from the catalog at tools/list time
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        tool: toolIdSchema('Tool ID to forecast'),
+        months: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 24,
+          default: 6,
+          description: 'Number of months to project (1-24)'
+        },
+        model: {
+          type: 'string',
+          enum: ['auto', 'linear', 'exponential', 'holt'],
+          default: 'auto',
+          description: 'Forecast model. auto picks whichever best predicted the last 3 months'
+        },
+        confidence: {
+          type: 'integer',
+          enum: [80, 90, 95],
+          default: 80,
+          description: 'Prediction interval confidence level, in percent'
+        },
+        target: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Monthly downloads to estimate a date for (e.g. 20000000)'
+        },
+        compare_with: toolIdSchema('Second tool, to estimate when one overtakes the other'),
+        format: formatInputSchema,
+        locale: localeInputSchema,
+        chart: chartInputSchema
+      },
+      required: ['tool'],
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
+    type: 'object',
+    properties: {
+      tool_id: { type: 'string' },
+      model: { type: 'string', enum: ['linear', 'exponential', 'holt'] },
+      model_errors: {
+        type: ['object', 'null'],
+        description: 'Backtest error (MAPE, percent) per model when model is auto'
+      },
+      confidence: { type: 'integer' },
+      horizon_months: { type: 'integer' },
+      last_month: { type: 'string' },
+      history: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { month: { type: 'string' }, downloads: { type: 'number' } }
+        }
+      },
+      projections: { type: 'array', items: projectionSchema },
+      target: {
+        type: 'object',
+        properties: {
+          downloads: { type: 'number' },
+          already_reached: { type: 'boolean' },
+          ...crossingSchema
+        }
+      },
+      comparison: {
+        type: 'object',
+        properties: {
+          tool_id: { type: 'string' },
+          model: { type: 'string' },
+          projections: { type: 'array', items: projectionSchema },
+          crossover: {
+            type: 'object',
+            properties: {
+              leader: { type: 'string', description: 'Tool ahead in the latest month' },
+              challenger: { type: 'string' },
+              ...crossingSchema
+            }
+          }
+        }
+      }
+    },
+    required: ['tool_id', 'model', 'projections']
+  },
+
+  async execute(args) {
+    const { tool, months = 6, model = 'auto', confidence = 80, target, compare_with, format = 'text', chart = 'none', locale } = args;
+
+    try {
+      // Map names like "Claude SDK" to catalog IDs
+      const toolId = resolveToolId(tool);
+      const compareId = compare_with ? resolveToolId(compare_with) : undefined;
+      if (compareId === toolId) {
+        throw new Error(`compare_with must be a different tool, but ${tool} and ${compare_with} are the same tool`);
+      }
+
+      // Call REST API
+      const response = await apiClient.getToolForecast(toolId, {
+        months,
+        model,
+        confidence,
+        target,
+        compare_with: compareId
+      });
+
+      if (!response.ok) {
+        throw new Error(response.error.message);
+      }
+
+      // Format response, with a chart if asked for
+      const names = Object.fromEntries(
+        [toolId, compareId].filter(Boolean).map(id => [id, getTool(id)?.name || id])
+      );
+      const images = chart === 'none' ? [] : [chartContent(forecastChart(response.data, names), chart)];
+      return toolResult(formatForecast(response.data, names, locale), response.data, format, images);
+
+    } catch (error) {
+      return errorResult(error, 'forecast adoption', locale);
+    }
+  }
+};
@@ -5,47 +5,87 @@
  */
 
 import { apiClient } from '../api/client.js';
-import { formatHistory, formatError } from '../utils/formatters.js';
+import { formatHistory } from '../utils/formatters.js';
+import { toolResult, errorResult, formatInputSchema, localeInputSchema, chartInputSchema, exportInputSchema, exportToInputSchema } from '../utils/results.js';
+import { historyPointSchema } from '../utils/output-schemas.js';
+import { toolIdSchema, registrySchema } from '../catalog/schemas.js';
+import { resolveToolId } from '../catalog/resolver.js';
+import { getTool } from '../catalog/index.js';
+import { chartContent, historyChart } from '../charts/index.js';
+import { exportContent, historyTable } from '../export/index.js';
 
 export const historyTool = {
   name: 'get_tool_history',
   description: 'Get historical adoption data and growth trends for a specific AI coding tool over time',
 
-  inputSchema: {
+  // Getter so tool IDs come from the catalog at tools/list time
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        tool: toolIdSchema('Tool ID to get history for'),
+        months: {
+          type: 'integer',
+          minimum: 3,
+          maximum: 12,
+          default: 6,
+          description: 'Number of months of history (3-12)'
+        },
+        granularity: {
+          type: 'string',
+          enum: ['week', 'month'],
+          default: 'month',
+          description: 'Roll daily data up into weekly or monthly points'
+        },
+        registry: registrySchema('Package registry whose downloads to chart'),
+        format: formatInputSchema,
+        locale: localeInputSchema,
+        chart: chartInputSchema,
+        export: exportInputSchema,
+        export_to: exportToInputSchema
+      },
+      required: ['tool'],
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
     type: 'object',
     properties: {
-      tool: {
-        type: 'string',
-        enum: ['openai', 'anthropic', 'cursor', 'copilot', 'langchain'],
-        description: 'Tool ID to get history for'
-      },
-      months: {
-        type: 'integer',
-        minimum: 3,
-        maximum: 12,
-        default: 6,
-        description: 'Number of months of history (3-12)'
-      }
+      tool_id: { type: 'string' },
+      months: { type: 'integer' },
+      granularity: { type: 'string', enum: ['week', 'month'] },
+      registry: { type: 'string' },
+      data: { type: 'array', items: historyPointSchema }
     },
-    required: ['tool']
+    required: ['tool_id', 'data']
   },
 
   async execute(args) {
-    const { tool, months = 6 } = args;
+    const { tool, months = 6, granularity = 'month', registry = 'all', format = 'text', chart = 'none', export: exportFormat = 'none', export_to = 'resource', locale } = args;
 
     try {
+      // Map names like "gh copilot" to a catalog ID
+      const toolId = resolveToolId(tool);
+
       // Call REST API
-      const response = await apiClient.getToolHistory(tool, months);
+      const response = await apiClient.getToolHistory(toolId, months, granularity, registry);
       
       if (!response.ok) {
         throw new Error(response.error.message);
       }
 
-      // Format response
-      return formatHistory(response.data, tool, months);
+      // Format response, with a chart and export if asked for
+      const attachments = chart === 'none'
+        ? []
+        : [chartContent(historyChart(response.data, getTool(toolId)?.name || toolId), chart)];
+      if (exportFormat !== 'none') {
+        attachments.push(...exportContent(historyTable(response.data), { format: exportFormat, to: export_to, locale }));
+      }
+      return toolResult(formatHistory(response.data, toolId, months, locale), response.data, format, attachments);
       
     } catch (error) {
-      return formatError(error, 'get tool history');
+      return errorResult(error, 'get tool history', locale);
     }
   }
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Leaderboard Tool
+ *
+ * Rank tools within each category and show their share of category
+ * downloads, the standard monthly-report view
+ */
+
+import { apiClient } from '../api/client.js';
+import { formatLeaderboard } from '../utils/formatters.js';
+import { toolResult, errorResult, formatInputSchema, localeInputSchema } from '../utils/results.js';
+import { leaderEntrySchema } from '../utils/output-schemas.js';
+import { categorySchema } from '../catalog/schemas.js';
+
+export const leaderboardTool = {
+  name: 'category_leaderboard',
+  description: 'Rank AI developer tools within each category (e.g. llm-api, editor) by a metric, with each tool\'s share of category downloads and how that share changed',
+
+  // Getter so categories come from the catalog at tools/list time
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        category: categorySchema({ includeAll: true, description: 'Category to rank, or all for every category' }),
+        metric: {
+          type: 'string',
+          enum: ['downloads', 'weekly_downloads', 'stars', 'so_questions', 'reddit_mentions', 'growth'],
+          default: 'downloads',
+          description: 'Metric to rank by (growth is download growth over time_range)'
+        },
+        time_range: {
+          type: 'string',
+          enum: ['7d', '30d', '90d'],
+          default: '30d',
+          description: 'Window for download share and its change: 7d (week), 30d (month), 90d (quarter)'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 20,
+          default: 5,
+          description: 'Maximum tools listed per category'
+        },
+        format: formatInputSchema,
+        locale: localeInputSchema
+      },
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
+    type: 'object',
+    properties: {
+      metric: { type: 'string' },
+      time_range: { type: 'string' },
+      category: { type: 'string' },
+      categories: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            category: { type: 'string' },
+            tool_count: { type: 'integer' },
+            total_downloads: { type: 'number', description: 'Category downloads over time_range' },
+            previous_total_downloads: { type: 'number' },
+            growth_pct: { type: 'number' },
+            leaders: { type: 'array', items: leaderEntrySchema }
+          },
+          required: ['category', 'leaders']
+        }
+      },
+      generated_at: { type: 'string' }
+    },
+    required: ['metric', 'time_range', 'categories']
+  },
+
+  async execute(args) {
+    const { category = 'all', metric = 'downloads', time_range = '30d', limit = 5, format = 'text', locale } = args;
+
+    try {
+      // Call REST API
+      const response = await apiClient.getCategoryLeaderboard({ category, metric, time_range, limit });
+
+      if (!response.ok) {
+        throw new Error(response.error.message);
+      }
+
+      // Format response
+      return toolResult(formatLeaderboard(response.data, locale), response.data, format);
+
+    } catch (error) {
+      return errorResult(error, 'build the category leaderboard', locale);
+    }
+  }
+};
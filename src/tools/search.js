@@ -5,37 +5,83 @@
  */
 
 import { apiClient } from '../api/client.js';
-import { formatSearchResults, formatError } from '../utils/formatters.js';
+import { formatSearchResults } from '../utils/formatters.js';
+import {
+  toolResult,
+  errorResult,
+  formatInputSchema,
+  localeInputSchema,
+  scoreWeightsInputSchema,
+  exportInputSchema,
+  exportToInputSchema
+} from '../utils/results.js';
+import { toolMetricsSchema } from '../utils/output-schemas.js';
+import { categorySchema, registrySchema } from '../catalog/schemas.js';
+import { exportContent, searchTable } from '../export/index.js';
 
 export const searchTool = {
   name: 'search_tools',
-  description: 'Search and filter AI developer tools by category, popularity, or keyword',
+  description: 'Search and filter AI developer tools by category, popularity, or keyword. Sort by score for a composite adoption score that weighs downloads, growth, GitHub stars, Stack Overflow and Reddit activity',
 
-  inputSchema: {
+  // Getter so categories come from the catalog at tools/list time
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        category: categorySchema(),
+        min_downloads: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Minimum monthly downloads in the selected registry (e.g., 1000000 for 1M+)'
+        },
+        keyword: {
+          type: 'string',
+          description: 'Search for keyword in tool name or description'
+        },
+        registry: registrySchema('Only tools published on this package registry, ranked by its downloads'),
+        sort_by: {
+          type: 'string',
+          enum: ['downloads', 'weekly_downloads', 'stars', 'so_questions', 'reddit_mentions', 'growth', 'score', 'name'],
+          default: 'downloads',
+          description: 'Metric to sort by (growth is 30-day download growth, score the composite adoption score)'
+        },
+        order: {
+          type: 'string',
+          enum: ['asc', 'desc'],
+          description: 'Sort direction (default: desc for metrics, asc for name)'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 50,
+          default: 10,
+          description: 'Maximum number of results per page'
+        },
+        cursor: {
+          type: 'string',
+          description: 'Continuation token from a previous search to fetch the next page'
+        },
+        weights: scoreWeightsInputSchema,
+        format: formatInputSchema,
+        locale: localeInputSchema,
+        export: exportInputSchema,
+        export_to: exportToInputSchema
+      },
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
     type: 'object',
     properties: {
-      category: {
-        type: 'string',
-        enum: ['llm-api', 'editor', 'assistant', 'framework'],
-        description: 'Filter by tool category'
-      },
-      min_downloads: {
-        type: 'integer',
-        minimum: 0,
-        description: 'Minimum monthly downloads (e.g., 1000000 for 1M+)'
-      },
-      keyword: {
-        type: 'string',
-        description: 'Search for keyword in tool name or description'
-      },
-      sort_by: {
-        type: 'string',
-        enum: ['downloads', 'stars', 'name'],
-        default: 'downloads',
-        description: 'How to sort results'
-      }
+      results: { type: 'array', items: toolMetricsSchema },
+      count: { type: 'integer', description: 'Results on this page' },
+      offset: { type: 'integer' },
+      total: { type: 'integer', description: 'Results across all pages' },
+      next_cursor: { type: ['string', 'null'], description: 'Pass back as cursor for the next page' },
+      filters: { type: 'object' }
     },
-    additionalProperties: false
+    required: ['results', 'count']
   },
 
   async execute(args) {
@@ -43,7 +89,16 @@ export const searchTool = {
       category,
       min_downloads,
       keyword,
-      sort_by = 'downloads'
+      registry = 'all',
+      sort_by = 'downloads',
+      order,
+      limit = 10,
+      cursor,
+      weights,
+      format = 'text',
+      export: exportFormat = 'none',
+      export_to = 'resource',
+      locale
     } = args;
 
     try {
@@ -52,18 +107,26 @@ export const searchTool = {
         category,
         min_downloads,
         keyword,
-        sort_by
+        registry,
+        sort_by,
+        order,
+        limit,
+        cursor,
+        weights
       });
       
       if (!response.ok) {
         throw new Error(response.error.message);
       }
 
-      // Format response
-      return formatSearchResults(response.data, args);
+      // Format response, exporting this page if asked for
+      const attachments = exportFormat === 'none'
+        ? []
+        : exportContent(searchTable(response.data), { format: exportFormat, to: export_to, locale });
+      return toolResult(formatSearchResults(response.data, args, locale), response.data, format, attachments);
       
     } catch (error) {
-      return formatError(error, 'search tools');
+      return errorResult(error, 'search tools', locale);
     }
   }
 };
\ No newline at end of file
@@ -5,42 +5,69 @@
  */
 
 import { apiClient } from '../api/client.js';
-import { formatTrending, formatError } from '../utils/formatters.js';
+import { formatTrending } from '../utils/formatters.js';
+import { toolResult, errorResult, formatInputSchema, localeInputSchema, scoreWeightsInputSchema } from '../utils/results.js';
+import { toolMetricsSchema } from '../utils/output-schemas.js';
+import { categorySchema } from '../catalog/schemas.js';
 
 export const trendingTool = {
   name: 'get_trending_tools',
-  description: 'Get the fastest-growing AI developer tools ranked by growth rate',
+  description: 'Get the fastest-growing AI developer tools ranked by growth rate, or by a composite adoption score that balances downloads, growth, GitHub stars, Stack Overflow and Reddit activity',
 
-  inputSchema: {
+  // Getter so categories come from the catalog at tools/list time
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        time_range: {
+          type: 'string',
+          enum: ['7d', '30d', '90d'],
+          default: '30d',
+          description: 'Time range for measuring growth'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 3,
+          maximum: 10,
+          default: 5,
+          description: 'Maximum number of tools to return'
+        },
+        category: categorySchema({ includeAll: true }),
+        sort_by: {
+          type: 'string',
+          enum: ['growth', 'score'],
+          default: 'growth',
+          description: 'Rank by download growth, or by composite adoption score (with a per-signal breakdown)'
+        },
+        weights: scoreWeightsInputSchema,
+        format: formatInputSchema,
+        locale: localeInputSchema
+      },
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
     type: 'object',
     properties: {
-      time_range: {
-        type: 'string',
-        enum: ['7d', '30d', '90d'],
-        default: '30d',
-        description: 'Time range for measuring growth'
-      },
-      limit: {
-        type: 'integer',
-        minimum: 3,
-        maximum: 10,
-        default: 5,
-        description: 'Maximum number of tools to return'
-      },
-      category: {
-        type: 'string',
-        enum: ['all', 'llm-api', 'editor', 'assistant', 'framework'],
-        default: 'all',
-        description: 'Filter by tool category'
-      }
-    }
+      tools: { type: 'array', items: toolMetricsSchema },
+      time_range: { type: 'string' },
+      category: { type: 'string' },
+      sort_by: { type: 'string' },
+      fetched_at: { type: 'string' }
+    },
+    required: ['tools', 'time_range']
   },
 
   async execute(args) {
     const {
       time_range = '30d',
       limit = 5,
-      category = 'all'
+      category = 'all',
+      sort_by = 'growth',
+      weights,
+      format = 'text',
+      locale
     } = args;
 
     try {
@@ -48,7 +75,9 @@ export const trendingTool = {
       const response = await apiClient.getTrendingTools({
         time_range,
         limit,
-        category
+        category,
+        sort_by,
+        weights
       });
       
       if (!response.ok) {
@@ -56,10 +85,10 @@ export const trendingTool = {
       }
 
       // Format response
-      return formatTrending(response.data, time_range, limit);
+      return toolResult(formatTrending(response.data, time_range, sort_by, locale), response.data, format);
       
     } catch (error) {
-      return formatError(error, 'get trending tools');
+      return errorResult(error, 'get trending tools', locale);
     }
   }
 };
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Version Adoption Tool
+ *
+ * Download share per version or major line over time, to see how fast
+ * users move to new releases and when an old line can be dropped
+ */
+
+import { apiClient } from '../api/client.js';
+import { formatVersionAdoption } from '../utils/formatters.js';
+import { toolResult, errorResult, formatInputSchema, localeInputSchema } from '../utils/results.js';
+import { toolIdSchema } from '../catalog/schemas.js';
+import { resolveToolId } from '../catalog/resolver.js';
+import { getTool } from '../catalog/index.js';
+
+export const versionAdoptionTool = {
+  name: 'get_version_adoption',
+  description: 'Show the npm download share of each version or major line of an SDK over time, and how quickly users are moving to the newest release. Answers questions like "can we drop support for openai 3.x?"',
+
+  // Getter so tool IDs come from the catalog at tools/list time
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        tool: toolIdSchema('Tool ID to break down by version'),
+        months: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 12,
+          default: 6,
+          description: 'Number of months of history (1-12)'
+        },
+        by: {
+          type: 'string',
+          enum: ['major', 'version'],
+          default: 'major',
+          description: 'Group downloads by major line (4.x; 0.24.x for 0.x packages) or exact version'
+        },
+        granularity: {
+          type: 'string',
+          enum: ['week', 'month'],
+          default: 'month',
+          description: 'Roll daily data up into weekly or monthly points'
+        },
+        format: formatInputSchema,
+        locale: localeInputSchema
+      },
+      required: ['tool'],
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
+    type: 'object',
+    properties: {
+      tool_id: { type: 'string' },
+      package: { type: ['string', 'null'], description: 'npm package the versions belong to' },
+      by: { type: 'string', enum: ['major', 'version'] },
+      granularity: { type: 'string', enum: ['week', 'month'] },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      groups: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            key: { type: 'string', description: 'Major line or version' },
+            first_release: { type: 'string' },
+            latest_version: { type: 'string' }
+          }
+        },
+        description: 'Versions or major lines, newest first'
+      },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            month: { type: 'string' },
+            week: { type: 'string' },
+            downloads: { type: 'number' },
+            versions: { type: 'object', additionalProperties: { type: 'number' }, description: 'Downloads per group' },
+            shares: { type: 'object', additionalProperties: { type: 'number' }, description: 'Share of downloads per group, in percent' }
+          },
+          required: ['downloads', 'shares']
+        }
+      },
+      latest_release: {
+        type: 'object',
+        properties: {
+          version: { type: 'string' },
+          date: { type: 'string' },
+          title: { type: 'string' },
+          line: { type: 'string' },
+          days_since_release: { type: 'integer' },
+          previous_version: { type: ['string', 'null'] },
+          uptake: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                day: { type: 'integer', description: 'Days after the release' },
+                share_pct: { type: 'number', description: 'Share of downloads over the 7 days up to that day' },
+                previous_share_pct: { type: ['number', 'null'], description: 'The previous release at the same age' }
+              }
+            }
+          },
+          days_to_majority: { type: ['integer', 'null'], description: 'Days until it carried half of all downloads' },
+          previous_days_to_majority: { type: ['integer', 'null'] }
+        }
+      }
+    },
+    required: ['tool_id', 'data', 'latest_release']
+  },
+
+  async execute(args) {
+    const { tool, months = 6, by = 'major', granularity = 'month', format = 'text', locale } = args;
+
+    try {
+      // Map names like "Claude SDK" to a catalog ID
+      const toolId = resolveToolId(tool);
+
+      // Call REST API
+      const response = await apiClient.getVersionAdoption(toolId, { months, by, granularity });
+
+      if (!response.ok) {
+        throw new Error(response.error.message);
+      }
+
+      // Format response
+      return toolResult(formatVersionAdoption(response.data, getTool(toolId)?.name || toolId, locale), response.data, format);
+
+    } catch (error) {
+      return errorResult(error, 'get version adoption', locale);
+    }
+  }
+};
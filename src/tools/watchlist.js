@@ -0,0 +1,319 @@
+/**
+ * Watchlist Tools
+ *
+ * Keep a persistent list of threshold rules ("notify if cursor growth is
+ * above 30% over 7d") and check them against current metrics:
+ *
+ * - add_to_watchlist: add or update a rule
+ * - list_watchlist: show rules and the outcome of their last check
+ * - check_alerts: evaluate rules and report the triggered ones
+ *
+ * Rules are stored by src/watchlist/store.js. check_alerts also sends a
+ * logging notification for every alert that wasn't triggered at the
+ * previous check, so clients that surface notifications see it happen.
+ */
+
+import { apiClient } from '../api/client.js';
+import { formatWatchRuleAdded, formatWatchlist, formatAlerts } from '../utils/formatters.js';
+import { toolResult, errorResult, formatInputSchema, localeInputSchema } from '../utils/results.js';
+import { localizer } from '../i18n/index.js';
+import { watchRuleSchema, alertSchema } from '../utils/output-schemas.js';
+import { toolIdSchema } from '../catalog/schemas.js';
+import { resolveToolId } from '../catalog/resolver.js';
+import { getTool } from '../catalog/index.js';
+import { watchlist } from '../watchlist/store.js';
+import { WATCH_METRICS, WATCH_CONDITIONS, validateRule, evaluateRule, baselineFor, describeRule } from '../watchlist/rules.js';
+
+const timeRangeSchema = {
+  type: 'string',
+  enum: ['7d', '30d', '90d'],
+  default: '30d',
+  description: 'Window for growth and download changes: 7d (week), 30d (month), 90d (quarter)'
+};
+
+export const addToWatchlistTool = {
+  name: 'add_to_watchlist',
+  description: 'Watch a metric of an AI developer tool and get alerted when it crosses a threshold, e.g. "notify if cursor growth is above 30% over 7d" or "if copilot downloads drop 10%". Rules persist across sessions; run check_alerts to evaluate them',
+
+  // Getter so tool IDs come from the catalog at tools/list time
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        tool: toolIdSchema('Tool to watch'),
+        metric: {
+          type: 'string',
+          enum: Object.keys(WATCH_METRICS),
+          description: 'Metric to watch (growth is download growth over time_range, in percent)'
+        },
+        condition: {
+          type: 'string',
+          enum: WATCH_CONDITIONS,
+          description: 'above/below compare the current value with threshold. rises_by/drops_by compare the percent change: for downloads over time_range, for other metrics since the rule was added'
+        },
+        threshold: {
+          type: 'number',
+          description: 'Value to compare against; a percentage for growth, rises_by and drops_by (10 = 10%)'
+        },
+        time_range: timeRangeSchema,
+        note: {
+          type: 'string',
+          maxLength: 200,
+          description: 'Optional reminder of why this rule matters'
+        },
+        format: formatInputSchema,
+        locale: localeInputSchema
+      },
+      required: ['tool', 'metric', 'condition', 'threshold'],
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
+    type: 'object',
+    properties: {
+      rule: watchRuleSchema,
+      replaced: { type: 'boolean', description: 'Whether an identical rule was updated instead of added' },
+      current: alertSchema
+    },
+    required: ['rule', 'replaced']
+  },
+
+  async execute(args) {
+    const { tool, metric, condition, threshold, time_range = '30d', note, format = 'text', locale } = args;
+
+    try {
+      // Map names like "gh copilot" to catalog IDs
+      const toolId = resolveToolId(tool);
+      validateRule({ metric, condition, threshold });
+
+      // Current metrics give the rule its baseline and first reading
+      const { metrics, failures } = await fetchMetrics([{ tool: toolId, time_range }]);
+      const key = metricsKey(toolId, time_range);
+      if (failures.has(key)) {
+        throw new Error(failures.get(key));
+      }
+      const current = metrics.get(key);
+      const draft = { tool: toolId, metric, condition, threshold, time_range, note };
+      const { rule, replaced } = watchlist.add({ ...draft, baseline: baselineFor(draft, current) });
+
+      const data = { rule, replaced, current: describeOutcome(rule, evaluateRule(rule, current)) };
+      return toolResult(formatWatchRuleAdded(data, locale), data, format);
+
+    } catch (error) {
+      return errorResult(error, 'add the watch rule', locale);
+    }
+  }
+};
+
+export const listWatchlistTool = {
+  name: 'list_watchlist',
+  description: 'List the rules on the watchlist and whether each was triggered at the last check',
+
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        tool: toolIdSchema('Only list rules for this tool'),
+        format: formatInputSchema,
+        locale: localeInputSchema
+      },
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
+    type: 'object',
+    properties: {
+      rules: { type: 'array', items: watchRuleSchema },
+      count: { type: 'integer' }
+    },
+    required: ['rules', 'count']
+  },
+
+  async execute(args) {
+    const { tool, format = 'text', locale } = args;
+
+    try {
+      const toolId = tool ? resolveToolId(tool) : undefined;
+      const rules = watchlist.list(toolId).map(rule => ({
+        ...rule,
+        name: getTool(rule.tool)?.name || rule.tool,
+        description: describeRule(rule, 'en')
+      }));
+
+      const data = { rules, count: rules.length };
+      return toolResult(formatWatchlist(data, locale), data, format);
+
+    } catch (error) {
+      return errorResult(error, 'list the watchlist', locale);
+    }
+  }
+};
+
+export const checkAlertsTool = {
+  name: 'check_alerts',
+  description: 'Evaluate the watchlist against current metrics and report which rules are triggered, flagging the ones that are new since the last check',
+
+  get inputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        tool: toolIdSchema('Only check rules for this tool'),
+        format: formatInputSchema,
+        locale: localeInputSchema
+      },
+      additionalProperties: false
+    };
+  },
+
+  outputSchema: {
+    type: 'object',
+    properties: {
+      checked: { type: 'integer', description: 'Rules evaluated' },
+      alerts: { type: 'array', items: alertSchema, description: 'Triggered rules' },
+      unevaluated: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            rule_id: { type: 'string' },
+            tool: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            error: { type: 'string', description: 'Why the metrics could not be fetched' }
+          },
+          required: ['rule_id', 'tool', 'error']
+        },
+        description: 'Rules whose metrics could not be fetched; they keep the outcome of their last check'
+      },
+      checked_at: { type: 'string' }
+    },
+    required: ['checked', 'alerts']
+  },
+
+  async execute(args, extra) {
+    const { tool, format = 'text', locale } = args;
+
+    try {
+      const toolId = tool ? resolveToolId(tool) : undefined;
+      const rules = watchlist.list(toolId);
+      const { metrics, failures } = await fetchMetrics(rules);
+      const checkedAt = new Date(watchlist.now()).toISOString();
+
+      const states = {};
+      const alerts = [];
+      const unevaluated = [];
+      for (const rule of rules) {
+        const failure = failures.get(metricsKey(rule.tool, rule.time_range));
+        if (failure) {
+          const { rule_id, tool, name, metric, condition, threshold, time_range, description } = describeOutcome(rule, {});
+          unevaluated.push({ rule_id, tool, name, metric, condition, threshold, time_range, description, error: failure });
+          continue;
+        }
+
+        const outcome = evaluateRule(rule, metrics.get(metricsKey(rule.tool, rule.time_range)));
+        const wasTriggered = Boolean(rule.state?.triggered);
+
+        states[rule.id] = {
+          ...outcome,
+          checked_at: checkedAt,
+          triggered_at: outcome.triggered ? (wasTriggered ? rule.state.triggered_at : checkedAt) : null
+        };
+        if (outcome.triggered) {
+          alerts.push({ ...describeOutcome(rule, states[rule.id]), new: !wasTriggered });
+        }
+      }
+      watchlist.recordStates(states);
+
+      await notifyNewAlerts(alerts.filter(alert => alert.new), extra, locale);
+
+      const data = { checked: rules.length - unevaluated.length, alerts, unevaluated, checked_at: checkedAt };
+      return toolResult(formatAlerts(data, locale), data, format);
+
+    } catch (error) {
+      return errorResult(error, 'check alerts', locale);
+    }
+  }
+};
+
+/**
+ * Helper: Current metrics for every (tool, time range) the rules need
+ *
+ * One compare call per tool and time range, so growth is measured over
+ * the window each rule asked for, and a tool the API can't serve (e.g.
+ * one dropped from the catalog) only fails its own rules. Returns
+ * { metrics, failures }, both keyed by "time_range:tool": the tool's
+ * metrics, or the error message.
+ */
+async function fetchMetrics(rules) {
+  const metrics = new Map();
+  const failures = new Map();
+
+  for (const { tool, time_range } of rules) {
+    const key = metricsKey(tool, time_range);
+    if (metrics.has(key) || failures.has(key)) continue;
+
+    const response = await apiClient.compareTools([tool], time_range);
+    if (response.ok) {
+      metrics.set(key, response.data.tools[0]);
+    } else {
+      failures.set(key, response.error.message);
+    }
+  }
+
+  return { metrics, failures };
+}
+
+function metricsKey(toolId, timeRange) {
+  return `${timeRange}:${toolId}`;
+}
+
+/**
+ * Helper: A rule with the outcome of evaluating it
+ *
+ * The description is English, like the rest of structuredContent; the
+ * formatters describe the rule again in the caller's locale.
+ */
+function describeOutcome(rule, outcome) {
+  return {
+    rule_id: rule.id,
+    tool: rule.tool,
+    name: getTool(rule.tool)?.name || rule.tool,
+    metric: rule.metric,
+    condition: rule.condition,
+    threshold: rule.threshold,
+    time_range: rule.time_range,
+    description: describeRule(rule, 'en'),
+    note: rule.note,
+    ...outcome
+  };
+}
+
+/**
+ * Helper: Send a warning-level log notification per new alert
+ *
+ * Notifications are best effort: a client that can't receive them
+ * still gets the alerts in the tool result. The message is in the
+ * caller's locale, like the alerts themselves.
+ */
+async function notifyNewAlerts(alerts, extra, locale) {
+  if (!extra?.sendNotification) return;
+
+  const l = localizer(locale);
+
+  for (const alert of alerts) {
+    try {
+      await extra.sendNotification({
+        method: 'notifications/message',
+        params: {
+          level: 'warning',
+          logger: 'watchlist',
+          data: { message: l.t('watch.notification', { name: alert.name, description: describeRule(alert, locale) }), alert }
+        }
+      });
+    } catch (error) {
+      console.error(`Could not send watchlist notification: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * Streamable HTTP Transport
+ *
+ * Serves MCP over HTTP so one shared instance can handle many clients
+ * (e.g. a whole team, running as a container behind a gateway).
+ *
+ * Endpoints:
+ * - POST /mcp: JSON-RPC requests; responses stream back as SSE or JSON
+ * - GET /mcp: SSE stream for server-initiated notifications
+ * - DELETE /mcp: End a session
+ * - GET /healthz: Liveness check with the number of open sessions
+ * - GET /stats: Operational counters (e.g. cache hit/miss), if configured
+ *
+ * Each client gets its own session (the `Mcp-Session-Id` header) backed
+ * by its own Server instance from `createServer`. Sessions that go quiet
+ * are closed after an idle timeout, and new sessions are refused once
+ * `maxSessions` are open, so abandoned clients can't pile up.
+ */
+
+import { createServer as createHttpServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+// Largest JSON-RPC request body we accept
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Close sessions with no request or open stream for this long
+export const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// Sessions (including ones still initializing) open at once
+export const DEFAULT_MAX_SESSIONS = 100;
+
+/**
+ * Start the HTTP server
+ *
+ * Options:
+ * - port / host: where to listen (port 0 picks a free port)
+ * - path: MCP endpoint path (default '/mcp')
+ * - allowedHosts: Host header allowlist, enabling DNS rebinding protection
+ * - sessionIdleMs: idle time before a session is closed (default 30 min)
+ * - maxSessions: open sessions before new clients get 503 (default 100)
+ * - trustedProxies: addresses of proxies (e.g. the gateway in front of
+ *   the container) whose X-Forwarded-For names the real client
+ * - stats: Function returning extra counters for GET /stats
+ *
+ * `createServer` is called once per session with { remoteAddress }, the
+ * address of the client that opened it (see clientAddress).
+ *
+ * Resolves with { url, sessions, close } once listening.
+ */
+export async function startHttpTransport(createServer, options = {}) {
+  const {
+    port = 3000,
+    host = '127.0.0.1',
+    path = '/mcp',
+    allowedHosts,
+    sessionIdleMs = DEFAULT_SESSION_IDLE_MS,
+    maxSessions = DEFAULT_MAX_SESSIONS,
+    trustedProxies = [],
+    stats
+  } = options;
+
+  // sessionId → { transport, server, lastSeen, active }
+  const sessions = new Map();
+
+  // Servers created for initialize requests that haven't finished yet
+  let pending = 0;
+
+  // Close sessions that have been idle too long
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleMs;
+    for (const [id, session] of sessions) {
+      if (session.active === 0 && session.lastSeen < cutoff) {
+        closeSession(id);
+      }
+    }
+  }, Math.min(sessionIdleMs, 60_000));
+  sweep.unref();
+
+  async function handleMcpRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req);
+
+      if (session) {
+        touch(session, res);
+        await session.transport.handleRequest(req, res, body);
+        return;
+      }
+
+      if (!sessionId && isInitializeRequest(body)) {
+        await openSession(req, res, body);
+        return;
+      }
+    } else if (req.method === 'GET' || req.method === 'DELETE') {
+      if (session) {
+        touch(session, res);
+        await session.transport.handleRequest(req, res);
+        return;
+      }
+    } else {
+      sendJsonRpcError(res, 405, -32000, `Method ${req.method} not allowed`);
+      return;
+    }
+
+    // Unknown session IDs get 404 so clients know to re-initialize
+    if (sessionId) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+    } else {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+    }
+  }
+
+  async function openSession(req, res, body) {
+    if (sessions.size + pending >= maxSessions) {
+      sendJsonRpcError(res, 503, -32000, 'Too many open sessions, try again later');
+      return;
+    }
+
+    pending++;
+    const server = createServer({ remoteAddress: clientAddress(req, trustedProxies) });
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => {
+        const session = { transport, server, lastSeen: Date.now(), active: 0 };
+        sessions.set(id, session);
+        touch(session, res);
+      },
+      allowedHosts,
+      enableDnsRebindingProtection: Boolean(allowedHosts?.length)
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        sessions.delete(transport.sessionId);
+      }
+    };
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } finally {
+      pending--;
+      // Initialize was rejected or failed: nothing will ever use this server
+      if (!transport.sessionId) {
+        await server.close().catch(error => console.error('Error closing MCP server:', error));
+      }
+    }
+  }
+
+  /**
+   * Helper: Mark a session busy until the response (or SSE stream) ends
+   */
+  function touch(session, res) {
+    session.active++;
+    session.lastSeen = Date.now();
+    res.once('close', () => {
+      session.active--;
+      session.lastSeen = Date.now();
+    });
+  }
+
+  /**
+   * Helper: Forget a session and close its server (and with it the
+   * transport and any resource polling)
+   */
+  function closeSession(id) {
+    const session = sessions.get(id);
+    sessions.delete(id);
+    session.server.close().catch(error => console.error('Error closing MCP session:', error));
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (pathname === '/healthz' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'ok', sessions: sessions.size }));
+      } else if (pathname === '/stats' && req.method === 'GET' && stats) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ sessions: sessions.size, ...stats() }));
+      } else if (pathname === path) {
+        await handleMcpRequest(req, res);
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found' }));
+      }
+    } catch (error) {
+      if (error instanceof BodyError) {
+        sendJsonRpcError(res, error.status, error.code, error.message);
+        return;
+      }
+
+      console.error('Error handling MCP request:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const address = httpServer.address();
+
+  return {
+    url: `http://${address.address.includes(':') ? `[${address.address}]` : address.address}:${address.port}${path}`,
+    sessions,
+
+    /**
+     * Close every session, then stop accepting connections
+     */
+    async close() {
+      clearInterval(sweep);
+      await Promise.all([...sessions.values()].map(({ server }) => server.close()));
+      sessions.clear();
+      httpServer.closeAllConnections();
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  };
+}
+
+/**
+ * The address of the client behind a request
+ *
+ * That's the socket's peer, unless the peer is one of `trustedProxies`:
+ * then X-Forwarded-For is read from the right, skipping trusted proxies,
+ * and the first other address is the client. Anyone can send the header,
+ * so it's ignored from every other peer.
+ */
+export function clientAddress(req, trustedProxies = []) {
+  const trusted = new Set(trustedProxies.map(normalizeAddress));
+  const peer = normalizeAddress(req.socket.remoteAddress);
+  if (!trusted.has(peer)) return peer;
+
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => normalizeAddress(address.trim()))
+    .filter(Boolean);
+  return forwarded.reverse().find(address => !trusted.has(address)) || peer;
+}
+
+/**
+ * Helper: An IPv4 address without the IPv6 mapping prefix (::ffff:10.0.0.1)
+ */
+function normalizeAddress(address = '') {
+  return address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+class BodyError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Helper: Read and parse a JSON request body
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new BodyError(413, -32000, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new BodyError(400, -32700, 'Parse error: request body must be JSON');
+  }
+}
+
+/**
+ * Helper: Send a JSON-RPC error response with no request ID
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  }));
+}
@@ -1,187 +1,861 @@
 /**
  * Response Formatters
- * 
+ *
  * Transform JSON API responses into natural language.
  * This is where MCP adds value: turning data into insights.
- * 
+ *
  * Each formatter takes structured API JSON and returns
  * conversational text that Claude can present to users.
+ *
+ * Every formatter takes an optional trailing `locale` ('en', 'de', 'ja');
+ * wording comes from the catalogs in src/i18n/messages and numbers and
+ * dates are formatted with Intl. Layout (bullets, indentation, Markdown)
+ * stays here so all locales read the same way.
  */
 
+import { REGISTRIES } from '../catalog/registries.js';
+import { sparkline } from '../charts/sparkline.js';
+import { localizer } from '../i18n/index.js';
+import { describeRule } from '../watchlist/rules.js';
+
 /**
  * Format comparison results
+ *
+ * `trends` maps tool IDs to recent monthly downloads, shown as sparklines.
  */
-export function formatComparison(apiResponse, timeRange) {
+export function formatComparison(apiResponse, timeRange, trends = {}, locale) {
+  const l = localizer(locale);
   const { tools } = apiResponse;
-  
+
   if (!tools || tools.length === 0) {
-    return 'No tools found for comparison.';
+    return l.t('comparison.empty');
   }
 
-  let output = `📊 Comparing ${tools.length} AI Developer Tools (${timeRange})\n\n`;
-  
+  const registry = apiResponse.registry || 'npm';
+  let output = `${l.t('comparison.title', { count: tools.length, timeRange, registry: registryLabel(l, registry) })}\n\n`;
+
   // Format each tool's metrics
   tools.forEach((tool, index) => {
-    output += `**${index + 1}. ${tool.name}** (\`${tool.package}\`)\n`;
-    output += `   • Monthly Downloads: ${formatNumber(tool.npm_downloads_monthly)} `;
-    output += `(${tool.growth_indicator} ${tool.growth_pct}% vs last period)\n`;
-    output += `   • GitHub Stars: ${formatNumber(tool.github_stars)}\n`;
-    output += `   • Community: ${tool.stackoverflow_questions_30d} SO questions, `;
-    output += `${tool.reddit_mentions_30d} Reddit mentions\n\n`;
+    const downloads = tool.downloads_monthly ?? tool.npm_downloads_monthly;
+    const growth = tool.downloads_growth_pct ?? tool.growth_pct;
+
+    output += `**${index + 1}. ${tool.name}** (\`${tool.packages?.[registry] || tool.package}\`)\n`;
+    if (tool.downloads_monthly === null) {
+      output += `   • ${l.t('comparison.notPublished', { registry: registryLabel(l, registry) })}\n`;
+    } else {
+      output += `   • ${l.t('comparison.downloads', {
+        downloads: l.number(downloads),
+        indicator: formatGrowthIndicator(growth),
+        growth: formatGrowthPct(l, growth)
+      })}\n`;
+    }
+    if (tool.registries?.length > 1) {
+      output += `   • ${l.t('comparison.byRegistry', { breakdown: formatRegistryBreakdown(l, tool.registries) })}\n`;
+    }
+    if (trends[tool.id]?.length > 1) {
+      output += `   • ${l.t('comparison.trend', { count: trends[tool.id].length, sparkline: sparkline(trends[tool.id]) })}\n`;
+    }
+    output += `   • ${l.t('comparison.stars', { stars: l.number(tool.github_stars) })}\n`;
+    output += `   • ${l.t('comparison.community', {
+      questions: l.integer(tool.stackoverflow_questions_30d),
+      mentions: l.integer(tool.reddit_mentions_30d)
+    })}\n\n`;
   });
-  
-  // Add key insights
-  const fastest = tools.reduce((max, tool) => 
-    tool.growth_pct > max.growth_pct ? tool : max
+
+  // Add key insights (tools without downloads in the registry can't win either)
+  const ranked = tools.filter(tool => tool.downloads_monthly !== null);
+  if (ranked.length === 0) return output;
+
+  const growthOf = tool => tool.downloads_growth_pct ?? tool.growth_pct;
+  const downloadsOf = tool => tool.downloads_monthly ?? tool.npm_downloads_monthly;
+
+  const fastest = ranked.reduce((max, tool) =>
+    growthOf(tool) > growthOf(max) ? tool : max
   );
-  
-  const mostPopular = tools.reduce((max, tool) =>
-    tool.npm_downloads_monthly > max.npm_downloads_monthly ? tool : max
+
+  const mostPopular = ranked.reduce((max, tool) =>
+    downloadsOf(tool) > downloadsOf(max) ? tool : max
   );
-  
-  output += `**Key Insights:**\n`;
-  output += `• **Fastest Growing:** ${fastest.name} (+${fastest.growth_pct}%)\n`;
-  output += `• **Most Downloads:** ${mostPopular.name} `;
-  output += `(${formatNumber(mostPopular.npm_downloads_monthly)}/month)\n`;
-  
+
+  output += `${l.t('comparison.insights')}\n`;
+  output += `• ${l.t('comparison.fastest', { name: fastest.name, growth: formatGrowthPct(l, growthOf(fastest), { signed: true }) })}\n`;
+  output += `• ${l.t('comparison.mostDownloads', { name: mostPopular.name, downloads: l.number(downloadsOf(mostPopular)) })}\n`;
+
   return output;
 }
 
+/**
+ * Helper: 'all registries', or a registry's display name
+ */
+function registryLabel(l, registry) {
+  return registry === 'all' ? l.t('common.allRegistries') : REGISTRIES[registry]?.name || registry;
+}
+
+/**
+ * Helper: "npm 36.1M (28.1%) · PyPI 92.4M (71.9%) · Go modules: no download counts"
+ */
+function formatRegistryBreakdown(l, registries) {
+  return registries
+    .map(r => (r.downloads_monthly === null
+      ? l.t('common.noDownloadCounts', { registry: r.name })
+      : `${r.name} ${l.number(r.downloads_monthly)}${r.share_pct === null ? '' : ` (${l.percent(r.share_pct)})`}`))
+    .join(' · ');
+}
+
+/**
+ * Helper: Download count, or 'n/a' for a gap in the history
+ */
+function formatDownloads(l, downloads) {
+  return downloads === null || downloads === undefined ? l.t('common.na') : l.number(downloads);
+}
+
+/**
+ * Helper: Growth percentage, or 'n/a' when there's too little history
+ */
+function formatGrowthPct(l, pct, options) {
+  return pct === null || pct === undefined ? l.t('common.na') : l.percent(pct, options);
+}
+
+/**
+ * Helper: Catalog label for an ID, or `fallback` when the catalog has none
+ */
+function labelFor(l, key, fallback) {
+  const label = l.t(key);
+  return label === key ? fallback : label;
+}
+
 /**
  * Format trending tools
  */
-export function formatTrending(apiResponse, timeRange, limit) {
+export function formatTrending(apiResponse, timeRange, sortBy = 'growth', locale) {
+  const l = localizer(locale);
   const { tools } = apiResponse;
-  
+
   if (!tools || tools.length === 0) {
-    return `No trending tools found for ${timeRange}.`;
+    return l.t('trending.empty', { timeRange });
   }
 
-  let output = `🔥 Fastest Growing AI Developer Tools (${timeRange})\n\n`;
-  
+  if (sortBy === 'score') {
+    return formatScoreRanking(l, tools, timeRange);
+  }
+
+  let output = `${l.t('trending.title', { timeRange })}\n\n`;
+
   tools.forEach((tool, index) => {
     // Growth indicator emojis
     let indicator = '📈';
     if (tool.growth_pct > 50) indicator = '🔥';
     else if (tool.growth_pct > 20) indicator = '⚡';
-    
+
     output += `${index + 1}. ${indicator} **${tool.name}**\n`;
-    output += `   Growth: +${tool.growth_pct}% (${formatNumber(tool.npm_downloads_monthly)} downloads/month)\n`;
-    output += `   Category: ${tool.category}\n\n`;
+    output += `   ${l.t('trending.growth', {
+      growth: formatGrowthPct(l, tool.growth_pct, { signed: true }),
+      downloads: l.number(tool.npm_downloads_monthly)
+    })}\n`;
+    output += `   ${l.t('common.category', { category: tool.category })}\n\n`;
   });
-  
+
+  return output;
+}
+
+/**
+ * Helper: Tools ranked by composite score, each with its breakdown
+ */
+function formatScoreRanking(l, tools, timeRange) {
+  let output = `${l.t('score.title', { timeRange })}\n\n`;
+
+  tools.forEach((tool, index) => {
+    output += `${index + 1}. **${tool.name}**: ${l.t('score.points', { score: l.decimal(tool.score) })}\n`;
+    output += `   ${formatScoreBreakdown(l, tool.score_breakdown)}\n`;
+    output += `   ${l.t('common.category', { category: tool.category })}\n\n`;
+  });
+
+  const weights = Object.entries(tools[0].score_breakdown)
+    .map(([signal, part]) => `${labelFor(l, `score.signals.${signal}`, signal)} ${l.percent(Math.round(part.weight * 100))}`);
+  output += `${l.t('score.weights', { weights: l.list(weights) })}\n`;
+
   return output;
 }
 
+/**
+ * Helper: "downloads 24.1 + growth 12.5 + ..." (points per signal)
+ */
+function formatScoreBreakdown(l, breakdown) {
+  return Object.entries(breakdown)
+    .filter(([, part]) => part.weight > 0)
+    .map(([signal, part]) => `${labelFor(l, `score.signals.${signal}`, signal)} ${l.decimal(part.points)}`)
+    .join(' + ');
+}
+
 /**
  * Format tool history
  */
-export function formatHistory(apiResponse, toolId, months) {
+export function formatHistory(apiResponse, toolId, months, locale) {
+  const l = localizer(locale);
   const { data } = apiResponse;
-  
+
   if (!data || data.length === 0) {
-    return `No historical data found for ${toolId}.`;
+    return l.t('history.empty', { tool: toolId });
   }
 
   const toolName = data[0].name || toolId;
-  
-  let output = `📈 ${toolName.toUpperCase()} - ${months} Month History\n\n`;
-  output += `**Download Trend:**\n`;
-  
-  // Show data points
+  const registry = apiResponse.registry || 'npm';
+
+  let output = `${l.t('history.title', { name: toolName.toUpperCase(), count: months })}\n\n`;
+  output += `${l.t('history.downloadTrend', { registry: registryLabel(l, registry) })}\n`;
+
+  // Show data points (monthly by default, or weeks labelled by start date),
+  // with the per-registry split when several registries add up
   data.forEach(point => {
-    output += `${point.month}: ${formatNumber(point.downloads)} downloads\n`;
+    const label = point.month ? l.month(point.month) : l.t('common.weekOf', { date: l.day(point.week) });
+    const parts = Object.entries(point.registries || {});
+    const split = parts.length > 1
+      ? ` (${parts.map(([key, value]) => `${registryLabel(l, key)} ${l.number(value)}`).join(' · ')})`
+      : '';
+    output += `${l.t('history.point', { label, downloads: formatDownloads(l, point.downloads), split })}\n`;
   });
-  
+  output += `${l.t('common.trend', { sparkline: sparkline(data.map(point => point.downloads)) })}\n`;
+
   // Calculate growth
   const first = data[0];
   const last = data[data.length - 1];
-  const totalGrowth = ((last.downloads - first.downloads) / first.downloads * 100).toFixed(1);
-  const avgMonthlyGrowth = (totalGrowth / months).toFixed(1);
-  
-  output += `\n**Growth Analysis:**\n`;
-  output += `• Total Growth: ${totalGrowth > 0 ? '+' : ''}${totalGrowth}% over ${months} months\n`;
-  output += `• Average Monthly: ${avgMonthlyGrowth > 0 ? '+' : ''}${avgMonthlyGrowth}%\n`;
-  output += `• Current: ${formatNumber(last.downloads)} downloads/month\n`;
-  
+  const totalGrowth = (last.downloads - first.downloads) / first.downloads * 100;
+  const avgMonthlyGrowth = totalGrowth / months;
+
+  output += `\n${l.t('history.analysis')}\n`;
+  output += `• ${l.t('history.totalGrowth', { growth: l.percent(totalGrowth, { signed: true, digits: 1 }), count: months })}\n`;
+  output += `• ${l.t('history.averageMonthly', { growth: l.percent(avgMonthlyGrowth, { signed: true, digits: 1 }) })}\n`;
+  output += `• ${l.t(last.week ? 'history.currentWeek' : 'history.currentMonth', { downloads: l.number(last.downloads) })}\n`;
+
+  return output;
+}
+
+/**
+ * Format download anomalies
+ */
+export function formatAnomalies(apiResponse, toolName, locale) {
+  const l = localizer(locale);
+  const { anomalies, releases = [], months, threshold, from, to } = apiResponse;
+
+  let output = `${l.t('anomalies.title', { name: toolName.toUpperCase(), count: months })}\n\n`;
+  output += `${l.t('anomalies.checked', { from: l.day(from), to: l.day(to), threshold: l.decimal(threshold) })}\n\n`;
+
+  if (anomalies.length === 0) {
+    output += `${l.t('anomalies.none')}\n`;
+  } else {
+    output += `${l.t('anomalies.found', { count: anomalies.length })}\n\n`;
+
+    anomalies.forEach(event => {
+      const icon = event.direction === 'spike' ? '📈' : '📉';
+      const label = l.t(event.direction === 'spike' ? 'anomalies.spike' : 'anomalies.drop');
+      const span = event.days > 1 ? l.t('anomalies.span', { count: event.days, date: l.day(event.start_date) }) : '';
+
+      output += `${l.t('anomalies.event', {
+        icon,
+        label,
+        date: l.day(event.peak_date),
+        confidence: labelFor(l, `anomalies.confidence.${event.confidence}`, event.confidence),
+        span
+      })}\n`;
+      output += `   ${l.t('anomalies.values', {
+        downloads: l.number(event.downloads),
+        expected: l.number(event.expected),
+        deviation: l.percent(event.deviation_pct, { signed: true }),
+        z: l.decimal(event.z_score)
+      })}\n`;
+
+      if (event.cause?.type === 'release') {
+        output += `   ${l.t('anomalies.cause', { version: event.cause.version, title: event.cause.title, date: l.day(event.cause.date) })}\n\n`;
+      } else if (event.direction === 'drop') {
+        output += `   ${l.t('anomalies.noReleaseDrop')}\n\n`;
+      } else {
+        output += `   ${l.t('anomalies.noReleaseSpike')}\n\n`;
+      }
+    });
+  }
+
+  if (releases.length > 0) {
+    output += `${l.t('anomalies.releases', { releases: l.list(releases.map(r => `${r.version} (${l.day(r.date)})`)) })}\n`;
+  }
+
+  return output;
+}
+
+/**
+ * Format an adoption forecast
+ *
+ * `names` maps tool IDs to display names.
+ */
+export function formatForecast(apiResponse, names = {}, locale) {
+  const l = localizer(locale);
+  const { tool_id, model, model_errors, history, projections, confidence, horizon_months } = apiResponse;
+  const name = id => names[id] || id;
+  const latest = history[history.length - 1];
+
+  let output = `${l.t('forecast.title', { name: name(tool_id).toUpperCase(), count: horizon_months })}\n\n`;
+  output += l.t('forecast.model', { model: labelFor(l, `forecast.models.${model}`, model) });
+  if (model_errors && Object.values(model_errors).some(e => e !== null)) {
+    const ranked = Object.entries(model_errors)
+      .sort((a, b) => a[1] - b[1])
+      .map(([m, error]) => `${m} ${l.percent(error)}`);
+    output += l.t('forecast.chosenBy', { errors: l.list(ranked) });
+  }
+  output += `\n${l.t('forecast.lastActual', { month: l.month(latest.month), downloads: l.number(latest.downloads) })}\n\n`;
+
+  output += `${l.t('forecast.projected', { confidence: l.percent(confidence) })}\n`;
+  projections.forEach(p => {
+    output += `${l.month(p.month)}: ${l.number(p.downloads)} (${l.number(p.lower)} – ${l.number(p.upper)}) ${l.percent(p.growth_pct, { signed: true })}\n`;
+  });
+  output += `${l.t('common.trend', { sparkline: formatForecastTrend(history, projections) })}\n`;
+
+  const horizon = l.t('forecast.horizon', { count: horizon_months });
+  const range = (earliest, last) => l.t('forecast.range', {
+    earliest: earliest ? l.month(earliest) : l.t('common.na'),
+    latest: last ? l.month(last) : l.t('forecast.notWithin', { horizon })
+  });
+
+  if (apiResponse.target) {
+    const { downloads, already_reached, month, earliest, latest: last } = apiResponse.target;
+    output += `\n${l.t('forecast.target', { downloads: l.number(downloads) })}\n`;
+    if (already_reached) {
+      output += `${l.t('forecast.alreadyReached', { month: l.month(latest.month), downloads: l.number(latest.downloads) })}\n`;
+    } else if (month || earliest) {
+      output += month ? l.t('forecast.expectedIn', { month: l.month(month) }) : l.t('forecast.notExpected', { horizon });
+      output += `${range(earliest, last)}\n`;
+    } else {
+      output += `${l.t('forecast.notExpectedAtAll', { horizon })}\n`;
+    }
+  }
+
+  if (apiResponse.comparison) {
+    const { leader, challenger, month, earliest, latest: last } = apiResponse.comparison.crossover;
+    const pair = { challenger: name(challenger), leader: name(leader) };
+    output += `\n${l.t('forecast.versus', pair)}\n`;
+    if (month || earliest) {
+      output += month
+        ? l.t('forecast.overtakes', { ...pair, month: l.month(month) })
+        : l.t('forecast.doesNotOvertake', { ...pair, horizon });
+      output += `${range(earliest, last)}\n`;
+    } else {
+      output += `${l.t('forecast.neverOvertakes', { ...pair, horizon })}\n`;
+    }
+  }
+
+  output += `\n${l.t('forecast.disclaimer')}\n`;
+
+  return output;
+}
+
+/**
+ * Helper: Sparkline of actual then projected downloads on one scale,
+ * split by ┊ where the forecast starts
+ */
+function formatForecastTrend(history, projections) {
+  const actual = history.map(h => h.downloads);
+  const projected = projections.map(p => p.downloads);
+  const all = [...actual, ...projected];
+  const scale = { min: Math.min(...all), max: Math.max(...all) };
+  return `${sparkline(actual, scale)}┊${sparkline(projected, scale)}`;
+}
+
+/**
+ * Helper: How a leaderboard metric's value reads next to a tool
+ */
+function formatMetricValue(l, metric, value) {
+  switch (metric) {
+    case 'downloads':
+      return l.t('common.downloadsPerMonth', { downloads: l.number(value) });
+    case 'weekly_downloads':
+      return l.t('common.downloadsPerWeek', { downloads: l.number(value) });
+    case 'stars':
+      return l.t('common.githubStars', { stars: l.number(value) });
+    case 'so_questions':
+      return l.t('common.soQuestions', { count: l.integer(value) });
+    case 'reddit_mentions':
+      return l.t('common.redditMentions', { count: l.integer(value) });
+    case 'growth':
+      return l.t('leaderboard.growthValue', { growth: formatGrowthPct(l, value, { signed: true }) });
+    default:
+      return `${value} ${metric}`;
+  }
+}
+
+/**
+ * Format a category leaderboard with market share
+ */
+export function formatLeaderboard(apiResponse, locale) {
+  const l = localizer(locale);
+  const { metric, time_range, categories } = apiResponse;
+
+  if (categories.length === 0) {
+    return l.t('leaderboard.empty');
+  }
+
+  const metricName = labelFor(l, `leaderboard.metrics.${metric}`, metric.replace(/_/g, ' '));
+  let output = `${l.t('leaderboard.title', { metric: metricName, timeRange: time_range })}\n\n`;
+
+  categories.forEach(entry => {
+    output += `${l.t('leaderboard.category', {
+      category: entry.category,
+      downloads: l.number(entry.total_downloads),
+      timeRange: time_range,
+      growth: l.percent(entry.growth_pct, { signed: true }),
+      count: entry.tool_count
+    })}\n`;
+
+    entry.leaders.forEach(tool => {
+      const value = metric === 'downloads'
+        ? l.t('leaderboard.downloadsValue', { downloads: l.number(tool.value), timeRange: time_range })
+        : formatMetricValue(l, metric, tool.value);
+      output += `${tool.rank}. **${tool.name}**: ${value}\n`;
+      output += `   ${l.t('leaderboard.share', { share: l.percent(tool.share_pct), change: formatShareChange(l, tool.share_change_pp) })}\n`;
+    });
+
+    output += '\n';
+  });
+
+  // Highlight the biggest share mover across categories with competition
+  const movers = categories
+    .filter(entry => entry.tool_count > 1)
+    .flatMap(entry => entry.leaders)
+    .sort((a, b) => Math.abs(b.share_change_pp) - Math.abs(a.share_change_pp));
+
+  if (movers.length > 0 && movers[0].share_change_pp !== 0) {
+    const top = movers[0];
+    output += `${l.t(top.share_change_pp > 0 ? 'leaderboard.gained' : 'leaderboard.lost', {
+      name: top.name,
+      points: l.decimal(Math.abs(top.share_change_pp))
+    })}\n`;
+  }
+
+  return output;
+}
+
+/**
+ * Helper: Share change in percentage points, with an arrow
+ */
+function formatShareChange(l, pp) {
+  if (pp === 0) return l.t('leaderboard.unchanged');
+  return l.t('leaderboard.shareChange', { arrow: pp > 0 ? '▲' : '▼', pp: l.decimal(pp, { signed: true }) });
+}
+
+/**
+ * Format a newly added watch rule with its first reading
+ */
+export function formatWatchRuleAdded({ rule, replaced, current }, locale) {
+  const l = localizer(locale);
+  const description = describeRule(current, l.locale);
+  let output = `${l.t(replaced ? 'watch.updated' : 'watch.watching', { name: current.name, description })}\n\n`;
+
+  output += `${l.t('watch.ruleId', { id: rule.id })}${rule.note ? ` (${rule.note})` : ''}\n`;
+  output += l.t('watch.current', { value: formatWatchValue(l, current) });
+  output += `${l.t(current.triggered ? 'watch.alreadyTriggered' : 'watch.notTriggered')}\n`;
+  output += `\n${l.t('watch.runCheck')}\n`;
+
+  return output;
+}
+
+/**
+ * Format the watchlist with each rule's last check
+ */
+export function formatWatchlist({ rules, count }, locale) {
+  const l = localizer(locale);
+  if (count === 0) {
+    return l.t('watch.empty');
+  }
+
+  let output = `${l.t('watch.title', { count })}\n\n`;
+
+  rules.forEach(rule => {
+    let status = l.t('watch.notChecked');
+    if (rule.state) {
+      status = l.t('watch.lastCheck', {
+        status: l.t(rule.state.triggered ? 'watch.triggered' : 'watch.ok'),
+        value: formatWatchValue(l, { ...rule, ...rule.state })
+      });
+    }
+    output += `• \`${rule.id}\` **${rule.name}**: ${describeRule(rule, l.locale)}, ${status}\n`;
+    if (rule.note) {
+      output += `   ${l.t('common.note', { note: rule.note })}\n`;
+    }
+  });
+
+  return output;
+}
+
+/**
+ * Format the outcome of checking the watchlist
+ */
+export function formatAlerts({ checked, alerts, unevaluated = [] }, locale) {
+  const l = localizer(locale);
+  if (checked === 0 && unevaluated.length === 0) {
+    return l.t('watch.nothingToCheck');
+  }
+  if (alerts.length === 0 && unevaluated.length === 0) {
+    return l.t('watch.noAlerts', { count: checked });
+  }
+
+  let output = '';
+  if (alerts.length > 0) {
+    output += `${l.t('watch.alertsTitle', { alerts: alerts.length, count: checked })}\n\n`;
+  } else if (checked > 0) {
+    output += `${l.t('watch.noAlerts', { count: checked })}\n`;
+  }
+
+  alerts.forEach(alert => {
+    output += `${alert.new ? '🆕 ' : ''}${l.t('watch.alert', {
+      name: alert.name,
+      description: describeRule(alert, l.locale),
+      value: formatWatchValue(l, alert),
+      id: alert.rule_id
+    })}\n`;
+    if (!alert.new) {
+      output += `   ${l.t('watch.triggeredSince', { date: l.day(alert.triggered_at.slice(0, 10)) })}\n`;
+    }
+    if (alert.note) {
+      output += `   ${l.t('common.note', { note: alert.note })}\n`;
+    }
+  });
+
+  if (unevaluated.length > 0) {
+    output += `${output ? '\n' : ''}${l.t('watch.unevaluatedTitle', { count: unevaluated.length })}\n`;
+    unevaluated.forEach(rule => {
+      output += `- ${l.t('watch.unevaluated', {
+        name: rule.name,
+        description: describeRule(rule, l.locale),
+        error: rule.error,
+        id: rule.rule_id
+      })}\n`;
+    });
+  }
+
+  return output;
+}
+
+/**
+ * Helper: A rule's current reading, e.g. "13.5%" or "450K (-12% change)"
+ */
+function formatWatchValue(l, { metric, value, change_pct }) {
+  if (value === null || value === undefined) return l.t('watch.noData');
+
+  const shown = metric === 'growth' ? formatGrowthPct(l, value, { signed: true }) : l.number(value);
+  if (change_pct === undefined) return shown;
+  if (change_pct === null) return l.t('watch.noBaseline', { value: shown });
+  return l.t('watch.change', { value: shown, change: l.percent(change_pct, { signed: true }) });
+}
+
+/**
+ * Format a tool profile as a Markdown document (tool:// resources)
+ */
+export function formatToolProfile(tool, locale) {
+  const l = localizer(locale);
+  const windows = Object.entries(tool.growth_windows || {})
+    .map(([range, pct]) => `${range} ${formatGrowthPct(l, pct, { signed: true })}`);
+
+  let output = `# ${tool.name}\n\n${tool.description}\n\n`;
+  output += `| ${l.t('profile.metric')} | ${l.t('profile.value')} |\n|---|---|\n`;
+  output += `| ${l.t('profile.package')} | \`${tool.package}\` |\n`;
+  output += `| ${l.t('profile.category')} | ${tool.category} |\n`;
+  output += `| ${l.t('profile.monthlyDownloads')} | ${l.number(tool.npm_downloads_monthly)} |\n`;
+  output += `| ${l.t('profile.weeklyDownloads')} | ${l.number(tool.npm_downloads_weekly)} |\n`;
+  output += `| ${l.t('profile.growth')} | ${windows.length > 0 ? l.list(windows) : l.t('common.na')} |\n`;
+  output += `| ${l.t('profile.stars')} | ${l.number(tool.github_stars)} |\n`;
+  output += `| ${l.t('profile.soQuestions')} | ${l.integer(tool.stackoverflow_questions_30d)} |\n`;
+  output += `| ${l.t('profile.redditMentions')} | ${l.integer(tool.reddit_mentions_30d)} |\n`;
+
+  if (tool.last_updated) {
+    output += `\n${l.t('profile.asOf', { date: l.day(tool.last_updated) })}\n`;
+  }
+
+  return output;
+}
+
+// Lines below this share of downloads are worth considering for end of support
+const LOW_SHARE_PCT = 5;
+
+// Groups listed per period before the rest are summed up as "other"
+const MAX_VERSION_GROUPS = 5;
+
+/**
+ * Format version adoption, highlighting the newest release's uptake
+ */
+export function formatVersionAdoption(apiResponse, toolName, locale) {
+  const l = localizer(locale);
+  const { data, by, latest_release: latest } = apiResponse;
+
+  let output = `${l.t('versions.title', {
+    name: toolName.toUpperCase(),
+    package: apiResponse.package,
+    from: l.day(apiResponse.from),
+    to: l.day(apiResponse.to)
+  })}\n\n`;
+
+  if (data.length === 0) {
+    return output + `${l.t('versions.empty')}\n`;
+  }
+
+  output += `${l.t(by === 'major' ? 'versions.byMajor' : 'versions.byVersion')}\n`;
+  data.forEach(point => {
+    const label = point.month ? l.month(point.month) : l.t('common.weekOf', { date: l.day(point.week) });
+    output += `${label}: ${formatShares(l, point.shares)}\n`;
+  });
+
+  output += `\n${l.t('versions.newest', { version: latest.version, title: latest.title ? l.t('versions.releaseTitle', { title: latest.title }) : '' })} `;
+  output += `${l.t('versions.released', { date: l.day(latest.date), count: latest.days_since_release })}\n`;
+
+  if (latest.uptake.length === 0) {
+    output += `${l.t('versions.tooRecent')}\n`;
+  } else {
+    const compared = latest.uptake.some(point => point.previous_share_pct !== null);
+    output += `${compared ? l.t('versions.uptakeVersus', { version: latest.previous_version }) : l.t('versions.uptake')}\n`;
+    // Day labels padded to the widest three-digit one, so the bars line up
+    const width = l.t('versions.day', { day: 999 }).length;
+    latest.uptake.forEach(point => {
+      output += `  ${l.t('versions.day', { day: point.day }).padEnd(width)} ${formatShareBar(point.share_pct)} ${l.percent(point.share_pct)}`;
+      output += point.previous_share_pct !== null ? ` (${l.percent(point.previous_share_pct)})\n` : '\n';
+    });
+  }
+
+  output += `• ${formatMajority(l, latest)}\n`;
+
+  // Old major lines that few users are still on
+  if (by === 'major') {
+    const last = data[data.length - 1];
+    const label = last.month ? l.month(last.month) : l.t('common.theWeekOf', { date: l.day(last.week) });
+    const lines = Object.entries(last.shares).sort((a, b) => b[1] - a[1]);
+    const fading = lines
+      .filter(([line, share]) => line !== latest.line && share < LOW_SHARE_PCT)
+      .map(([line, share]) => `${line} (${l.percent(share)})`);
+    const holding = lines
+      .filter(([line, share]) => line !== latest.line && share >= LOW_SHARE_PCT)
+      .map(([line, share]) => `${line} (${l.percent(share)})`);
+
+    if (holding.length > 0) {
+      output += `• ${l.t('versions.holding', { label, lines: l.list(holding) })}\n`;
+    }
+    if (fading.length > 0) {
+      output += `• ${l.t('versions.fading', { share: l.percent(LOW_SHARE_PCT), label, lines: l.list(fading) })}\n`;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Helper: "4.x 84.9% · 3.x 15.1%", largest first, with a tail as "other"
+ */
+function formatShares(l, shares) {
+  const sorted = Object.entries(shares).sort((a, b) => b[1] - a[1]);
+  const shown = sorted.slice(0, MAX_VERSION_GROUPS).map(([key, share]) => `${key} ${l.percent(share)}`);
+  const rest = sorted.slice(MAX_VERSION_GROUPS).reduce((sum, [, share]) => sum + share, 0);
+  if (rest > 0) shown.push(l.t('versions.other', { share: l.percent(rest) }));
+  return shown.join(' · ');
+}
+
+/**
+ * Helper: Text bar for a percentage, one block per 5%
+ */
+function formatShareBar(pct) {
+  return '█'.repeat(Math.round(pct / 5)).padEnd(20, '░');
+}
+
+/**
+ * Helper: How long the newest release took to carry half of all downloads
+ */
+function formatMajority(l, latest) {
+  const { version, previous_version: previous, days_to_majority: days, previous_days_to_majority: previousDays } = latest;
+  const versus = previous && previousDays !== null ? l.t('versions.versus', { version: previous, days: previousDays }) : '';
+
+  if (days === null) {
+    return l.t('versions.notMajority', { version, versus });
+  }
+
+  let output = l.t('versions.majority', { version, count: days, versus });
+  if (previous && previousDays !== null && days !== previousDays) {
+    output += l.t(days < previousDays ? 'versions.faster' : 'versions.slower');
+  }
+  return output;
+}
+
+/**
+ * Format download history as a Markdown table (tool://{id}/history)
+ */
+export function formatHistoryTable(apiResponse, toolName, locale) {
+  const l = localizer(locale);
+  const { data } = apiResponse;
+
+  let output = `${l.t('historyTable.title', { name: toolName })}\n\n`;
+  output += `| ${l.t('historyTable.month')} | ${l.t('historyTable.downloads')} | ${l.t('historyTable.change')} |\n|---|---|---|\n`;
+
+  data.forEach((point, index) => {
+    const previous = data[index - 1];
+    const change = previous?.downloads && point.downloads !== null
+      ? l.percent((point.downloads / previous.downloads - 1) * 100, { signed: true, digits: 1 })
+      : '';
+    output += `| ${point.month ? l.month(point.month) : l.day(point.week)} | ${formatDownloads(l, point.downloads)} | ${change} |\n`;
+  });
+
+  return output;
+}
+
+/**
+ * Format every tool's current metrics as a Markdown table (metrics://snapshot)
+ */
+export function formatMetricsSnapshot({ tools }, locale) {
+  const l = localizer(locale);
+  const columns = ['tool', 'category', 'monthlyDownloads', 'growth', 'stars', 'soQuestions', 'redditMentions', 'score'];
+
+  let output = `${l.t('snapshot.title')}\n\n`;
+  output += `| ${columns.map(column => l.t(`snapshot.${column}`)).join(' | ')} |\n`;
+  output += `|${columns.map(() => '---').join('|')}|\n`;
+
+  tools.forEach(tool => {
+    output += `| ${tool.name} | ${tool.category} | ${l.number(tool.npm_downloads_monthly)} `;
+    output += `| ${formatGrowthPct(l, tool.growth_pct, { signed: true })} | ${l.number(tool.github_stars)} `;
+    output += `| ${l.integer(tool.stackoverflow_questions_30d)} | ${l.integer(tool.reddit_mentions_30d)} `;
+    output += `| ${tool.score === undefined || tool.score === null ? l.t('common.na') : l.decimal(tool.score)} |\n`;
+  });
+
   return output;
 }
 
 /**
  * Format search results
  */
-export function formatSearchResults(apiResponse, filters) {
-  const { results, count } = apiResponse;
-  
+export function formatSearchResults(apiResponse, filters, locale) {
+  const l = localizer(locale);
+  const { results, count, offset = 0, next_cursor } = apiResponse;
+  const total = apiResponse.total ?? count;
+
   if (count === 0) {
-    return 'No tools found matching your search criteria.';
+    return l.t(offset > 0 ? 'search.noMore' : 'search.empty');
   }
 
-  let output = `🔍 AI Developer Tools Search Results\n\n`;
-  
+  let output = `${l.t('search.title')}\n\n`;
+
   // Show active filters
   const activeFilters = [];
-  if (filters.category) activeFilters.push(`Category: ${filters.category}`);
-  if (filters.min_downloads) activeFilters.push(`Min Downloads: ${formatNumber(filters.min_downloads)}`);
-  if (filters.keyword) activeFilters.push(`Keyword: "${filters.keyword}"`);
-  
+  if (filters.category) activeFilters.push(l.t('search.category', { category: filters.category }));
+  if (filters.min_downloads) activeFilters.push(l.t('search.minDownloads', { downloads: l.number(filters.min_downloads) }));
+  if (filters.keyword) activeFilters.push(l.t('search.keyword', { keyword: filters.keyword }));
+  if (filters.registry && filters.registry !== 'all') activeFilters.push(l.t('search.registry', { registry: registryLabel(l, filters.registry) }));
+
   if (activeFilters.length > 0) {
-    output += `**Filters:** ${activeFilters.join(' | ')}\n`;
-    output += `**Found:** ${count} tool${count === 1 ? '' : 's'}\n\n`;
+    output += `${l.t('search.filters', { filters: activeFilters.join(' | ') })}\n`;
+    output += `${l.t('search.found', { count: total })}\n\n`;
+  }
+
+  const sortBy = filters.sort_by || 'downloads';
+  const extraMetric = SORT_METRIC_FIELDS[sortBy];
+  if (sortBy !== 'downloads' || filters.order) {
+    output += `${l.t('search.sortedBy', { sort: sortBy, order: filters.order || (sortBy === 'name' ? 'asc' : 'desc') })}\n\n`;
   }
-  
-  // List results
+
+  // List results, numbered across pages
   results.forEach((tool, index) => {
-    output += `${index + 1}. **${tool.name}** (\`${tool.package}\`)\n`;
+    output += `${offset + index + 1}. **${tool.name}** (\`${tool.packages?.[filters.registry] || tool.package}\`)\n`;
     output += `   ${tool.description}\n`;
-    output += `   • ${formatNumber(tool.npm_downloads_monthly)} downloads/month\n`;
-    output += `   • ${formatNumber(tool.github_stars)} GitHub stars\n`;
-    output += `   • Category: ${tool.category}\n\n`;
+    output += tool.downloads_monthly === null
+      ? `   • ${l.t('search.noDownloadCounts', { registry: registryLabel(l, filters.registry) })}\n`
+      : `   • ${l.t('common.downloadsPerMonth', { downloads: l.number(tool.downloads_monthly ?? tool.npm_downloads_monthly) })}\n`;
+    if ((!filters.registry || filters.registry === 'all') && tool.registries?.length > 1) {
+      output += `   • ${l.t('search.byRegistry', { breakdown: formatRegistryBreakdown(l, tool.registries) })}\n`;
+    }
+    output += `   • ${l.t('common.githubStars', { stars: l.number(tool.github_stars) })}\n`;
+    if (extraMetric && tool[extraMetric] !== undefined) {
+      output += `   • ${formatSortMetric(l, sortBy, tool[extraMetric])}\n`;
+    }
+    if (sortBy === 'score' && tool.score_breakdown) {
+      output += `   • ${l.t('search.from', { breakdown: formatScoreBreakdown(l, tool.score_breakdown) })}\n`;
+    }
+    output += `   • ${l.t('common.category', { category: tool.category })}\n\n`;
   });
-  
-  // Summary statistics
-  const totalDownloads = results.reduce((sum, t) => sum + t.npm_downloads_monthly, 0);
-  const avgDownloads = Math.round(totalDownloads / results.length);
-  
-  output += `**Summary:**\n`;
-  output += `• Total Monthly Downloads: ${formatNumber(totalDownloads)}\n`;
-  output += `• Average per Tool: ${formatNumber(avgDownloads)}\n`;
-  
+
+  // Summary statistics, over the tools with download counts
+  const counted = results
+    .map(t => (t.downloads_monthly === undefined ? t.npm_downloads_monthly : t.downloads_monthly))
+    .filter(downloads => downloads !== null && downloads !== undefined);
+  const totalDownloads = counted.reduce((sum, downloads) => sum + downloads, 0);
+
+  output += `${l.t(total > count ? 'search.summaryPage' : 'search.summary')}\n`;
+  if (counted.length > 0) {
+    output += `• ${l.t('search.totalDownloads', { downloads: l.number(totalDownloads) })}\n`;
+    output += `• ${l.t('search.averageDownloads', { downloads: l.number(Math.round(totalDownloads / counted.length)) })}\n`;
+  } else {
+    output += `• ${l.t('search.noDownloadCounts', { registry: registryLabel(l, filters.registry) })}\n`;
+  }
+
+  if (next_cursor) {
+    output += `\n${l.t('search.showing', { from: l.integer(offset + 1), to: l.integer(offset + count), total: l.integer(total) })}`;
+    output += `${l.t('search.nextPage', { cursor: next_cursor })}\n`;
+  }
+
   return output;
 }
 
+// Sort keys whose metric isn't already part of every search result line,
+// with the result field that holds it
+const SORT_METRIC_FIELDS = {
+  weekly_downloads: 'downloads_weekly',
+  so_questions: 'stackoverflow_questions_30d',
+  reddit_mentions: 'reddit_mentions_30d',
+  growth: 'growth_pct',
+  score: 'score'
+};
+
+/**
+ * Helper: A search result's sort metric, e.g. "450K downloads/week"
+ */
+function formatSortMetric(l, sortBy, value) {
+  switch (sortBy) {
+    case 'growth':
+      return l.t('search.growth', { growth: formatGrowthPct(l, value, { signed: true }) });
+    case 'score':
+      return l.t('search.score', { score: l.decimal(value) });
+    default:
+      return formatMetricValue(l, sortBy, value);
+  }
+}
+
 /**
  * Format error message
+ *
+ * `context` is an English phrase ("compare tools"); catalogs may
+ * translate it under errors.contexts.
  */
-export function formatError(error, context = '') {
+export function formatError(error, context = '', locale) {
+  const l = localizer(locale);
   let message = '❌ ';
-  
+
   if (context) {
-    message += `Unable to ${context}: `;
+    message += l.t('errors.unableTo', { context: labelFor(l, `errors.contexts.${context}`, context) });
   }
-  
-  message += error.message || 'An unexpected error occurred';
-  
+
+  message += error.message || l.t('errors.unexpected');
+
   // Add helpful suggestions based on error type
-  if (error.message.includes('not found')) {
-    message += '\n\nTry searching for available tools first, or check the tool name spelling.';
+  if (error.errors?.length > 0) {
+    message += ':\n' + error.errors.map(e => `- \`${e.path}\` ${e.message}`).join('\n');
+    message += `\n\n${l.t('errors.fixArguments')}`;
+  } else if (error.suggestions?.length > 0) {
+    const names = error.suggestions.map(s => `${s.name} (\`${s.id}\`)`);
+    message += `\n\n${l.t('errors.didYouMean', { names: l.list(names) })}`;
+  } else if (error.message.includes('not found')) {
+    message += `\n\n${l.t('errors.notFound')}`;
+  } else if (error.message.includes('degraded')) {
+    message += `\n\n${l.t('errors.degraded')}`;
   } else if (error.message.includes('timeout')) {
-    message += '\n\nPlease try again in a moment.';
+    message += `\n\n${l.t('errors.timeout')}`;
   }
-  
+
   return message;
 }
 
 /**
- * Helper: Format large numbers
+ * Helper: Format large numbers (36.1M, 450K) for a locale
  */
-export function formatNumber(num) {
-  if (num >= 1_000_000) {
-    return `${(num / 1_000_000).toFixed(1)}M`;
-  } else if (num >= 1_000) {
-    return `${(num / 1_000).toFixed(0)}K`;
-  }
-  return num.toString();
+export function formatNumber(num, locale) {
+  return localizer(locale).number(num);
 }
 
 /**
@@ -193,4 +867,4 @@ export function formatGrowthIndicator(growthPct) {
   if (growthPct > 0) return '↑';
   if (growthPct < 0) return '↓';
   return '→';
-}
\ No newline at end of file
+}
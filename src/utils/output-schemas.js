@@ -0,0 +1,209 @@
+/**
+ * Output Schema Fragments
+ *
+ * JSON Schema for the API payloads tools return as structuredContent.
+ * Schemas list the fields clients can rely on and leave the rest open,
+ * so the API can add fields without breaking validation.
+ */
+
+/**
+ * A tool with its current metrics and growth
+ */
+export const toolMetricsSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    package: { type: 'string' },
+    description: { type: 'string' },
+    category: { type: 'string' },
+    npm_downloads_monthly: { type: 'number' },
+    npm_downloads_weekly: { type: 'number' },
+    github_stars: { type: 'number' },
+    stackoverflow_questions_30d: { type: 'number' },
+    reddit_mentions_30d: { type: 'number' },
+    growth_pct: { type: ['number', 'null'], description: 'Download growth over time_range, in percent (null without enough history)' },
+    growth_windows: {
+      type: 'object',
+      additionalProperties: { type: ['number', 'null'] },
+      description: 'Growth percentage for each supported window (7d, 30d, 90d)'
+    },
+    registry: { type: 'string', description: 'Registry the downloads_* fields total (all = combined)' },
+    downloads_monthly: { type: ['number', 'null'], description: 'Monthly downloads in the selected registry (null if not published there)' },
+    downloads_weekly: { type: ['number', 'null'] },
+    downloads_growth_pct: { type: ['number', 'null'], description: 'Growth of downloads_monthly over time_range, in percent' },
+    registries: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          registry: { type: 'string' },
+          name: { type: 'string' },
+          package: { type: 'string' },
+          downloads_monthly: { type: ['number', 'null'], description: 'Null where the registry publishes no counts' },
+          downloads_weekly: { type: ['number', 'null'] },
+          growth_pct: { type: ['number', 'null'] },
+          share_pct: { type: ['number', 'null'], description: "Share of the tool's combined downloads" }
+        },
+        required: ['registry', 'package', 'downloads_monthly']
+      },
+      description: 'Downloads per registry the tool publishes to'
+    },
+    last_updated: { type: 'string' },
+    score: { type: 'number', description: 'Composite adoption score, 0-100' },
+    score_breakdown: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          value: { type: ['number', 'null'], description: 'Raw signal value' },
+          normalized: { type: 'number', description: '0-1 across all tools' },
+          weight: { type: 'number' },
+          points: { type: 'number', description: 'Contribution to the score' }
+        }
+      },
+      description: 'Per-signal contribution to score (downloads, growth, stars, so_questions, reddit_mentions)'
+    }
+  },
+  required: ['id', 'name', 'npm_downloads_monthly']
+};
+
+/**
+ * One anomaly event: a run of unusual days around its most extreme one
+ */
+export const anomalySchema = {
+  type: 'object',
+  properties: {
+    start_date: { type: 'string' },
+    end_date: { type: 'string' },
+    peak_date: { type: 'string', description: 'Most extreme day of the event' },
+    days: { type: 'integer' },
+    direction: { type: 'string', enum: ['spike', 'drop'] },
+    downloads: { type: 'number', description: 'Downloads on the peak day' },
+    expected: { type: 'number', description: 'Expected downloads on the peak day' },
+    deviation_pct: { type: 'number' },
+    excess_downloads: { type: 'number', description: 'Downloads above (or below) expected across the event' },
+    z_score: { type: 'number' },
+    confidence: { type: 'string', enum: ['low', 'medium', 'high'] },
+    cause: {
+      type: ['object', 'null'],
+      description: 'Likely cause, e.g. { type: "release", version, title, date }'
+    }
+  },
+  required: ['peak_date', 'direction', 'z_score', 'confidence']
+};
+
+/**
+ * One projected month with its prediction interval
+ */
+export const projectionSchema = {
+  type: 'object',
+  properties: {
+    month: { type: 'string', description: 'YYYY-MM' },
+    downloads: { type: 'number', description: 'Point forecast' },
+    lower: { type: 'number', description: 'Lower bound of the prediction interval' },
+    upper: { type: 'number', description: 'Upper bound of the prediction interval' },
+    growth_pct: { type: 'number', description: 'Growth over the last actual month, in percent' }
+  },
+  required: ['month', 'downloads', 'lower', 'upper']
+};
+
+/**
+ * When a forecast crosses a threshold: the point estimate, plus the
+ * earliest and latest months the prediction interval allows (null when
+ * beyond the horizon)
+ */
+export const crossingSchema = {
+  month: { type: ['string', 'null'] },
+  earliest: { type: ['string', 'null'] },
+  latest: { type: ['string', 'null'] }
+};
+
+/**
+ * One ranked tool in a category leaderboard, with its share of category
+ * downloads now and in the previous period
+ */
+export const leaderEntrySchema = {
+  type: 'object',
+  properties: {
+    rank: { type: 'integer' },
+    id: { type: 'string' },
+    name: { type: 'string' },
+    value: { type: 'number', description: 'The ranking metric' },
+    downloads: { type: 'number', description: 'Downloads over time_range' },
+    share_pct: { type: 'number', description: 'Share of category downloads, in percent' },
+    previous_share_pct: { type: 'number' },
+    share_change_pp: { type: 'number', description: 'Share change in percentage points' }
+  },
+  required: ['rank', 'id', 'name', 'value', 'share_pct']
+};
+
+/**
+ * A watchlist rule and the outcome of its last check (null until checked)
+ */
+export const watchRuleSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    tool: { type: 'string' },
+    metric: { type: 'string' },
+    condition: { type: 'string', enum: ['above', 'below', 'rises_by', 'drops_by'] },
+    threshold: { type: 'number' },
+    time_range: { type: 'string' },
+    note: { type: ['string', 'null'] },
+    baseline: { type: ['number', 'null'], description: 'Value when added, for rises_by/drops_by on snapshot metrics' },
+    created_at: { type: 'string' },
+    state: {
+      type: ['object', 'null'],
+      properties: {
+        triggered: { type: 'boolean' },
+        value: { type: ['number', 'null'] },
+        change_pct: { type: ['number', 'null'] },
+        checked_at: { type: 'string' },
+        triggered_at: { type: ['string', 'null'], description: 'When the rule started triggering' }
+      }
+    }
+  },
+  required: ['id', 'tool', 'metric', 'condition', 'threshold']
+};
+
+/**
+ * A rule evaluated against current metrics
+ */
+export const alertSchema = {
+  type: 'object',
+  properties: {
+    rule_id: { type: 'string' },
+    tool: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: 'string', description: 'The rule in words, e.g. "growth (7d) above 30%"' },
+    triggered: { type: 'boolean' },
+    value: { type: ['number', 'null'], description: 'Current value of the metric' },
+    change_pct: { type: ['number', 'null'], description: 'Percent change, for rises_by/drops_by' },
+    new: { type: 'boolean', description: 'Not triggered at the previous check' },
+    triggered_at: { type: ['string', 'null'] }
+  },
+  required: ['rule_id', 'tool', 'triggered']
+};
+
+/**
+ * One point of a history series (a month, or a week keyed by start date)
+ */
+export const historyPointSchema = {
+  type: 'object',
+  properties: {
+    month: { type: 'string', description: 'YYYY-MM (monthly granularity)' },
+    week: { type: 'string', description: 'YYYY-MM-DD week start (weekly granularity)' },
+    downloads: { type: ['number', 'null'], description: 'Downloads in the selected registry, or all combined (null for a gap in the data)' },
+    registries: {
+      type: 'object',
+      additionalProperties: { type: 'number' },
+      description: 'Downloads per registry (npm, pypi, crates)'
+    },
+    stars: { type: 'number' },
+    mentions: { type: 'number' },
+    days: { type: 'integer' },
+    complete: { type: 'boolean' }
+  },
+  required: ['downloads']
+};
@@ -0,0 +1,218 @@
+/**
+ * Rate Limiter
+ *
+ * Token buckets in front of tool execution, so a runaway agent looping on
+ * tools/call can't burn through the upstream API quota. Every call has
+ * to take a token from each bucket that applies to it:
+ *
+ * - the caller's bucket for all tools (`limit`)
+ * - the caller's bucket for that tool, if it has its own limit (`tools`)
+ * - one bucket shared by every caller (`global`, optional)
+ *
+ * A caller is whoever the transport identifies: a configured API key or
+ * the client address over HTTP, or the single local client over stdio.
+ */
+
+// Calls per minute (and burst size) when nothing else is configured
+export const DEFAULT_LIMIT = { perMinute: 60, burst: 30 };
+
+// Shared ceiling over HTTP when RATE_LIMIT_GLOBAL_PER_MINUTE isn't set
+export const DEFAULT_HTTP_GLOBAL_LIMIT = { perMinute: 600, burst: 100 };
+
+// Caller buckets kept before refilled (idle) ones are dropped
+const MAX_CALLERS = 1000;
+
+export class RateLimitError extends Error {
+  constructor(toolName, retryAfterMs, rule) {
+    const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    const calls = `${rule.perMinute} call${rule.perMinute === 1 ? '' : 's'}`;
+    super(`Rate limit exceeded for ${toolName}: ${calls} per minute ${rule.scope}. Retry in ${seconds}s.`);
+    this.name = 'RateLimitError';
+    this.toolName = toolName;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * A bucket holding up to `burst` tokens, refilled at `perMinute`
+ */
+export class TokenBucket {
+  constructor({ perMinute, burst = perMinute }, now = Date.now) {
+    this.perMinute = perMinute;
+    this.capacity = burst;
+    this.now = now;
+    this.tokens = burst;
+    this.updatedAt = now();
+  }
+
+  /**
+   * Milliseconds until a token is available (0 if one is available now)
+   */
+  wait() {
+    this._refill();
+    if (this.tokens >= 1) return 0;
+    return Math.ceil((1 - this.tokens) * 60_000 / this.perMinute);
+  }
+
+  /**
+   * Take a token; call wait() first to check one is available
+   */
+  take() {
+    this._refill();
+    this.tokens -= 1;
+  }
+
+  /**
+   * Whether the bucket has refilled completely
+   */
+  get full() {
+    this._refill();
+    return this.tokens >= this.capacity;
+  }
+
+  /**
+   * Helper: Add the tokens earned since the last update
+   */
+  _refill() {
+    const now = this.now();
+    const earned = (now - this.updatedAt) * this.perMinute / 60_000;
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.updatedAt = now;
+  }
+}
+
+export class RateLimiter {
+  /**
+   * Options:
+   * - limit: { perMinute, burst } per caller across all tools
+   * - tools: { [toolName]: { perMinute, burst } } per caller for one tool
+   * - global: { perMinute, burst } shared by every caller (optional)
+   * - now: clock function, for tests
+   */
+  constructor(options = {}) {
+    this.limit = options.limit || DEFAULT_LIMIT;
+    this.toolLimits = options.tools || {};
+    this.now = options.now || Date.now;
+    this.global = options.global ? new TokenBucket(options.global, this.now) : null;
+
+    // "caller" or "caller:tool" → TokenBucket
+    this.buckets = new Map();
+    this.throttled = {};
+  }
+
+  /**
+   * Take a token for a call, or throw RateLimitError
+   *
+   * Tokens are only taken when every applicable bucket has one, so a
+   * throttled call doesn't use up the caller's other budgets.
+   */
+  consume(toolName, caller = 'local') {
+    const rules = [
+      { bucket: this._bucket(caller, this.limit), ...this.limit, scope: 'per caller' }
+    ];
+
+    const toolLimit = this.toolLimits[toolName];
+    if (toolLimit) {
+      rules.push({
+        bucket: this._bucket(`${caller}:${toolName}`, toolLimit),
+        ...toolLimit,
+        scope: `per caller for ${toolName}`
+      });
+    }
+    if (this.global) {
+      rules.push({ bucket: this.global, perMinute: this.global.perMinute, scope: 'across all callers' });
+    }
+
+    const blocking = rules
+      .map(rule => ({ rule, wait: rule.bucket.wait() }))
+      .filter(({ wait }) => wait > 0)
+      .sort((a, b) => b.wait - a.wait)[0];
+
+    if (blocking) {
+      this.throttled[toolName] = (this.throttled[toolName] || 0) + 1;
+      throw new RateLimitError(toolName, blocking.wait, blocking.rule);
+    }
+
+    rules.forEach(({ bucket }) => bucket.take());
+  }
+
+  /**
+   * Set the bucket shared by every caller, replacing any existing one
+   */
+  setGlobal(limit) {
+    this.global = new TokenBucket(limit, this.now);
+  }
+
+  /**
+   * Throttled call counts per tool, and the number of tracked callers
+   */
+  stats() {
+    return {
+      buckets: this.buckets.size,
+      throttled: { ...this.throttled }
+    };
+  }
+
+  /**
+   * Helper: Get or create the bucket for a key
+   */
+  _bucket(key, limit) {
+    if (!this.buckets.has(key)) {
+      if (this.buckets.size >= MAX_CALLERS) {
+        this._prune();
+      }
+      this.buckets.set(key, new TokenBucket(limit, this.now));
+    }
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Helper: Forget buckets that have refilled; they'd start full anyway
+   */
+  _prune() {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.full) this.buckets.delete(key);
+    }
+  }
+}
+
+/**
+ * Parse per-tool limits like "compare_tools=10,get_tool_history=20/5"
+ * (calls per minute, optionally followed by the burst size)
+ */
+export function parseToolLimits(spec = '') {
+  const limits = {};
+
+  for (const entry of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, value = ''] = entry.split('=');
+    const [perMinute, burst] = value.split('/').map(n => parseInt(n, 10));
+    if (!name || !(perMinute > 0)) {
+      throw new Error(`Invalid rate limit '${entry}'. Expected tool_name=perMinute[/burst]`);
+    }
+    limits[name.trim()] = { perMinute, burst: burst > 0 ? burst : perMinute };
+  }
+
+  return limits;
+}
+
+/**
+ * Export singleton instance (null when disabled)
+ *
+ * Configured from environment variables:
+ * - RATE_LIMIT_ENABLED: 'false' turns off rate limiting
+ * - RATE_LIMIT_PER_MINUTE: Calls per minute per caller (default 60)
+ * - RATE_LIMIT_BURST: Calls a caller may make at once (default 30)
+ * - RATE_LIMIT_TOOLS: Per-tool limits, e.g. "compare_tools=10,search_tools=30/10"
+ * - RATE_LIMIT_GLOBAL_PER_MINUTE: Calls per minute across all callers
+ *   (over HTTP, DEFAULT_HTTP_GLOBAL_LIMIT applies when it isn't set)
+ */
+export const rateLimiter = process.env.RATE_LIMIT_ENABLED === 'false' ? null : new RateLimiter({
+  limit: {
+    perMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || DEFAULT_LIMIT.perMinute,
+    burst: parseInt(process.env.RATE_LIMIT_BURST, 10) || DEFAULT_LIMIT.burst
+  },
+  tools: parseToolLimits(process.env.RATE_LIMIT_TOOLS),
+  global: parseInt(process.env.RATE_LIMIT_GLOBAL_PER_MINUTE, 10) > 0
+    ? { perMinute: parseInt(process.env.RATE_LIMIT_GLOBAL_PER_MINUTE, 10) }
+    : undefined
+});
@@ -0,0 +1,130 @@
+/**
+ * Tool Results
+ *
+ * Builds MCP CallToolResult objects. Every successful result carries the
+ * raw API payload as `structuredContent` (matching the tool's
+ * `outputSchema`), while the `format` argument decides what goes into the
+ * content blocks:
+ *
+ * - text: the natural-language summary (default, best for chat)
+ * - json: the payload as pretty-printed JSON
+ * - both: summary first, then the JSON
+ *
+ * Tools that draw charts or export data append those blocks after the text.
+ * Summaries are written in the call's `locale` (see src/i18n); with
+ * EMOJI=false their emoji are stripped.
+ */
+
+import { formatError } from './formatters.js';
+import { SUPPORTED_LOCALES, EMOJI_ENABLED, withoutEmoji } from '../i18n/index.js';
+
+export const OUTPUT_FORMATS = ['text', 'json', 'both'];
+
+/**
+ * Input schema property shared by every tool
+ */
+export const formatInputSchema = {
+  type: 'string',
+  enum: OUTPUT_FORMATS,
+  default: 'text',
+  description: 'Response format: text (summary), json (raw data), or both'
+};
+
+/**
+ * Input schema property shared by every tool with a text summary
+ *
+ * No default, so an omitted locale falls back to the server's LOCALE.
+ */
+export const localeInputSchema = {
+  type: 'string',
+  enum: SUPPORTED_LOCALES,
+  description: 'Language and number/date style of the text summary: en, de or ja (default: the server\'s LOCALE, else en)'
+};
+
+/**
+ * Input schema property for tools that can attach a chart
+ */
+export const chartInputSchema = {
+  type: 'string',
+  enum: ['none', 'svg', 'png'],
+  default: 'none',
+  description: 'Attach a chart as an image: svg (sharp, small) or png (for clients without SVG support)'
+};
+
+/**
+ * Input schema properties for tools whose data can be exported
+ */
+export const exportInputSchema = {
+  type: 'string',
+  enum: ['none', 'csv', 'markdown', 'jsonl'],
+  default: 'none',
+  description: 'Also export the data as CSV (for spreadsheets), a Markdown table or JSON lines'
+};
+
+export const exportToInputSchema = {
+  type: 'string',
+  enum: ['resource', 'file'],
+  default: 'resource',
+  description: 'Where the export goes: embedded in the result, or a file in the server\'s export directory'
+};
+
+// One signal's weight in the composite score
+const scoreWeight = description => ({ type: 'number', minimum: 0, description });
+
+/**
+ * Input schema property for composite score weight overrides
+ */
+export const scoreWeightsInputSchema = {
+  type: 'object',
+  properties: {
+    downloads: scoreWeight('Monthly npm downloads (default 0.3)'),
+    growth: scoreWeight('Download growth (default 0.25)'),
+    stars: scoreWeight('GitHub stars (default 0.15)'),
+    so_questions: scoreWeight('Stack Overflow questions, last 30 days (default 0.15)'),
+    reddit_mentions: scoreWeight('Reddit mentions, last 30 days (default 0.15)')
+  },
+  additionalProperties: false,
+  description: 'Weights for the composite score. Omitted signals keep their default, 0 ignores a signal, and weights are scaled to sum to 1'
+};
+
+/**
+ * Successful result: formatted text and/or JSON, plus structured data
+ * and any extra blocks (charts, exports)
+ */
+export function toolResult(text, data, format = 'text', attachments = []) {
+  const content = [];
+
+  if (format !== 'json') {
+    content.push({ type: 'text', text: EMOJI_ENABLED ? text : withoutEmoji(text) });
+  }
+  if (format !== 'text') {
+    content.push({ type: 'text', text: JSON.stringify(data, null, 2) });
+  }
+  content.push(...attachments);
+
+  return {
+    content,
+    structuredContent: data
+  };
+}
+
+/**
+ * Failed result: a helpful error message, flagged with isError
+ */
+export function errorResult(error, context, locale) {
+  const text = formatError(error, context, locale);
+  return {
+    content: [{ type: 'text', text: EMOJI_ENABLED ? text : withoutEmoji(text) }],
+    isError: true
+  };
+}
+
+/**
+ * Helper: Concatenated text of a result's text blocks
+ */
+export function resultText(result) {
+  return result.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n\n');
+}
@@ -0,0 +1,190 @@
+/**
+ * Argument Validation
+ *
+ * Checks tools/call arguments against the tool's `inputSchema` before
+ * the tool runs, and fills in declared defaults. This covers the JSON
+ * Schema keywords our schemas use:
+ *
+ * - type (including type arrays like ['string', 'null'])
+ * - enum
+ * - minimum / maximum, minLength / maxLength, minItems / maxItems
+ * - properties, required, additionalProperties: false, items
+ * - default
+ *
+ * Errors name the offending field ("tools", "tools[2]") so the model can
+ * fix its call and try again.
+ */
+
+export class ArgumentValidationError extends Error {
+  constructor(toolName, errors) {
+    super(`Invalid arguments for ${toolName}`);
+    this.name = 'ArgumentValidationError';
+    this.toolName = toolName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate arguments against a schema
+ *
+ * Returns { value, errors }: a copy of the arguments with defaults
+ * applied, and a list of { path, message } problems (empty when valid).
+ */
+export function validateArguments(schema, args = {}) {
+  const errors = [];
+  const value = check(schema, args, '', errors);
+  return { value, errors };
+}
+
+/**
+ * Helper: Validate one value; returns it with defaults applied
+ */
+function check(schema, value, path, errors) {
+  const field = path || 'arguments';
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ path: field, message: `must be ${describeType(schema.type)} (got ${describeValue(value)})` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path: field,
+      message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`
+    });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: field, message: `must be at least ${schema.minimum} (got ${value})` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: field, message: `must be at most ${schema.maximum} (got ${value})` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: field, message: value ? `must be at least ${schema.minLength} characters` : 'must not be empty' });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: field, message: `must be at most ${schema.maxLength} characters (got ${value.length})` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return checkArray(schema, value, field, errors);
+  }
+
+  if (isObject(value) && (schema.properties || schema.additionalProperties === false)) {
+    return checkObject(schema, value, path, errors);
+  }
+
+  return value;
+}
+
+/**
+ * Helper: Item count and per-item checks
+ */
+function checkArray(schema, value, path, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, message: `must contain at least ${schema.minItems} ${plural(schema.minItems, 'item')} (got ${value.length})` });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, message: `must contain at most ${schema.maxItems} ${plural(schema.maxItems, 'item')} (got ${value.length})` });
+  }
+
+  return schema.items
+    ? value.map((item, i) => check(schema.items, item, `${path}[${i}]`, errors))
+    : value;
+}
+
+/**
+ * Helper: Required, unknown and per-property checks, plus defaults
+ */
+function checkObject(schema, value, path, errors) {
+  const properties = schema.properties || {};
+  const result = {};
+  const prefix = path ? `${path}.` : '';
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      errors.push({ path: `${prefix}${name}`, message: 'is required' });
+    }
+  }
+
+  for (const [name, propertyValue] of Object.entries(value)) {
+    if (properties[name]) {
+      result[name] = check(properties[name], propertyValue, `${prefix}${name}`, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({
+        path: `${prefix}${name}`,
+        message: `is not a known argument. Allowed: ${Object.keys(properties).join(', ')}`
+      });
+    } else {
+      result[name] = propertyValue;
+    }
+  }
+
+  for (const [name, property] of Object.entries(properties)) {
+    if (result[name] === undefined && property.default !== undefined) {
+      result[name] = structuredClone(property.default);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Helper: Whether a value has one of the JSON Schema types
+ */
+function matchesType(type, value) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(t => {
+    switch (t) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return isObject(value);
+      case 'null': return value === null;
+      default: return typeof value === t;
+    }
+  });
+}
+
+/**
+ * Helper: "an integer", "a string or null"
+ */
+function describeType(type) {
+  const names = {
+    integer: 'an integer', number: 'a number', string: 'a string', boolean: 'a boolean',
+    array: 'an array', object: 'an object', null: 'null'
+  };
+  const types = Array.isArray(type) ? type : [type];
+  return types.map(t => names[t] || t).join(' or ');
+}
+
+/**
+ * Helper: Short description of a wrong value for error messages
+ */
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+/**
+ * Helper: Plain object (not an array or null)
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Helper: "1 item", "3 items"
+ */
+function plural(count, word) {
+  return count === 1 ? word : `${word}s`;
+}
@@ -0,0 +1,129 @@
+/**
+ * Watchlist Rules
+ *
+ * A rule watches one metric of one tool, e.g. "cursor growth above 30%
+ * over 7d" or "copilot downloads drop by 10%". Conditions:
+ *
+ * - above / below: the metric's current value against `threshold`
+ *   (growth is in percent)
+ * - rises_by / drops_by: the metric's change, in percent, against
+ *   `threshold`. For downloads the change is download growth over
+ *   `time_range` (this window vs the one before). Other metrics are
+ *   snapshots, so they change relative to the `baseline` value recorded
+ *   when the rule was added.
+ *
+ * Rules are evaluated against the metrics the ApiClient returns, so they
+ * see exactly what the other tools see.
+ */
+
+import { localizer } from '../i18n/index.js';
+
+// Watchable metrics → field on the API's tool metrics
+export const WATCH_METRICS = {
+  downloads: 'npm_downloads_monthly',
+  weekly_downloads: 'npm_downloads_weekly',
+  stars: 'github_stars',
+  so_questions: 'stackoverflow_questions_30d',
+  reddit_mentions: 'reddit_mentions_30d',
+  growth: 'growth_pct'
+};
+
+export const WATCH_CONDITIONS = ['above', 'below', 'rises_by', 'drops_by'];
+
+export class WatchRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WatchRuleError';
+  }
+}
+
+/**
+ * Check a new rule's combination of metric, condition and threshold
+ */
+export function validateRule({ metric, condition, threshold }) {
+  if (!WATCH_METRICS[metric]) {
+    throw new WatchRuleError(`Unknown metric '${metric}'. Expected one of: ${Object.keys(WATCH_METRICS).join(', ')}`);
+  }
+  if (!WATCH_CONDITIONS.includes(condition)) {
+    throw new WatchRuleError(`Unknown condition '${condition}'. Expected one of: ${WATCH_CONDITIONS.join(', ')}`);
+  }
+  if (metric === 'growth' && isChange(condition)) {
+    throw new WatchRuleError('growth is already a percent change. Use above or below, e.g. growth below -10');
+  }
+  if (isChange(condition) && !(threshold > 0)) {
+    throw new WatchRuleError(`${condition} needs a positive percentage, e.g. 10 for 10%`);
+  }
+}
+
+/**
+ * Evaluate a rule against a tool's current metrics
+ *
+ * Returns { triggered, value, change_pct } where change_pct is only set
+ * for rises_by / drops_by.
+ */
+export function evaluateRule(rule, metrics) {
+  const value = metrics[WATCH_METRICS[rule.metric]] ?? null;
+  if (value === null) {
+    return { triggered: false, value: null };
+  }
+
+  switch (rule.condition) {
+    case 'above':
+      return { triggered: value > rule.threshold, value };
+    case 'below':
+      return { triggered: value < rule.threshold, value };
+    default: {
+      const change = changePct(rule, metrics, value);
+      if (change === null) {
+        return { triggered: false, value, change_pct: null };
+      }
+      const triggered = rule.condition === 'rises_by' ? change >= rule.threshold : change <= -rule.threshold;
+      return { triggered, value, change_pct: change };
+    }
+  }
+}
+
+/**
+ * The value recorded as a rule's baseline when it's added (null when
+ * the rule doesn't compare against one)
+ */
+export function baselineFor(rule, metrics) {
+  if (!isChange(rule.condition) || rule.metric === 'downloads') return null;
+  return metrics[WATCH_METRICS[rule.metric]] ?? null;
+}
+
+/**
+ * Human-readable condition in the given locale, e.g. "growth (7d) above 30%"
+ */
+export function describeRule(rule, locale) {
+  const l = localizer(locale);
+  const metric = rule.metric === 'growth'
+    ? l.t('watch.rule.growth', { timeRange: rule.time_range })
+    : l.t(`watch.rule.metrics.${rule.metric}`);
+  const threshold = rule.metric === 'growth' || isChange(rule.condition)
+    ? l.percent(rule.threshold)
+    : l.decimal(rule.threshold);
+  const against = rule.metric === 'downloads'
+    ? l.t('watch.rule.sincePeriod', { timeRange: rule.time_range })
+    : l.t('watch.rule.sinceAdded');
+
+  return l.t(`watch.rule.${rule.condition}`, { metric, threshold, against });
+}
+
+/**
+ * Helper: Percent change for rises_by / drops_by
+ */
+function changePct(rule, metrics, value) {
+  if (rule.metric === 'downloads') {
+    return metrics.growth_pct ?? null;
+  }
+  if (!rule.baseline) return null;
+  return Math.round((value / rule.baseline - 1) * 1000) / 10;
+}
+
+/**
+ * Helper: Whether a condition compares a change rather than a value
+ */
+function isChange(condition) {
+  return condition === 'rises_by' || condition === 'drops_by';
+}
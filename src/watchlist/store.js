@@ -0,0 +1,129 @@
+/**
+ * Watchlist Store
+ *
+ * Keeps watch rules and the outcome of their last check in a local JSON
+ * file, so the watchlist survives restarts. The file is read on first
+ * use and rewritten after every change:
+ *
+ *   { "next_id": 3, "rules": [{ "id": "w1", "tool": "cursor", ... }] }
+ *
+ * The file lives at WATCHLIST_PATH (default data/watchlist.json).
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+export const DEFAULT_WATCHLIST_PATH = 'data/watchlist.json';
+
+export class WatchlistStore {
+  /**
+   * Options:
+   * - path: JSON file to keep rules in (default: WATCHLIST_PATH, read on
+   *   first use)
+   * - now: clock function, for tests
+   */
+  constructor(options = {}) {
+    this.path = options.path;
+    this.now = options.now || Date.now;
+    this.rules = null;
+    this.nextId = 1;
+  }
+
+  /**
+   * All rules, optionally only those watching one tool
+   */
+  list(toolId) {
+    this._ensureLoaded();
+    return this.rules.filter(rule => !toolId || rule.tool === toolId);
+  }
+
+  /**
+   * Add a rule, or update the threshold of an identical one
+   *
+   * Rules are identical when they watch the same tool, metric, condition
+   * and time range. Returns { rule, replaced }.
+   */
+  add({ tool, metric, condition, threshold, time_range, note, baseline = null }) {
+    this._ensureLoaded();
+
+    const existing = this.rules.find(rule =>
+      rule.tool === tool && rule.metric === metric &&
+      rule.condition === condition && rule.time_range === time_range
+    );
+    const rule = {
+      id: existing?.id || `w${this.nextId++}`,
+      tool,
+      metric,
+      condition,
+      threshold,
+      time_range,
+      note: note || null,
+      baseline,
+      created_at: new Date(this.now()).toISOString(),
+      state: null
+    };
+
+    if (existing) {
+      this.rules[this.rules.indexOf(existing)] = rule;
+    } else {
+      this.rules.push(rule);
+    }
+    this._save();
+
+    return { rule, replaced: Boolean(existing) };
+  }
+
+  /**
+   * Record check outcomes: { [ruleId]: state }
+   */
+  recordStates(states) {
+    this._ensureLoaded();
+
+    for (const rule of this.rules) {
+      if (states[rule.id]) {
+        rule.state = states[rule.id];
+      }
+    }
+    this._save();
+  }
+
+  /**
+   * Helper: Read the file the first time the store is used
+   *
+   * An unreadable file is reported rather than replaced, so a typo made
+   * while hand-editing it doesn't wipe the watchlist.
+   */
+  _ensureLoaded() {
+    if (this.rules) return;
+
+    this.path = this.path || process.env.WATCHLIST_PATH || DEFAULT_WATCHLIST_PATH;
+    if (!existsSync(this.path)) {
+      this.rules = [];
+      return;
+    }
+
+    let saved;
+    try {
+      saved = JSON.parse(readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unreadable watchlist file ${this.path}: ${error.message}`);
+    }
+    this.rules = saved.rules || [];
+    this.nextId = saved.next_id || this.rules.length + 1;
+  }
+
+  /**
+   * Helper: Write via a temp file, so a crash never leaves half a file
+   */
+  _save() {
+    mkdirSync(dirname(this.path), { recursive: true });
+    const temp = `${this.path}.tmp`;
+    writeFileSync(temp, JSON.stringify({ next_id: this.nextId, rules: this.rules }, null, 2));
+    renameSync(temp, this.path);
+  }
+}
+
+/**
+ * Export singleton instance
+ */
+export const watchlist = new WatchlistStore();
@@ -11,6 +11,105 @@ import { compareTool } from '../src/tools/compare.js';
 import { trendingTool } from '../src/tools/trending.js';
 import { historyTool } from '../src/tools/history.js';
 import { searchTool } from '../src/tools/search.js';
+import { anomaliesTool } from '../src/tools/anomalies.js';
+import { forecastTool } from '../src/tools/forecast.js';
+import { leaderboardTool } from '../src/tools/leaderboard.js';
+import { addToWatchlistTool, listWatchlistTool, checkAlertsTool } from '../src/tools/watchlist.js';
+import { versionAdoptionTool } from '../src/tools/versions.js';
+import { createServer } from 'node:http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createServer as createMcpServer, RATE_LIMITED, RESOURCE_NOT_FOUND } from '../src/server.js';
+import { startHttpTransport, clientAddress } from '../src/transports/http.js';
+import { ApiClient, apiClient } from '../src/api/client.js';
+import { ResponseCache } from '../src/api/cache.js';
+import { mkdtempSync, rmSync, readFileSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { getCurrentMetrics, getTrendingTools, searchTools, timeSeries } from '../src/data/mock-data.js';
+import { TimeSeriesStore, rollup, addDays } from '../src/data/timeseries.js';
+import { detectAnomalies } from '../src/data/anomalies.js';
+import { forecast } from '../src/data/forecast.js';
+import { versionShares, splitByVersion, majorLine } from '../src/data/versions.js';
+import { computeScores, resolveWeights } from '../src/data/scoring.js';
+import { formatGrowthIndicator, formatError, formatTrending } from '../src/utils/formatters.js';
+import { resultText } from '../src/utils/results.js';
+import { sparkline } from '../src/charts/index.js';
+import { renderSvg } from '../src/charts/svg.js';
+import { renderPng } from '../src/charts/png.js';
+import { serializeTable, exportContent, historyTable } from '../src/export/index.js';
+import { localizer, resolveLocale, withoutEmoji, SUPPORTED_LOCALES } from '../src/i18n/index.js';
+import { loadCatalogFile, getTool } from '../src/catalog/index.js';
+import { resolveToolId } from '../src/catalog/resolver.js';
+import { RateLimiter, RateLimitError, parseToolLimits } from '../src/utils/rate-limiter.js';
+import { validateArguments } from '../src/utils/validate.js';
+import { evaluateRule, describeRule } from '../src/watchlist/rules.js';
+import { WatchlistStore, watchlist } from '../src/watchlist/store.js';
+import { ResourceSubscriptions } from '../src/resources/subscriptions.js';
+import { ingest, describeRun } from '../src/ingest/index.js';
+import { replayFetch, loadRecording } from '../src/ingest/fixtures.js';
+
+/**
+ * Start a local stand-in for the metrics REST API
+ *
+ * Handlers are keyed by "METHOD /path". Resolves with the server and its
+ * base URL once it is listening on an ephemeral port.
+ */
+function startFakeApi(handlers) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, url, headers: req.headers });
+
+    const handler = handlers[`${req.method} ${url.pathname}`];
+    if (!handler) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: `No route for ${url.pathname}` } }));
+      return;
+    }
+    handler(req, res, url);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, requests, baseURL: `http://127.0.0.1:${port}` });
+    });
+  });
+}
+
+/**
+ * Connect an MCP client to the server over stdio, as Claude Desktop would
+ */
+async function connectStdioClient(env = {}) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [new URL('../src/index.js', import.meta.url).pathname],
+    env: { ...process.env, ...env },
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'test-tools', version: '1.0.0' });
+  await client.connect(transport);
+  return client;
+}
+
+/**
+ * Run a function and return what it throws (undefined if nothing)
+ */
+function captureError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
 
 async function testTools() {
   console.log('🧪 Testing AI Developer Tools MCP Server\n');
@@ -21,10 +120,10 @@ async function testTools() {
   // Test 1: Compare Tool
   console.log('1️⃣ Testing compare_tools...');
   try {
-    const result = await compareTool.execute({
+    const result = resultText(await compareTool.execute({
       tools: ['openai', 'anthropic'],
       time_range: '30d'
-    });
+    }));
     if (result.includes('Comparison') && result.includes('OpenAI SDK')) {
       console.log('✅ Compare tool works');
       console.log(`   Preview: ${result.substring(0, 100)}...\n`);
@@ -41,10 +140,10 @@ async function testTools() {
   // Test 2: Trending Tool
   console.log('2️⃣ Testing get_trending_tools...');
   try {
-    const result = await trendingTool.execute({
+    const result = resultText(await trendingTool.execute({
       time_range: '30d',
       limit: 5
-    });
+    }));
     if (result.includes('Trending') && result.includes('Fastest Growing')) {
       console.log('✅ Trending tool works');
       console.log(`   Preview: ${result.substring(0, 100)}...\n`);
@@ -61,10 +160,10 @@ async function testTools() {
   // Test 3: History Tool
   console.log('3️⃣ Testing get_tool_history...');
   try {
-    const result = await historyTool.execute({
+    const result = resultText(await historyTool.execute({
       tool: 'cursor',
       months: 6
-    });
+    }));
     if (result.includes('Historical Adoption') && result.includes('Growth Analysis')) {
       console.log('✅ History tool works');
       console.log(`   Preview: ${result.substring(0, 100)}...\n`);
@@ -81,10 +180,10 @@ async function testTools() {
   // Test 4: Search Tool
   console.log('4️⃣ Testing search_tools...');
   try {
-    const result = await searchTool.execute({
+    const result = resultText(await searchTool.execute({
       category: 'llm-api',
       min_downloads: 5_000_000
-    });
+    }));
     if (result.includes('Search Results') && result.includes('Found')) {
       console.log('✅ Search tool works');
       console.log(`   Preview: ${result.substring(0, 100)}...\n`);
@@ -98,10 +197,1212 @@ async function testTools() {
     failed++;
   }
 
+  // Test 5: HTTP data source
+  console.log('5️⃣ Testing HTTP data source...');
+  const fakeApi = await startFakeApi({
+    'GET /tools/openai/metrics': (req, res) => sendJson(res, 200, { id: 'openai', name: 'OpenAI SDK' }),
+    'GET /tools/slow/metrics': (req, res) => setTimeout(() => sendJson(res, 200, {}), 500),
+    'GET /tools/missing/metrics': (req, res) => sendJson(res, 404, { error: { message: "Tool 'missing' not found" } })
+  });
+  try {
+    const client = new ApiClient(fakeApi.baseURL, {
+      apiKey: 'test-key',
+      timeout: 100,
+      dataSource: 'http'
+    });
+    const ok = await client.getToolMetrics('openai');
+    const missing = await client.getToolMetrics('missing');
+    const slow = await client.getToolMetrics('slow');
+    const auth = fakeApi.requests[0].headers.authorization;
+
+    if (ok.ok && ok.data.name === 'OpenAI SDK' && auth === 'Bearer test-key' &&
+        missing.status === 404 && missing.error.message.includes('not found') &&
+        slow.status === 408 && slow.error.message.includes('timeout')) {
+      console.log('✅ HTTP data source works');
+      console.log('   Bearer token sent, 404 passed through, timeout enforced\n');
+      passed++;
+    } else {
+      console.log('❌ HTTP data source returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ HTTP data source error: ${error.message}\n`);
+    failed++;
+  } finally {
+    fakeApi.server.closeAllConnections();
+    fakeApi.server.close();
+  }
+
+  // Test 6: Time windows drive growth metrics
+  console.log('6️⃣ Testing growth windows...');
+  try {
+    const week = getCurrentMetrics('anthropic', '7d');
+    const quarter = getCurrentMetrics('anthropic', '90d');
+    // Missing growth stays null in the data and reads as n/a, not 0%
+    const noHistory = formatTrending({ tools: [{ name: 'New SDK', growth_pct: null, npm_downloads_monthly: 1200, category: 'llm-api' }] }, '30d');
+    // ...and ranks after every tool with growth, even negative growth
+    const cursorSeries = timeSeries.query('cursor');
+    let withoutHistory;
+    timeSeries.remove('cursor');
+    try {
+      withoutHistory = getTrendingTools('7d', 10);
+    } finally {
+      timeSeries.append(cursorSeries);
+    }
+    const last = withoutHistory.at(-1);
+    if (week.growth_pct < quarter.growth_pct &&
+        week.growth_windows['30d'] === quarter.growth_windows['30d'] &&
+        !('growth_indicator' in quarter) && formatGrowthIndicator(quarter.growth_pct) === '🔥' &&
+        noHistory.includes('Growth: n/a') && getCurrentMetrics('unknown') === null &&
+        last.id === 'cursor' && last.growth_pct === null && withoutHistory.at(-2).growth_pct < 0) {
+      console.log('✅ Growth windows work');
+      console.log(`   anthropic: 7d +${week.growth_pct}%, 90d +${quarter.growth_pct}%\n`);
+      passed++;
+    } else {
+      console.log('❌ Growth windows returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Growth windows error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 7: Daily time series store
+  console.log('7️⃣ Testing time series store...');
+  try {
+    const store = new TimeSeriesStore([
+      { tool: 'demo', date: '2024-12-30', downloads: 100, stars: 10, mentions: 2 },
+      { tool: 'demo', date: '2025-01-02', downloads: 400, stars: 16, mentions: 8 }
+    ]);
+    const filled = store.query('demo', { fill: 'linear' });
+    const months = rollup(filled, 'month');
+    // Gaps longer than maxGap stay missing instead of being interpolated
+    const gappy = new TimeSeriesStore([
+      { tool: 'gappy', date: '2025-01-01', downloads: 10 },
+      { tool: 'gappy', date: '2025-01-20', downloads: 200 }
+    ]);
+    const gapped = gappy.query('gappy', { fill: 'linear' });
+    const bridged = gappy.query('gappy', { fill: 'linear', maxGap: 30 });
+    const yearly = resultText(await historyTool.execute({ tool: 'openai', months: 12 }));
+    const weekly = resultText(await historyTool.execute({ tool: 'openai', months: 3, granularity: 'week' }));
+
+    if (filled.length === 4 && filled[1].downloads === 200 && filled[1].filled &&
+        months[0].downloads === 300 && !months[0].complete && months[1].stars === 16 &&
+        gapped.length === 20 && gapped.filter(day => day.missing).length === 18 &&
+        gapped.every(day => day.missing ? day.downloads === undefined : day.downloads > 0) &&
+        rollup(gapped, 'month')[0].days === 2 && bridged[10].downloads === 110 && bridged[10].filled &&
+        yearly.includes('2024-01:') && yearly.includes('2024-12:') &&
+        weekly.includes('Week of 2024-12-23')) {
+      console.log('✅ Time series store works');
+      console.log('   Gap filling, month roll-ups, 12-month and weekly history\n');
+      passed++;
+    } else {
+      console.log('❌ Time series store returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Time series store error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 8: Tool catalog drives schemas
+  console.log('8️⃣ Testing tool catalog...');
+  try {
+    const before = compareTool.inputSchema.properties.tools.items.examples;
+    const loaded = loadCatalogFile(new URL('./fixtures/catalog.json', import.meta.url));
+    const after = compareTool.inputSchema.properties.tools.items.examples;
+    const categories = searchTool.inputSchema.properties.category.enum;
+    const search = resultText(await searchTool.execute({ category: 'assistant' }));
+
+    if (loaded === 2 && !before.includes('mistral') && after.includes('mistral') &&
+        historyTool.inputSchema.properties.tool.examples.includes('continue') &&
+        categories.includes('assistant') && getTool('mistral').aliases[0] === 'mistral ai' &&
+        search.includes('GitHub Copilot')) {
+      console.log('✅ Tool catalog works');
+      console.log(`   Schemas now list: ${after.join(', ')}\n`);
+      passed++;
+    } else {
+      console.log('❌ Tool catalog returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Tool catalog error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 9: Fuzzy tool-name resolution
+  console.log('9️⃣ Testing tool name resolution...');
+  try {
+    const resolved = ['Claude SDK', '@anthropic-ai/sdk', 'gh copilot', 'Lang Chain', 'antropic']
+      .map(resolveToolId);
+    const compare = resultText(await compareTool.execute({ tools: ['OpenAI', 'Claude SDK'] }));
+    const unknown = resultText(await historyTool.execute({ tool: 'langchian-core' }));
+
+    if (resolved.join() === 'anthropic,anthropic,copilot,langchain,anthropic' &&
+        compare.includes('Anthropic SDK') && compare.includes('OpenAI SDK') &&
+        unknown.includes('Did you mean') && unknown.includes('LangChain')) {
+      console.log('✅ Tool name resolution works');
+      console.log(`   ${unknown.split('\n').pop()}\n`);
+      passed++;
+    } else {
+      console.log('❌ Tool name resolution returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Tool name resolution error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 10: Search sorting and pagination
+  console.log('🔟 Testing search sorting and pagination...');
+  try {
+    const byName = searchTools({ sort_by: 'name' }).results.map(t => t.id);
+    const byGrowth = searchTools({ sort_by: 'growth', order: 'asc' }).results.map(t => t.growth_pct);
+    const page1 = searchTools({ sort_by: 'stars', limit: 2 });
+    const page2 = searchTools({ sort_by: 'stars', limit: 2, cursor: page1.next_cursor });
+    const page3 = searchTools({ sort_by: 'stars', limit: 2, cursor: page2.next_cursor });
+    const mismatch = resultText(await searchTool.execute({ sort_by: 'name', cursor: page1.next_cursor }));
+
+    if (byName.join() === 'anthropic,cursor,copilot,langchain,openai' &&
+        byGrowth.every((g, i) => i === 0 || byGrowth[i - 1] <= g) &&
+        page1.results[0].id === 'langchain' && page1.total === 5 &&
+        page2.results[0].id === 'cursor' && page3.results.length === 1 &&
+        page3.next_cursor === null && mismatch.includes('does not match')) {
+      console.log('✅ Search sorting and pagination work');
+      console.log(`   Stars pages: ${[page1, page2, page3].map(p => p.results.map(t => t.id).join('+')).join(' | ')}\n`);
+      passed++;
+    } else {
+      console.log('❌ Search sorting and pagination returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Search sorting and pagination error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 11: Structured output over MCP
+  console.log('1️⃣1️⃣ Testing structured output...');
+  let mcpClient;
+  try {
+    mcpClient = await connectStdioClient();
+    const { tools } = await mcpClient.listTools();
+    const both = await mcpClient.callTool({
+      name: 'compare_tools',
+      arguments: { tools: ['openai', 'anthropic'], format: 'both' }
+    });
+    const json = await mcpClient.callTool({
+      name: 'search_tools',
+      arguments: { sort_by: 'stars', limit: 2, format: 'json' }
+    });
+    const text = await mcpClient.callTool({ name: 'get_tool_history', arguments: { tool: 'cursor' } });
+
+    if (tools.every(t => t.outputSchema) &&
+        both.content.length === 2 && both.content[0].text.includes('Comparison') &&
+        JSON.parse(both.content[1].text).tools.length === 2 &&
+        both.structuredContent.tools[1].id === 'anthropic' &&
+        json.content.length === 1 && JSON.parse(json.content[0].text).results[0].id === 'langchain' &&
+        text.content.length === 1 && text.structuredContent.data.length === 6) {
+      console.log('✅ Structured output works');
+      console.log('   text, json and both formats; structuredContent validated by the MCP client\n');
+      passed++;
+    } else {
+      console.log('❌ Structured output returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Structured output error: ${error.message}\n`);
+    failed++;
+  } finally {
+    await mcpClient?.close();
+  }
+
+  // Test 12: Streamable HTTP transport with concurrent sessions
+  console.log('1️⃣2️⃣ Testing HTTP transport...');
+  let httpTransport;
+  let cappedTransport;
+  let guardedTransport;
+  const httpClients = [];
+  try {
+    httpTransport = await startHttpTransport(createMcpServer, { port: 0 });
+    for (let i = 0; i < 2; i++) {
+      const client = new Client({ name: `http-client-${i}`, version: '1.0.0' });
+      const transport = new StreamableHTTPClientTransport(new URL(httpTransport.url));
+      await client.connect(transport);
+      httpClients.push({ client, transport });
+    }
+
+    const results = await Promise.all(httpClients.map(({ client }, i) => client.callTool({
+      name: 'get_tool_history',
+      arguments: { tool: i === 0 ? 'openai' : 'cursor' }
+    })));
+    const health = await (await fetch(new URL('/healthz', httpTransport.url))).json();
+    const [first, second] = httpClients.map(({ transport }) => transport.sessionId);
+    const orphan = await fetch(httpTransport.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+
+    // Abandoned sessions are closed after the idle timeout, and the cap
+    // refuses new sessions; rejected initializes don't leak their server
+    const servers = [];
+    const trackedServer = () => {
+      const server = createMcpServer();
+      servers.push(server);
+      return server;
+    };
+    const initialize = url => fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'abandoned', version: '1.0.0' } }
+      })
+    }).then(async response => ({ status: response.status, body: await response.text() }));
+    cappedTransport = await startHttpTransport(trackedServer, { port: 0, sessionIdleMs: 50, maxSessions: 1 });
+    const opened = await initialize(cappedTransport.url);
+    const refused = await initialize(cappedTransport.url);
+    const openBeforeIdle = cappedTransport.sessions.size;
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const openAfterIdle = cappedTransport.sessions.size;
+    const reopened = await initialize(cappedTransport.url);
+    guardedTransport = await startHttpTransport(trackedServer, { port: 0, allowedHosts: ['mcp.example.com'] });
+    const rejected = await initialize(guardedTransport.url);
+
+    if (first && second && first !== second && health.sessions === 2 &&
+        results[0].structuredContent.tool_id === 'openai' &&
+        results[1].structuredContent.tool_id === 'cursor' && orphan.status === 400 &&
+        opened.status === 200 && refused.status === 503 && openBeforeIdle === 1 && openAfterIdle === 0 &&
+        reopened.status === 200 && servers.length === 3 && servers[0].transport === undefined &&
+        rejected.status === 403 && servers[2].transport === undefined && guardedTransport.sessions.size === 0) {
+      console.log('✅ HTTP transport works');
+      console.log(`   2 concurrent sessions on ${httpTransport.url}\n`);
+      passed++;
+    } else {
+      console.log('❌ HTTP transport returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ HTTP transport error: ${error.message}\n`);
+    failed++;
+  } finally {
+    await Promise.all(httpClients.map(({ client }) => client.close()));
+    await httpTransport?.close();
+    await cappedTransport?.close();
+    await guardedTransport?.close();
+  }
+
+  // Test 13: Response cache with TTL and stale-while-revalidate
+  console.log('1️⃣3️⃣ Testing response cache...');
+  const cacheDir = mkdtempSync(join(tmpdir(), 'mcp-cache-'));
+  try {
+    let clock = 0;
+    let calls = 0;
+    const countingSource = {
+      async getToolMetrics(toolId) {
+        calls++;
+        if (toolId === 'broken') throw Object.assign(new Error('boom'), { status: 503 });
+        return { id: toolId, version: calls };
+      }
+    };
+    const cache = new ResponseCache({
+      ttls: { getToolMetrics: 1000 },
+      staleWhileRevalidate: 1000,
+      persistPath: join(cacheDir, 'cache.json'),
+      now: () => clock
+    });
+    const client = new ApiClient('http://unused', { dataSource: countingSource, cache, retry: false });
+
+    const first = await client.getToolMetrics('openai');
+    const hit = await client.getToolMetrics('openai');
+    clock = 1500;
+    const stale = await client.getToolMetrics('openai');
+    await new Promise(resolve => setImmediate(resolve));
+    const refreshed = await client.getToolMetrics('openai');
+    const bypass = await client.getToolMetrics('openai', { cache: false });
+    await client.getToolMetrics('broken');
+    await client.getToolMetrics('broken');
+    const [a, b] = await Promise.all([client.getToolMetrics('cursor'), client.getToolMetrics('cursor')]);
+    cache.flush();
+    const reloaded = new ResponseCache({ persistPath: join(cacheDir, 'cache.json'), now: () => clock });
+    const removed = client.invalidateCache('getToolMetrics');
+    const stats = client.getCacheStats();
+    // Write now, so the batched write doesn't land after cacheDir is removed
+    cache.flush();
+    // The parent directory is created, and a failed write (the path is a directory) doesn't throw
+    const nested = new ResponseCache({ persistPath: join(cacheDir, 'nested', 'cache.json') });
+    nested.set('getToolMetrics', 'k', { id: 'k' });
+    nested.flush();
+    new ResponseCache({ persistPath: cacheDir }).flush();
+    const nestedWritten = existsSync(join(cacheDir, 'nested', 'cache.json'));
+
+    if (first.data.version === 1 && hit.data.version === 1 && stale.data.version === 1 && nestedWritten &&
+        refreshed.data.version === 2 && bypass.data.version === 3 &&
+        a.data === b.data && calls === 6 && reloaded.entries.size === 2 && removed === 2 &&
+        stats.hits === 2 && stats.stale_hits === 1 && stats.revalidations === 1 && stats.misses === 5) {
+      console.log('✅ Response cache works');
+      console.log(`   hits=${stats.hits} stale=${stats.stale_hits} misses=${stats.misses} upstream calls=${calls}\n`);
+      passed++;
+    } else {
+      console.log('❌ Response cache returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Response cache error: ${error.message}\n`);
+    failed++;
+  } finally {
+    rmSync(cacheDir, { recursive: true, force: true });
+  }
+
+  // Test 14: Retries with backoff and the circuit breaker
+  console.log('1️⃣4️⃣ Testing retries and circuit breaker...');
+  let flakyCalls = 0;
+  const flakyApi = await startFakeApi({
+    'GET /tools/openai/metrics': (req, res) => {
+      // Two 503s, then success
+      flakyCalls++;
+      if (flakyCalls <= 2) sendJson(res, 503, { error: { message: 'Service Unavailable' } });
+      else sendJson(res, 200, { id: 'openai' });
+    },
+    'GET /tools/cursor/metrics': (req, res) => {
+      if (flakyApi.requests.filter(r => r.url.pathname === req.url).length === 1) {
+        res.setHeader('Retry-After', '2');
+        sendJson(res, 429, { error: { message: 'Too Many Requests' } });
+      } else {
+        sendJson(res, 200, { id: 'cursor' });
+      }
+    },
+    'GET /tools/down/metrics': (req, res) => sendJson(res, 500, { error: { message: 'Internal Server Error' } }),
+    'GET /tools/missing/metrics': (req, res) => sendJson(res, 404, { error: { message: "Tool 'missing' not found" } })
+  });
+  try {
+    let clock = 0;
+    const delays = [];
+    const client = new ApiClient(flakyApi.baseURL, {
+      dataSource: 'http',
+      cache: false,
+      retry: { retries: 2, sleep: async ms => { delays.push(ms); }, random: () => 1 },
+      circuitBreaker: { failureThreshold: 2, resetTimeout: 1000, now: () => clock }
+    });
+
+    const recovered = await client.getToolMetrics('openai');
+    const attempts = flakyCalls;
+    const backoff = delays.splice(0);
+    const throttled = await client.getToolMetrics('cursor');
+    const retryAfter = delays.splice(0);
+    const notFound = await client.getToolMetrics('missing');
+    const afterNotFound = client.getCircuitStatus();
+
+    await client.getToolMetrics('down');
+    await client.getToolMetrics('down');
+    const requestsWhenOpened = flakyApi.requests.length;
+    const failFast = await client.getToolMetrics('openai');
+    const sentWhileOpen = flakyApi.requests.length - requestsWhenOpened;
+    clock = 1500;
+    const probe = await client.getToolMetrics('openai');
+    const degradedText = formatError(new Error(failFast.error.message));
+
+    if (recovered.ok && attempts === 3 && backoff.join() === '200,400' &&
+        throttled.ok && retryAfter.join() === '2000' &&
+        notFound.status === 404 && afterNotFound.failures === 0 &&
+        failFast.status === 503 && failFast.error.message.includes('degraded') && sentWhileOpen === 0 &&
+        degradedText.includes('paused') &&
+        probe.ok && client.getCircuitStatus().state === 'closed') {
+      console.log('✅ Retries and circuit breaker work');
+      console.log(`   backoff=${backoff.join('/')}ms retry-after=${retryAfter}ms, open circuit sent ${sentWhileOpen} requests\n`);
+      passed++;
+    } else {
+      console.log('❌ Retries and circuit breaker returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Retries and circuit breaker error: ${error.message}\n`);
+    failed++;
+  } finally {
+    flakyApi.server.closeAllConnections();
+    flakyApi.server.close();
+  }
+
+  // Test 15: Rate limiting per caller and per tool
+  console.log('1️⃣5️⃣ Testing rate limiting...');
+  let limitedTransport;
+  const limitedClients = [];
+  try {
+    let clock = 0;
+    const limiter = new RateLimiter({
+      limit: { perMinute: 60, burst: 2 },
+      tools: parseToolLimits('compare_tools=1'),
+      now: () => clock
+    });
+    limiter.consume('search_tools', 'a');
+    limiter.consume('search_tools', 'a');
+    const burstError = captureError(() => limiter.consume('search_tools', 'a'));
+    limiter.consume('search_tools', 'b');
+    clock = 1000;
+    limiter.consume('search_tools', 'a');
+    clock = 60_000;
+    limiter.consume('compare_tools', 'a');
+    const toolError = captureError(() => limiter.consume('compare_tools', 'a'));
+    limiter.consume('search_tools', 'a');
+
+    clock = 120_000;
+    limiter.setGlobal({ perMinute: 1 });
+    limiter.consume('search_tools', 'c');
+    const globalError = captureError(() => limiter.consume('search_tools', 'd'));
+
+    // Over HTTP, a listed API key gets its own budget across sessions;
+    // without one (or with an unlisted one) the client address is the caller
+    const sharedLimiter = new RateLimiter({ limit: { perMinute: 1 } });
+    limitedTransport = await startHttpTransport(
+      context => createMcpServer({ rateLimiter: sharedLimiter, apiKeys: ['team-key'], ...context }),
+      { port: 0, trustedProxies: ['127.0.0.1'] }
+    );
+    const clientHeaders = [
+      { 'X-API-Key': 'team-key' }, { 'X-API-Key': 'team-key' }, {}, {}, { 'X-API-Key': 'made-up' },
+      { 'X-Forwarded-For': '203.0.113.7' }
+    ];
+    for (const headers of clientHeaders) {
+      const client = new Client({ name: 'limited-client', version: '1.0.0' });
+      await client.connect(new StreamableHTTPClientTransport(new URL(limitedTransport.url), {
+        requestInit: { headers }
+      }));
+      limitedClients.push(client);
+    }
+    const call = client => client.callTool({ name: 'search_tools', arguments: { limit: 1 } });
+    const keyed = await call(limitedClients[0]);
+    const sameKey = await call(limitedClients[1]).catch(error => error);
+    const allowed = await call(limitedClients[2]);
+    const throttled = await call(limitedClients[2]).catch(error => error);
+    const newSession = await call(limitedClients[3]).catch(error => error);
+    const madeUpKey = await call(limitedClients[4]).catch(error => error);
+    const forwarded = await call(limitedClients[5]);
+    // X-Forwarded-For only counts from a trusted proxy
+    const viaGateway = { socket: { remoteAddress: '::ffff:10.0.0.2' }, headers: { 'x-forwarded-for': '198.51.100.1, 203.0.113.7, 10.0.0.3' } };
+    const spoofed = { socket: { remoteAddress: '198.51.100.9' }, headers: { 'x-forwarded-for': '203.0.113.7' } };
+
+    if (burstError instanceof RateLimitError && burstError.retryAfterMs === 1000 &&
+        toolError?.message.includes('per caller for compare_tools') &&
+        !allowed.isError && !keyed.isError &&
+        throttled.code === RATE_LIMITED && throttled.data.retry_after_ms > 59_000 &&
+        throttled.message.includes('Retry in 60s') &&
+        globalError?.message.includes('across all callers') &&
+        sameKey.code === RATE_LIMITED && newSession.code === RATE_LIMITED &&
+        madeUpKey.code === RATE_LIMITED && sharedLimiter.stats().throttled.search_tools === 4 &&
+        !forwarded.isError && clientAddress(viaGateway, ['10.0.0.2', '10.0.0.3']) === '203.0.113.7' &&
+        clientAddress(spoofed, ['10.0.0.2']) === '198.51.100.9') {
+      console.log('✅ Rate limiting works');
+      console.log(`   ${throttled.message}\n`);
+      passed++;
+    } else {
+      console.log('❌ Rate limiting returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Rate limiting error: ${error.message}\n`);
+    failed++;
+  } finally {
+    await Promise.all(limitedClients.map(client => client.close()));
+    await limitedTransport?.close();
+  }
+
+  // Test 16: Arguments are validated against inputSchema
+  console.log('1️⃣6️⃣ Testing argument validation...');
+  let validatingClient;
+  try {
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    await createMcpServer({ rateLimiter: null }).connect(serverSide);
+    validatingClient = new Client({ name: 'validation-test', version: '1.0.0' });
+    await validatingClient.connect(clientSide);
+
+    const tooMany = await validatingClient.callTool({
+      name: 'compare_tools',
+      arguments: { tools: ['openai', 'anthropic', 'cursor', 'copilot'], time_range: '1y' }
+    });
+    const outOfRange = await validatingClient.callTool({
+      name: 'get_tool_history',
+      arguments: { tool: 'openai', months: 40, colour: 'blue' }
+    });
+    const missing = await validatingClient.callTool({ name: 'get_tool_history', arguments: {} });
+    const valid = await validatingClient.callTool({ name: 'get_trending_tools', arguments: { limit: 3 } });
+    const { value } = validateArguments(historyTool.inputSchema, { tool: 'cursor' });
+    const typeErrors = validateArguments(searchTool.inputSchema, { limit: '5', min_downloads: 1.5 }).errors;
+
+    const tooManyText = resultText(tooMany);
+    const outOfRangeText = resultText(outOfRange);
+    if (tooMany.isError && tooManyText.includes('`tools` must contain at most 3 items (got 4)') &&
+        tooManyText.includes('`time_range` must be one of "7d", "30d", "90d" (got "1y")') &&
+        outOfRange.isError && outOfRangeText.includes('`months` must be at most 12 (got 40)') &&
+        outOfRangeText.includes('`colour` is not a known argument') &&
+        missing.isError && resultText(missing).includes('`tool` is required') &&
+        !valid.isError && valid.structuredContent.tools.length === 3 &&
+        value.months === 6 && value.granularity === 'month' && value.format === 'text' &&
+        typeErrors.map(e => e.path).join() === 'limit,min_downloads') {
+      console.log('✅ Argument validation works');
+      console.log(`   ${tooManyText.split('\n')[1]}\n`);
+      passed++;
+    } else {
+      console.log('❌ Argument validation returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Argument validation error: ${error.message}\n`);
+    failed++;
+  } finally {
+    await validatingClient?.close();
+  }
+
+  // Test 17: Anomaly detection over the daily series
+  console.log('1️⃣7️⃣ Testing anomaly detection...');
+  try {
+    // Eight flat weeks with a weekend dip, one spike and one outage
+    const samples = Array.from({ length: 56 }, (_, i) => {
+      const date = addDays('2024-01-01', i);
+      const weekend = i % 7 >= 5;
+      const wobble = 1 + 0.02 * Math.sin(i * 2.3);
+      return { tool: 'demo', date, downloads: Math.round((weekend ? 700 : 1000) * wobble) };
+    });
+    samples[20].downloads *= 2;
+    samples[40].downloads = Math.round(samples[40].downloads * 0.3);
+    const events = detectAnomalies(samples, {
+      releases: [{ date: '2024-01-20', version: '2.0.0', title: 'Major release' }]
+    });
+
+    const result = await anomaliesTool.execute({ tool: 'langchain', months: 4 });
+    const text = resultText(result);
+    const { anomalies } = result.structuredContent;
+
+    if (events.length === 2 &&
+        events[0].peak_date === '2024-01-21' && events[0].direction === 'spike' &&
+        events[0].cause?.version === '2.0.0' && events[0].confidence === 'high' &&
+        events[1].peak_date === '2024-02-10' && events[1].direction === 'drop' && events[1].cause === null &&
+        anomalies.some(a => a.direction === 'spike' && a.cause?.version === '0.3.0') &&
+        anomalies.some(a => a.direction === 'drop' && a.peak_date === '2024-11-19' && !a.cause) &&
+        text.includes('Likely cause: release 0.3.0') && text.includes('registry outages')) {
+      console.log('✅ Anomaly detection works');
+      console.log(`   langchain: ${anomalies.length} events, weekend dips ignored\n`);
+      passed++;
+    } else {
+      console.log('❌ Anomaly detection returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Anomaly detection error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 18: Adoption forecasts with targets and crossovers
+  console.log('1️⃣8️⃣ Testing adoption forecasts...');
+  try {
+    const straight = forecast([100, 110, 120, 130, 140, 150, 160], { model: 'auto', horizon: 2 });
+    const doubling = forecast([1, 2, 4, 8, 16, 32].map(v => v * 1000), { model: 'exponential', horizon: 1 });
+    const noisy = forecast([100, 130, 115, 150, 140, 170, 160], { model: 'linear', horizon: 3, confidence: 95 });
+
+    const anthropic = await forecastTool.execute({ tool: 'Claude SDK', target: 20_000_000, months: 12 });
+    const race = await forecastTool.execute({ tool: 'cursor', compare_with: 'copilot', model: 'exponential' });
+    const same = await forecastTool.execute({ tool: 'cursor', compare_with: 'Cursor AI' });
+    const { target, projections } = anthropic.structuredContent;
+    const { crossover } = race.structuredContent.comparison;
+    const widths = noisy.projections.map(p => p.upper - p.lower);
+
+    if (straight.projections[0].downloads === 170 && straight.projections[1].downloads === 180 &&
+        Object.keys(straight.errors).length === 3 &&
+        doubling.projections[0].downloads === 64000 &&
+        widths[0] < widths[1] && widths[1] < widths[2] &&
+        projections.length === 12 && projections[0].month === '2025-01' &&
+        target.month && target.earliest <= target.month && !target.already_reached &&
+        crossover.challenger === 'cursor' && crossover.leader === 'copilot' && crossover.month &&
+        resultText(race).includes('projected to overtake GitHub Copilot') &&
+        same.isError) {
+      console.log('✅ Adoption forecasts work');
+      console.log(`   anthropic reaches 20M in ${target.month} (${anthropic.structuredContent.model}); cursor passes copilot in ${crossover.month}\n`);
+      passed++;
+    } else {
+      console.log('❌ Adoption forecasts returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Adoption forecasts error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 19: Category leaderboard with market share
+  console.log('1️⃣9️⃣ Testing category leaderboard...');
+  try {
+    const result = await leaderboardTool.execute({});
+    const byStars = await leaderboardTool.execute({ category: 'llm-api', metric: 'stars', time_range: '90d', limit: 1 });
+    const bogus = await leaderboardTool.execute({ metric: 'bogus' });
+    const { categories } = result.structuredContent;
+    const llm = categories.find(c => c.category === 'llm-api');
+    const shareTotal = llm.leaders.reduce((sum, t) => sum + t.share_pct, 0);
+    const changeTotal = llm.leaders.reduce((sum, t) => sum + t.share_change_pp, 0);
+    const text = resultText(result);
+
+    if (categories.length === 4 && categories[0].category === 'llm-api' &&
+        llm.leaders.map(t => t.id).join() === 'openai,anthropic' &&
+        Math.abs(shareTotal - 100) < 0.2 && Math.abs(changeTotal) < 0.2 &&
+        llm.leaders.every(t => t.share_change_pp === Math.round((t.share_pct - t.previous_share_pct) * 10) / 10) &&
+        categories.filter(c => c.tool_count === 1).every(c => c.leaders[0].share_pct === 100) &&
+        byStars.structuredContent.categories.length === 1 &&
+        byStars.structuredContent.categories[0].leaders.length === 1 &&
+        llm.leaders.reduce((sum, t) => sum + t.value, 0) === llm.total_downloads &&
+        llm.leaders.every(t => t.value === t.downloads) &&
+        text.includes('**OpenAI SDK**: 35.4M downloads in 30d') && text.includes('**llm-api**: 49.0M downloads in 30d') &&
+        text.includes('% of category downloads') && text.includes(' pp vs previous period') &&
+        bogus.isError) {
+      console.log('✅ Category leaderboard works');
+      console.log(`   llm-api: ${llm.leaders.map(t => `${t.id} ${t.share_pct}%`).join(', ')}\n`);
+      passed++;
+    } else {
+      console.log('❌ Category leaderboard returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Category leaderboard error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 20: Composite adoption score
+  console.log('2️⃣0️⃣ Testing composite adoption score...');
+  try {
+    const weights = resolveWeights('growth=0.5,downloads=0');
+    const scores = computeScores([
+      { id: 'big', npm_downloads_monthly: 1_000_000, growth_pct: 0, github_stars: 100 },
+      { id: 'small', npm_downloads_monthly: 1_000, growth_pct: 50, github_stars: 100 }
+    ], resolveWeights({ downloads: 1, growth: 1, stars: 0, so_questions: 0, reddit_mentions: 0 }));
+
+    const byScore = await trendingTool.execute({ sort_by: 'score' });
+    const growthOnly = await trendingTool.execute({
+      sort_by: 'score',
+      weights: { downloads: 0, growth: 1, stars: 0, so_questions: 0, reddit_mentions: 0 }
+    });
+    const byGrowth = await trendingTool.execute({});
+    const search = await searchTool.execute({ sort_by: 'score', limit: 2 });
+    const noWeights = await trendingTool.execute({
+      sort_by: 'score',
+      weights: { downloads: 0, growth: 0, stars: 0, so_questions: 0, reddit_mentions: 0 }
+    });
+    const { tools } = byScore.structuredContent;
+    const points = Object.values(tools[0].score_breakdown).reduce((sum, part) => sum + part.points, 0);
+
+    if (Math.abs(Object.values(weights).reduce((a, b) => a + b, 0) - 1) < 1e-9 && weights.downloads === 0 &&
+        scores.get('big').score === 50 && scores.get('small').score === 50 &&
+        scores.get('big').breakdown.stars.normalized === 0.5 &&
+        tools.every((t, i) => i === 0 || tools[i - 1].score >= t.score) &&
+        Math.abs(points - tools[0].score) < 0.3 &&
+        growthOnly.structuredContent.tools.map(t => t.id).join() === byGrowth.structuredContent.tools.map(t => t.id).join() &&
+        search.structuredContent.results[0].id === tools[0].id &&
+        resultText(byScore).includes('Adoption Score') && resultText(search).includes('Adoption score:') &&
+        noWeights.isError) {
+      console.log('✅ Composite adoption score works');
+      console.log(`   top: ${tools.slice(0, 3).map(t => `${t.id} ${t.score}`).join(', ')}\n`);
+      passed++;
+    } else {
+      console.log('❌ Composite adoption score returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Composite adoption score error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 21: Watchlists and threshold alerts
+  console.log('2️⃣1️⃣ Testing watchlists and alerts...');
+  const watchDir = mkdtempSync(join(tmpdir(), 'mcp-watchlist-'));
+  try {
+    // The shared store reads WATCHLIST_PATH on first use
+    process.env.WATCHLIST_PATH = join(watchDir, 'watchlist.json');
+
+    const drop = evaluateRule({ metric: 'stars', condition: 'drops_by', threshold: 10, baseline: 1000 }, { github_stars: 850 });
+    const rise = evaluateRule({ metric: 'downloads', condition: 'rises_by', threshold: 10 }, { npm_downloads_monthly: 5, growth_pct: 8 });
+    const described = describeRule({ metric: 'stars', condition: 'drops_by', threshold: 10, time_range: '30d' }, 'ja');
+
+    const added = await addToWatchlistTool.execute({ tool: 'Cursor AI', metric: 'growth', condition: 'above', threshold: -50, time_range: '7d' });
+    await addToWatchlistTool.execute({ tool: 'gh copilot', metric: 'downloads', condition: 'drops_by', threshold: 10, note: 'renewal' });
+    const updated = await addToWatchlistTool.execute({ tool: 'cursor', metric: 'growth', condition: 'above', threshold: -40, time_range: '7d' });
+    const invalid = await addToWatchlistTool.execute({ tool: 'cursor', metric: 'growth', condition: 'drops_by', threshold: 10 });
+
+    const notifications = [];
+    const extra = { sendNotification: async notification => notifications.push(notification) };
+    const first = await checkAlertsTool.execute({ locale: 'de' }, extra);
+    const second = await checkAlertsTool.execute({}, extra);
+    // A tool the API can't serve leaves its rule unevaluated, not the whole check
+    const { rule: retired } = watchlist.add({ tool: 'retired-tool', metric: 'stars', condition: 'above', threshold: 1, time_range: '30d' });
+    const partial = await checkAlertsTool.execute({}, extra);
+    const listed = await listWatchlistTool.execute({ tool: 'copilot' });
+    const saved = JSON.parse(readFileSync(process.env.WATCHLIST_PATH, 'utf8'));
+    const reloaded = new WatchlistStore({ path: process.env.WATCHLIST_PATH });
+
+    if (drop.triggered && drop.change_pct === -15 && !rise.triggered && rise.change_pct === 8 &&
+        added.structuredContent.rule.id === 'w1' && updated.structuredContent.replaced &&
+        updated.structuredContent.rule.id === 'w1' && invalid.isError &&
+        first.structuredContent.checked === 2 && first.structuredContent.alerts.length === 1 &&
+        first.structuredContent.alerts[0].new && !second.structuredContent.alerts[0].new &&
+        notifications.length === 1 && notifications[0].params.logger === 'watchlist' &&
+        notifications[0].params.data.message.startsWith('Alarm der Beobachtungsliste: Cursor Wachstum (7d) über') &&
+        described === 'スター数が 10% 減少 (ルール追加時から)' &&
+        resultText(first).includes('Wachstum (7d) über') &&
+        first.structuredContent.alerts[0].description === 'growth (7d) above -40%' &&
+        listed.structuredContent.count === 1 && listed.structuredContent.rules[0].state.triggered === false &&
+        partial.structuredContent.checked === 2 && partial.structuredContent.alerts.length === 1 &&
+        partial.structuredContent.unevaluated[0]?.rule_id === retired.id &&
+        resultText(partial).includes("Tool 'retired-tool' not found") &&
+        saved.rules.find(rule => rule.id === retired.id).state === null &&
+        saved.rules.filter(rule => rule.state?.checked_at).length === 2 &&
+        saved.rules.length === 3 && reloaded.list().length === 3 &&
+        resultText(first).includes('🆕 **Cursor**') && resultText(second).includes('Triggered since')) {
+      console.log('✅ Watchlists and alerts work');
+      console.log(`   ${saved.rules.length} rules saved, ${notifications.length} notification for a new alert\n`);
+      passed++;
+    } else {
+      console.log('❌ Watchlists and alerts returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Watchlists and alerts error: ${error.message}\n`);
+    failed++;
+  } finally {
+    rmSync(watchDir, { recursive: true, force: true });
+  }
+
+  // Test 22: Tool profiles and datasets as resources
+  console.log('2️⃣2️⃣ Testing resources...');
+  let resourceClient;
+  try {
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    await createMcpServer({ rateLimiter: null }).connect(serverSide);
+    resourceClient = new Client({ name: 'resource-test', version: '1.0.0' });
+    await resourceClient.connect(clientSide);
+
+    const { resources } = await resourceClient.listResources();
+    const { resourceTemplates } = await resourceClient.listResourceTemplates();
+    const profile = (await resourceClient.readResource({ uri: 'tool://anthropic' })).contents[0];
+    const history = (await resourceClient.readResource({ uri: 'tool://anthropic/history?format=json' })).contents[0];
+    const snapshot = (await resourceClient.readResource({ uri: 'metrics://snapshot' })).contents[0];
+    const missing = await resourceClient.readResource({ uri: 'tool://nope' }).catch(error => error);
+    await resourceClient.subscribeResource({ uri: 'tool://cursor' });
+    await resourceClient.unsubscribeResource({ uri: 'tool://cursor' });
+
+    // Subscriptions notify only when a re-read returns different content
+    let version = 1;
+    const updated = [];
+    const subscriptions = new ResourceSubscriptions({
+      read: async uri => ({ contents: [{ uri, text: `v${version}` }] }),
+      notify: async uri => updated.push(uri),
+      interval: 60_000
+    });
+    await subscriptions.subscribe('tool://openai');
+    const unchanged = await subscriptions.poll();
+    version = 2;
+    const changed = await subscriptions.poll();
+    subscriptions.unsubscribe('tool://openai');
+
+    // A notification that fails (e.g. the transport closed) is logged and retried
+    let transportOpen = false;
+    const closing = new ResourceSubscriptions({
+      read: async uri => ({ contents: [{ uri, text: `v${version}` }] }),
+      notify: async () => { if (!transportOpen) throw new Error('Not connected'); },
+      interval: 60_000
+    });
+    await closing.subscribe('tool://openai');
+    version = 3;
+    const notSent = await closing.poll();
+    transportOpen = true;
+    const retried = await closing.poll();
+    closing.close();
+
+    if (resources.some(r => r.uri === 'tool://openai/history') && resources[0].uri === 'metrics://snapshot' &&
+        resourceTemplates.length === 2 &&
+        profile.mimeType === 'text/markdown' && profile.text.startsWith('# Anthropic SDK') &&
+        profile.text.includes('| GitHub stars | 4K |') &&
+        history.mimeType === 'application/json' && JSON.parse(history.text).data.length === 12 &&
+        snapshot.text.split('\n').filter(line => line.startsWith('| ') && !line.startsWith('| Tool')).length === 5 &&
+        missing.code === RESOURCE_NOT_FOUND &&
+        unchanged.length === 0 && changed.join() === 'tool://openai' && updated.join() === 'tool://openai' &&
+        notSent.length === 0 && retried.join() === 'tool://openai' &&
+        subscriptions.timer === null) {
+      console.log('✅ Resources work');
+      console.log(`   ${resources.length} resources, ${resourceTemplates.length} templates\n`);
+      passed++;
+    } else {
+      console.log('❌ Resources returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Resources error: ${error.message}\n`);
+    failed++;
+  } finally {
+    await resourceClient?.close();
+  }
+
+  // Test 23: Prompt templates with catalog-backed completion
+  console.log('2️⃣3️⃣ Testing prompts...');
+  let promptClient;
+  try {
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    await createMcpServer({ rateLimiter: null }).connect(serverSide);
+    promptClient = new Client({ name: 'prompt-test', version: '1.0.0' });
+    await promptClient.connect(clientSide);
+
+    const { prompts } = await promptClient.listPrompts();
+    const evaluation = await promptClient.getPrompt({
+      name: 'evaluate_tools',
+      arguments: { tool_a: 'Claude SDK', tool_b: 'openai' }
+    });
+    const brief = await promptClient.getPrompt({ name: 'weekly_market_brief', arguments: { category: 'editor' } });
+    const missing = await promptClient.getPrompt({ name: 'evaluate_tools', arguments: { tool_a: 'cursor' } }).catch(error => error);
+    const unknown = await promptClient.getPrompt({
+      name: 'tool_adoption_report',
+      arguments: { tool: 'antrop' }
+    }).catch(error => error);
+
+    const complete = (ref, name, value, context) =>
+      promptClient.complete({ ref, argument: { name, value }, context }).then(result => result.completion);
+    const evaluateRef = { type: 'ref/prompt', name: 'evaluate_tools' };
+    const byName = await complete(evaluateRef, 'tool_a', 'claude');
+    const excludingChosen = await complete(evaluateRef, 'tool_b', 'c', { arguments: { tool_a: 'cursor' } });
+    const categories = await complete({ type: 'ref/prompt', name: 'weekly_market_brief' }, 'category', 'ed');
+    const resourceIds = await complete({ type: 'ref/resource', uri: 'tool://{id}' }, 'id', 'gh');
+
+    // A profile that can't be read is left out instead of failing the prompt
+    const { dataSource } = apiClient;
+    let withoutProfile;
+    apiClient.invalidateCache('getToolMetrics');
+    apiClient.dataSource = Object.create(dataSource, {
+      getToolMetrics: { value: async () => { throw new Error('Upstream timed out'); } }
+    });
+    try {
+      withoutProfile = await promptClient.getPrompt({ name: 'tool_adoption_report', arguments: { tool: 'cursor' } });
+    } finally {
+      apiClient.dataSource = dataSource;
+      apiClient.invalidateCache('getToolMetrics');
+    }
+
+    const [profileA, profileB, instructions] = evaluation.messages;
+    if (prompts.map(p => p.name).join() === 'weekly_market_brief,evaluate_tools,tool_adoption_report' &&
+        prompts[1].arguments.filter(a => a.required).length === 2 &&
+        profileA.content.type === 'resource' && profileA.content.resource.uri === 'tool://anthropic' &&
+        profileB.content.resource.uri === 'tool://openai' &&
+        instructions.content.text.includes('compare_tools with tools ["anthropic", "openai"]') &&
+        brief.messages[0].content.text.includes('category "editor"') &&
+        missing.code === -32602 && missing.message.includes('tool_b') &&
+        unknown.code === -32602 && unknown.message.includes('Did you mean: anthropic') &&
+        byName.values.join() === 'anthropic' &&
+        !excludingChosen.values.includes('cursor') && excludingChosen.values.includes('copilot') &&
+        categories.values.join() === 'editor' &&
+        resourceIds.values.join() === 'copilot' &&
+        withoutProfile.messages.length === 1 && withoutProfile.messages[0].content.type === 'text') {
+      console.log('✅ Prompts work');
+      console.log(`   ${prompts.length} prompts; "c" completes to ${excludingChosen.values.join(', ')}\n`);
+      passed++;
+    } else {
+      console.log('❌ Prompts returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Prompts error: ${error.message}\n`);
+    failed++;
+  } finally {
+    await promptClient?.close();
+  }
+
+  // Test 24: Ingestion from recorded npm, GitHub, Stack Exchange and Reddit responses
+  console.log('2️⃣4️⃣ Testing data ingestion...');
+  try {
+    // openai's stored days complete a 30-day window; anthropic's series is
+    // two years old, so it starts over instead of leaving a gap to interpolate
+    const earlier = Array.from({ length: 23 }, (_, i) => ({ tool: 'openai', date: addDays('2026-09-19', i), downloads: 1000 }));
+    const store = new TimeSeriesStore([
+      ...earlier,
+      { tool: 'openai', date: '2026-10-18', downloads: 1, stars: 10_000, mentions: 5 },
+      { tool: 'anthropic', date: '2024-12-31', downloads: 500 }
+    ]);
+    const metrics = { openai: { stackoverflow_questions_30d: 145 }, anthropic: { stackoverflow_questions_30d: 67 } };
+    const report = await ingest({
+      store,
+      metrics,
+      tools: ['openai', 'anthropic'].map(getTool),
+      days: 7,
+      now: () => Date.parse('2026-10-19T06:00:00Z'),
+      fetch: replayFetch(loadRecording('test/fixtures/ingest-responses.json')),
+      retry: { retries: 0 }
+    });
+
+    const lastDay = store.query('openai', { from: '2026-10-18' })[0];
+    const throttled = report.runs.find(run => run.source === 'stackoverflow' && run.tool === 'anthropic');
+    const openai = metrics.openai;
+
+    if (report.from === '2026-10-12' && report.to === '2026-10-18' &&
+        lastDay.downloads === 845_320 && lastDay.stars === 10_412 && lastDay.mentions === 2 && lastDay.questions === 1 &&
+        lastDay.provenance.downloads.source === 'npm' &&
+        lastDay.provenance.stars.fetched_at === '2026-10-19T06:00:00.000Z' &&
+        store.query('anthropic').length === 7 && store.query('anthropic')[1].mentions === 0 &&
+        openai.npm_downloads_weekly === 8_443_417 && openai.github_stars === 10_412 &&
+        openai.npm_downloads_monthly === 23_000 + 8_443_417 &&
+        openai.stackoverflow_questions_30d === 145 && !openai.provenance.stackoverflow_questions_30d &&
+        openai.reddit_mentions_30d === undefined &&
+        report.restarted.length === 1 && store.range('anthropic').from === '2026-10-12' &&
+        describeRun(report).includes('anthropic: stored series (2024-12-31 to 2024-12-31)') &&
+        openai.last_updated === '2026-10-18' &&
+        openai.provenance.github_stars.ref === 'openai/openai-node' &&
+        throttled.status === 'failed' && throttled.error.includes('HTTP 400') &&
+        metrics.anthropic.stackoverflow_questions_30d === 67 && !metrics.anthropic.provenance.stackoverflow_questions_30d &&
+        describeRun(report).includes('stackoverflow: 7 points from 1/2 tools')) {
+      console.log('✅ Data ingestion works');
+      console.log(`   ${report.points.length} points from ${report.runs.filter(r => r.status === 'ok').length}/${report.runs.length} source runs\n`);
+      passed++;
+    } else {
+      console.log('❌ Data ingestion returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Data ingestion error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 25: Package registries
+  console.log('2️⃣5️⃣ Testing package registries...');
+  try {
+    const openai = getCurrentMetrics('openai', '30d');
+    const pypi = getCurrentMetrics('openai', '30d', 'pypi');
+    const crates = getCurrentMetrics('anthropic', '30d', 'crates');
+    const go = openai.registries.find(r => r.registry === 'go');
+
+    const compared = await compareTool.execute({ tools: ['openai', 'anthropic'], registry: 'crates' });
+    const history = await historyTool.execute({ tool: 'openai', months: 3 });
+    const npmHistory = await historyTool.execute({ tool: 'openai', months: 3, registry: 'npm' });
+    const notPublished = await historyTool.execute({ tool: 'anthropic', registry: 'crates' });
+    const search = searchTools({ registry: 'pypi', sort_by: 'downloads' });
+    const [lastPoint] = history.structuredContent.data.slice(-1);
+
+    const store = new TimeSeriesStore();
+    const metrics = {};
+    const report = await ingest({
+      store,
+      metrics,
+      tools: ['openai', 'anthropic'].map(getTool),
+      sources: ['pypi', 'crates'],
+      days: 7,
+      now: () => Date.parse('2026-10-19T06:00:00Z'),
+      fetch: replayFetch(loadRecording('test/fixtures/ingest-responses.json')),
+      retry: { retries: 0 }
+    });
+
+    if (openai.downloads_monthly === openai.npm_downloads_monthly + 92_400_000 + 181_000 &&
+        openai.growth_pct === getCurrentMetrics('openai').growth_windows['30d'] &&
+        go.package === 'github.com/openai/openai-go' && go.downloads_monthly === null &&
+        pypi.downloads_monthly === 92_400_000 && pypi.registry === 'pypi' &&
+        crates.downloads_monthly === null && crates.downloads_growth_pct === null &&
+        compared.content[0].text.includes('not published on crates.io') &&
+        compared.content[0].text.includes('`async-openai`') &&
+        lastPoint.downloads === lastPoint.registries.npm + lastPoint.registries.pypi + lastPoint.registries.crates &&
+        lastPoint.pypi_downloads === undefined &&
+        npmHistory.structuredContent.data.at(-1).downloads === lastPoint.registries.npm &&
+        notPublished.isError && notPublished.content[0].text.includes("isn't published on crates.io") &&
+        search.results.map(t => t.id).join() === 'openai,langchain,anthropic' &&
+        report.runs.find(run => run.source === 'crates' && run.tool === 'anthropic').status === 'skipped' &&
+        metrics.openai.pypi_downloads_weekly === 21_747_326 && metrics.anthropic.pypi_downloads_weekly === 3_593_629 &&
+        metrics.openai.crates_downloads_weekly === 36_440 &&
+        store.query('openai', { from: '2026-10-18' })[0].crates_downloads === 3_633 &&
+        metrics.openai.pypi_downloads_monthly === undefined &&
+        metrics.openai.provenance.pypi_downloads_weekly.ref === 'openai') {
+      console.log('✅ Package registries work');
+      console.log(`   openai: ${openai.registries.map(r => `${r.registry} ${r.downloads_monthly ?? 'n/a'}`).join(', ')}\n`);
+      passed++;
+    } else {
+      console.log('❌ Package registries returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Package registries error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 26: Version adoption
+  console.log('2️⃣6️⃣ Testing version adoption...');
+  try {
+    const releases = [
+      { date: '2024-01-01', version: '1.0.0' },
+      { date: '2024-03-01', version: '1.1.0' },
+      { date: '2024-03-01', version: '2.0.0', speed: 2 }
+    ];
+    const beforeMajor = versionShares(releases.slice(0, 2), '2024-03-20');
+    const shares = versionShares(releases, '2024-06-01');
+    const [split] = splitByVersion([{ date: '2024-06-01', downloads: 1001 }], releases);
+
+    const result = await versionAdoptionTool.execute({ tool: 'openai' });
+    const text = result.content[0].text;
+    const { data, latest_release: latest } = result.structuredContent;
+    const byVersion = await versionAdoptionTool.execute({ tool: 'Claude SDK', by: 'version', months: 2, granularity: 'week' });
+    const weeks = byVersion.structuredContent.data;
+    const unknown = await versionAdoptionTool.execute({ tool: 'not-a-tool' });
+
+    if (majorLine('4.77.0') === '4.x' && majorLine('0.24.3') === '0.24.x' &&
+        beforeMajor['1.1.0'] > 0.8 && Math.abs(Object.values(shares).reduce((a, b) => a + b, 0) - 1) < 1e-9 &&
+        shares['2.0.0'] > shares['1.1.0'] &&
+        Object.values(split.versions).reduce((a, b) => a + b, 0) === 1001 &&
+        data.length === 6 && Object.keys(data[5].shares).sort().join() === '3.x,4.x' &&
+        data[5].versions['3.x'] + data[5].versions['4.x'] === data[5].downloads &&
+        latest.version === '4.77.0' && latest.previous_version === '4.61.0' &&
+        latest.uptake.map(p => p.day).join() === '1,7,14' &&
+        latest.uptake[2].share_pct > latest.uptake[2].previous_share_pct &&
+        latest.days_to_majority < latest.previous_days_to_majority &&
+        text.includes('Newest release: 4.77.0') && text.includes('faster than the previous release') &&
+        text.includes('Still in wide use in 2024-12: 3.x') &&
+        weeks.every(week => week.week) && '0.30.0' in weeks[0].shares &&
+        unknown.isError) {
+      console.log('✅ Version adoption works');
+      console.log(`   openai 2024-12: ${Object.entries(data[5].shares).map(([line, pct]) => `${line} ${pct}%`).join(', ')}\n`);
+      passed++;
+    } else {
+      console.log('❌ Version adoption returned unexpected data\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Version adoption error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 27: Charts
+  console.log('2️⃣7️⃣ Testing charts...');
+  try {
+    const chart = {
+      title: 'Test <chart>',
+      labels: ['2024-01', '2024-02', '2024-03'],
+      series: [
+        { name: 'A', values: [1, 2, 3] },
+        { name: 'B', values: [null, 2, 4], dashed: true, band: { lower: [null, 2, 3], upper: [null, 2, 5] } }
+      ]
+    };
+    const svg = renderSvg(chart);
+    const png = renderPng(chart, { width: 200, height: 120 });
+
+    const history = await historyTool.execute({ tool: 'openai', chart: 'svg' });
+    const comparison = await compareTool.execute({ tools: ['openai', 'anthropic'], chart: 'png' });
+    const plain = await compareTool.execute({ tools: ['openai', 'anthropic'] });
+    const projected = await forecastTool.execute({ tool: 'anthropic', chart: 'png', format: 'both' });
+    const image = comparison.content.find(block => block.type === 'image');
+
+    if (sparkline([1, 2, 3, 4, 5, 6, 7, 8]) === '▁▂▃▄▅▆▇█' && sparkline([5, null, 5]) === '▄ ▄' &&
+        sparkline([]) === '' &&
+        svg.startsWith('<svg') && svg.includes('<polyline') && svg.includes('stroke-dasharray') &&
+        svg.includes('<polygon') && svg.includes('Test &lt;chart&gt;') &&
+        png.subarray(1, 4).toString() === 'PNG' && png.readUInt32BE(16) === 200 && png.readUInt32BE(20) === 120 &&
+        history.content[1].mimeType === 'image/svg+xml' &&
+        Buffer.from(history.content[1].data, 'base64').toString().includes('OpenAI SDK') &&
+        resultText(history).includes('Trend: ▁') &&
+        image?.mimeType === 'image/png' && Buffer.from(image.data, 'base64').subarray(1, 4).toString() === 'PNG' &&
+        resultText(comparison).includes('6-Month Trend: ') &&
+        plain.content.every(block => block.type === 'text') &&
+        projected.content.map(block => block.type).join() === 'text,text,image' &&
+        resultText(projected).includes('┊')) {
+      console.log('✅ Charts work');
+      console.log(`   ${resultText(history).match(/Trend: .*/)[0]}, PNG ${Buffer.from(image.data, 'base64').length} bytes\n`);
+      passed++;
+    } else {
+      console.log('❌ Charts returned unexpected output\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Charts error: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 28: Exports
+  console.log('2️⃣8️⃣ Testing exports...');
+  const exportDir = mkdtempSync(join(tmpdir(), 'exports-'));
+  try {
+    const table = {
+      name: 'test',
+      columns: ['name', 'note', 'count'],
+      rows: [
+        { name: 'Tool, Inc.', note: 'says "hi"', count: 5 },
+        { name: '=HYPERLINK("x")', note: 'a | b', count: null }
+      ]
+    };
+    const csv = serializeTable(table, 'csv');
+    const markdown = serializeTable(table, 'markdown');
+    const jsonl = serializeTable(table, 'jsonl');
+
+    const [note, link] = exportContent(table, { format: 'csv', to: 'file', dir: exportDir, now: () => Date.parse('2026-10-19T06:00:00Z') });
+    const written = readFileSync(join(exportDir, 'test-2026-10-19T06-00-00-000Z.csv'), 'utf8');
+    const [germanNote] = exportContent({ ...table, name: 'einzeln', rows: table.rows.slice(0, 1) }, { format: 'jsonl', to: 'file', dir: exportDir, locale: 'de' });
+
+    const comparison = await compareTool.execute({ tools: ['openai', 'cursor'], export: 'csv' });
+    const embedded = comparison.content.find(block => block.type === 'resource')?.resource;
+    const rows = embedded?.text.trim().split('\r\n');
+    const history = await historyTool.execute({ tool: 'anthropic', months: 3, export: 'jsonl' });
+    const historyRows = history.content.at(-1).resource.text.trim().split('\n').map(line => JSON.parse(line));
+    const search = await searchTool.execute({ category: 'llm-api', export: 'markdown' });
+    const weekly = historyTable({ tool_id: 'x', data: [{ week: '2024-12-02', downloads: 10, registries: { npm: 10 } }] });
+
+    if (csv === 'name,note,count\r\n"Tool, Inc.","says ""hi""",5\r\n"\'=HYPERLINK(""x"")",a | b,\r\n' &&
+        markdown.split('\n')[1] === '|---|---|---|' && markdown.includes('| a \\| b |') &&
+        JSON.parse(jsonl.split('\n')[1]).count === null &&
+        note.text.includes('Exported 2 rows') && germanNote.text.includes('1 Zeile nach') && link.type === 'resource_link' && link.uri.startsWith('file://') &&
+        written.startsWith('\uFEFFname,note') &&
+        embedded.mimeType === 'text/csv' && embedded.uri === 'export://comparison-openai-cursor.csv' &&
+        rows.length === 3 && rows[1].startsWith('openai,OpenAI SDK,llm-api,all,openai,128724000') &&
+        rows[2].includes(',450000,,,') &&
+        historyRows.length === 3 && historyRows[2].pypi_downloads === 14800000 && !('crates_downloads' in historyRows[2]) &&
+        search.content.at(-1).resource.text.startsWith('| id | name |') &&
+        weekly.columns[1] === 'week' && weekly.rows[0].week === '2024-12-02') {
+      console.log('✅ Exports work');
+      console.log(`   ${rows[0].split(',').length} comparison columns, ${historyRows.length} history rows\n`);
+      passed++;
+    } else {
+      console.log('❌ Exports returned unexpected output\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Exports error: ${error.message}\n`);
+    failed++;
+  } finally {
+    rmSync(exportDir, { recursive: true, force: true });
+  }
+
+  // Test 29: Localization
+  console.log('2️⃣9️⃣ Testing localization...');
+  try {
+    const de = localizer('de-AT');
+    const ja = localizer('ja');
+    // Intl may separate units with (narrow) no-break spaces
+    const plain = text => text.replace(/\s/g, ' ');
+
+    const german = await compareTool.execute({ tools: ['openai', 'cursor'], locale: 'de' });
+    const japanese = await historyTool.execute({ tool: 'openai', months: 3, locale: 'ja' });
+    const english = await compareTool.execute({ tools: ['openai', 'cursor'] });
+    const germanError = formatError(new Error("Tool 'nope' not found"), 'compare tools', 'de');
+
+    if (de.locale === 'de' && resolveLocale('fr') === null && localizer('fr').locale === 'en' &&
+        plain(de.number(36143000)) === '36,1 Mio.' && plain(de.percent(8.4, { signed: true })) === '+8,4 %' &&
+        de.month('2024-12') === '12.2024' && de.day('2024-12-23') === '23.12.2024' &&
+        ja.number(36143000) === '3610万' && ja.day('2024-12-23') === '2024/12/23' &&
+        de.t('watch.title', { count: 1 }).endsWith('1 Regel') && de.t('watch.title', { count: 2 }).endsWith('2 Regeln') &&
+        plain(resultText(german)).includes('Monatliche Downloads: 128,7 Mio.') &&
+        german.structuredContent.tools[0].downloads_monthly === 128724000 &&
+        resultText(japanese).includes('2024/12: ') &&
+        resultText(english).includes('Monthly Downloads: 128.7M (↑ 8.4% vs last period)') &&
+        germanError.startsWith('❌ Vergleich der Tools fehlgeschlagen') &&
+        withoutEmoji('📊 Comparison ⚔️ vs 👍🏽 ▲ +1') === 'Comparison vs ▲ +1') {
+      console.log('✅ Localization works');
+      console.log(`   ${SUPPORTED_LOCALES.join(', ')}: ${plain(de.number(36143000))} / ${ja.number(36143000)}\n`);
+      passed++;
+    } else {
+      console.log('❌ Localization returned unexpected output\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`❌ Localization error: ${error.message}\n`);
+    failed++;
+  }
+
   // Summary
+  const total = passed + failed;
   console.log('═══════════════════════════════════════');
-  console.log(`✅ Passed: ${passed}/4`);
-  console.log(`❌ Failed: ${failed}/4`);
+  console.log(`✅ Passed: ${passed}/${total}`);
+  console.log(`❌ Failed: ${failed}/${total}`);
 
   if (failed === 0) {
     console.log('\n🎉 All tools working correctly!');